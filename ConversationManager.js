@@ -8,9 +8,55 @@
 
 //import fetch from 'node-fetch';
 import fs from 'fs';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getTokenizer, countMessageTokens } from './src/Tokenizer.js';
+import { createEncryptor, parseEnvelope } from './src/Encryption.js';
+import { writeFileAtomic } from './src/FileLock.js';
+import { AttachmentStore, normalizeContent, toAPIContent, getContentText, hasContent, getAttachmentNames } from './src/Content.js';
+import { ToolRegistry } from './src/ToolRegistry.js';
+import { createStorage } from './src/StorageAdapters.js';
+import { normalizeRetention, findExpiredConversations, getRetentionCutoff, parseResponseLogName } from './src/Retention.js';
+import { createRedactor } from './src/Redaction.js';
+import { APIError, ContextLengthError, TimeoutError, StructuredOutputError, EmptyResponseError } from './src/Errors.js';
+import { createProvider } from './src/Providers.js';
+import { createResponseCache } from './src/ResponseCache.js';
+import { emptyUsage, addUsage, normalizeUsage, estimateCost, buildUsageReport } from './src/Usage.js';
+import { normalizeQuota, checkQuota, addToCounters } from './src/Quotas.js';
+import { renderTemplate, renderTemplateFile } from './src/PromptTemplate.js';
+import { parseStructuredResponse, toResponseFormat, buildRepairPrompt } from './src/StructuredOutput.js';
+import { createMessageId, assignMessageIds, getPath, getChildren, getLatestLeaf } from './src/MessageTree.js';
+import { keywordSearch, semanticSearch } from './src/Search.js';
+import { normalizeMiddleware, runHooks, runHooksSync, toCompletion } from './src/Middleware.js';
+import { normalizeMemory, addMemories, findMemories, buildExtractionRequest, parseExtractedFacts, buildMemoryMessage } from './src/Memory.js';
+import { EmbeddingIndex, OpenAIEmbeddingProvider } from './src/Embeddings.js';
+import { getFileExtension, toMarkdown, toHTML, toFineTuningJSONL, parseJSONL, parseChatGPTExport } from './src/Exporters.js';
+
+export { BPETokenizer, WhitespaceTokenizer, registerTokenizer, getTokenizer } from './src/Tokenizer.js';
+export { ToolRegistry } from './src/ToolRegistry.js';
+export { APIError, RateLimitError, AuthError, ContextLengthError, TimeoutError, QuotaExceededError, StructuredOutputError, EmptyResponseError, CacheMissError, RevisionConflictError } from './src/Errors.js';
+export { ResponseCache, MemoryCacheStore, FileCacheStore, computeCacheKey } from './src/ResponseCache.js';
+export { StorageAdapter, JSONFileStorage, InMemoryStorage, SQLiteStorage, createStorage } from './src/StorageAdapters.js';
+export { withFileLock, writeFileAtomic } from './src/FileLock.js';
+export { Encryptor, createEncryptor } from './src/Encryption.js';
+export { normalizeRetention, findExpiredConversations } from './src/Retention.js';
+export { Redactor, createRedactor } from './src/Redaction.js';
+export { AttachmentStore, estimateImageTokens, getImageSize, getContentText } from './src/Content.js';
+export { ConversationServer } from './src/Server.js';
+export { AgentOrchestrator } from './src/Orchestrator.js';
+export { emptyUsage, estimateCost, getModelPrice, buildUsageReport } from './src/Usage.js';
+export { quotaLimits, normalizeQuota } from './src/Quotas.js';
+export { renderTemplate, renderTemplateFile } from './src/PromptTemplate.js';
+export { validateSchema, parseStructuredResponse } from './src/StructuredOutput.js';
+export { keywordSearch, semanticSearch, tokenizeText } from './src/Search.js';
+export { normalizeMemory, defaultExtractionPrompt } from './src/Memory.js';
+export { middlewareHooks } from './src/Middleware.js';
+export { EmbeddingProvider, OpenAIEmbeddingProvider, EmbeddingIndex, cosineSimilarity } from './src/Embeddings.js';
+export { toMarkdown, toHTML, toFineTuningExample, toFineTuningJSONL, parseJSONL, parseChatGPTExport } from './src/Exporters.js';
+export { Provider, OpenAIProvider, OpenAICompatibleProvider, OllamaProvider, AzureOpenAIProvider, AnthropicProvider, createProvider } from './src/Providers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,12 +83,11 @@ const defaultConfig = {
 };
 
 /**
- * @notice Loads configuration settings from a JSON file.
- * @dev This function is used to set default values for various parameters, including model, maxTokens, etc.
- * @param {string|null} modelId - The model ID to load specific configurations.
- * @return {Object} The parsed JSON configuration data or default settings if loading fails.
+ * @notice Reads the whole configuration file, including every `models` entry.
+ * @dev Uses `CONFIG_PATH` if set, then `config.json` in the working directory, then the bundled example configuration.
+ * @return {Object} The parsed configuration, or the hard-coded defaults (with no models) if loading fails.
  */
-const loadConfig = (modelId = null) => {
+export const readConfigFile = () => {
   const configPath = process.env.CONFIG_PATH || path.resolve(process.cwd(), 'config.json');
   const exampleConfigPath = path.resolve(__dirname, 'config.example.json');
 
@@ -53,57 +98,108 @@ const loadConfig = (modelId = null) => {
   try {
     if (fs.existsSync(configPath)) {
       const configData = fs.readFileSync(configPath, 'utf-8');
-      const config = JSON.parse(configData);
-      if (modelId && config.models && config.models[modelId]) {
-        return config.models[modelId];
-      }
-      return config.defaults;
+      return JSON.parse(configData);
     } else if (fs.existsSync(exampleConfigPath)) {
       const exampleConfigData = fs.readFileSync(exampleConfigPath, 'utf-8');
       console.warn(`Config file not found at ${configPath}. Using example configuration from ${exampleConfigPath}.`);
-      const exampleConfig = JSON.parse(exampleConfigData);
-      if (modelId && exampleConfig.models && exampleConfig.models[modelId]) {
-        return exampleConfig.models[modelId];
-      }
-      return exampleConfig.defaults;
+      return JSON.parse(exampleConfigData);
     } else {
       console.error(`Both ${configPath} and ${exampleConfigPath} not found. Falling back to hard-coded default configuration.`);
-      return defaultConfig;
+      return { defaults: defaultConfig, models: {} };
     }
   } catch (error) {
     console.error("Error loading configuration. Falling back to default configuration:", error.message);
-    return defaultConfig;
+    return { defaults: defaultConfig, models: {} };
+  }
+};
+
+/**
+ * @notice Loads configuration settings from a JSON file.
+ * @dev This function is used to set default values for various parameters, including model, maxTokens, etc.
+ * @param {string|null} modelId - The model ID to load specific configurations.
+ * @return {Object} The parsed JSON configuration data or default settings if loading fails.
+ */
+export const loadConfig = (modelId = null) => {
+  const config = readConfigFile();
+  if (modelId && config.models && config.models[modelId]) {
+    return config.models[modelId];
   }
+  return config.defaults;
 };
 
 // Load default configuration
 
 // I'm not sure if this is the right name for the config
 const defaultsSystemConfig = loadConfig();
-const apiKey = process.env.OPENAI_API_KEY || "";
 const defaultModel = defaultsSystemConfig.model || "gpt-4o-mini";
 const defaultTemperature = defaultsSystemConfig.temperature || 0.7;
 const defaultLogPath = defaultsSystemConfig.logPath || "logs";
 const defaultConversationMaxTokens = defaultsSystemConfig.conversationMaxTokens || 500;
 const defaultResponseTokens = defaultsSystemConfig.responseTokens || 100;
 const defaultVerbosity = defaultsSystemConfig.verbosity || "silent";
+const defaultMaxToolIterations = defaultsSystemConfig.maxToolIterations || 5;
+const defaultMaxRepairAttempts = defaultsSystemConfig.maxRepairAttempts ?? 2;
+const defaultRetryPolicy = { maxAttempts: 3, baseDelay: 500, maxDelay: 20000, jitter: 0.2, ...(defaultsSystemConfig.retry || {}) };
+const defaultTimeout = defaultsSystemConfig.timeout ?? 60000;
+const providerSettings = ["provider", "baseUrl", "apiKeyEnv", "apiVersion", "deployment"];
+const untitledConversationName = "Untitled Conversation";
+const compactionStrategies = ["drop-oldest", "summarize", "pinned"];
+const defaultSummaryPrompt = "You maintain a running summary of a conversation. Merge the new messages into the existing summary, " +
+  "keeping names, goals, decisions and any other facts later turns may rely on. Reply with the updated summary only.";
+
+/**
+ * @notice Normalizes a compaction setting from config.json or options.
+ * @param {string|Object|undefined} compaction - A strategy name, or an object with `strategy`, `summaryTokens` and `summaryPrompt`.
+ * @return {Object} The compaction settings with defaults applied.
+ * @throws Will throw an error for an unknown strategy.
+ */
+const normalizeCompaction = (compaction) => {
+  const settings = typeof compaction === "string" ? { strategy: compaction } : { ...(compaction || {}) };
+  const strategy = settings.strategy || "drop-oldest";
+  if (!compactionStrategies.includes(strategy)) {
+    throw new Error(`Invalid compaction strategy '${strategy}'. Please use 'drop-oldest', 'summarize', or 'pinned'.`);
+  }
+  return {
+    strategy,
+    summaryTokens: settings.summaryTokens || 200,
+    summaryPrompt: settings.summaryPrompt || defaultSummaryPrompt,
+  };
+};
 
 /**
  * @title APIHandler
  * @notice Handles API calls to OpenAI.
- * @dev Ensures that the OpenAI API key is set and manages the actual API request.
+ * @dev Ensures that the API key is set and manages the actual API request, retrying
+ *      rate-limited and transient failures according to the retry policy. Requests go to OpenAI
+ *      unless another provider (Azure OpenAI, Anthropic, Ollama, ...) is configured.
  */
 export class APIHandler {
   /**
-   * @param {string} apiKey - The OpenAI API key required for authentication.
-   * @param {string} model - The OpenAI model to use for completions.
+   * @param {string} apiKey - The API key required for authentication. Optional for local providers.
+   * @param {string} model - The model to use for completions.
+   * @param {Object} [options={}] - Additional handler settings.
+   *        - `provider`: A provider name ('openai', 'azure', 'anthropic', 'ollama', 'openai-compatible')
+   *          or a Provider instance. Defaults to 'openai'.
+   *        - `baseUrl`, `apiKeyEnv`, `apiVersion`, `deployment`: Provider settings, see `createProvider`.
+   *        - `apiUrl`: The full chat endpoint URL, overriding the provider's default.
+   *        - `retry`: The retry policy: `maxAttempts`, `baseDelay` and `maxDelay` (milliseconds), and
+   *          `jitter` (a fraction of the delay added at random). Merged over the default policy.
+   *        - `timeout`: How long to wait for a response, in milliseconds. For streaming requests this
+   *          covers the wait until the stream starts.
+   *        - `cache`: A ResponseCache, or its options (see `ResponseCache`), to reuse responses to
+   *          identical requests. Off by default.
    */
-  constructor(apiKey, model) {
-    if (!apiKey) {
-      throw new Error("API key is required. Please set OPENAI_API_KEY in the .env file.");
+  constructor(apiKey, model, options = {}) {
+    this.provider = createProvider(options);
+    if (!apiKey && this.provider.requiresApiKey) {
+      throw new Error(`API key is required. Please set ${this.provider.apiKeyEnv} in the .env file.`);
     }
     this.apiKey = apiKey;
     this.model = model;
+    this.lastUsage = null;  // The `usage` block of the most recent request, if the API reported one
+    this.retry = { ...defaultRetryPolicy, ...(options.retry || {}) };
+    this.timeout = options.timeout ?? defaultTimeout;
+    this.cache = createResponseCache(options.cache);
   }
 
   /**
@@ -111,96 +207,685 @@ export class APIHandler {
    * @param {Array<Object>} messages - An array of message objects representing the conversation history.
    * @param {number} maxTokens - The maximum number of tokens for the response.
    * @param {number} temperature - Controls randomness of the response.
+   * @param {Object} [options={}] - `bypassCache`: Skip the response cache for this call.
    * @return {Promise<string>} The assistant's response text.
-   * @throws Will throw an error if the API call fails or returns no response.
+   * @throws Will throw an APIError (or one of its subclasses) if the API call fails or returns no response.
+   */
+  async callAPI(messages, maxTokens, temperature, options = {}) {
+    const data = await this.requestCompletion(messages, maxTokens, temperature, options);
+    return (data.choices[0].message.content || "").trim();
+  }
+
+  /**
+   * @notice Makes an API call to OpenAI's chat completions endpoint and returns the full response.
+   * @dev Use this instead of `callAPI` when the response may contain tool calls.
+   * @param {Array<Object>} messages - An array of message objects representing the conversation history.
+   * @param {number} maxTokens - The maximum number of tokens for the response.
+   * @param {number} temperature - Controls randomness of the response.
+   * @param {Object} [options={}] - Additional request settings.
+   *        - `tools`: Tool definitions to offer the model, in the API's `tools` format.
+   *        - `responseFormat`: A `response_format` asking for JSON that matches a schema.
+   *        - `signal`: An AbortSignal used to cancel the request, including any pending retries.
+   *        - `bypassCache`: Skip the response cache: neither use nor store a cached response.
+   * @return {Promise<Object>} The parsed response body, with at least one choice. Cached responses
+   *         have `cached: true` and no `usage`, and leave `lastUsage` null.
+   * @throws Will throw an APIError (or one of its subclasses) if the API call fails or returns no response.
+   * @throws {CacheMissError} In 'replay' cache mode, if no response was recorded for the request.
    */
-  async callAPI(messages, maxTokens, temperature) {
-    const apiUrl = "https://api.openai.com/v1/chat/completions";
-    const payload = {
+  async requestCompletion(messages, maxTokens, temperature, options = {}) {
+    const cacheRequest = { model: this.model, messages, temperature, maxTokens, tools: options.tools, responseFormat: options.responseFormat };
+    const useCache = this.cache && !options.bypassCache;
+    this.lastUsage = null;
+    if (useCache) {
+      const cached = this.cache.get(cacheRequest);
+      if (cached) {
+        // A cached response costs nothing, so it carries no usage
+        const { usage, ...response } = cached;
+        return { ...response, cached: true };
+      }
+    }
+
+    const request = this.provider.buildRequest({
+      apiKey: this.apiKey,
       model: this.model,
-      messages: messages,
-      max_tokens: maxTokens,
-      temperature: temperature,
-    };
+      messages,
+      maxTokens,
+      temperature,
+      tools: options.tools,
+      responseFormat: options.responseFormat,
+    });
 
     try {
-      const response = await fetch(apiUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify(payload),
-      });
+      const data = this.provider.parseResponse(await this.sendWithRetries(request, options.signal, response => response.json()));
+      this.lastUsage = data.usage || null;
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`OpenAI API Error: ${response.status} ${response.statusText} - ${errorData}`);
+      if (data.choices && data.choices.length > 0) {
+        if (useCache) {
+          this.cache.set(cacheRequest, data);
+        }
+        return data;
+      } else {
+        throw new APIError(`No response from ${this.provider.label} API.`);
       }
+    } catch (error) {
+      console.error(`Error calling ${this.provider.label}:`, error.message);
+      throw error;
+    }
+  }
 
-      const data = await response.json();
+  /**
+   * @notice Makes a streaming API call to OpenAI's chat completions endpoint.
+   * @dev Yields content deltas as the server-sent events arrive. Breaking out of the
+   *      iteration or aborting `signal` closes the underlying HTTP request. Failures before
+   *      the stream starts are retried like any other request. Token usage, when the provider
+   *      reports it, is available in `lastUsage` once the stream ends.
+   * @param {Array<Object>} messages - An array of message objects representing the conversation history.
+   * @param {number} maxTokens - The maximum number of tokens for the response.
+   * @param {number} temperature - Controls randomness of the response.
+   * @param {Object} [options={}] - Streaming options.
+   *        - `signal`: An AbortSignal used to cancel the request mid-stream.
+   *        - `bypassCache`: Skip the response cache. Otherwise a cached response is yielded as a single
+   *          delta, and a response streamed to the end is stored.
+   * @return {AsyncGenerator<string>} The assistant's response, one delta at a time.
+   * @throws Will throw an APIError (or one of its subclasses) if the API call fails, or an AbortError if aborted.
+   * @throws {CacheMissError} In 'replay' cache mode, if no response was recorded for the request.
+   */
+  async *streamAPI(messages, maxTokens, temperature, options = {}) {
+    const cacheRequest = { model: this.model, messages, temperature, maxTokens };
+    const useCache = this.cache && !options.bypassCache;
+    this.lastUsage = null;
+    if (useCache) {
+      const cached = this.cache.get(cacheRequest);
+      if (cached) {
+        const content = cached.choices[0].message.content;
+        if (content) {
+          yield content;
+        }
+        return;
+      }
+    }
 
-      if (data.choices && data.choices.length > 0) {
-        return data.choices[0].message.content.trim();
-      } else {
-        throw new Error("No response from OpenAI API.");
+    const request = this.provider.buildRequest({
+      apiKey: this.apiKey,
+      model: this.model,
+      messages,
+      maxTokens,
+      temperature,
+      stream: true,
+    });
+    request.headers["Accept"] = "text/event-stream";
+
+    // Link the caller's signal to our own controller so we can also cancel on early exit
+    const controller = new AbortController();
+    const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+    let content = "";
+    try {
+      const response = await this.sendWithRetries(request, signal, response => response);
+
+      for await (const data of parseServerSentEvents(response.body)) {
+        // Events may already be buffered when the abort happens
+        signal.throwIfAborted();
+        const { delta, done, usage } = this.provider.parseStreamEvent(data);
+        if (usage) {
+          // Some providers report prompt and completion tokens in separate events
+          this.lastUsage = { ...this.lastUsage, ...usage };
+        }
+        if (done) {
+          break;
+        }
+        if (delta) {
+          content += delta;
+          yield delta;
+        }
+      }
+      // Only complete responses are cached
+      if (useCache) {
+        this.cache.set(cacheRequest, { choices: [{ message: { role: "assistant", content } }], usage: this.lastUsage });
       }
     } catch (error) {
-      console.error("Error calling OpenAI:", error.message);
+      if (error.name !== "AbortError") {
+        console.error(`Error streaming from ${this.provider.label}:`, error.message);
+      }
       throw error;
+    } finally {
+      controller.abort();
+    }
+  }
+
+  /**
+   * @notice Posts a payload to the API, retrying rate-limited and transient failures.
+   * @dev Each attempt gets its own timeout. Between attempts we wait for the delay the server asked
+   *      for (`Retry-After`, `retry-after-ms` or `x-ratelimit-reset-*`), or else for an exponential
+   *      backoff with jitter.
+   * @param {Object} request - The `url`, `headers` and `body` built by the provider.
+   * @param {AbortSignal|undefined} signal - Cancels the request and any pending retries.
+   * @param {Function} readResponse - Reads a successful response; its result is returned. Runs within the timeout.
+   * @return {Promise<*>} The result of `readResponse`.
+   * @throws Will throw the last error once it is not retryable or the attempts are exhausted.
+   */
+  async sendWithRetries(request, signal, readResponse) {
+    for (let attempt = 1; ; attempt++) {
+      const timeoutController = new AbortController();
+      const attemptSignal = signal ? AbortSignal.any([signal, timeoutController.signal]) : timeoutController.signal;
+      const timer = this.timeout > 0
+        ? setTimeout(() => timeoutController.abort(new TimeoutError(this.timeout, this.provider.label)), this.timeout)
+        : null;
+
+      try {
+        const response = await fetch(request.url, {
+          method: "POST",
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+          signal: attemptSignal,
+        });
+
+        if (!response.ok) {
+          const errorData = await response.text();
+          throw this.provider.createError(response.status, response.statusText, errorData, getRetryAfter(response));
+        }
+
+        return await readResponse(response);
+      } catch (caught) {
+        // Report our own timeout rather than the generic abort it caused
+        const error = timeoutController.signal.aborted ? timeoutController.signal.reason : caught;
+
+        // Errors without a status (other than aborts) are network failures, which are worth retrying
+        const retryable = error instanceof APIError ? error.retryable : error.name !== "AbortError";
+        if ((signal && signal.aborted) || !retryable || attempt >= this.retry.maxAttempts) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (defaultsSystemConfig.verbosity != "silent"){
+          console.log(`${this.provider.label} request failed (${error.message}). Retrying in ${delay}ms (attempt ${attempt + 1} of ${this.retry.maxAttempts}).`);
+        }
+        await sleep(delay, signal);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  /**
+   * @notice Computes how long to wait before the next attempt.
+   * @param {Error} error - The error that failed the previous attempt.
+   * @param {number} attempt - The number of the attempt that failed, starting at 1.
+   * @return {number} The delay in milliseconds.
+   */
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter;
+    }
+    const backoff = Math.min(this.retry.baseDelay * 2 ** (attempt - 1), this.retry.maxDelay);
+    return Math.round(backoff + backoff * this.retry.jitter * Math.random());
+  }
+}
+
+/**
+ * @notice Renders stored conversations in an export format.
+ * @param {Array<Object>} conversations - The stored conversations. Markdown and HTML render only the first.
+ * @param {string} format - 'markdown', 'html' or 'jsonl'.
+ * @return {string} The rendered export.
+ */
+const renderConversations = (conversations, format) => {
+  if (format === "markdown") {
+    return toMarkdown(conversations[0]);
+  }
+  if (format === "html") {
+    return toHTML(conversations[0]);
+  }
+  return toFineTuningJSONL(conversations);
+};
+
+/**
+ * @notice Detects whether import input is JSONL or a ChatGPT export.
+ * @param {string|Array<Object>} input - The import input.
+ * @return {string} 'chatgpt' or 'jsonl'.
+ */
+const detectImportFormat = (input) => {
+  if (typeof input !== "string") {
+    return "chatgpt";
+  }
+  // A ChatGPT export is a single JSON array; JSONL is one object per line
+  return input.trimStart().startsWith("[") ? "chatgpt" : "jsonl";
+};
+
+/**
+ * @notice Picks the provider settings out of an agent's settings.
+ * @param {Object} settings - The agent settings.
+ * @return {Object} The provider settings that are set.
+ */
+const pickProviderSettings = (settings) => Object.fromEntries(
+  providerSettings.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+);
+
+/**
+ * @notice Creates the APIHandler for an agent's settings.
+ * @dev The API key is read from the environment variable named by `apiKeyEnv`, or the provider's
+ *      default (`OPENAI_API_KEY`, `AZURE_OPENAI_API_KEY`, `ANTHROPIC_API_KEY`).
+ * @param {Object} config - The agent settings: `model`, `retry`, `timeout` and the provider settings
+ *        (`provider`, `baseUrl`, `apiKeyEnv`, `apiVersion`, `deployment`).
+ * @return {APIHandler} The handler.
+ */
+const createAPIHandler = (config) => {
+  const provider = createProvider(config);
+  const key = provider.apiKeyEnv ? process.env[provider.apiKeyEnv] || "" : "";
+  return new APIHandler(key, config.model, { provider, retry: config.retry, timeout: config.timeout, cache: config.cache });
+};
+
+/**
+ * @notice Reads the delay the server asked for before retrying, if any.
+ * @dev Checks `retry-after-ms`, then `Retry-After` (seconds or an HTTP date), then the longest of the
+ *      `x-ratelimit-reset-requests` and `x-ratelimit-reset-tokens` durations (e.g. "1s", "6m0s", "20ms").
+ * @param {Object} response - The fetch response.
+ * @return {number|null} The delay in milliseconds, or null if the server did not ask for one.
+ */
+const getRetryAfter = (response) => {
+  const getHeader = (name) => (response.headers && response.headers.get ? response.headers.get(name) : null);
+
+  const retryAfterMs = parseFloat(getHeader("retry-after-ms"));
+  if (!Number.isNaN(retryAfterMs)) {
+    return Math.max(0, Math.round(retryAfterMs));
+  }
+
+  const retryAfter = getHeader("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) {
+      return Math.max(0, Math.round(delay));
+    }
+  }
+
+  const resets = ["x-ratelimit-reset-requests", "x-ratelimit-reset-tokens"]
+    .map(name => parseDuration(getHeader(name)))
+    .filter(delay => delay !== null);
+  return resets.length > 0 ? Math.max(...resets) : null;
+};
+
+/**
+ * @notice Parses a duration such as "1s", "6m0s", "1h30m" or "250ms".
+ * @param {string|null} value - The duration.
+ * @return {number|null} The duration in milliseconds, or null if it cannot be parsed.
+ */
+const parseDuration = (value) => {
+  if (!value) {
+    return null;
+  }
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length === 0) {
+    return null;
+  }
+  return Math.round(parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * units[unit], 0));
+};
+
+/**
+ * @notice Waits for a delay, stopping early if the signal is aborted.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal|undefined} signal - Rejects the wait with the abort reason when aborted.
+ * @return {Promise<void>} Resolves once the delay has passed.
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+    resolve();
+  }, ms);
+  if (signal) {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+});
+
+/**
+ * @notice Parses a server-sent events stream into the `data` payload of each event.
+ * @dev Multi-line `data:` fields are joined with newlines, as per the SSE specification.
+ * @param {AsyncIterable<Uint8Array|string>} body - The response body stream.
+ * @return {AsyncGenerator<string>} The data of each event, in order.
+ */
+async function* parseServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let dataLines = [];
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.search(/\r\n|\r|\n/)) !== -1) {
+      const line = buffer.slice(0, newlineIndex);
+      buffer = buffer.slice(newlineIndex + (buffer.startsWith("\r\n", newlineIndex) ? 2 : 1));
+
+      if (line === "") {
+        // A blank line dispatches the event
+        if (dataLines.length > 0) {
+          yield dataLines.join("\n");
+          dataLines = [];
+        }
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+      // Comments (":") and other fields (event, id, retry) are ignored
     }
   }
+
+  if (dataLines.length > 0) {
+    yield dataLines.join("\n");
+  }
 }
 
 /**
  * @title Logger
  * @notice Manages saving and loading conversation history, as well as logging responses.
+ * @dev User data is read and written through a storage adapter; JSON files in `logPath` by default.
  */
 export class Logger {
   /**
    * @param {string} [logPath="logs"] - Directory path where logs are saved.
+   * @param {StorageAdapter|Object|string|null} [storage=null] - The storage adapter for user data, or a
+   *        storage config accepted by `createStorage`. Defaults to JSON files in `logPath`.
+   * @param {Encryptor|Object|boolean|null} [encryption=null] - Encrypts the JSON user files, response logs
+   *        and attachments at rest, as accepted by `createEncryptor`. Defaults to no encryption.
    */
-  constructor(logPath = "logs") {
+  constructor(logPath = "logs", storage = null, encryption = null) {
     this.logPath = logPath;
     if (!fs.existsSync(logPath)) {
       fs.mkdirSync(logPath, { recursive: true });
     }
+    this.encryptor = createEncryptor(encryption);
+    this.storage = createStorage(storage, logPath, this.encryptor);
+    this.attachments = new AttachmentStore(path.join(logPath, "attachments"), this.encryptor);
   }
 
   /**
-   * @notice Loads user data from the file or initializes it if not present.
+   * @notice Loads user data from storage or initializes it if not present.
    * @param {string} userId - The unique user identifier.
    * @return {Object} The user data object with conversations or an empty structure if not found.
    */
   loadUserData(userId) {
-    const filePath = `${this.logPath}/${userId}.json`;
-    try {
-      const data = JSON.parse(fs.readFileSync(filePath));
+    const data = this.storage.loadUser(userId);
+    if (data) {
       // Ensure conversations array exists
       data.conversations = data.conversations || [];
       return data;
-    } catch (error) {
-      // Return a default structure if the file does not exist
-      if (defaultsSystemConfig.verbosity != "silent"){
-        console.log(`No existing user data for user: ${userId}. Initializing new data.`);
-      }
-      return { userId, totalConversations: 0, conversations: [] };
     }
+
+    // Return a default structure if the user has no stored data
+    if (defaultsSystemConfig.verbosity != "silent"){
+      console.log(`No existing user data for user: ${userId}. Initializing new data.`);
+    }
+    return { userId, totalConversations: 0, conversations: [] };
   }
 
   /**
-   * @notice Saves the user data, including all conversations, to the designated file.
+   * @notice Saves the user data, including all conversations, to storage.
+   * @dev With JSON file storage, changes saved since the data was loaded are merged in.
    * @param {string} userId - The unique identifier for the user.
    * @param {Object} userData - The data structure containing user metadata and conversations.
+   * @throws {RevisionConflictError} If the data changed since it was loaded and the changes conflict.
    */
   saveUserData(userId, userData) {
-    const filePath = `${this.logPath}/${userId}.json`;
-    fs.writeFileSync(filePath, JSON.stringify(userData, null, 2));
+    this.storage.saveUser(userId, userData);
     if (defaultsSystemConfig.verbosity != "silent"){
       console.log(`Saved data for user: ${userId}`);
     }
   }
 
+  /**
+   * @notice Lists a user's conversations without their messages.
+   * @param {string} userId - The unique user identifier.
+   * @return {Array<Object>} Conversation summaries with `conversationId`, `name`, `timestamp` and `messageCount`.
+   */
+  listConversations(userId) {
+    return this.storage.listConversations(userId);
+  }
+
+  /**
+   * @notice Loads a single conversation.
+   * @param {string} userId - The unique user identifier.
+   * @param {string} conversationId - The conversation ID.
+   * @return {Object|null} The conversation, or null if not found.
+   */
+  getConversation(userId, conversationId) {
+    return this.storage.getConversation(userId, conversationId);
+  }
+
+  /**
+   * @notice Loads all of a user's conversations, with their messages.
+   * @param {string} userId - The unique user identifier.
+   * @return {Array<Object>} The conversations, oldest first.
+   */
+  getAllConversations(userId) {
+    return this.storage.listConversations(userId)
+      .map(({ conversationId }) => this.storage.getConversation(userId, conversationId))
+      .filter(Boolean);
+  }
+
+  /**
+   * @notice Saves a single conversation, adding it to the user's conversations if it is new.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} conversation - The conversation, with a `conversationId`, and the `revision` it was loaded at.
+   * @throws {RevisionConflictError} If the stored conversation changed since it was loaded.
+   */
+  saveConversation(userId, conversation) {
+    this.storage.putConversation(userId, conversation);
+    if (defaultsSystemConfig.verbosity != "silent"){
+      console.log(`Saved conversation ${conversation.conversationId} for user: ${userId}`);
+    }
+  }
+
+  /**
+   * @notice Deletes a single conversation, and the attachments no other conversation uses.
+   * @param {string} userId - The unique user identifier.
+   * @param {string} conversationId - The conversation ID.
+   * @return {boolean} True if the conversation existed.
+   */
+  deleteConversation(userId, conversationId) {
+    const conversation = this.storage.getConversation(userId, conversationId);
+    if (!this.storage.deleteConversation(userId, conversationId)) {
+      return false;
+    }
+    this.deleteUnusedAttachments(getAttachmentNames([conversation]));
+    if (defaultsSystemConfig.verbosity != "silent"){
+      console.log(`Deleted conversation ${conversationId} for user: ${userId}`);
+    }
+    return true;
+  }
+
+  /**
+   * @notice Deletes attachments that no stored conversation of any user refers to.
+   * @dev Attachments are shared by content, so other users' conversations are checked until each
+   *      attachment is found in use. This needs a storage adapter with `listUsers`.
+   * @param {Array<string>} names - The attachments to check, e.g. those of deleted conversations.
+   * @return {Array<string>} The names of the deleted attachments.
+   */
+  deleteUnusedAttachments(names) {
+    const unused = new Set(names);
+    for (const userId of unused.size > 0 ? this.storage.listUsers() : []) {
+      getAttachmentNames(this.getAllConversations(userId)).forEach(name => unused.delete(name));
+      if (unused.size === 0) {
+        break;
+      }
+    }
+    return [...unused].filter(name => this.attachments.delete(name));
+  }
+
+  /**
+   * @notice Lists the files written by `logResponse`.
+   * @param {string|null} [userId=null] - Only list this user's files.
+   * @return {Array<Object>} The files, each with a `fileName` (the path), `userId` and `timestamp` in milliseconds.
+   */
+  listResponseLogs(userId = null) {
+    return fs.readdirSync(this.logPath)
+      .map(name => ({ name, parsed: parseResponseLogName(name) }))
+      .filter(({ parsed }) => parsed && (userId === null || parsed.userId === userId))
+      .map(({ name, parsed }) => ({ fileName: path.join(this.logPath, name), ...parsed }));
+  }
+
+  /**
+   * @notice Deletes everything stored about a user: their record and conversations, response logs,
+   *         search index, and the attachments no other user shares.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} [options={}] - `indexPath`: Another directory the user's search index may be kept in.
+   * @return {Object} What was deleted: `userId`, `deleted` (whether a record existed), and the counts of
+   *         `conversations`, `messages`, `logFiles` and `attachments`.
+   */
+  deleteUser(userId, options = {}) {
+    const conversations = this.getAllConversations(userId);
+    const deleted = this.storage.deleteUser(userId);
+
+    const logFiles = this.listResponseLogs(userId);
+    logFiles.forEach(({ fileName }) => fs.rmSync(fileName, { force: true }));
+    for (const indexPath of new Set([this.logPath, options.indexPath || this.logPath])) {
+      fs.rmSync(path.join(indexPath, `${userId}.embeddings.json`), { force: true });
+    }
+    const attachments = this.deleteUnusedAttachments(getAttachmentNames(conversations));
+
+    if (defaultsSystemConfig.verbosity != "silent"){
+      console.log(`Deleted all data for user: ${userId}`);
+    }
+    return {
+      userId,
+      deleted,
+      conversations: conversations.length,
+      messages: conversations.reduce((count, conversation) => count + (conversation.messages || []).length, 0),
+      logFiles: logFiles.length,
+      attachments: attachments.length,
+    };
+  }
+
+  /**
+   * @notice Deletes the conversations and response logs a retention policy expires.
+   * @param {Object} retention - The retention policy: `maxAgeDays` and/or `maxConversations`.
+   * @param {Object} [options={}] - Additional settings.
+   *        - `userId`: Only sweep this user. Defaults to every user in storage.
+   *        - `keep`: `{ userId, conversationId }` of a conversation never to delete, e.g. the active one.
+   *        - `now`: The current time in milliseconds.
+   * @return {Object} What was deleted: `conversations` (each with `userId` and `conversationId`), and the
+   *         numbers of `logFiles` and `attachments`.
+   * @throws Will throw an error if the policy is invalid.
+   */
+  purgeExpired(retention, options = {}) {
+    const policy = normalizeRetention(retention);
+    const result = { conversations: [], logFiles: 0, attachments: 0 };
+    if (!policy) {
+      return result;
+    }
+    const now = options.now ?? Date.now();
+    const userIds = options.userId ? [options.userId] : this.storage.listUsers();
+
+    const attachmentNames = [];
+    for (const userId of userIds) {
+      const conversations = this.getAllConversations(userId);
+      const keep = options.keep && options.keep.userId === userId ? [options.keep.conversationId] : [];
+      for (const conversationId of findExpiredConversations(conversations, policy, { now, keep })) {
+        this.storage.deleteConversation(userId, conversationId);
+        attachmentNames.push(...getAttachmentNames(conversations.filter(convo => convo.conversationId === conversationId)));
+        result.conversations.push({ userId, conversationId });
+      }
+    }
+
+    const cutoff = getRetentionCutoff(policy, now);
+    if (cutoff !== null) {
+      const logFiles = this.listResponseLogs(options.userId || null).filter(({ timestamp }) => timestamp < cutoff);
+      logFiles.forEach(({ fileName }) => fs.rmSync(fileName, { force: true }));
+      result.logFiles = logFiles.length;
+    }
+    result.attachments = this.deleteUnusedAttachments([...new Set(attachmentNames)]).length;
+
+    if (defaultsSystemConfig.verbosity != "silent" && (result.conversations.length > 0 || result.logFiles > 0)){
+      console.log(`Purged ${result.conversations.length} conversations and ${result.logFiles} response logs past retention.`);
+    }
+    return result;
+  }
+
+  /**
+   * @notice Appends a message to a stored conversation.
+   * @param {string} userId - The unique user identifier.
+   * @param {string} conversationId - The conversation ID.
+   * @param {Object} message - The message to append.
+   */
+  appendMessage(userId, conversationId, message) {
+    this.storage.appendMessage(userId, conversationId, message);
+  }
+
+  /**
+   * @notice Adds a usage entry to the user's usage totals and history.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} entry - The usage entry: `timestamp`, `conversationId`, `agent`, `model`, token counts and `cost`.
+   * @param {Array<Object>} [quotaScopes=[]] - The quotas the tokens and cost count towards, as returned by
+   *        `ConversationManager.getQuotaScopes`.
+   */
+  recordUsage(userId, entry, quotaScopes = []) {
+    this.storage.updateUser(userId, (record) => {
+      record.usage = addUsage(record.usage, entry);
+      record.usageHistory = [...(record.usageHistory || []), entry];
+
+      const counters = record.quotaCounters || {};
+      const now = new Date(entry.timestamp);
+      for (const { scope } of quotaScopes) {
+        counters[scope] = addToCounters(counters[scope], { tokens: entry.total_tokens, dollars: entry.cost || 0 }, now);
+      }
+      if (quotaScopes.length > 0) {
+        record.quotaCounters = counters;
+      }
+    });
+  }
+
+  /**
+   * @notice Checks a user's quotas and counts a request against them.
+   * @dev The check and the update happen in a single storage update, so concurrent requests cannot
+   *      both take the last request of a quota.
+   * @param {string} userId - The unique user identifier.
+   * @param {Array<Object>} quotaScopes - The quotas to check: `scope` (the counter key), `agent` and `quota`.
+   * @param {Date} [now=new Date()] - The current time.
+   * @throws {QuotaExceededError} If any quota has been reached. Nothing is counted in that case.
+   */
+  consumeQuota(userId, quotaScopes, now = new Date()) {
+    this.storage.updateUser(userId, (record) => {
+      const counters = record.quotaCounters || {};
+      for (const { scope, agent, quota } of quotaScopes) {
+        checkQuota(counters[scope], quota, { userId, agent }, now);
+      }
+      for (const { scope } of quotaScopes) {
+        counters[scope] = addToCounters(counters[scope], { requests: 1 }, now);
+      }
+      record.quotaCounters = counters;
+    });
+  }
+
+  /**
+   * @notice Updates a user's long-term memories.
+   * @param {string} userId - The unique user identifier.
+   * @param {Function} update - Called with the stored memories; returns the new list.
+   * @return {Array<Object>} The memories after the update.
+   */
+  updateMemories(userId, update) {
+    let memories;
+    this.storage.updateUser(userId, (record) => {
+      memories = update(record.memories || []);
+      record.memories = memories;
+    });
+    return memories;
+  }
+
+  /**
+   * @notice Summarizes a user's usage.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} [options={}] - `from`, `to` and `groupBy`, as accepted by `buildUsageReport`.
+   * @return {Object} The report, with `totals` and, when grouped, `groups`.
+   */
+  getUsageReport(userId, options = {}) {
+    const userData = this.loadUserData(userId);
+    return { userId, ...buildUsageReport(userData.usageHistory || [], options) };
+  }
+
   /**
    * @notice Generates a unique conversation ID based on existing user data.
    * @param {Object} userData - The user data object containing conversations.
@@ -220,40 +905,104 @@ export class Logger {
    */
   generateConversationName(messages) {
     const firstUserMessage = messages.find(msg => msg.role === "user");
-    return firstUserMessage ? firstUserMessage.content.substring(0, 30).trim() : "Untitled Conversation";
+    return firstUserMessage ? getContentText(firstUserMessage.content).substring(0, 30).trim() : untitledConversationName;
   }
 
   /**
-   * @notice Logs the current conversation to a timestamped file.
+   * @notice Logs the current conversation to a timestamped file, encrypted if configured.
    * @param {string} userId - The user ID for identifying the log file.
    * @param {Array<Object>} messages - The conversation messages to log.
+   * @return {string} The log file's path.
    */
   logResponse(userId, messages) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const logFileName = `${this.logPath}/${userId}_${timestamp}.json`;
-    fs.writeFileSync(logFileName, JSON.stringify(messages, null, 2));
+    const json = JSON.stringify(messages, null, 2);
+    fs.writeFileSync(logFileName, this.encryptor ? this.encryptor.encrypt(json) : json);
     if (defaultsSystemConfig.verbosity != "silent"){
       console.log(`Logged conversation for user: ${userId} at ${logFileName}`);
     }
+    return logFileName;
+  }
+
+  /**
+   * @notice Reads a file written by `logResponse`, decrypting it if needed.
+   * @dev Files encrypted with an older key, or written before encryption was turned on, are re-encrypted
+   *      with the current key.
+   * @param {string} logFileName - The log file.
+   * @return {Array<Object>} The logged messages.
+   * @throws Will throw an error if the file is encrypted and cannot be decrypted.
+   */
+  readResponseLog(logFileName) {
+    const stored = fs.readFileSync(logFileName, "utf-8");
+    if (!this.encryptor) {
+      if (parseEnvelope(stored)) {
+        throw new Error(`${logFileName} is encrypted. Set 'encryption' to read it.`);
+      }
+      return JSON.parse(stored);
+    }
+
+    const json = this.encryptor.decrypt(stored).toString("utf-8");
+    if (!this.encryptor.isCurrent(stored)) {
+      writeFileAtomic(logFileName, this.encryptor.encrypt(json));
+    }
+    return JSON.parse(json);
   }
 }
 
 /**
  * @title ConversationManager
  * @notice Main interface for managing conversations with OpenAI.
- * @dev Uses helper classes APIHandler and Logger for API interaction and logging.
+ * @dev Uses helper classes APIHandler and Logger for API interaction and logging. It is an EventEmitter:
+ *      'message' is emitted with each message added, 'request' and 'response' around each API call,
+ *      'save' after a conversation is saved, and 'error' when a request fails (only if there are
+ *      listeners, so an unhandled 'error' event never crashes the process). Listeners only observe;
+ *      middleware added with `use` can change and short-circuit these steps.
  */
-export class ConversationManager {
+export class ConversationManager extends EventEmitter {
   /**
    * @param {string} [userId=""] - The unique identifier for the user.
    * @param {string} [model=defaultModel] - The model to use for responses.
+   * @param {Object} [options={}] - Additional settings.
+   *        - `tools`: A ToolRegistry, or an array of tool definitions, the model may call.
+   *        - `maxToolIterations`: How many rounds of tool calls `callAPI` runs before giving up.
+   *        - `maxRepairAttempts`: How many times `callAPI` asks the model to correct a response that does
+   *          not match its `responseSchema`.
+   *        - `storage`: A storage adapter, or a storage config such as `{ type: "sqlite" }`. Defaults to the
+   *          `storage` setting in config.json, then to JSON files in the log path.
+   *        - `encryption`: Encrypts stored user files, response logs and attachments, as accepted by
+   *          `createEncryptor`. Defaults to the `encryption` setting in config.json, then to none.
+   *        - `retention`: `{ maxAgeDays, maxConversations }`. Expired conversations and response logs of
+   *          the user are deleted when the user's data is loaded, once per session. Defaults to the `retention` setting
+   *          in config.json, then to keeping everything.
+   *        - `redaction`: Redacts PII in API requests and in stored history, as accepted by `createRedactor`.
+   *          Defaults to the `redaction` setting in config.json, then to none.
+   *        - `embeddingProvider`: The embedding provider used by `semanticSearch`. Defaults to OpenAI
+   *          embeddings, configured by the `embeddings` setting in config.json.
+   *        - `indexPath`: The directory `semanticSearch` keeps the user's index in, and `deleteUser` deletes
+   *          it from. Defaults to the log path.
+   *        - `linkedTo`: A ConversationManager of the same user this one helps, e.g. as another agent. This
+   *          one then shares its logger (storage, encryption and attachments), retention, redaction, tools,
+   *          search settings, active conversation ID, long-term memories and the middleware added to it so
+   *          far, instead of creating its own from the options above, and does not load the user's data.
+   *          It starts with an empty history and is not meant to be saved.
    */
-  constructor(userId = "", model = defaultModel) {
+  constructor(userId = "", model = defaultModel, options = {}) {
+    super();
+    const linked = options.linkedTo || null;
     this.userId = userId;
     this.model = model;
-    this.logger = new Logger(defaultLogPath);
+    this.logger = linked
+      ? linked.logger
+      : new Logger(defaultLogPath, options.storage || defaultsSystemConfig.storage, options.encryption ?? defaultsSystemConfig.encryption);
+    this.attachments = this.logger.attachments;
+    this.retention = linked ? linked.retention : normalizeRetention(options.retention ?? defaultsSystemConfig.retention);
+    this.redactor = linked ? linked.redactor : createRedactor(options.redaction ?? defaultsSystemConfig.redaction);
     this.messages = [];
+    this.branches = [];  // Messages of the conversation's inactive branches; `messages` is the active path
+    this.forkedFrom = null;  // The `conversationId` and `messageId` the active conversation was forked from
     this.activeConversationId = null; // Holds the ID of the current active conversation
+    this.conversationRevision = null;  // The stored revision of the active conversation when it was loaded or last saved
     this.systemSet = false;
     this.apiHandler = null;
     this.temperature = defaultTemperature;
@@ -261,28 +1010,53 @@ export class ConversationManager {
     this.responseTokens = defaultResponseTokens;
     this.conversationName = "";
     this.verbosity = defaultsSystemConfig.verbosity;
-
-    if (userId) {
+    this.tokenizer = getTokenizer(defaultsSystemConfig.tokenizer || model);
+    this.embeddingProvider = linked ? linked.embeddingProvider : options.embeddingProvider || null;
+    this.indexPath = linked ? linked.indexPath : options.indexPath || null;
+    this.middleware = linked ? [...linked.middleware] : [];  // Middleware added with `use`, as functions called with a hook name and context
+    this.tools = linked ? linked.tools : options.tools instanceof ToolRegistry ? options.tools : new ToolRegistry(options.tools);
+    this.maxToolIterations = options.maxToolIterations || defaultMaxToolIterations;
+    this.maxRepairAttempts = options.maxRepairAttempts ?? defaultMaxRepairAttempts;
+    this.compaction = normalizeCompaction(defaultsSystemConfig.compaction);
+    this.memory = normalizeMemory(defaultsSystemConfig.memory);
+    this.memories = [];  // Long-term facts about the user, kept in the user record
+    this.memoryCursor = null;  // The ID of the last message memory extraction has seen
+    this.summary = "";  // Running summary of messages compacted out of the history
+    this.usage = emptyUsage();  // Token usage and cost of the active conversation
+    this.pendingSummaryMessages = [];  // Trimmed messages not yet folded into the summary
+    this.agentId = null;  // The config.json `models` entry applied with setSystem, if any
+    this.systemPrompt = null;  // The prompt applied with setSystem: `agentFile`, `variables` and the rendered `content`
+
+    // Read config.json once, so requests do not read it again
+    const configFile = readConfigFile();
+    this.pricing = configFile.pricing || {};  // Model prices for cost estimates
+    this.quotas = configFile.quotas || {};  // User quotas: `default`, and overrides by user under `users`
+    this.agentQuota = null;  // The `quota` of the agent applied with setSystem, if any
+
+    if (linked) {
+      // Requests and usage belong to the linked conversation, whose data is already loaded
+      this.activeConversationId = linked.activeConversationId;
+      this.memories = linked.memories;
+    } else if (userId) {
       // Load user data if it exists, otherwise start with a new conversation
       this.loadUserData();
     }
 
     // Automatically set up the system with default settings if not already set
     if (!this.systemSet) {
-      this.setDefaultSystem();
+      this.setDefaultSystem(configFile.defaults);
     }
   }
 
   /**
    * @notice Sets up the system with default settings.
    * @dev This method is called automatically in the constructor if `setSystem` is not invoked.
+   * @param {Object} [config=loadConfig()] - The `defaults` entry of config.json, if already read.
    */
-  setDefaultSystem() {
-    // Load default configurations from config.json
-    const config = loadConfig();
+  setDefaultSystem(config = loadConfig()) {
 
     // Initialize APIHandler with default model
-    this.apiHandler = new APIHandler(apiKey, config.model);
+    this.apiHandler = createAPIHandler(config);
 
     // Add default system message
 //    this.messages.push({ role: "system", content: "You are a helpful assistant." });
@@ -291,6 +1065,9 @@ export class ConversationManager {
     this.temperature = config.temperature;
     this.conversationMaxTokens = config.conversationMaxTokens;
     this.responseTokens = config.responseTokens;
+    this.tokenizer = getTokenizer(config.tokenizer || config.model);
+    this.compaction = normalizeCompaction(config.compaction);
+    this.memory = normalizeMemory(config.memory);
     this.systemSet = true;  // Mark system as set to prevent reloading
 
     if (defaultsSystemConfig.verbosity != "silent"){
@@ -300,12 +1077,18 @@ export class ConversationManager {
 
   /**
    * @notice Loads user data and always starts a new conversation as the active session.
+   * @dev With `retention` set, the user's expired conversations and response logs are deleted first.
    */
   loadUserData() {
+    if (this.retention) {
+      // Sweep the user's expired data once per session rather than on every save
+      this.logger.purgeExpired(this.retention, { userId: this.userId });
+    }
     const userData = this.logger.loadUserData(this.userId);
 
     // Set the user data and start a new conversation each time
     this.userData = userData;
+    this.memories = userData.memories || [];
     this.startNewConversation();  // Start a fresh conversation for each session
   }
 
@@ -313,8 +1096,16 @@ export class ConversationManager {
    * @notice Starts a new conversation for the user, generating a unique conversation ID.
    */
   startNewConversation() {
-    this.activeConversationId = this.logger.generateConversationId(this.userData);
+    const conversations = this.logger.listConversations(this.userId);
+    this.activeConversationId = this.logger.generateConversationId({ conversations });
+    this.conversationRevision = 0;
     this.messages = [];
+    this.branches = [];
+    this.forkedFrom = null;
+    this.summary = "";
+    this.pendingSummaryMessages = [];
+    this.usage = emptyUsage();
+    this.memoryCursor = null;
 
     // Generate a name for the conversation based on the first message
     this.conversationName = `Conversation ${this.activeConversationId}`;
@@ -328,11 +1119,15 @@ export class ConversationManager {
    * @notice Loads the latest conversation for the user.
    */
   loadLatestConversation() {
-    const userData = this.logger.loadUserData(this.userId);
-    if (userData && userData.conversations.length > 0) {
-      const latestConversation = userData.conversations[userData.conversations.length - 1];
+    const conversations = this.logger.listConversations(this.userId);
+    if (conversations.length > 0) {
+      const latestConversation = this.logger.getConversation(this.userId, conversations[conversations.length - 1].conversationId);
       this.activeConversationId = latestConversation.conversationId;
+      this.conversationRevision = latestConversation.revision || 0;
       this.messages = latestConversation.messages;
+      this.restoreCompactionState(latestConversation);
+      this.restoreBranches(latestConversation);
+      this.usage = { ...emptyUsage(), ...latestConversation.usage };
     } else {
       console.warn("No conversations found for this user.");
       this.startNewConversation();
@@ -358,12 +1153,15 @@ export class ConversationManager {
       return;
     }
 
-    const userData = this.logger.loadUserData(this.userId);
-    const conversation = userData.conversations.find(convo => convo.conversationId === conversationId);
+    const conversation = this.logger.getConversation(this.userId, conversationId);
 
     if (conversation) {
       this.activeConversationId = conversationId;
+      this.conversationRevision = conversation.revision || 0;
       this.messages = conversation.messages;
+      this.restoreCompactionState(conversation);
+      this.restoreBranches(conversation);
+      this.usage = { ...emptyUsage(), ...conversation.usage };
     } else {
       console.warn(`Conversation with ID ${conversationId} not found.`);
     }
@@ -382,54 +1180,146 @@ export class ConversationManager {
   }
 
   /**
-   * @notice Deletes the entire conversation history for the current active conversation, including the file.
+   * @notice Deletes the entire conversation history for the current active conversation, including its stored copy.
+   * @dev System messages are kept, and the conversation stays active under the same ID.
+   * @return {boolean} True if a stored copy was deleted.
    */
   deleteHistory() {
     if (!this.activeConversationId) {
       console.warn("No active conversation to delete.");
-      return;
+      return false;
     }
 
     // Keep only the system message(s) in `this.messages`
     this.messages = this.messages.filter(msg => msg.role === 'system');
-
-    const filePath = `${this.logger.logPath}/${this.activeConversationId}_history.json`;
-
-    try {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-
-        if (defaultsSystemConfig.verbosity != "silent"){
-         console.log(`Conversation history file for conversation ${this.activeConversationId} deleted.`);
-        }
-
-      } else {
-        if (defaultsSystemConfig.verbosity != "silent"){
-          console.log(`No history file found for conversation ${this.activeConversationId}.`);
-        }
-      }
-    } catch (error) {
-      console.error(`Error deleting history file for conversation ${this.activeConversationId}:`, error.message);
-    }
+    this.branches = [];
+    this.forkedFrom = null;
+    this.summary = "";
+    this.pendingSummaryMessages = [];
+    this.usage = emptyUsage();
+    this.memoryCursor = null;
+
+    const deleted = this.userId ? this.logger.deleteConversation(this.userId, this.activeConversationId) : false;
+    this.conversationRevision = 0;
     if (defaultsSystemConfig.verbosity != "silent"){
       console.log("Conversation history cleared, system settings retained.");
     }
+    return deleted;
   }
 
   /**
-   * @notice Sets up the system prompt and settings based on the specified mode.
-   * @param {string} [mode="config"] - The mode to configure the AI: 'direct', 'config', or 'file'.
-   * @param {Object} [options={}] - Additional settings, varying by mode.
-   *        - In 'direct' mode, options include `agentPrompt`, `model`, `temperature`, `conversationMaxTokens`, `responseTokens`.
-   *        - In 'config' mode, options include `modelId`.
-   *        - In 'file' mode, options include `agentFilePath`.
-   * @throws Will throw an error if an invalid mode is provided or if required options are missing.
+   * @notice Deletes a stored conversation, with the attachments no other conversation uses.
+   * @dev Deleting the active conversation starts a new one.
+   * @param {string} [conversationId=this.activeConversationId] - The conversation to delete.
+   * @return {boolean} True if the conversation existed.
+   * @throws Will throw an error if there is no user.
    */
-  setSystem(mode = "config", options = {}) {
-    // If the system has already been set, clear existing settings and log the update
-    if (this.systemSet) {
-      if (defaultsSystemConfig.verbosity != "silent"){
-        console.log("System is already set. Updating agent and system settings...");
+  deleteConversation(conversationId = this.activeConversationId) {
+    if (!this.userId) {
+      throw new Error("A userId is required to delete conversations.");
+    }
+    const deleted = this.logger.deleteConversation(this.userId, String(conversationId));
+    if (String(conversationId) === this.activeConversationId) {
+      this.startNewConversation();
+    }
+    return deleted;
+  }
+
+  /**
+   * @notice Deletes everything stored about the user, and starts over with an empty record.
+   * @dev See `Logger.deleteUser` for what is deleted. To keep a copy for the user, use `forgetUser`.
+   * @return {Object} What was deleted, as returned by `Logger.deleteUser`.
+   * @throws Will throw an error if there is no user.
+   */
+  deleteUser() {
+    if (!this.userId) {
+      throw new Error("A userId is required to delete a user.");
+    }
+    const result = this.logger.deleteUser(this.userId, { indexPath: this.indexPath });
+    this.userData = { userId: this.userId, totalConversations: 0, conversations: [] };
+    this.memories = [];
+    this.startNewConversation();
+    return result;
+  }
+
+  /**
+   * @notice Exports all of the user's data to a directory, then deletes it, for data erasure requests.
+   * @dev The export holds the conversations in the given format, the full user record as
+   *      `<userId>.json` and the attachments. The audit record returned lists the exported files by
+   *      name and SHA-256 digest and the counts of what was deleted, so it can be kept without keeping
+   *      any personal data besides the user ID.
+   * @param {string} directory - Where to write the export.
+   * @param {Object} [options={}] - `format`: The conversation export format, 'jsonl' (default), 'markdown' or 'html'.
+   * @return {Object} The audit record: `userId`, `requestedAt`, `completedAt`, `exported` (`directory` and
+   *         `files`) and `deleted`.
+   * @throws Will throw an error if there is no user or the format is unknown. Nothing is deleted then.
+   */
+  forgetUser(directory, options = {}) {
+    if (!this.userId) {
+      throw new Error("A userId is required to delete a user.");
+    }
+    const requestedAt = new Date().toISOString();
+    const files = this.exportAllConversations(options.format || "jsonl", directory);
+
+    const conversations = this.logger.getAllConversations(this.userId);
+    const record = { ...this.logger.loadUserData(this.userId), conversations };
+    files.push({ fileName: `${this.userId}.json`, content: JSON.stringify(record, null, 2) });
+    fs.writeFileSync(path.join(directory, `${this.userId}.json`), files[files.length - 1].content);
+    for (const name of getAttachmentNames(conversations)) {
+      const content = this.attachments.read(name);
+      const fileName = path.join("attachments", name);
+      fs.mkdirSync(path.join(directory, "attachments"), { recursive: true });
+      fs.writeFileSync(path.join(directory, fileName), content);
+      files.push({ fileName, content });
+    }
+
+    const deleted = this.deleteUser();
+    return {
+      userId: this.userId,
+      requestedAt,
+      completedAt: new Date().toISOString(),
+      exported: {
+        directory,
+        files: files.map(({ fileName, content }) => ({ fileName, sha256: crypto.createHash("sha256").update(content).digest("hex") })),
+      },
+      deleted,
+    };
+  }
+
+  /**
+   * @notice Deletes the conversations and response logs past the retention policy, for every user.
+   * @dev The active conversation is never deleted. Run it on a schedule; setting `retention` only sweeps
+   *      the user's data when it is loaded.
+   * @param {Object|null} [retention=this.retention] - The policy: `maxAgeDays` and/or `maxConversations`.
+   * @return {Object} What was deleted, as returned by `Logger.purgeExpired`.
+   */
+  purgeExpired(retention = this.retention) {
+    return this.logger.purgeExpired(retention, {
+      keep: this.userId ? { userId: this.userId, conversationId: this.activeConversationId } : null,
+    });
+  }
+
+  /**
+   * @notice Sets up the system prompt and settings based on the specified mode.
+   * @dev The new system prompt replaces any previous one as the first message, ahead of the history,
+   *      which is kept. Trimming and the memory and summary messages rely on it coming first.
+   * @param {string} [mode="config"] - The mode to configure the AI: 'direct', 'config', or 'file'.
+   * @param {Object} [options={}] - Additional settings, varying by mode.
+   *        - In 'direct' mode, options include `agentPrompt`, `model`, `temperature`, `conversationMaxTokens`, `responseTokens`, `tokenizer`, `compaction`,
+   *          `memory`, `cache`, and the provider settings `provider`, `baseUrl`, `apiKeyEnv`, `apiVersion`, `deployment`.
+   *        - In 'config' mode, options include `modelId`.
+   *        - In 'file' mode, options include `agentFilePath`, plus the same settings as 'direct' mode.
+   *        - In every mode, `variables` holds the values for a prompt template (see `PromptTemplate`).
+   *          Agent files are always rendered as templates; a direct `agentPrompt` only when `variables`
+   *          is passed. In 'config' mode they are merged over the agent's `variables` in config.json.
+   * @throws Will throw an error if an invalid mode is provided, if required options are missing, or if
+   *         the prompt template is invalid or needs variables that were not passed.
+   */
+  setSystem(mode = "config", options = {}) {
+    // If the system has already been set, clear existing settings and log the update
+    if (this.systemSet) {
+      if (defaultsSystemConfig.verbosity != "silent"){
+        console.log("System is already set. Updating agent and system settings...");
       }
       // Remove any existing system message
       this.messages = this.messages.filter(msg => msg.role !== "system");
@@ -442,15 +1332,29 @@ export class ConversationManager {
       temperature: defaultTemperature,
       conversationMaxTokens: defaultConversationMaxTokens,
       responseTokens: defaultResponseTokens,
+      memory: defaultsSystemConfig.memory,
+      cache: defaultsSystemConfig.cache,
+      ...pickProviderSettings(defaultsSystemConfig),
     };
 
     if (mode === "direct") {
       // Direct mode: settings are passed directly in options
+      config = { ...config, ...pickProviderSettings(options) };
       config.model = options.model || config.model;
       config.temperature = options.temperature || config.temperature;
       config.conversationMaxTokens = options.conversationMaxTokens || config.conversationMaxTokens;
       config.responseTokens = options.responseTokens || config.responseTokens;
+      config.tokenizer = options.tokenizer || config.tokenizer;
+      config.compaction = options.compaction || config.compaction;
+      config.memory = options.memory ?? config.memory;
+      config.cache = options.cache ?? config.cache;
       this.agentPrompt = options.agentPrompt || "You are a helpful assistant.";
+      if (options.variables) {
+        this.agentPrompt = renderTemplate(this.agentPrompt, options.variables);
+      }
+      this.agentId = null;
+      this.agentQuota = null;
+      this.systemPrompt = { agentFile: null, variables: options.variables || {}, content: this.agentPrompt };
 
     } else if (mode === "config") {
       // Config mode: load settings from config.json by model ID
@@ -462,7 +1366,11 @@ export class ConversationManager {
         if (defaultsSystemConfig.verbosity != "silent"){
           console.log(`Loading agent file from ${config.agent_file}`);
         }
-        this.agentPrompt = fs.readFileSync(config.agent_file, "utf-8");
+        const variables = { ...config.variables, ...options.variables };
+        this.agentPrompt = renderTemplateFile(config.agent_file, variables);
+        this.agentId = modelId || null;
+        this.agentQuota = this.agentId ? loadedConfig.quota || null : null;
+        this.systemPrompt = { agentFile: config.agent_file, variables, content: this.agentPrompt };
       } else {
 //        console.warn(`Agent file not found or undefined for model ID '${modelId}'. Using default prompt.`);
 //        this.agentPrompt = "You are a helpful assistant.";
@@ -471,16 +1379,24 @@ export class ConversationManager {
 
     } else if (mode === "file") {
       // File mode: load prompt from a specified file path
+      config = { ...config, ...pickProviderSettings(options) };
       config.model = options.model || config.model;
       config.temperature = options.temperature || config.temperature;
       config.conversationMaxTokens = options.conversationMaxTokens || config.conversationMaxTokens;
       config.responseTokens = options.responseTokens || config.responseTokens;
+      config.tokenizer = options.tokenizer || config.tokenizer;
+      config.compaction = options.compaction || config.compaction;
+      config.memory = options.memory ?? config.memory;
+      config.cache = options.cache ?? config.cache;
 
       if (options.agentFilePath && fs.existsSync(options.agentFilePath)) {
         if (defaultsSystemConfig.verbosity != "silent"){
           console.log(`Loading agent file from ${options.agentFilePath}`);
         }
-        this.agentPrompt = fs.readFileSync(options.agentFilePath, "utf-8");
+        this.agentPrompt = renderTemplateFile(options.agentFilePath, options.variables);
+        this.agentId = null;
+        this.agentQuota = null;
+        this.systemPrompt = { agentFile: options.agentFilePath, variables: options.variables || {}, content: this.agentPrompt };
       } else {
         throw new Error("Agent file path is missing or invalid in 'file' mode.");
       }
@@ -488,15 +1404,46 @@ export class ConversationManager {
       throw new Error("Invalid mode. Please use 'direct', 'config', or 'file'.");
     }
 
-    // Apply configuration values
-    this.apiHandler = new APIHandler(apiKey, config.model);
-    this.messages.push({ role: "system", content: this.agentPrompt });
+    // Apply configuration values; the system prompt goes first, ahead of any history that was kept
+    this.apiHandler = createAPIHandler(config);
+    this.messages.unshift({ role: "system", content: this.agentPrompt });
     this.temperature = config.temperature;
     this.conversationMaxTokens = config.conversationMaxTokens;
     this.responseTokens = config.responseTokens;
+    this.tokenizer = getTokenizer(config.tokenizer || config.model);
+    this.compaction = normalizeCompaction(config.compaction);
+    this.memory = normalizeMemory(config.memory);
     this.systemSet = true;  // Mark system as set to prevent reloading
   }
 
+  /**
+   * @notice Replaces the system prompt, keeping the agent and every other setting.
+   * @dev Unlike `setSystem`, the model, provider, temperature, token limits, tokenizer, compaction, memory,
+   *      cache, agent and agent quota are left as they are. The prompt is used as given, not rendered as a template.
+   * @param {string} prompt - The new system prompt.
+   * @throws Will throw an error if the prompt is empty or only contains whitespace.
+   */
+  setSystemPrompt(prompt) {
+    if (!hasContent(prompt)) {
+      throw new Error('System prompt cannot be empty.');
+    }
+    this.messages = this.messages.filter(msg => msg.role !== "system");
+    this.messages.unshift({ role: "system", content: prompt });
+    this.agentPrompt = prompt;
+    this.systemPrompt = { agentFile: null, variables: {}, content: prompt };
+    this.systemSet = true;
+  }
+
+  /**
+   * @notice Overrides the tokenizer used for token counting.
+   * @dev By default the tokenizer is selected from the `tokenizer` or `model` field of the active config.
+   * @param {string|Object} tokenizer - A tokenizer name ('o200k_base', 'cl100k_base', 'whitespace' or a
+   *        registered name), a model name, or an object with a `count(text)` method.
+   */
+  setTokenizer(tokenizer) {
+    this.tokenizer = getTokenizer(tokenizer);
+  }
+
   /**
    * @notice Counts the number of user and assistant turns in the entire conversation.
    * @return {Object} An object with accurate counts of user and assistant turns.
@@ -508,26 +1455,207 @@ export class ConversationManager {
   }
 
   /**
-   * @notice Adds a message to the conversation history with a timestamp.
-   * @param {string} content - The content of the message.
+   * @notice Adds a message to the end of the active branch, with an ID and a timestamp.
+   * @dev Content may be an array of text, image and file parts (see src/Content.js). Images and files
+   *      are stored in the `attachments` directory of the log path, and the message keeps a reference.
+   *      Assistant messages record the `agent` applied with `setSystem`, if any.
+   * @param {string|Array<string|Object>} content - The content of the message.
    * @param {string} [role="user"] - The role of the message.
+   * @param {Object} [fields={}] - Additional message fields, such as `tool_calls` or `tool_call_id`.
+   * @return {string|null} The new message's ID, or null if `beforeAddMessage` middleware dropped it.
    * @throws Will throw an error if the content is empty or only contains whitespace.
    */
-  addMessage(content, role = "user") {
-    if (!content || content.trim().length === 0) {
+  addMessage(content, role = "user", fields = {}) {
+    // Assistant messages that only request tool calls have no content
+    const hasToolCalls = Array.isArray(fields.tool_calls) && fields.tool_calls.length > 0;
+    if (!hasToolCalls && !hasContent(content)) {
       throw new Error('Message content cannot be empty.');
     }
 
+    const agent = role === "assistant" && this.agentId ? { agent: this.agentId } : {};
+    const context = { message: { role, content: normalizeContent(content, this.attachments) || null, ...agent, ...fields } };
+    if (runHooksSync(this.middleware, "beforeAddMessage", context) !== undefined) {
+      return null;
+    }
+
     const timestamp = new Date().toISOString();
-    this.messages.push({ role, content, timestamp });
+    const id = createMessageId();
+    const parent = this.messages.filter(msg => msg.role !== "system").pop();
+    const message = { ...context.message, id, parentId: parent ? parent.id ?? null : null, timestamp };
+    this.messages.push(message);
     this.trimHistory();  // Ensure total tokens stay within `conversationMaxTokens`
+    this.emit("message", message);
+    return id;
+  }
+
+  /**
+   * @notice Returns every message of the conversation's tree: the active path and all other branches.
+   * @return {Array<Object>} The messages, without system messages.
+   */
+  getMessageTree() {
+    return [...this.messages.filter(msg => msg.role !== "system"), ...this.branches];
+  }
+
+  /**
+   * @notice Finds a message of the active conversation in any branch.
+   * @param {string} messageId - The message ID.
+   * @return {Object} The message.
+   * @throws Will throw an error if there is no such message.
+   */
+  findMessage(messageId) {
+    const message = this.getMessageTree().find(msg => msg.id === messageId);
+    if (!message) {
+      throw new Error(`Message with ID ${messageId} not found.`);
+    }
+    return message;
+  }
+
+  /**
+   * @notice Makes the path ending at a message the active branch.
+   * @dev Messages after it move to `branches`, from where `switchBranch` can bring them back.
+   * @param {string|null} messageId - The last message of the new active path, or null to keep only the system messages.
+   */
+  setActivePath(messageId) {
+    const tree = this.getMessageTree();
+    const path = getPath(tree, messageId);
+    this.messages = [...this.messages.filter(msg => msg.role === "system"), ...path];
+    this.branches = tree.filter(msg => !path.includes(msg));
+  }
+
+  /**
+   * @notice Replaces a message with an edited version on a new branch.
+   * @dev The edited message becomes a sibling of the original, following the same message, and the
+   *      original with everything after it is kept as another branch. Call `callAPI` afterwards to get a
+   *      response to an edited user message.
+   * @param {string} messageId - The ID of the user or assistant message to edit.
+   * @param {string|Array<string|Object>} newContent - The new content, as accepted by `addMessage`.
+   * @return {string} The ID of the edited message.
+   * @throws Will throw an error if the message does not exist, is not a user or assistant message, or
+   *         if the content is empty.
+   */
+  editMessage(messageId, newContent) {
+    const message = this.findMessage(messageId);
+    if (message.role !== "user" && message.role !== "assistant") {
+      throw new Error(`Only user and assistant messages can be edited, not ${message.role} messages.`);
+    }
+    if (!hasContent(newContent)) {
+      throw new Error('Message content cannot be empty.');
+    }
+    this.setActivePath(message.parentId ?? null);
+    return this.addMessage(newContent, message.role, { editedFrom: messageId });
+  }
+
+  /**
+   * @notice Requests a new response on a new branch.
+   * @dev For an assistant message, a new response to the messages before it is requested, and the old
+   *      response is kept as another branch. For a user or tool message, a new response to it is
+   *      requested. If the request fails, the previous branch is made active again.
+   * @param {string|null} [messageId=null] - The message to regenerate. Defaults to the last assistant message of the active path.
+   * @param {Object} [options={}] - Request settings passed to `callAPI`, such as `responseSchema`.
+   * @return {Promise<string|*>} The new response, as returned by `callAPI`.
+   * @throws Will throw an error if the message does not exist, or if the request fails.
+   */
+  async regenerate(messageId = null, options = {}) {
+    const path = this.messages.filter(msg => msg.role !== "system");
+    if (!messageId) {
+      const lastResponse = path.filter(msg => msg.role === "assistant").pop();
+      if (!lastResponse) {
+        throw new Error("There is no assistant message to regenerate.");
+      }
+      messageId = lastResponse.id;
+    }
+
+    const message = this.findMessage(messageId);
+    const previousLeaf = path.length > 0 ? path[path.length - 1].id : null;
+    this.setActivePath(message.role === "assistant" ? message.parentId ?? null : message.id);
+    try {
+      return await this.callAPI(options);
+    } catch (error) {
+      this.setActivePath(previousLeaf);
+      throw error;
+    }
+  }
+
+  /**
+   * @notice Makes the branch containing a message active.
+   * @dev From the message, the newest reply is followed at each step down to the end of the branch.
+   * @param {string} messageId - A message of the branch, such as one of the siblings from `getSiblings`.
+   * @return {Array<Object>} The new active path, including system messages.
+   * @throws Will throw an error if there is no such message.
+   */
+  switchBranch(messageId) {
+    this.findMessage(messageId);
+    this.setActivePath(getLatestLeaf(this.getMessageTree(), messageId));
+    return this.messages;
+  }
+
+  /**
+   * @notice Returns the versions of a message: the message itself and every edit or regeneration of it.
+   * @param {string} messageId - The message ID.
+   * @return {Array<Object>} The messages following the same parent, oldest first.
+   * @throws Will throw an error if there is no such message.
+   */
+  getSiblings(messageId) {
+    const message = this.findMessage(messageId);
+    return getChildren(this.getMessageTree(), message.parentId ?? null);
+  }
+
+  /**
+   * @notice Starts a new conversation from the path of a saved conversation up to a message.
+   * @dev The new conversation gets the system messages, the messages up to and including `messageId`
+   *      and the running summary, but not the other branches. It is saved and becomes the active
+   *      conversation, so save the current conversation first if it has unsaved changes.
+   * @param {string|number} conversationId - The conversation to fork. The active conversation is read from memory.
+   * @param {string} messageId - The last message to copy.
+   * @return {string} The new conversation's ID.
+   * @throws Will throw an error if the conversation or message does not exist.
+   */
+  forkConversation(conversationId, messageId) {
+    conversationId = String(conversationId);
+    const source = conversationId === this.activeConversationId
+      ? { messages: this.messages, branches: this.branches, summary: this.summary, pendingSummaryMessages: this.pendingSummaryMessages }
+      : this.logger.getConversation(this.userId, conversationId);
+    if (!source) {
+      throw new Error(`Conversation with ID ${conversationId} not found.`);
+    }
+
+    const messages = assignMessageIds(source.messages);
+    const tree = [...messages.filter(msg => msg.role !== "system"), ...(source.branches || [])];
+    if (!tree.some(msg => msg.id === messageId)) {
+      throw new Error(`Message with ID ${messageId} not found in conversation ${conversationId}.`);
+    }
+    const systemMessages = messages.filter(msg => msg.role === "system");
+    const path = getPath(tree, messageId);
+
+    this.startNewConversation();
+    this.messages = [...systemMessages, ...path].map(msg => ({ ...msg }));
+    this.restoreCompactionState(source);
+    this.forkedFrom = { conversationId, messageId };
+    this.saveHistory();
+    return this.activeConversationId;
+  }
+
+  /**
+   * @notice Registers a tool the model may call during `callAPI`.
+   * @param {Object} tool - The tool definition: `name`, `description`, `parameters` (JSON schema) and `handler`.
+   */
+  registerTool(tool) {
+    this.tools.register(tool);
   }
 
 
   /**
    * @notice Trims the conversation history to stay within token and message limits.
+   * @dev How messages are trimmed depends on the compaction strategy:
+   *      - 'drop-oldest': The oldest messages are dropped.
+   *      - 'summarize': The oldest messages are dropped and queued, to be folded into the running
+   *        summary by `compactHistory` before the next request.
+   *      - 'pinned': The oldest messages that are not pinned are dropped.
+   *      The system message is never trimmed.
    */
   trimHistory() {
+    const dropped = [];
+
     // Check if the first message is the system message
     if (this.messages.length > 0 && this.messages[0].role === "system") {
       // Extract the system message temporarily
@@ -535,44 +1663,672 @@ export class ConversationManager {
 
       // Trim remaining messages without the system message
       this.messages = this.messages.slice(1); // Remove the system message temporarily
-      while (this.getTotalTokens() > this.conversationMaxTokens && this.messages.length > 0) {
-        this.messages.shift(); // Trim from the oldest user/assistant messages
-      }
+      dropped.push(...this.dropOldestMessages());
 
       // Reinsert the system message at the start after trimming
       this.messages.unshift(systemMessage);
     } else {
       // If no system message, trim as usual
-      while (this.getTotalTokens() > this.conversationMaxTokens && this.messages.length > 0) {
-        this.messages.shift();
+      dropped.push(...this.dropOldestMessages());
+    }
+
+    if (this.compaction.strategy === "summarize") {
+      this.pendingSummaryMessages.push(...dropped);
+    }
+  }
+
+  /**
+   * @notice Drops the oldest trimmable messages until the history fits within `conversationMaxTokens`.
+   * @return {Array<Object>} The dropped messages, oldest first.
+   */
+  dropOldestMessages() {
+    const dropped = [];
+    while (this.getTotalTokens() > this.conversationMaxTokens) {
+      let index = 0;
+      if (this.compaction.strategy === "pinned") {
+        while (index < this.messages.length && this.messages[index].pinned) {
+          index++;
+        }
       }
+      if (index >= this.messages.length) {
+        break;  // Nothing left that may be trimmed
+      }
+
+      dropped.push(...this.messages.splice(index, 1));
+      // Tool results cannot be sent without the assistant message that requested them
+      while (index < this.messages.length && this.messages[index].role === "tool") {
+        dropped.push(...this.messages.splice(index, 1));
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * @notice Pins or unpins a message, so the 'pinned' compaction strategy never trims it.
+   * @param {number} index - The index of the message in the conversation history.
+   * @param {boolean} [pinned=true] - Whether the message is pinned.
+   * @throws Will throw an error if there is no message at the index.
+   */
+  pinMessage(index, pinned = true) {
+    if (!this.messages[index]) {
+      throw new Error(`No message at index ${index}.`);
+    }
+    if (pinned) {
+      this.messages[index].pinned = true;
+    } else {
+      delete this.messages[index].pinned;
     }
   }
 
+  /**
+   * @notice Folds trimmed messages into the running summary of the conversation.
+   * @dev Called before every request when using the 'summarize' strategy. Asks the model to merge the
+   *      messages trimmed since the last call into the existing summary.
+   * @return {Promise<string>} The updated summary.
+   */
+  async compactHistory() {
+    if (this.pendingSummaryMessages.length === 0) {
+      return this.summary;
+    }
+
+    const transcript = this.pendingSummaryMessages
+      .filter(msg => msg.content)
+      .map(msg => `${msg.role}: ${getContentText(msg.content)}`)
+      .join("\n");
+    const summaryRequest = [
+      { role: "system", content: this.compaction.summaryPrompt },
+      { role: "user", content: `Existing summary:\n${this.summary || "(none)"}\n\nNew messages:\n${transcript}` },
+    ];
+
+    this.apiHandler.lastUsage = null;
+    this.summary = this.restorePII(await this.apiHandler.callAPI(this.redactForAPI(summaryRequest), this.compaction.summaryTokens, 0));
+    this.recordUsage(this.apiHandler.lastUsage);
+    this.pendingSummaryMessages = [];
+
+    if (defaultsSystemConfig.verbosity != "silent"){
+      console.log(`Compacted conversation ${this.activeConversationId} into a summary.`);
+    }
+
+    // The summary takes up room in the history too
+    this.trimHistory();
+    return this.summary;
+  }
+
+  /**
+   * @notice Returns the message that carries the running summary to the API.
+   * @return {Object|null} The summary message, or null if there is no summary yet.
+   */
+  getSummaryMessage() {
+    return this.summary
+      ? { role: "system", content: `Summary of the earlier conversation:\n${this.summary}` }
+      : null;
+  }
+
+  /**
+   * @notice Restores the summary state stored with a conversation.
+   * @param {Object} conversation - The stored conversation.
+   */
+  restoreCompactionState(conversation) {
+    this.summary = conversation.summary || "";
+    this.pendingSummaryMessages = conversation.pendingSummaryMessages || [];
+  }
+
+  /**
+   * @notice Restores the branches stored with a conversation.
+   * @dev Conversations saved before branching was supported get message IDs here. Memory extraction
+   *      starts after the loaded messages, since they were already there when the conversation was saved.
+   * @param {Object} conversation - The stored conversation.
+   */
+  restoreBranches(conversation) {
+    assignMessageIds(this.messages);
+    this.branches = conversation.branches || [];
+    this.forkedFrom = conversation.forkedFrom || null;
+    const lastMessage = this.messages[this.messages.length - 1];
+    this.memoryCursor = lastMessage && lastMessage.id ? lastMessage.id : null;
+  }
+
+  /**
+   * @notice Adds a fact to the user's long-term memory, which is available in every conversation.
+   * @param {string} text - The fact, such as "The user is allergic to peanuts."
+   * @return {string} The memory's ID. A fact that is already remembered keeps its ID.
+   * @throws Will throw an error if there is no user or the fact is empty.
+   */
+  remember(text) {
+    if (!this.userId) {
+      throw new Error("A userId is required to remember facts about the user.");
+    }
+    if (!String(text || "").trim()) {
+      throw new Error("Cannot remember an empty fact.");
+    }
+    let ids;
+    this.memories = this.logger.updateMemories(this.userId, (memories) => {
+      const result = addMemories(memories, [this.redactForStorage(text)], { source: "explicit", conversationId: this.activeConversationId }, this.memory.maxMemories);
+      ids = result.ids;
+      return result.memories;
+    });
+    return ids[0];
+  }
+
+  /**
+   * @notice Removes a fact from the user's long-term memory.
+   * @param {string} idOrText - The memory's ID, or its text (compared ignoring case and a final period).
+   * @return {boolean} True if a memory was removed.
+   * @throws Will throw an error if there is no user.
+   */
+  forget(idOrText) {
+    if (!this.userId) {
+      throw new Error("A userId is required to forget facts about the user.");
+    }
+    let removed = [];
+    this.memories = this.logger.updateMemories(this.userId, (memories) => {
+      removed = findMemories(memories, idOrText);
+      return memories.filter(memory => !removed.includes(memory));
+    });
+    return removed.length > 0;
+  }
+
+  /**
+   * @notice Lists the user's long-term memories.
+   * @return {Array<Object>} The memories, oldest first: `id`, `text`, `source` ('explicit' or 'extracted'),
+   *         the `conversationId` they come from and `createdAt`.
+   */
+  getMemories() {
+    return [...this.memories];
+  }
+
+  /**
+   * @notice Asks the model for lasting facts about the user in the conversation and remembers them.
+   * @dev Uses the memory `extractionPrompt`. The model is shown the facts already known, and facts it
+   *      repeats anyway are not added twice. Runs after every response when memory `extract` is on.
+   * @param {Array<Object>|null} [messages=null] - The messages to extract from. Defaults to the user and
+   *        assistant messages added since the last extraction.
+   * @return {Promise<Array<Object>>} The memories added.
+   * @throws Will throw an error if there is no user or the request fails.
+   */
+  async extractMemories(messages = null) {
+    if (!this.userId) {
+      throw new Error("A userId is required to remember facts about the user.");
+    }
+    let newMessages = messages;
+    if (!newMessages) {
+      const cursorIndex = this.messages.findIndex(msg => msg.id && msg.id === this.memoryCursor);
+      newMessages = this.messages.slice(cursorIndex + 1);
+      const lastMessage = this.messages[this.messages.length - 1];
+      this.memoryCursor = lastMessage && lastMessage.id ? lastMessage.id : this.memoryCursor;
+    }
+    newMessages = newMessages.filter(msg => (msg.role === "user" || msg.role === "assistant") && msg.content);
+    if (newMessages.length === 0) {
+      return [];
+    }
+
+    this.apiHandler.lastUsage = null;
+    const reply = await this.apiHandler.callAPI(
+      this.redactForAPI(buildExtractionRequest(this.memory.extractionPrompt, this.memories, newMessages)),
+      this.memory.extractionTokens,
+      0
+    );
+    this.recordUsage(this.apiHandler.lastUsage);
+
+    let added = [];
+    this.memories = this.logger.updateMemories(this.userId, (memories) => {
+      const facts = parseExtractedFacts(this.restorePII(reply)).map(fact => this.redactForStorage(fact));
+      const result = addMemories(memories, facts, { source: "extracted", conversationId: this.activeConversationId }, this.memory.maxMemories);
+      added = result.added;
+      return result.memories;
+    });
+    if (added.length > 0 && defaultsSystemConfig.verbosity != "silent"){
+      console.log(`Remembered ${added.length} new fact(s) about user ${this.userId}.`);
+    }
+    return added;
+  }
+
+  /**
+   * @notice Runs memory extraction after a response, when memory `extract` is on.
+   * @dev A failed extraction is only logged, so it does not lose the response it followed.
+   */
+  async extractMemoriesAfterResponse() {
+    if (!this.memory.extract || !this.userId) {
+      return;
+    }
+    try {
+      await this.extractMemories();
+    } catch (error) {
+      console.warn(`Memory extraction failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @notice Returns the message that carries the user's memories to the API.
+   * @dev The memories most relevant to the last few user messages are chosen first, within the memory
+   *      `maxTokens` budget.
+   * @return {Object|null} The memory message, or null if memory injection is off or nothing is remembered.
+   */
+  getMemoryMessage() {
+    if (!this.memory.inject || this.memories.length === 0) {
+      return null;
+    }
+    const context = this.messages.filter(msg => msg.role === "user").slice(-3).map(msg => getContentText(msg.content)).join("\n");
+    return buildMemoryMessage(this.memories, context, this.memory.maxTokens, text => this.getTokenCount(text));
+  }
+
   /**
    * @notice Utility to calculate token count for a given text.
    * @param {string} text - The text to count tokens for.
-   * @return {number} The approximate token count.
+   * @return {number} The token count, as computed by the active tokenizer.
    */
   getTokenCount(text) {
-    // Simple approximation: one token per word
-    return text.split(/\s+/).length;
+    return this.tokenizer.count(text);
   }
 
   /**
    * @notice Calculates the total token count of the current conversation.
-   * @return {number} The approximate total token count.
+   * @dev Includes the per-message overhead of the chat format, so this matches the prompt tokens the API bills.
+   * @return {number} The total token count.
    */
   getTotalTokens() {
-    return this.messages.reduce((count, msg) => count + this.getTokenCount(msg.content), 0);
+    const contextMessages = [this.getMemoryMessage(), this.getSummaryMessage()].filter(Boolean);
+    return countMessageTokens(this.tokenizer, [...this.messages, ...contextMessages]);
   }
 
   /**
    * @notice Sends the conversation history to OpenAI and appends the assistant's response.
-   * @return {Promise<string>} The assistant's response.
+   * @dev If tools are registered and the model calls them, the calls and their results are appended
+   *      as `assistant` and `tool` messages and the request is repeated, until the model gives a final
+   *      answer or `maxToolIterations` rounds of tool calls have run.
+   *      With a `responseSchema`, the schema is sent as `response_format` and the answer is parsed and
+   *      validated locally. An answer that does not match is kept in the history and followed by a
+   *      user message listing the problems, and the request is repeated up to `maxRepairAttempts` times.
+   *      When memory `extract` is on, facts about the user are extracted once the answer is in.
+   * @param {Object} [options={}] - Request settings.
+   *        - `responseSchema`: A JSON schema the response must match.
+   *        - `schemaName`: The schema name sent to the API. Defaults to 'response'.
+   *        - `strict`: Whether to ask the API to enforce the schema exactly (OpenAI strict mode).
+   *        - `maxRepairAttempts`: Overrides the manager's `maxRepairAttempts` for this call.
+   *        - `bypassCache`: Skip the response cache, if one is configured, for this call.
+   * @return {Promise<string|*>} The assistant's response, or the parsed JSON value when a `responseSchema` is given.
+   * @throws Will throw an error if there is not enough token space for a response, or if the model
+   *         keeps calling tools past `maxToolIterations`.
+   * @throws {StructuredOutputError} If the response still does not match `responseSchema` after every repair attempt.
+   * @throws {EmptyResponseError} If the model answers with no content. Its usage is still recorded.
+   * @throws {QuotaExceededError} If the user has reached a quota configured in config.json.
+   */
+  async callAPI(options = {}) {
+    const { responseSchema = null } = options;
+    const responseFormat = responseSchema ? toResponseFormat(responseSchema, { name: options.schemaName, strict: options.strict }) : undefined;
+    const maxRepairAttempts = options.maxRepairAttempts ?? this.maxRepairAttempts;
+    let toolIterations = 0;
+    let repairAttempts = 0;
+
+    for (;;) {
+      const data = await this.sendRequest({ tools: this.tools.toAPIFormat(), responseFormat, bypassCache: options.bypassCache });
+      const message = data.choices[0].message;
+      const usageFields = this.recordUsage(data.usage);
+
+      if (!message.tool_calls || message.tool_calls.length === 0) {
+        const assistantResponse = (message.content || "").trim();
+        if (!assistantResponse) {
+          const finishReason = data.choices[0].finish_reason || null;
+          throw new EmptyResponseError(`The model returned an empty response${finishReason ? ` (finish reason: ${finishReason})` : ""}.`, { finishReason });
+        }
+
+        // Append the assistant's response to the conversation
+        this.addMessage(assistantResponse, "assistant", usageFields);
+
+        if (!responseSchema) {
+          await this.extractMemoriesAfterResponse();
+          return assistantResponse;
+        }
+        const { value, errors } = parseStructuredResponse(assistantResponse, responseSchema);
+        if (!errors) {
+          await this.extractMemoriesAfterResponse();
+          return value;
+        }
+        if (repairAttempts >= maxRepairAttempts) {
+          throw new StructuredOutputError(
+            `The response did not match the JSON schema after ${repairAttempts + 1} attempts: ${errors.join("; ")}`,
+            { content: assistantResponse, errors, attempts: repairAttempts + 1 }
+          );
+        }
+        repairAttempts++;
+        if (defaultsSystemConfig.verbosity != "silent"){
+          console.log(`Response did not match the JSON schema. Asking for a correction (${repairAttempts}/${maxRepairAttempts}).`);
+        }
+        this.addMessage(buildRepairPrompt(errors), "user");
+        continue;
+      }
+
+      if (toolIterations >= this.maxToolIterations) {
+        throw new Error(`Tool calling did not finish within ${this.maxToolIterations} iterations.`);
+      }
+      toolIterations++;
+      await this.runToolCalls(message, usageFields);
+    }
+  }
+
+  /**
+   * @notice Redacts PII in messages about to be sent to the API, with the `outbound` redaction mode.
+   * @param {Array<Object>} messages - The messages.
+   * @return {Array<Object>} Redacted copies, or the same messages if outbound redaction is off.
+   */
+  redactForAPI(messages) {
+    return this.redactor ? this.redactor.redactMessages(messages, this.redactor.outbound) : messages;
+  }
+
+  /**
+   * @notice Redacts PII in text about to be stored, with the `persisted` redaction mode.
+   * @param {string} text - The text.
+   * @return {string} The redacted text, or the same text if persisted redaction is off.
+   */
+  redactForStorage(text) {
+    return this.redactor ? this.redactor.redactText(text, this.redactor.persisted) : text;
+  }
+
+  /**
+   * @notice Restores the values of reversible redaction tokens in a response.
+   * @param {string} text - The response text.
+   * @return {string} The restored text.
+   */
+  restorePII(text) {
+    return this.redactor ? this.redactor.restoreText(text) : text;
+  }
+
+  /**
+   * @notice Builds the next request and runs it through the `beforeRequest` middleware.
+   * @dev Shared by `callAPI` and `streamAPI`.
+   * @param {Object} [options={}] - Extra request fields: `tools`, `responseFormat`, `signal` and `bypassCache`.
+   * @return {Promise<Object>} The `request` (`messages`, `maxTokens`, `temperature` and the extra fields,
+   *         as left by the middleware), and the `response` a middleware short-circuited with, if any.
    * @throws Will throw an error if there is not enough token space for a response.
+   * @throws {QuotaExceededError} If the user has reached a quota configured in config.json.
+   */
+  async buildRequest(options = {}) {
+    await this.compactHistory();
+    const { messagesForAPI, responseLimit } = this.prepareRequest();
+    this.enforceQuotas();
+
+    const request = { messages: this.redactForAPI(messagesForAPI), maxTokens: responseLimit, temperature: this.temperature, ...options };
+    const response = await runHooks(this.middleware, "beforeRequest", request);
+    if (response === undefined) {
+      this.emit("request", request);
+    }
+    return { request, response };
+  }
+
+  /**
+   * @notice Sends the next request, with middleware, and returns the API response.
+   * @param {Object} [options={}] - Extra request fields: `tools`, `responseFormat` and `bypassCache`.
+   * @return {Promise<Object>} The response, in the shape `requestCompletion` returns. Responses given by
+   *         middleware have no `usage`.
+   * @throws Will throw the request's error unless `onError` middleware recovers from it.
+   */
+  async sendRequest(options = {}) {
+    let request = null;
+    try {
+      const prepared = await this.buildRequest(options);
+      request = prepared.request;
+      if (prepared.response !== undefined) {
+        return toCompletion(prepared.response);
+      }
+
+      const data = await this.apiHandler.requestCompletion(request.messages, request.maxTokens, request.temperature, {
+        tools: request.tools,
+        responseFormat: request.responseFormat,
+        bypassCache: request.bypassCache,
+      });
+      const message = data.choices[0].message;
+      if (this.redactor) {
+        this.redactor.restoreMessage(message);
+      }
+      await this.afterResponse(message, data.usage || null, request);
+      return data;
+    } catch (error) {
+      return toCompletion(await this.recoverFromError(error, request));
+    }
+  }
+
+  /**
+   * @notice Runs an API response through the `afterResponse` middleware and emits 'response'.
+   * @param {Object} message - The assistant message. Its `content` is replaced if a middleware returns a string.
+   * @param {Object|null} usage - The usage the API reported.
+   * @param {Object} request - The request the response is for.
+   */
+  async afterResponse(message, usage, request) {
+    const replacement = await runHooks(this.middleware, "afterResponse", { message, usage, request });
+    if (typeof replacement === "string") {
+      message.content = replacement;
+    }
+    this.emit("response", { message, usage, request });
+  }
+
+  /**
+   * @notice Gives `onError` middleware the chance to answer instead of a failed request.
+   * @param {Error} error - The error.
+   * @param {Object|null} request - The request, or null if it failed before being built.
+   * @return {Promise<string|Object>} The response a middleware recovered with.
+   * @throws The error, if no middleware recovered from it. 'error' is emitted first, if anyone listens.
+   */
+  async recoverFromError(error, request) {
+    const response = await runHooks(this.middleware, "onError", { error, request });
+    if (response !== undefined) {
+      return response;
+    }
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    }
+    throw error;
+  }
+
+  /**
+   * @notice Adds middleware around adding messages, API requests and saving.
+   * @dev See `Middleware.js` for the hooks and how middleware short-circuits them.
+   * @param {Function|Object} middleware - An object with a function per hook (`beforeAddMessage`,
+   *        `beforeRequest`, `afterResponse`, `onError`, `beforeSave`, `afterSave`), each called with the
+   *        hook's context, or a function called as `fn(hook, context)` for every hook.
+   * @return {ConversationManager} This manager, so calls can be chained.
+   * @throws Will throw an error for invalid middleware or an unknown hook.
+   */
+  use(middleware) {
+    this.middleware.push(normalizeMiddleware(middleware));
+    return this;
+  }
+
+  /**
+   * @notice Records the token usage of an API call on the conversation and user.
+   * @dev The cost is estimated from the `pricing` table in config.json, as read when the conversation was created.
+   * @param {Object|null|undefined} apiUsage - The `usage` block of the API response.
+   * @return {Object} The `model` and `usage` fields for the assistant message, or an empty object if the API reported no usage.
+   */
+  recordUsage(apiUsage) {
+    const usage = normalizeUsage(apiUsage);
+    if (!usage) {
+      return {};
+    }
+
+    const model = this.apiHandler.model;
+    const entry = {
+      timestamp: new Date().toISOString(),
+      conversationId: this.activeConversationId,
+      agent: this.agentId,
+      model,
+      ...usage,
+      cost: estimateCost(model, usage, this.pricing),
+    };
+    this.usage = addUsage(this.usage, entry);
+    if (this.userId) {
+      this.logger.recordUsage(this.userId, entry, this.getQuotaScopes());
+    }
+    return { model, usage };
+  }
+
+  /**
+   * @notice Returns the token usage of a streamed request.
+   * @dev Providers report usage at the end of a stream, so a stream that failed or was stopped after
+   *      some text arrived is estimated with the tokenizer. Prompt tokens the provider reported up front
+   *      are kept. A stream that failed before any text arrived is not counted.
+   * @param {Object} request - The request the stream was made with.
+   * @param {string} received - The text the API streamed.
+   * @param {boolean} completed - Whether the stream ran to the end.
+   * @return {Object|null} The usage, in the API's format, or null if there is none.
+   */
+  getStreamUsage(request, received, completed) {
+    const reported = this.apiHandler.lastUsage;
+    if (completed || received.length === 0 || (reported && reported.completion_tokens !== undefined)) {
+      return reported;
+    }
+    return {
+      prompt_tokens: reported && reported.prompt_tokens !== undefined
+        ? reported.prompt_tokens
+        : countMessageTokens(this.tokenizer, request.messages),
+      completion_tokens: this.getTokenCount(received),
+    };
+  }
+
+  /**
+   * @notice Returns the quotas that apply to this conversation's user and agent.
+   * @dev The user quota is `quotas.default` in config.json, overridden per field by `quotas.users.<userId>`.
+   *      The agent quota is the active agent's `quota`, and limits each user's use of that agent separately.
+   *      Both are read from config.json when the conversation is created and the agent applied.
+   * @return {Array<Object>} The quotas, each with the `scope` its counters are stored under, the `agent`
+   *         (null for the user quota) and the `quota` limits. Empty if there is no user or no quota.
+   * @throws Will throw an error if a quota is misconfigured.
+   */
+  getQuotaScopes() {
+    if (!this.userId) {
+      return [];
+    }
+    const quotas = this.quotas;
+    const scopes = [];
+
+    const userOverrides = quotas.users && quotas.users[this.userId];
+    const userQuota = normalizeQuota(quotas.default || userOverrides ? { ...quotas.default, ...userOverrides } : null);
+    if (userQuota) {
+      scopes.push({ scope: "user", agent: null, quota: userQuota });
+    }
+
+    const agentQuota = normalizeQuota(this.agentQuota);
+    if (agentQuota) {
+      scopes.push({ scope: `agent:${this.agentId}`, agent: this.agentId, quota: agentQuota });
+    }
+    return scopes;
+  }
+
+  /**
+   * @notice Checks the user's quotas before a request and counts the request.
+   * @throws {QuotaExceededError} If the user has reached a quota.
+   */
+  enforceQuotas() {
+    const scopes = this.getQuotaScopes();
+    if (scopes.length > 0) {
+      this.logger.consumeQuota(this.userId, scopes);
+    }
+  }
+
+  /**
+   * @notice Summarizes a user's token usage and estimated cost.
+   * @param {Object} [options={}] - Report settings.
+   *        - `userId`: The user to report on. Defaults to this conversation's user.
+   *        - `from`, `to`: Only include calls made at or after `from` and before `to` (Dates or ISO strings).
+   *        - `groupBy`: 'day', 'month', 'model', 'agent' or 'conversation'.
+   * @return {Object} The report: `userId`, `totals` (`requests`, `prompt_tokens`, `completion_tokens`,
+   *         `total_tokens`, `cost` in dollars), `groups` when grouped, and `unpricedModels` without a price.
+   */
+  getUsageReport(options = {}) {
+    const { userId = this.userId, ...reportOptions } = options;
+    return this.logger.getUsageReport(userId, reportOptions);
+  }
+
+  /**
+   * @notice Appends an assistant message that requested tool calls, runs the tools and appends their results.
+   * @param {Object} message - The assistant message returned by the API, with `tool_calls`.
+   * @param {Object} [fields={}] - Extra fields for the assistant message, such as its `usage`.
+   */
+  async runToolCalls(message, fields = {}) {
+    this.addMessage(message.content, "assistant", { ...fields, tool_calls: message.tool_calls });
+
+    for (const toolCall of message.tool_calls) {
+      if (defaultsSystemConfig.verbosity != "silent"){
+        console.log(`Running tool '${toolCall.function.name}' for tool call ${toolCall.id}.`);
+      }
+      const result = await this.tools.execute(toolCall, { conversation: this });
+      // An empty result is sent as an empty JSON string, since message content cannot be empty
+      this.addMessage(result || '""', "tool", { tool_call_id: toolCall.id, name: toolCall.function.name });
+    }
+  }
+
+  /**
+   * @notice Streams the assistant's response to the conversation history as it is generated.
+   * @dev Once the stream ends, the assembled response is appended with `addMessage`, exactly as
+   *      `callAPI` does. If the stream is aborted or the caller stops iterating early, whatever
+   *      was received so far is appended instead. Registered tools are not offered to the model while streaming.
+   *      Middleware runs as for `callAPI`, except that `afterResponse` can only change the stored message,
+   *      since the deltas have already been yielded. A stream that `onError` recovers skips `afterResponse`,
+   *      but the tokens it used are recorded, estimated with `getStreamUsage` if the provider did not report them.
+   * @param {Object} [options={}] - Streaming options.
+   *        - `signal`: An AbortSignal used to cancel the response mid-stream.
+   *        - `onToken`: A callback invoked with each delta and the text assembled so far.
+   *        - `bypassCache`: Skip the response cache, if one is configured.
+   * @return {AsyncGenerator<string>} The assistant's response, one delta at a time.
+   * @throws Will throw an error if there is not enough token space for a response, or if the request fails.
+   * @throws {QuotaExceededError} If the user has reached a quota configured in config.json.
    */
-  async callAPI() {
+  async *streamAPI(options = {}) {
+    let request = null;
+    let fromAPI = false;
+    let completed = false;
+    let recovered = false;
+    let assistantResponse = "";
+    let received = "";
+
+    try {
+      let stream;
+      try {
+        const prepared = await this.buildRequest({ signal: options.signal, bypassCache: options.bypassCache });
+        request = prepared.request;
+        fromAPI = prepared.response === undefined;
+        stream = fromAPI
+          ? this.apiHandler.streamAPI(request.messages, request.maxTokens, request.temperature, { signal: request.signal, bypassCache: request.bypassCache })
+          : [toCompletion(prepared.response).choices[0].message.content || ""];
+        if (fromAPI && this.redactor) {
+          stream = this.redactor.restoreStream(stream);
+        }
+        for await (const delta of stream) {
+          assistantResponse += delta;
+          if (options.onToken) {
+            options.onToken(delta, assistantResponse);
+          }
+          yield delta;
+        }
+        completed = true;
+      } catch (error) {
+        // Middleware may answer instead; the answer follows whatever was already streamed
+        const content = toCompletion(await this.recoverFromError(error, request)).choices[0].message.content || "";
+        recovered = true;
+        received = assistantResponse;
+        assistantResponse += content;
+        yield content;
+      }
+    } finally {
+      // The tokens of a partial stream are still billed, even when middleware recovers it
+      const usageFields = fromAPI ? this.recordUsage(this.getStreamUsage(request, recovered ? received : assistantResponse, completed)) : {};
+      // Append whatever was received, even if the stream ended early
+      if (assistantResponse.trim().length > 0) {
+        const message = { role: "assistant", content: assistantResponse.trim() };
+        if (fromAPI && !recovered) {
+          await this.afterResponse(message, this.apiHandler.lastUsage, request);
+        }
+        this.addMessage(message.content, "assistant", usageFields);
+      }
+    }
+    await this.extractMemoriesAfterResponse();
+  }
+
+  /**
+   * @notice Validates the conversation and computes the request parameters for an API call.
+   * @dev Shared by `callAPI` and `streamAPI`.
+   * @return {Object} The `messagesForAPI` to send and the `responseLimit` for the response.
+   * @throws Will throw an error if there is not enough token space for a response.
+   */
+  prepareRequest() {
     // Ensure only one system message is present at the start of `this.messages`
     const systemMessages = this.messages.filter(msg => msg.role === 'system');
     if (systemMessages.length > 1) {
@@ -588,19 +2344,13 @@ export class ConversationManager {
     const responseLimit = Math.min(this.responseTokens, availableTokens);
 
     if (responseLimit <= 0) {
-      throw new Error("Not enough token space for a response. Clear conversation history to continue.");
+      throw new ContextLengthError("Not enough token space for a response. Clear conversation history to continue.");
     }
 
     // Use getMessagesForAPI to remove timestamps and other metadata before sending to API
     const messagesForAPI = this.getMessagesForAPI();
 
-    // Call the API with the filtered messages
-    const assistantResponse = await this.apiHandler.callAPI(messagesForAPI, responseLimit, this.temperature);
-
-    // Append the assistant's response to the conversation
-    this.addMessage(assistantResponse, "assistant");
-
-    return assistantResponse;
+    return { messagesForAPI, responseLimit };
   }
 
   /**
@@ -611,8 +2361,7 @@ export class ConversationManager {
    */
   getHistory(conversationId = null, onlyNonSystem = false) {
     const idToUse = conversationId || this.activeConversationId;
-    const userData = this.logger.loadUserData(this.userId);
-    const conversation = userData.conversations.find(convo => convo.conversationId === idToUse);
+    const conversation = this.logger.getConversation(this.userId, idToUse);
 
     if (!conversation) {
       return [];
@@ -633,41 +2382,140 @@ export class ConversationManager {
 
   /**
    * @notice Prepares messages for API call by removing timestamps.
+   * @dev Tool calls and tool call IDs are kept, since the API needs them to pair tool results with their calls.
+   *      Stored images and files are read back from the attachments directory as data URLs.
    * @return {Array<Object>} The conversation history without timestamps.
    */
   getMessagesForAPI() {
-    return this.messages.map(({ role, content }) => ({ role, content }));
+    const messages = this.messages.map(({ role, content, tool_calls, tool_call_id }) => {
+      const message = { role, content: toAPIContent(content, this.attachments) };
+      if (tool_calls) {
+        message.tool_calls = tool_calls;
+      }
+      if (tool_call_id) {
+        message.tool_call_id = tool_call_id;
+      }
+      return message;
+    });
+
+    // The user's memories and the running summary go right after the system prompt
+    const contextMessages = [this.getMemoryMessage(), this.getSummaryMessage()].filter(Boolean);
+    messages.splice(messages.length > 0 && messages[0].role === "system" ? 1 : 0, 0, ...contextMessages);
+    return messages;
   }
 
   /**
    * @notice Saves the conversation history for the current user and conversation.
+   * @dev `beforeSave` middleware may change the record, or skip saving it.
+   * @return {boolean} True if the conversation was saved.
+   * @throws {RevisionConflictError} If another process saved the conversation since it was loaded or last saved here.
    */
   saveHistory() {
-    const userData = this.logger.loadUserData(this.userId);
-
-    // Ensure userData is structured correctly
-    userData.conversations = userData.conversations || [];
-
-    // Check if the current conversation already exists in userData
-    const existingConversation = userData.conversations.find(convo => convo.conversationId === this.activeConversationId);
+    // Check if the current conversation already exists in storage
+    const existingConversation = this.logger.getConversation(this.userId, this.activeConversationId);
+    let conversation;
+    // Name from redacted messages, since a name cut off in the middle of a value may not be detected
+    const nameMessages = this.redactor ? this.redactor.redactMessages(this.messages, this.redactor.persisted) : this.messages;
 
     if (existingConversation) {
       // Update messages for the existing conversation
-      existingConversation.messages = this.messages;
+      conversation = existingConversation;
+      conversation.messages = this.messages;
+      // Name conversations that were saved before their first user message
+      if (conversation.name === untitledConversationName) {
+        conversation.name = this.logger.generateConversationName(nameMessages);
+      }
     } else {
       // Add new conversation details if it's a new conversation
-      const newConversation = {
+      conversation = {
         conversationId: this.activeConversationId,
-        name: this.logger.generateConversationName(this.messages),
+        name: this.logger.generateConversationName(nameMessages),
         timestamp: new Date().toISOString(),
         messages: this.messages
       };
-      userData.conversations.push(newConversation);
-      userData.totalConversations += 1;
     }
+    if (this.agentId) {
+      conversation.agent = this.agentId;
+    }
+    if (this.conversationRevision !== null) {
+      conversation.revision = this.conversationRevision;
+    }
+    conversation = this.withBranches(this.withSystemPrompt(this.withUsage(this.withCompactionState(conversation))));
+    if (this.middleware.length > 0 || (this.redactor && this.redactor.persisted)) {
+      // Redaction and middleware may scrub what is stored without changing the live conversation
+      conversation = structuredClone(conversation);
+      if (this.redactor) {
+        this.redactor.redactConversation(conversation);
+      }
+    }
+
+    if (runHooksSync(this.middleware, "beforeSave", { conversation }) !== undefined) {
+      return false;
+    }
+    this.logger.saveConversation(this.userId, conversation);
+    this.conversationRevision = conversation.revision ?? null;
+    runHooksSync(this.middleware, "afterSave", { conversation });
+    this.emit("save", { conversation });
+    return true;
+  }
+
+  /**
+   * @notice Adds the running summary, if any, to a conversation record before it is saved.
+   * @param {Object} conversation - The conversation record.
+   * @return {Object} The same record, with `summary` and `pendingSummaryMessages` set when in use.
+   */
+  withCompactionState(conversation) {
+    if (this.summary) {
+      conversation.summary = this.summary;
+    }
+    if (this.pendingSummaryMessages.length > 0) {
+      conversation.pendingSummaryMessages = this.pendingSummaryMessages;
+    } else {
+      delete conversation.pendingSummaryMessages;
+    }
+    return conversation;
+  }
+
+  /**
+   * @notice Adds the conversation's usage totals to a conversation record before it is saved.
+   * @param {Object} conversation - The conversation record.
+   * @return {Object} The same record, with `usage` set once any call has been made.
+   */
+  withUsage(conversation) {
+    if (this.usage.requests > 0) {
+      conversation.usage = this.usage;
+    }
+    return conversation;
+  }
+
+  /**
+   * @notice Adds the rendered system prompt and where it came from to a conversation record before it is saved.
+   * @param {Object} conversation - The conversation record.
+   * @return {Object} The same record, with `systemPrompt` (`agentFile`, `variables` and the rendered
+   *         `content`) set when `setSystem` has been called.
+   */
+  withSystemPrompt(conversation) {
+    if (this.systemPrompt) {
+      conversation.systemPrompt = this.systemPrompt;
+    }
+    return conversation;
+  }
 
-    // Save the updated userData back to the file
-    this.logger.saveUserData(this.userId, userData);
+  /**
+   * @notice Adds the inactive branches, and the fork origin, to a conversation record before it is saved.
+   * @param {Object} conversation - The conversation record.
+   * @return {Object} The same record, with `branches` set when there are any and `forkedFrom` for forks.
+   */
+  withBranches(conversation) {
+    if (this.branches.length > 0) {
+      conversation.branches = this.branches;
+    } else {
+      delete conversation.branches;
+    }
+    if (this.forkedFrom) {
+      conversation.forkedFrom = this.forkedFrom;
+    }
+    return conversation;
   }
 
   /**
@@ -676,18 +2524,169 @@ export class ConversationManager {
    * @return {Array<Object>} The loaded conversation messages, or an empty array if not found.
    */
   loadHistory(conversationId) {
-    const userData = this.logger.loadUserData(this.userId);
-    const conversation = userData.conversations.find(
-      convo => convo.conversationId === conversationId
-    );
+    const conversation = this.logger.getConversation(this.userId, conversationId);
 
     return conversation ? conversation.messages : [];
   }
 
   /**
-   * @notice Logs the current conversation to a timestamped file.
+   * @notice Renders a stored conversation as a transcript or fine-tuning example.
+   * @param {string} [format="markdown"] - 'markdown', 'html' (a standalone page) or 'jsonl' (OpenAI fine-tuning format).
+   * @param {string|null} [conversationId=null] - The conversation to export. Defaults to the active conversation.
+   * @return {string} The exported conversation.
+   * @throws Will throw an error if the format is unknown or the conversation has not been saved.
+   */
+  exportConversation(format = "markdown", conversationId = null) {
+    getFileExtension(format);
+    const idToUse = conversationId || this.activeConversationId;
+    const conversation = this.logger.getConversation(this.userId, idToUse);
+    if (!conversation) {
+      throw new Error(`Conversation with ID ${idToUse} not found.`);
+    }
+    return renderConversations([conversation], format);
+  }
+
+  /**
+   * @notice Exports all of the user's stored conversations.
+   * @dev Markdown and HTML give one file per conversation; JSONL gives a single fine-tuning dataset
+   *      containing every conversation with an assistant response.
+   * @param {string} [format="jsonl"] - 'markdown', 'html' or 'jsonl'.
+   * @param {string|null} [directory=null] - If set, the files are also written to this directory.
+   * @return {Array<Object>} The exported files, each with a `fileName` and `content`.
+   * @throws Will throw an error if the format is unknown.
+   */
+  exportAllConversations(format = "jsonl", directory = null) {
+    const extension = getFileExtension(format);
+    const conversations = this.logger.getAllConversations(this.userId);
+
+    const files = format === "jsonl"
+      ? [{ fileName: `${this.userId}.${extension}`, content: renderConversations(conversations, format) }]
+      : conversations.map(conversation => ({
+        fileName: `${conversation.conversationId}.${extension}`,
+        content: renderConversations([conversation], format),
+      }));
+
+    if (directory) {
+      fs.mkdirSync(directory, { recursive: true });
+      for (const file of files) {
+        fs.writeFileSync(path.join(directory, file.fileName), file.content);
+      }
+      if (defaultsSystemConfig.verbosity != "silent"){
+        console.log(`Exported ${conversations.length} conversations for user ${this.userId} to ${directory}`);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * @notice Imports conversations into the user's store, each under a fresh conversation ID.
+   * @dev Accepts JSONL with one `{"messages": [...]}` example per line, or a ChatGPT data export
+   *      (`conversations.json`). Conversations without messages are skipped. The active conversation is not changed.
+   *      Personal data is redacted as configured for persisted history.
+   * @param {string|Array<Object>} input - The file contents, or an already parsed ChatGPT export.
+   * @param {string|null} [format=null] - 'jsonl' or 'chatgpt'. Detected from the input if not given.
+   * @return {Array<string>} The IDs of the imported conversations.
+   * @throws Will throw an error if there is no user, or the input cannot be parsed.
+   */
+  importConversations(input, format = null) {
+    if (!this.userId) {
+      throw new Error("A userId is required to import conversations.");
+    }
+
+    const detectedFormat = format || detectImportFormat(input);
+    let imported;
+    if (detectedFormat === "chatgpt") {
+      imported = parseChatGPTExport(typeof input === "string" ? JSON.parse(input) : input);
+    } else if (detectedFormat === "jsonl") {
+      imported = parseJSONL(String(input));
+    } else {
+      throw new Error(`Unknown import format '${detectedFormat}'. Please use 'jsonl' or 'chatgpt'.`);
+    }
+
+    const conversationIds = [];
+    for (const { name, timestamp, messages } of imported) {
+      if (messages.length === 0) {
+        continue;
+      }
+      // Skip the active conversation's ID too, since it may not have been saved yet
+      const conversations = this.logger.listConversations(this.userId);
+      if (this.activeConversationId) {
+        conversations.push({ conversationId: this.activeConversationId });
+      }
+      const conversationId = this.logger.generateConversationId({ conversations });
+
+      // Imported transcripts are stored with the same persisted redaction as saveHistory
+      const nameMessages = this.redactor ? this.redactor.redactMessages(messages, this.redactor.persisted) : messages;
+      const conversation = {
+        conversationId,
+        name: name || this.logger.generateConversationName(nameMessages),
+        timestamp: timestamp || new Date().toISOString(),
+        messages,
+      };
+      this.logger.saveConversation(this.userId, this.redactor ? this.redactor.redactConversation(conversation) : conversation);
+      conversationIds.push(conversationId);
+    }
+    return conversationIds;
+  }
+
+  /**
+   * @notice Searches the user's saved conversations for keywords.
+   * @dev Messages are ranked with BM25, so messages containing more of the query's words, and rarer
+   *      ones, come first. Only saved conversations are searched, including their inactive branches.
+   * @param {string} query - The words to search for.
+   * @param {Object} [options={}] - Search options.
+   *        - `from`, `to`: Only messages sent at or after `from` and before `to` (Dates or ISO strings).
+   *        - `agent`: Only conversations with this agent; null for conversations without one.
+   *        - `role`: A role or list of roles to search. Defaults to `['user', 'assistant']`.
+   *        - `conversationId`: Only search this conversation.
+   *        - `limit`: The maximum number of conversations returned. Defaults to 10.
+   *        - `maxMatches`: The maximum number of messages per conversation. Defaults to 3.
+   *        - `highlight`: `{ pre, post }` markers around matched words in snippets. Default to `**`.
+   * @return {Array<Object>} The matching conversations, best first, each with `conversationId`, `name`,
+   *         `agent`, `timestamp`, `score` and `matches` (`messageId`, `role`, `timestamp`, `score`, `snippet`).
+   * @throws Will throw an error if there is no user.
+   */
+  search(query, options = {}) {
+    if (!this.userId) {
+      throw new Error("A userId is required to search conversations.");
+    }
+    return keywordSearch(this.logger.getAllConversations(this.userId), query, options);
+  }
+
+  /**
+   * @notice Searches the user's saved conversations for messages with a similar meaning.
+   * @dev Message embeddings are cached in `<userId>.embeddings.json` in the log path (or `indexPath`),
+   *      so only new and edited messages are embedded on later searches. Changing the embedding
+   *      provider or model re-embeds every message. The index is encrypted like the user's data.
+   * @param {string} query - The text to search for.
+   * @param {Object} [options={}] - The options accepted by `search`, plus:
+   *        - `embeddingProvider`: The embedding provider. Defaults to the one given to the constructor.
+   *        - `indexPath`: The directory the index is kept in. Defaults to the one given to the constructor,
+   *          then to the log path.
+   *        - `minScore`: The minimum cosine similarity for a message to match. Defaults to 0.
+   * @return {Promise<Array<Object>>} The matching conversations, in the same shape as `search`.
+   * @throws Will throw an error if there is no user, or if the embedding request fails.
+   */
+  async semanticSearch(query, options = {}) {
+    if (!this.userId) {
+      throw new Error("A userId is required to search conversations.");
+    }
+    const provider = options.embeddingProvider || this.embeddingProvider
+      || new OpenAIEmbeddingProvider(readConfigFile().embeddings);
+    const indexPath = options.indexPath || this.indexPath || this.logger.logPath;
+    const index = new EmbeddingIndex(path.join(indexPath, `${this.userId}.embeddings.json`), this.logger.encryptor);
+    const embedder = this.redactor && this.redactor.outbound
+      ? { id: provider.id, embed: texts => provider.embed(texts.map(text => this.redactor.redactText(text, this.redactor.outbound))) }
+      : provider;
+    return semanticSearch(this.logger.getAllConversations(this.userId), query, { ...options, provider: embedder, index });
+  }
+
+  /**
+   * @notice Logs the current conversation to a timestamped file, redacted if configured.
+   * @return {string} The log file's path.
    */
   logResponse() {
-    this.logger.logResponse(this.userId, this.messages);
+    const messages = this.redactor ? this.redactor.redactMessages(this.messages, this.redactor.persisted) : this.messages;
+    return this.logger.logResponse(this.userId, messages);
   }
 }
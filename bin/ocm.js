@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+/**
+ * ocm.js
+ *
+ * Command-line client for ConversationManager. Chat interactively, ask one-shot
+ * questions, and browse or delete the conversations stored for a user.
+ *
+ * Configuration is resolved the same way as the library: CONFIG_PATH, then
+ * config.json in the working directory, then config.example.json.
+ *
+ * Usage:
+ *   ocm chat --user user123 --agent poet
+ *   echo "Summarize this" | ocm ask --agent general_question_confirmer
+ *   ocm list --user user123
+ *   ocm show 2 --user user123
+ *   ocm delete 2 --user user123
+ *   ocm purge --max-age-days 90
+ *   ocm forget --user user123 --output erasure/user123
+ *   ocm export 2 --format markdown --user user123
+ *   ocm import conversations.json --user user123
+ *   ocm search invoice refund --user user123 --role user --from 2024-11-01
+ *   ocm usage --user user123 --group-by day --from 2024-11-01
+ *   ocm agents
+ *   ocm dialogue poet general_question_confirmer "Is a haiku a poem?" --turns 4
+ *   ocm serve --port 3000
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { AgentOrchestrator, ConversationManager, ConversationServer, Logger, getContentText, readConfigFile } from '../ConversationManager.js';
+
+/**
+ * @notice Creates a Logger for the configured log path, storage backend and encryption.
+ * @return {Logger} The logger.
+ */
+const createLogger = () => {
+  const defaults = readConfigFile().defaults || {};
+  return new Logger(defaults.logPath || "logs", defaults.storage, defaults.encryption);
+};
+
+/**
+ * @notice Parses `--var name=value` options into prompt template variables.
+ * @param {Array<string>} [pairs=[]] - The `name=value` pairs.
+ * @return {Object} The variables.
+ * @throws Will throw an error for a pair without '='.
+ */
+const parseVariables = (pairs = []) => {
+  const variables = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf("=");
+    if (separator <= 0) {
+      throw new Error(`Invalid --var '${pair}'. Please use name=value.`);
+    }
+    variables[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+  return variables;
+};
+
+/**
+ * @notice Applies an agent from config.json, or keeps the default system settings.
+ * @param {ConversationManager} conversation - The conversation to configure.
+ * @param {Object} argv - The parsed command-line options: the `agent` (a `models` entry) and
+ *        `var` (its prompt template variables).
+ */
+const applyAgent = (conversation, argv) => {
+  if (argv.agent) {
+    conversation.setSystem("config", { modelId: argv.agent, variables: parseVariables(argv.var) });
+  }
+};
+
+/**
+ * @notice Prints a list of messages.
+ * @param {Array<Object>} messages - The messages to print.
+ */
+const printMessages = (messages) => {
+  for (const message of messages) {
+    const content = getContentText(message.content) || (message.tool_calls || []).map(call => `[calls ${call.function.name}]`).join(" ");
+    const role = message.role === "assistant" && message.agent ? `${message.role} (${message.agent})` : message.role;
+    console.log(`${role}: ${content}\n`);
+  }
+};
+
+/**
+ * @notice Streams the assistant's response to stdout.
+ * @param {ConversationManager} conversation - The conversation to respond in.
+ * @param {AbortSignal} [signal] - Cancels the response.
+ */
+const streamResponse = async (conversation, signal) => {
+  for await (const delta of conversation.streamAPI({ signal })) {
+    process.stdout.write(delta);
+  }
+  process.stdout.write("\n");
+};
+
+/**
+ * @notice Reads all of stdin, if it is piped.
+ * @return {Promise<string>} The piped input, or an empty string for an interactive terminal.
+ */
+const readStdin = async () => {
+  if (process.stdin.isTTY) {
+    return "";
+  }
+  let input = "";
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.trim();
+};
+
+const chatHelp = `Commands:
+  /new           Start a new conversation
+  /switch <id>   Switch to a saved conversation
+  /history       Show the active conversation
+  /system [text] Show the system prompt, or replace it with text
+  /save          Save the active conversation
+  /help          Show this help
+  /exit          Quit`;
+
+/**
+ * @notice Runs a slash command in the chat REPL.
+ * @param {ConversationManager} conversation - The active conversation.
+ * @param {string} line - The command line, starting with '/'.
+ * @param {Object} argv - The parsed command-line options.
+ * @return {boolean} False if the REPL should exit.
+ */
+const runChatCommand = (conversation, line, argv) => {
+  const [command, ...rest] = line.slice(1).split(" ");
+  const argument = rest.join(" ").trim();
+
+  switch (command) {
+    case "new":
+      conversation.startNewConversation();
+      applyAgent(conversation, argv);
+      console.log(`Started conversation ${conversation.activeConversationId}.`);
+      break;
+    case "switch":
+      if (!argument) {
+        console.log("Usage: /switch <id>");
+        break;
+      }
+      conversation.setActiveConversation(argument);
+      console.log(`Active conversation: ${conversation.activeConversationId}.`);
+      break;
+    case "history":
+      printMessages(conversation.messages);
+      break;
+    case "system":
+      if (!argument) {
+        printMessages(conversation.getSystem());
+        break;
+      }
+      conversation.setSystemPrompt(argument);
+      console.log("System prompt updated.");
+      break;
+    case "save":
+      conversation.saveHistory();
+      console.log(`Saved conversation ${conversation.activeConversationId}.`);
+      break;
+    case "help":
+      console.log(chatHelp);
+      break;
+    case "exit":
+    case "quit":
+      return false;
+    default:
+      console.log(`Unknown command /${command}. Type /help for a list of commands.`);
+  }
+  return true;
+};
+
+/**
+ * @notice Runs the interactive chat REPL.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const chat = async (argv) => {
+  const conversation = new ConversationManager(argv.user);
+  if (argv.conversation) {
+    conversation.setActiveConversation(argv.conversation);
+  }
+  if (conversation.getSystem().length === 0) {
+    applyAgent(conversation, argv);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "> " });
+  let controller = null;
+
+  // Ctrl+C stops the current response, or quits when idle
+  rl.on("SIGINT", () => {
+    if (controller) {
+      controller.abort();
+    } else {
+      rl.close();
+    }
+  });
+
+  console.log(`Conversation ${conversation.activeConversationId}. Type /help for commands.`);
+  rl.prompt();
+
+  for await (const input of rl) {
+    const line = input.trim();
+
+    if (line.startsWith("/")) {
+      try {
+        if (!runChatCommand(conversation, line, argv)) {
+          break;
+        }
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+      }
+    } else if (line) {
+      controller = new AbortController();
+      try {
+        conversation.addMessage(line);
+        await streamResponse(conversation, controller.signal);
+        if (argv.autosave) {
+          conversation.saveHistory();
+        }
+      } catch (error) {
+        console.error(error.name === "AbortError" ? "\n(stopped)" : `Error: ${error.message}`);
+      }
+      controller = null;
+    }
+    rl.prompt();
+  }
+  rl.close();
+};
+
+/**
+ * @notice Asks a single question and prints the response.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const ask = async (argv) => {
+  const question = [(argv.question || []).join(" "), await readStdin()].filter(Boolean).join("\n\n");
+  if (!question) {
+    throw new Error("Nothing to ask. Pass a question or pipe it through stdin.");
+  }
+
+  const conversation = new ConversationManager(argv.save ? argv.user : "");
+  applyAgent(conversation, argv);
+  conversation.addMessage(question);
+  await streamResponse(conversation);
+
+  if (argv.save) {
+    conversation.saveHistory();
+  }
+};
+
+/**
+ * @notice Lists the saved conversations for a user.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const list = (argv) => {
+  const conversations = createLogger().listConversations(argv.user);
+  if (conversations.length === 0) {
+    console.log(`No conversations found for user ${argv.user}.`);
+    return;
+  }
+  for (const convo of conversations) {
+    console.log(`${convo.conversationId}\t${convo.timestamp}\t${convo.messageCount} messages\t${convo.name}`);
+  }
+};
+
+/**
+ * @notice Prints a saved conversation.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const show = (argv) => {
+  const conversation = createLogger().getConversation(argv.user, String(argv.id));
+  if (!conversation) {
+    throw new Error(`Conversation with ID ${argv.id} not found.`);
+  }
+  console.log(`# ${conversation.name} (${conversation.conversationId}, ${conversation.timestamp})\n`);
+  printMessages(conversation.messages);
+};
+
+/**
+ * @notice Deletes a saved conversation.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const remove = (argv) => {
+  if (!createLogger().deleteConversation(argv.user, String(argv.id))) {
+    throw new Error(`Conversation with ID ${argv.id} not found.`);
+  }
+  console.log(`Deleted conversation ${argv.id}.`);
+};
+
+/**
+ * @notice Deletes the conversations and response logs of all users past a retention policy.
+ * @dev Without options, the `retention` setting in config.json is used.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const purge = (argv) => {
+  const defaults = readConfigFile().defaults || {};
+  const retention = argv.maxAgeDays || argv.maxConversations
+    ? { maxAgeDays: argv.maxAgeDays, maxConversations: argv.maxConversations }
+    : defaults.retention;
+  if (!retention) {
+    throw new Error("No retention policy. Please pass --max-age-days or --max-conversations, or set 'retention' in config.json.");
+  }
+  const result = createLogger().purgeExpired(retention);
+  console.log(`Deleted ${result.conversations.length} conversation(s), ${result.logFiles} response log(s) and ${result.attachments} attachment(s).`);
+};
+
+/**
+ * @notice Exports all of a user's data to a directory, deletes it, and prints the audit record.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const forget = (argv) => {
+  const conversation = new ConversationManager(argv.user);
+  console.log(JSON.stringify(conversation.forgetUser(argv.output, { format: argv.format }), null, 2));
+};
+
+/**
+ * @notice Exports one conversation to stdout, or all of a user's conversations to a directory.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const exportConversations = (argv) => {
+  const conversation = new ConversationManager(argv.user);
+  if (argv.id) {
+    process.stdout.write(conversation.exportConversation(argv.format, String(argv.id)));
+    return;
+  }
+  const files = conversation.exportAllConversations(argv.format, argv.output);
+  console.log(`Exported ${files.length} file(s) to ${argv.output}.`);
+};
+
+/**
+ * @notice Imports conversations from a JSONL file or a ChatGPT conversations.json export.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const importConversations = (argv) => {
+  const conversation = new ConversationManager(argv.user);
+  const conversationIds = conversation.importConversations(fs.readFileSync(argv.file, "utf-8"), argv.format);
+  console.log(`Imported ${conversationIds.length} conversation(s) for user ${argv.user}.`);
+};
+
+/**
+ * @notice Searches a user's saved conversations and prints the best matches.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const search = async (argv) => {
+  const query = (argv.query || []).join(" ");
+  const conversation = new ConversationManager(argv.user);
+  const options = { agent: argv.agent, role: argv.role, from: argv.from, to: argv.to, limit: argv.limit };
+  const results = argv.semantic
+    ? await conversation.semanticSearch(query, options)
+    : conversation.search(query, options);
+
+  if (results.length === 0) {
+    console.log(`No matches found for '${query}'.`);
+    return;
+  }
+  for (const result of results) {
+    console.log(`${result.conversationId}	${result.timestamp}	${result.name}`);
+    for (const match of result.matches) {
+      console.log(`  ${match.role}: ${match.snippet}`);
+    }
+  }
+};
+
+/**
+ * @notice Prints a user's token usage and estimated cost.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const usage = (argv) => {
+  const report = createLogger().getUsageReport(argv.user, { from: argv.from, to: argv.to, groupBy: argv.groupBy });
+  const describe = (totals) => `${totals.requests} requests\t${totals.prompt_tokens} prompt\t${totals.completion_tokens} completion\t$${totals.cost.toFixed(4)}`;
+
+  for (const group of report.groups || []) {
+    console.log(`${group[argv.groupBy]}\t${describe(group)}`);
+  }
+  console.log(`Total\t${describe(report.totals)}`);
+  if (report.unpricedModels.length > 0) {
+    console.log(`No price configured for: ${report.unpricedModels.join(", ")}`);
+  }
+};
+
+/**
+ * @notice Lists the agents defined under `models` in config.json.
+ */
+const agents = () => {
+  const models = readConfigFile().models || {};
+  for (const [id, agent] of Object.entries(models)) {
+    console.log(`${id}\t${agent.model || "(default model)"}\t${agent.agent_file || ""}`);
+  }
+};
+
+/**
+ * @notice Lets two agents talk to each other and prints each turn as it arrives.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const dialogue = async (argv) => {
+  const opening = [(argv.opening || []).join(" "), await readStdin()].filter(Boolean).join("\n\n");
+  if (!opening) {
+    throw new Error("Nothing to start the dialogue with. Pass an opening message or pipe it through stdin.");
+  }
+
+  const conversation = new ConversationManager(argv.save ? argv.user : "");
+  const orchestrator = new AgentOrchestrator(conversation, { agents: [argv.first, argv.second] });
+  orchestrator.on("turn", ({ agent, content }) => console.log(`${agent}: ${content}\n`));
+  await orchestrator.runDialogue([argv.first, argv.second], opening, { turns: argv.turns });
+
+  if (argv.save) {
+    conversation.saveHistory();
+    console.log(`Saved conversation ${conversation.activeConversationId}.`);
+  }
+};
+
+/**
+ * @notice Serves the REST API until the process is stopped.
+ * @param {Object} argv - The parsed command-line options.
+ */
+const serve = async (argv) => {
+  const defaults = readConfigFile().defaults || {};
+  const server = new ConversationServer({ storage: defaults.storage });
+  const { port } = await server.listen(argv.port, argv.host);
+  console.log(`Listening on http://${argv.host}:${port}`);
+
+  process.once("SIGINT", () => server.close());
+  process.once("SIGTERM", () => server.close());
+};
+
+/**
+ * @notice Wraps a command handler to print errors and set the exit code instead of throwing.
+ * @param {Function} handler - The command handler.
+ * @return {Function} The wrapped handler.
+ */
+const run = (handler) => async (argv) => {
+  try {
+    await handler(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+yargs(hideBin(process.argv))
+  .scriptName("ocm")
+  .option("user", {
+    alias: "u",
+    type: "string",
+    default: process.env.OCM_USER || "default",
+    describe: "User whose conversations to use (or set OCM_USER)",
+  })
+  .command("chat", "Chat interactively", (cmd) => cmd
+    .option("agent", { alias: "a", type: "string", describe: "Agent (models entry in config.json) to use" })
+    .option("var", { type: "string", array: true, describe: "Prompt template variable for the agent, as name=value" })
+    .option("conversation", { alias: "c", type: "string", describe: "Resume a saved conversation" })
+    .option("autosave", { type: "boolean", default: false, describe: "Save after every response" }),
+    run(chat))
+  .command("ask [question..]", "Ask a single question; reads stdin if piped", (cmd) => cmd
+    .positional("question", { type: "string", describe: "The question" })
+    .option("agent", { alias: "a", type: "string", describe: "Agent (models entry in config.json) to use" })
+    .option("var", { type: "string", array: true, describe: "Prompt template variable for the agent, as name=value" })
+    .option("save", { type: "boolean", default: false, describe: "Save the exchange as a new conversation" }),
+    run(ask))
+  .command("list", "List saved conversations", () => {}, run(list))
+  .command("show <id>", "Show a saved conversation", (cmd) => cmd
+    .positional("id", { type: "string", describe: "Conversation ID" }),
+    run(show))
+  .command("delete <id>", "Delete a saved conversation", (cmd) => cmd
+    .positional("id", { type: "string", describe: "Conversation ID" }),
+    run(remove))
+  .command("purge", "Delete conversations and response logs past the retention policy", (cmd) => cmd
+    .option("max-age-days", { type: "number", describe: "Delete data older than this many days" })
+    .option("max-conversations", { type: "number", describe: "Keep only each user's most recent conversations" }),
+    run(purge))
+  .command("forget", "Export all of a user's data, then delete it", (cmd) => cmd
+    .option("format", { alias: "f", choices: ["markdown", "html", "jsonl"], default: "jsonl", describe: "Conversation export format" })
+    .option("output", { alias: "o", type: "string", demandOption: true, describe: "Directory for the export" }),
+    run(forget))
+  .command("export [id]", "Export a conversation to stdout, or all conversations to a directory", (cmd) => cmd
+    .positional("id", { type: "string", describe: "Conversation ID. Omit to export all conversations" })
+    .option("format", { alias: "f", choices: ["markdown", "html", "jsonl"], default: "markdown", describe: "Export format" })
+    .option("output", { alias: "o", type: "string", default: "export", describe: "Directory for a bulk export" }),
+    run(exportConversations))
+  .command("import <file>", "Import conversations from JSONL or a ChatGPT conversations.json", (cmd) => cmd
+    .positional("file", { type: "string", describe: "The file to import" })
+    .option("format", { choices: ["jsonl", "chatgpt"], describe: "Input format. Detected if omitted" }),
+    run(importConversations))
+  .command("search <query..>", "Search saved conversations", (cmd) => cmd
+    .positional("query", { type: "string", describe: "The words to search for" })
+    .option("agent", { alias: "a", type: "string", describe: "Only search conversations with this agent" })
+    .option("role", { type: "string", array: true, describe: "Only search messages with this role" })
+    .option("from", { type: "string", describe: "Only search messages from this date (ISO 8601)" })
+    .option("to", { type: "string", describe: "Only search messages before this date (ISO 8601)" })
+    .option("limit", { alias: "n", type: "number", default: 10, describe: "Maximum number of conversations" })
+    .option("semantic", { type: "boolean", default: false, describe: "Search by meaning using embeddings" }),
+    run(search))
+  .command("usage", "Show token usage and estimated cost", (cmd) => cmd
+    .option("from", { type: "string", describe: "Only count calls from this date (ISO 8601)" })
+    .option("to", { type: "string", describe: "Only count calls before this date (ISO 8601)" })
+    .option("group-by", { alias: "g", choices: ["day", "month", "model", "agent", "conversation"], describe: "Group the totals" }),
+    run(usage))
+  .command("agents", "List the agents defined in config.json", () => {}, run(agents))
+  .command("dialogue <first> <second> [opening..]", "Let two agents talk to each other; reads stdin if piped", (cmd) => cmd
+    .positional("first", { type: "string", describe: "Agent that answers the opening message" })
+    .positional("second", { type: "string", describe: "Agent that answers the first" })
+    .positional("opening", { type: "string", describe: "The message that starts the dialogue" })
+    .option("turns", { alias: "t", type: "number", default: 4, describe: "Number of responses in total" })
+    .option("save", { type: "boolean", default: false, describe: "Save the dialogue as a new conversation" }),
+    run(dialogue))
+  .command("serve", "Serve conversations over a REST API", (cmd) => cmd
+    .option("port", { alias: "p", type: "number", default: Number(process.env.PORT) || 3000, describe: "Port to listen on" })
+    .option("host", { type: "string", default: "127.0.0.1", describe: "Host to bind to" }),
+    run(serve))
+  .demandCommand(1, "Please choose a command.")
+  .strict()
+  .help()
+  .parse();
@@ -0,0 +1,382 @@
+/**
+ * @title Content
+ * @notice Multimodal message content: text, images and file attachments.
+ * @dev Message content is either a string or an array of parts. Parts are passed to `addMessage` as:
+ *      - a string, or `{ type: 'text', text }`;
+ *      - `{ type: 'image', path | data | url, mimeType?, detail? }`: an image from a local file, a Buffer,
+ *        or a URL (`http(s):` or `data:`). OpenAI's `{ type: 'image_url', image_url: { url, detail } }` works too;
+ *      - `{ type: 'file', path | data, filename?, mimeType? }`: a document, such as a PDF.
+ *      Local images and files are stored once in an attachments directory, named by the SHA-256 hash of
+ *      their bytes, and messages keep only a reference (`{ type: 'image', attachment, mimeType, width,
+ *      height, detail }`), so user records stay small. They are encoded as data URLs when a request is
+ *      built. Remote image URLs are sent as they are.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseEnvelope } from './Encryption.js';
+import { writeFileAtomic } from './FileLock.js';
+
+export const imageDetails = ["auto", "low", "high"];
+
+const mimeTypes = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+};
+
+const extensions = Object.fromEntries(Object.entries(mimeTypes).reverse().map(([extension, mimeType]) => [mimeType, extension]));
+
+/**
+ * @notice Detects the type of an image from its first bytes.
+ * @param {Buffer} buffer - The image.
+ * @return {string|null} The MIME type, or null if it is not a PNG, JPEG, GIF or WebP image.
+ */
+export const detectImageType = (buffer) => {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return "image/png";
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 6 && buffer.toString("ascii", 0, 4) === "GIF8") {
+    return "image/gif";
+  }
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+};
+
+/**
+ * @notice Reads the dimensions of an image from its header.
+ * @param {Buffer} buffer - A PNG, JPEG, GIF or WebP image.
+ * @return {Object|null} `{ width, height }` in pixels, or null if they cannot be read.
+ */
+export const getImageSize = (buffer) => {
+  try {
+    switch (detectImageType(buffer)) {
+      case "image/png":
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case "image/gif":
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case "image/webp": {
+        const chunk = buffer.toString("ascii", 12, 16);
+        if (chunk === "VP8 ") {
+          return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === "VP8L") {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === "VP8X") {
+          return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+      }
+      case "image/jpeg": {
+        // The size is in the first start-of-frame segment (SOF0-SOF15, except DHT, JPG and DAC)
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+          if (buffer[offset] !== 0xff) {
+            return null;
+          }
+          const marker = buffer[offset + 1];
+          if (marker === 0xff) {
+            offset += 1;
+            continue;
+          }
+          if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+          }
+          offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated header
+    return null;
+  }
+};
+
+/**
+ * @notice Estimates the prompt tokens of an image, the way OpenAI bills them.
+ * @dev 'low' detail costs 85 tokens. Otherwise the image is scaled to fit 2048x2048, then down so its
+ *      shortest side is at most 768px, and each 512px tile costs 170 tokens on top of the 85. Images of
+ *      unknown size are counted as 4 tiles (765 tokens), the most a square image costs.
+ * @param {Object} image - `width`, `height` and `detail` ('auto', 'low' or 'high').
+ * @return {number} The estimated token count.
+ */
+export const estimateImageTokens = ({ width, height, detail = "auto" }) => {
+  if (detail === "low") {
+    return 85;
+  }
+  if (!width || !height) {
+    return 85 + 170 * 4;
+  }
+  let scale = Math.min(1, 2048 / Math.max(width, height));
+  scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  return 85 + 170 * tiles;
+};
+
+/**
+ * @notice Returns the text of message content, with placeholders for images and files.
+ * @param {string|Array<Object>|null} content - The message content.
+ * @return {string} The text.
+ */
+export const getContentText = (content) => {
+  if (!Array.isArray(content)) {
+    return content || "";
+  }
+  return content.map((part) => {
+    if (part.type === "text") {
+      return part.text;
+    }
+    return part.type === "file" ? `[file${part.filename ? `: ${part.filename}` : ""}]` : "[image]";
+  }).join("\n");
+};
+
+/**
+ * @notice Checks whether message content has anything to send.
+ * @param {string|Array<Object>|null} content - The message content.
+ * @return {boolean} True for non-blank text or any image or file.
+ */
+export const hasContent = (content) => (Array.isArray(content)
+  ? content.some(part => (typeof part === "string" ? part.trim().length > 0 : part && (part.type !== "text" || String(part.text || "").trim().length > 0)))
+  : typeof content === "string" && content.trim().length > 0);
+
+/**
+ * @notice Splits a data URL into its MIME type and bytes.
+ * @param {string} url - The data URL.
+ * @return {Object|null} `{ mimeType, data }`, or null if it is not a data URL.
+ */
+const parseDataUrl = (url) => {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s.exec(url);
+  if (!match) {
+    return null;
+  }
+  return {
+    mimeType: match[1] || "text/plain",
+    data: match[3] ? Buffer.from(match[4], "base64") : Buffer.from(decodeURIComponent(match[4])),
+  };
+};
+
+/**
+ * @title AttachmentStore
+ * @notice Keeps the images and files of messages in a directory, one file per distinct content.
+ * @dev With an encryptor, attachments are encrypted at rest like user records, and plaintext or
+ *      old-key attachments are re-encrypted when read.
+ */
+export class AttachmentStore {
+  /**
+   * @param {string} directory - Where attachments are kept.
+   * @param {Encryptor|null} [encryptor=null] - Encrypts the stored attachments.
+   */
+  constructor(directory, encryptor = null) {
+    this.directory = directory;
+    this.encryptor = encryptor;
+  }
+
+  /**
+   * @notice Stores an attachment, unless the same bytes are stored already.
+   * @param {Buffer} data - The content.
+   * @param {string} mimeType - Its MIME type, which picks the file extension.
+   * @return {string} The attachment's name, `<sha256>.<extension>`.
+   */
+  put(data, mimeType) {
+    const name = `${crypto.createHash("sha256").update(data).digest("hex")}${extensions[mimeType] || ".bin"}`;
+    const filePath = path.join(this.directory, name);
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      writeFileAtomic(filePath, this.encryptor ? this.encryptor.encrypt(data) : data);
+    }
+    return name;
+  }
+
+  /**
+   * @notice Reads an attachment.
+   * @param {string} name - The attachment's name.
+   * @return {Buffer} The content.
+   * @throws Will throw an error if the attachment does not exist.
+   */
+  read(name) {
+    const filePath = path.join(this.directory, path.basename(name));
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Attachment ${name} not found in ${this.directory}.`);
+    }
+    const stored = fs.readFileSync(filePath);
+    if (!this.encryptor) {
+      if (parseEnvelope(stored)) {
+        throw new Error(`Attachment ${name} is encrypted. Set 'encryption' to read it.`);
+      }
+      return stored;
+    }
+    const data = this.encryptor.decrypt(stored);
+    if (!this.encryptor.isCurrent(stored)) {
+      writeFileAtomic(filePath, this.encryptor.encrypt(data));
+    }
+    return data;
+  }
+
+  /**
+   * @notice Encodes an attachment as a data URL.
+   * @param {string} name - The attachment's name.
+   * @param {string} mimeType - Its MIME type.
+   * @return {string} The data URL.
+   */
+  toDataUrl(name, mimeType) {
+    return `data:${mimeType};base64,${this.read(name).toString("base64")}`;
+  }
+
+  /**
+   * @notice Deletes an attachment.
+   * @param {string} name - The attachment's name.
+   * @return {boolean} True if it existed.
+   */
+  delete(name) {
+    const filePath = path.join(this.directory, path.basename(name));
+    const exists = fs.existsSync(filePath);
+    fs.rmSync(filePath, { force: true });
+    return exists;
+  }
+}
+
+/**
+ * @notice Lists the attachments that conversations refer to, in any branch.
+ * @param {Array<Object>} conversations - The stored conversations.
+ * @return {Array<string>} The attachment names, without duplicates.
+ */
+export const getAttachmentNames = (conversations) => {
+  const names = new Set();
+  for (const conversation of conversations) {
+    for (const message of [...(conversation.messages || []), ...(conversation.branches || [])]) {
+      for (const part of Array.isArray(message.content) ? message.content : []) {
+        if (part.attachment) {
+          names.add(part.attachment);
+        }
+      }
+    }
+  }
+  return [...names];
+};
+
+/**
+ * @notice Reads the bytes of an image or file part, from its path, buffer or data URL.
+ * @param {Object} part - The part.
+ * @param {string|null} url - The part's URL, if any.
+ * @return {Object|null} `{ data, mimeType }`, or null for a remote URL.
+ */
+const readPartData = (part, url) => {
+  if (part.path) {
+    return { data: fs.readFileSync(part.path), mimeType: part.mimeType || mimeTypes[path.extname(part.path).toLowerCase()] };
+  }
+  if (part.data) {
+    return { data: Buffer.from(part.data), mimeType: part.mimeType };
+  }
+  if (url && url.startsWith("data:")) {
+    const parsed = parseDataUrl(url);
+    if (!parsed) {
+      throw new Error("Invalid data URL in message content.");
+    }
+    return parsed;
+  }
+  return null;
+};
+
+/**
+ * @notice Turns the content passed to `addMessage` into the content stored in the message.
+ * @dev Local images and files are written to the attachment store and replaced by references.
+ * @param {string|Array<string|Object>} content - The content.
+ * @param {AttachmentStore} attachments - Where images and files are stored.
+ * @return {string|Array<Object>} A string as is, or the stored parts.
+ * @throws Will throw an error for unknown part types, invalid details, or images that cannot be read.
+ */
+export const normalizeContent = (content, attachments) => {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return content.map((part) => {
+    if (typeof part === "string") {
+      return { type: "text", text: part };
+    }
+    const type = part && part.type;
+    if (type === "text") {
+      return { type: "text", text: String(part.text ?? "") };
+    }
+
+    if (type === "image" || type === "image_url") {
+      const url = type === "image_url" ? part.image_url && part.image_url.url : part.url || null;
+      const detail = (type === "image_url" ? part.image_url && part.image_url.detail : part.detail) || "auto";
+      if (!imageDetails.includes(detail)) {
+        throw new Error(`Invalid image detail '${detail}'. Please use 'auto', 'low', or 'high'.`);
+      }
+      if (part.attachment) {
+        return { ...part, detail };
+      }
+
+      const image = readPartData(part, url);
+      if (!image) {
+        if (!url) {
+          throw new Error("An image part needs a 'path', 'data' or 'url'.");
+        }
+        return { type: "image", url, detail };
+      }
+      const mimeType = detectImageType(image.data) || image.mimeType;
+      if (!mimeType || !mimeType.startsWith("image/")) {
+        throw new Error(`Unsupported image${part.path ? ` ${part.path}` : ""}. Please use a PNG, JPEG, GIF or WebP image.`);
+      }
+      return { type: "image", attachment: attachments.put(image.data, mimeType), mimeType, ...getImageSize(image.data), detail };
+    }
+
+    if (type === "file") {
+      if (part.attachment) {
+        return { ...part };
+      }
+      const file = readPartData(part, part.url || null);
+      if (!file) {
+        throw new Error("A file part needs a 'path' or 'data'.");
+      }
+      const filename = part.filename || (part.path ? path.basename(part.path) : null);
+      const mimeType = file.mimeType || (filename && mimeTypes[path.extname(filename).toLowerCase()]) || "application/octet-stream";
+      const stored = { type: "file", attachment: attachments.put(file.data, mimeType), mimeType };
+      return filename ? { ...stored, filename } : stored;
+    }
+
+    throw new Error(`Unknown content part type '${type}'. Please use 'text', 'image', or 'file'.`);
+  });
+};
+
+/**
+ * @notice Turns stored message content into the content sent to the API, in OpenAI's format.
+ * @param {string|Array<Object>|null} content - The stored content.
+ * @param {AttachmentStore} attachments - Where the message's images and files are stored.
+ * @return {string|Array<Object>|null} A string as is, or the API content parts.
+ * @throws Will throw an error if an attachment is missing.
+ */
+export const toAPIContent = (content, attachments) => {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return content.map((part) => {
+    if (part.type === "image") {
+      const url = part.attachment ? attachments.toDataUrl(part.attachment, part.mimeType) : part.url;
+      return { type: "image_url", image_url: { url, detail: part.detail || "auto" } };
+    }
+    if (part.type === "file") {
+      const file = { file_data: attachments.toDataUrl(part.attachment, part.mimeType) };
+      return { type: "file", file: part.filename ? { filename: part.filename, ...file } : file };
+    }
+    return { type: "text", text: part.text };
+  });
+};
@@ -0,0 +1,181 @@
+/**
+ * @title Embeddings
+ * @notice Embedding providers and the local index used by semantic search.
+ * @dev A provider turns texts into vectors. Any object with an `id` (which identifies the vectors it
+ *      produces, e.g. 'openai:text-embedding-3-small') and an async `embed(texts)` method can be used,
+ *      so tests and offline setups can plug in their own. The index caches one vector per distinct
+ *      message text in a JSON file, so only new or changed messages are embedded on each search.
+ *      Like the user files, the index is written atomically and encrypted if the Logger is.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createAPIError } from './Errors.js';
+import { writeFileAtomic } from './FileLock.js';
+
+/**
+ * @title EmbeddingProvider
+ * @notice Base class for embedding providers.
+ */
+export class EmbeddingProvider {
+  /**
+   * @notice Identifies the vectors this provider produces. Vectors from another provider are recomputed.
+   */
+  get id() {
+    return this.constructor.name;
+  }
+
+  /**
+   * @notice Computes embeddings.
+   * @param {Array<string>} texts - The texts.
+   * @return {Promise<Array<Array<number>>>} One vector per text, in order.
+   */
+  async embed(texts) {
+    throw new Error("Embedding providers must implement embed(texts).");
+  }
+}
+
+/**
+ * @title OpenAIEmbeddingProvider
+ * @notice OpenAI's embeddings endpoint, or any OpenAI-compatible one.
+ */
+export class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} [options={}] - Provider settings.
+   *        - `model`: The embedding model. Defaults to 'text-embedding-3-small'.
+   *        - `baseUrl`: The API base URL. Defaults to 'https://api.openai.com/v1'.
+   *        - `apiKey`: The API key. Defaults to the `apiKeyEnv` environment variable.
+   *        - `apiKeyEnv`: The environment variable holding the key. Defaults to OPENAI_API_KEY.
+   *        - `batchSize`: How many texts to send per request. Defaults to 100.
+   */
+  constructor(options = {}) {
+    super();
+    this.model = options.model || "text-embedding-3-small";
+    this.baseUrl = (options.baseUrl || "https://api.openai.com/v1").replace(/\/+$/, "");
+    this.apiKeyEnv = options.apiKeyEnv || "OPENAI_API_KEY";
+    this.apiKey = options.apiKey ?? process.env[this.apiKeyEnv];
+    this.batchSize = options.batchSize || 100;
+  }
+
+  get id() {
+    return `openai:${this.model}`;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      const response = await fetch(`${this.baseUrl}/embeddings`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}) },
+        body: JSON.stringify({ model: this.model, input: texts.slice(start, start + this.batchSize) }),
+      });
+      if (!response.ok) {
+        throw createAPIError(response.status, response.statusText, await response.text());
+      }
+      const data = await response.json();
+      vectors.push(...[...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding));
+    }
+    return vectors;
+  }
+}
+
+/**
+ * @notice Computes the cosine similarity of two vectors.
+ * @param {Array<number>} a - The first vector.
+ * @param {Array<number>} b - The second vector.
+ * @return {number} The similarity, from -1 to 1. 0 if either vector is all zeros.
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+};
+
+/**
+ * @notice Hashes a text to its key in the index.
+ * @param {string} text - The text.
+ * @return {string} The SHA-256 hex digest.
+ */
+const hashText = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/**
+ * @title EmbeddingIndex
+ * @notice A persisted cache of message embeddings, stored as `{ provider, vectors: { <sha256>: [...] } }`.
+ */
+export class EmbeddingIndex {
+  /**
+   * @param {string} filePath - The JSON file the index is kept in.
+   * @param {Encryptor|null} [encryptor=null] - Encrypts the file, as the Logger's `encryptor` does the user files.
+   */
+  constructor(filePath, encryptor = null) {
+    this.filePath = filePath;
+    this.encryptor = encryptor;
+  }
+
+  /**
+   * @notice Reads the stored index, decrypting it if needed.
+   * @dev The index is only a cache, so a file that cannot be read or decrypted is rebuilt.
+   * @return {Object} `index`, or an empty one if there is no readable file yet, and `current`: false if
+   *         the file should be rewritten because it is plaintext or encrypted with an older key.
+   */
+  read() {
+    try {
+      const stored = fs.readFileSync(this.filePath, "utf-8");
+      const json = this.encryptor ? this.encryptor.decrypt(stored).toString("utf-8") : stored;
+      return {
+        index: { provider: null, vectors: {}, ...JSON.parse(json) },
+        current: !this.encryptor || this.encryptor.isCurrent(stored),
+      };
+    } catch (error) {
+      return { index: { provider: null, vectors: {} }, current: true };
+    }
+  }
+
+  /**
+   * @notice Reads the stored index.
+   * @return {Object} The index, or an empty one if there is no file yet.
+   */
+  load() {
+    return this.read().index;
+  }
+
+  /**
+   * @notice Returns the embeddings of texts, computing only the ones not in the index yet.
+   * @dev Vectors of texts that are no longer passed are removed, so the index follows deleted
+   *      messages. The file is only rewritten when something changed.
+   * @param {Array<string>} texts - Every text that should be indexed.
+   * @param {Object} provider - The embedding provider.
+   * @return {Promise<Array<Array<number>>>} One vector per text, in order.
+   */
+  async update(texts, provider) {
+    const { index: stored, current } = this.read();
+    const previous = stored.provider === provider.id ? stored.vectors : {};
+    const hashes = texts.map(hashText);
+
+    const missing = [...new Set(hashes.filter(hash => !previous[hash]))];
+    const missingTexts = missing.map(hash => texts[hashes.indexOf(hash)]);
+    const computed = missingTexts.length > 0 ? await provider.embed(missingTexts) : [];
+
+    const vectors = {};
+    for (const hash of hashes) {
+      vectors[hash] = previous[hash];
+    }
+    missing.forEach((hash, i) => { vectors[hash] = computed[i]; });
+
+    const changed = !current || missing.length > 0 || stored.provider !== provider.id
+      || Object.keys(previous).length !== Object.keys(vectors).length;
+    if (changed) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const json = JSON.stringify({ provider: provider.id, vectors });
+      writeFileAtomic(this.filePath, this.encryptor ? this.encryptor.encrypt(json) : json);
+    }
+    return hashes.map(hash => vectors[hash]);
+  }
+}
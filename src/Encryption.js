@@ -0,0 +1,175 @@
+/**
+ * @title Encryption
+ * @notice AES-256-GCM encryption of the files the Logger writes: user records, response logs and attachments.
+ * @dev An encrypted file is a JSON envelope: `{ "encrypted": "aes-256-gcm", "keyId", "iv", "tag", "data" }`,
+ *      with the IV, authentication tag and ciphertext in base64. Files without an envelope are plaintext
+ *      and are read as they are, so existing logs keep working after encryption is turned on.
+ *      Keys are 32 bytes, given as a Buffer, 64 hex characters or base64. They are looked up by key ID:
+ *      - `keyProvider(keyId)`: A synchronous callback, e.g. reading from a secrets manager cache.
+ *      - `keys`: An object of key IDs and keys.
+ *      - The `keyEnv` environment variable (default `OCM_ENCRYPTION_KEY`): a single key, used as `keyId`,
+ *        or comma-separated `keyId:key` pairs.
+ *      New data is always encrypted with `keyId`; older key IDs are only used to decrypt, so keys can be
+ *      rotated by changing `keyId` while keeping the old key available.
+ */
+
+import crypto from 'crypto';
+
+export const encryptionAlgorithm = "aes-256-gcm";
+
+/**
+ * @notice Converts a key to a 32-byte Buffer.
+ * @param {Buffer|string} key - The key, as a Buffer, 64 hex characters or base64.
+ * @param {string} keyId - The key's ID, for the error message.
+ * @return {Buffer} The key.
+ * @throws Will throw an error if the key is not 32 bytes.
+ */
+const toKeyBuffer = (key, keyId) => {
+  let buffer = null;
+  if (Buffer.isBuffer(key) || key instanceof Uint8Array) {
+    buffer = Buffer.from(key);
+  } else if (typeof key === "string") {
+    buffer = /^[0-9a-f]{64}$/i.test(key.trim()) ? Buffer.from(key.trim(), "hex") : Buffer.from(key.trim(), "base64");
+  }
+  if (!buffer || buffer.length !== 32) {
+    throw new Error(`Encryption key '${keyId}' must be 32 bytes, given as a Buffer, 64 hex characters or base64.`);
+  }
+  return buffer;
+};
+
+/**
+ * @notice Parses stored text as an encryption envelope.
+ * @param {string|Buffer} text - The stored text.
+ * @return {Object|null} The envelope, or null if the text is not encrypted.
+ */
+export const parseEnvelope = (text) => {
+  const trimmed = String(text).trimStart();
+  if (!trimmed.startsWith("{\"encrypted\"")) {
+    return null;
+  }
+  try {
+    const envelope = JSON.parse(trimmed);
+    return envelope.encrypted === encryptionAlgorithm ? envelope : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @title Encryptor
+ * @notice Encrypts and decrypts stored data.
+ */
+export class Encryptor {
+  /**
+   * @param {Object} [options={}] - Encryption settings.
+   *        - `keyId`: The ID of the key new data is encrypted with. Defaults to 'default'.
+   *        - `keyProvider`: A function returning the key for a key ID, or null if unknown.
+   *        - `keys`: An object of key IDs and keys.
+   *        - `keyEnv`: The environment variable holding the keys. Defaults to 'OCM_ENCRYPTION_KEY'.
+   */
+  constructor(options = {}) {
+    this.keyId = options.keyId || "default";
+    this.keyProvider = options.keyProvider || null;
+    this.keys = options.keys || {};
+    this.keyEnv = options.keyEnv || "OCM_ENCRYPTION_KEY";
+    this.cachedKeys = new Map();
+  }
+
+  /**
+   * @notice Returns the key for a key ID.
+   * @param {string} keyId - The key ID.
+   * @return {Buffer} The 32-byte key.
+   * @throws Will throw an error if there is no such key, or it is not 32 bytes.
+   */
+  getKey(keyId) {
+    if (this.cachedKeys.has(keyId)) {
+      return this.cachedKeys.get(keyId);
+    }
+
+    let key = this.keyProvider ? this.keyProvider(keyId) : null;
+    if (!key && this.keys[keyId]) {
+      key = this.keys[keyId];
+    }
+    const value = process.env[this.keyEnv];
+    if (!key && value) {
+      const pairs = value.split(",").map(pair => pair.trim()).filter(Boolean);
+      if (pairs.length === 1 && !pairs[0].includes(":")) {
+        key = keyId === this.keyId ? pairs[0] : null;
+      } else {
+        const pair = pairs.map(entry => entry.split(":")).find(([id]) => id === keyId);
+        key = pair ? pair[1] : null;
+      }
+    }
+    if (!key) {
+      throw new Error(`No encryption key found for key ID '${keyId}'. Set ${this.keyEnv} or pass a keyProvider.`);
+    }
+
+    const buffer = toKeyBuffer(key, keyId);
+    this.cachedKeys.set(keyId, buffer);
+    return buffer;
+  }
+
+  /**
+   * @notice Encrypts data with the current key.
+   * @param {string|Buffer} plaintext - The data.
+   * @return {string} The JSON envelope.
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(encryptionAlgorithm, this.getKey(this.keyId), iv);
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return JSON.stringify({
+      encrypted: encryptionAlgorithm,
+      keyId: this.keyId,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    });
+  }
+
+  /**
+   * @notice Decrypts stored data, or returns it as is if it is not encrypted.
+   * @param {string|Buffer} stored - The stored data.
+   * @return {Buffer} The plaintext.
+   * @throws Will throw an error if the key is unknown, or the data was changed or encrypted with another key.
+   */
+  decrypt(stored) {
+    const envelope = parseEnvelope(stored);
+    if (!envelope) {
+      return Buffer.from(stored);
+    }
+    try {
+      const decipher = crypto.createDecipheriv(encryptionAlgorithm, this.getKey(envelope.keyId), Buffer.from(envelope.iv, "base64"));
+      decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+      return Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+    } catch (error) {
+      throw new Error(`Could not decrypt data encrypted with key '${envelope.keyId}': ${error.message}`);
+    }
+  }
+
+  /**
+   * @notice Checks whether stored data is encrypted with the current key.
+   * @param {string|Buffer} stored - The stored data.
+   * @return {boolean} False for plaintext, or data encrypted with an older key.
+   */
+  isCurrent(stored) {
+    const envelope = parseEnvelope(stored);
+    return Boolean(envelope) && envelope.keyId === this.keyId;
+  }
+}
+
+/**
+ * @notice Creates the encryptor for an `encryption` setting.
+ * @param {Encryptor|Object|boolean|null|undefined} encryption - An encryptor, `true` for the default
+ *        settings, or the `Encryptor` options. Anything falsy turns encryption off.
+ * @return {Encryptor|null} The encryptor, or null.
+ */
+export const createEncryptor = (encryption) => {
+  if (!encryption) {
+    return null;
+  }
+  if (encryption instanceof Encryptor) {
+    return encryption;
+  }
+  return new Encryptor(encryption === true ? {} : encryption);
+};
@@ -0,0 +1,208 @@
+/**
+ * @title Errors
+ * @notice Typed errors thrown by the APIHandler and ConversationManager, so callers can react to failures programmatically.
+ * @dev Every API error keeps the original `<provider> API Error: <status> <statusText> - <body>` message,
+ *      e.g. `OpenAI API Error: 429 Too Many Requests - ...`.
+ */
+
+/**
+ * @title APIError
+ * @notice Base class for errors returned by the API.
+ */
+export class APIError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Details about the failed request.
+   *        - `status`: The HTTP status code.
+   *        - `code`: The API error code, e.g. 'context_length_exceeded'.
+   *        - `type`: The API error type, e.g. 'invalid_request_error'.
+   *        - `body`: The raw response body.
+   *        - `retryAfter`: How long the server asked us to wait before retrying, in milliseconds.
+   *        - `retryable`: Whether retrying the same request may succeed.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status || null;
+    this.code = details.code || null;
+    this.type = details.type || null;
+    this.body = details.body || "";
+    this.retryAfter = details.retryAfter ?? null;
+    this.retryable = details.retryable || false;
+  }
+}
+
+/**
+ * @title RateLimitError
+ * @notice Thrown when the API rejects a request with status 429.
+ * @dev Not retryable when the account has run out of quota (`insufficient_quota`).
+ */
+export class RateLimitError extends APIError {}
+
+/**
+ * @title AuthError
+ * @notice Thrown when the API key is missing, invalid or lacks permission (status 401 or 403).
+ */
+export class AuthError extends APIError {}
+
+/**
+ * @title ContextLengthError
+ * @notice Thrown when the conversation does not leave room for a response in the model's context.
+ */
+export class ContextLengthError extends APIError {}
+
+/**
+ * @title TimeoutError
+ * @notice Thrown when the API does not respond within the configured timeout.
+ */
+export class TimeoutError extends APIError {
+  /**
+   * @param {number} timeout - The timeout that elapsed, in milliseconds.
+   * @param {string} [provider="OpenAI"] - The provider name the message starts with.
+   */
+  constructor(timeout, provider = "OpenAI") {
+    super(`${provider} API request timed out after ${timeout}ms.`, { retryable: true });
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * @title QuotaExceededError
+ * @notice Thrown before a request is sent when a user (or a user's use of an agent) has reached a quota.
+ */
+export class QuotaExceededError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} details - Details about the quota.
+   *        - `userId`: The user who reached the quota.
+   *        - `agent`: The agent whose quota was reached, or null for the user's own quota.
+   *        - `quota`: The quota that was reached: 'requestsPerMinute', 'tokensPerDay' or 'dollarsPerMonth'.
+   *        - `limit`: The configured limit.
+   *        - `used`: The amount used in the current period.
+   *        - `resetAt`: When the period ends, as a Date.
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.userId = details.userId;
+    this.agent = details.agent || null;
+    this.quota = details.quota;
+    this.limit = details.limit;
+    this.used = details.used;
+    this.resetAt = details.resetAt;
+    this.retryAfter = Math.max(0, details.resetAt.getTime() - Date.now());
+  }
+}
+
+/**
+ * @title StructuredOutputError
+ * @notice Thrown when a structured response still does not match its JSON schema after every repair attempt.
+ */
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} details - Details about the last response.
+   *        - `content`: The raw text of the last response.
+   *        - `errors`: Why it was rejected: a JSON parse error or schema validation errors.
+   *        - `attempts`: How many responses were requested.
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.content = details.content;
+    this.errors = details.errors;
+    this.attempts = details.attempts;
+  }
+}
+
+/**
+ * @title EmptyResponseError
+ * @notice Thrown when the model answers with neither content nor tool calls, e.g. because a content
+ *         filter blocked the response or the token limit cut it off.
+ */
+export class EmptyResponseError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - `finishReason`: Why the model stopped, if the API reported it.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.finishReason = details.finishReason || null;
+  }
+}
+
+/**
+ * @title CacheMissError
+ * @notice Thrown in 'replay' cache mode when no response was recorded for a request, instead of calling the API.
+ */
+export class CacheMissError extends Error {
+  /**
+   * @param {string} key - The cache key of the request.
+   */
+  constructor(key) {
+    super(`No recorded response for this request (cache key ${key}). Record it by running with cache mode 'record'.`);
+    this.name = this.constructor.name;
+    this.key = key;
+  }
+}
+
+/**
+ * @title RevisionConflictError
+ * @notice Thrown when a user record is saved over changes made since it was loaded, and the changes
+ *         cannot be merged because both sides changed the same conversation or field.
+ */
+export class RevisionConflictError extends Error {
+  /**
+   * @param {string} userId - The user whose record was saved.
+   * @param {Object} details - Details about the conflict.
+   *        - `expected`: The revision the record was loaded at.
+   *        - `actual`: The stored revision.
+   *        - `conflicts`: What both sides changed: conversation IDs as `conversation:<id>`, and field names.
+   */
+  constructor(userId, details) {
+    const conflicts = details.conflicts || [];
+    super(`The data of user ${userId} changed since it was loaded (revision ${details.expected}, now ${details.actual})`
+      + (conflicts.length > 0 ? ` and the changes conflict: ${conflicts.join(", ")}.` : ". Load it again before saving."));
+    this.name = this.constructor.name;
+    this.userId = userId;
+    this.expected = details.expected;
+    this.actual = details.actual;
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * @notice Creates the typed error for a failed API response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} statusText - The HTTP status text.
+ * @param {string} body - The raw response body.
+ * @param {number|null} [retryAfter=null] - The server's requested retry delay, in milliseconds.
+ * @param {string} [provider="OpenAI"] - The provider name the message starts with.
+ * @return {APIError} The error matching the response.
+ */
+export const createAPIError = (status, statusText, body, retryAfter = null, provider = "OpenAI") => {
+  let code = null;
+  let type = null;
+  try {
+    const parsed = JSON.parse(body);
+    code = parsed.error && parsed.error.code;
+    type = parsed.error && parsed.error.type;
+  } catch (error) {
+    // Not a JSON error body; keep the raw text only
+  }
+
+  const message = `${provider} API Error: ${status} ${statusText} - ${body}`;
+  const details = { status, code, type, body, retryAfter };
+
+  if (status === 401 || status === 403) {
+    return new AuthError(message, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryable: code !== "insufficient_quota" });
+  }
+  if (code === "context_length_exceeded") {
+    return new ContextLengthError(message, details);
+  }
+  return new APIError(message, { ...details, retryable: status === 408 || status === 409 || status >= 500 });
+};
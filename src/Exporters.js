@@ -0,0 +1,258 @@
+/**
+ * @title Exporters
+ * @notice Renders stored conversations as Markdown, standalone HTML and OpenAI fine-tuning JSONL,
+ *         and parses JSONL and ChatGPT `conversations.json` exports back into messages.
+ * @dev These are plain functions over conversation records (`{ conversationId, name, timestamp, messages }`);
+ *      ConversationManager's export and import methods handle loading and saving.
+ */
+
+import { getContentText } from './Content.js';
+
+export const exportFormats = ["markdown", "html", "jsonl"];
+
+const fileExtensions = { markdown: "md", html: "html", jsonl: "jsonl" };
+
+const roleTitles = { system: "System", user: "User", assistant: "Assistant", tool: "Tool" };
+
+/**
+ * @notice Returns the file extension for an export format.
+ * @param {string} format - The export format.
+ * @return {string} The extension, without a dot.
+ * @throws Will throw an error if the format is unknown.
+ */
+export const getFileExtension = (format) => {
+  if (!exportFormats.includes(format)) {
+    throw new Error(`Unknown export format '${format}'. Please use 'markdown', 'html' or 'jsonl'.`);
+  }
+  return fileExtensions[format];
+};
+
+/**
+ * @notice Describes a message's tool calls as readable text.
+ * @param {Object} message - An assistant message.
+ * @return {Array<string>} One line per tool call.
+ */
+const describeToolCalls = (message) => (message.tool_calls || []).map(
+  toolCall => `Called ${toolCall.function.name}(${toolCall.function.arguments || ""})`
+);
+
+/**
+ * @notice Returns the heading for a message, including the tool name for tool results and the agent for
+ *         assistant messages.
+ * @param {Object} message - The message.
+ * @return {string} The heading text.
+ */
+const getMessageTitle = (message) => {
+  const title = roleTitles[message.role] || message.role;
+  if (message.role === "tool" && message.name) {
+    return `${title} (${message.name})`;
+  }
+  return message.role === "assistant" && message.agent ? `${title} (${message.agent})` : title;
+};
+
+/**
+ * @notice Renders a conversation as Markdown.
+ * @param {Object} conversation - The stored conversation.
+ * @return {string} The Markdown transcript.
+ */
+export const toMarkdown = (conversation) => {
+  const lines = [`# ${conversation.name || `Conversation ${conversation.conversationId}`}`, ""];
+  lines.push(`*Conversation ${conversation.conversationId}${conversation.timestamp ? `, started ${conversation.timestamp}` : ""}*`, "");
+
+  if (conversation.summary) {
+    lines.push("> **Summary of earlier messages:** " + conversation.summary.replace(/\n/g, "\n> "), "");
+  }
+
+  for (const message of conversation.messages) {
+    lines.push(`### ${getMessageTitle(message)}`, "");
+    const content = getContentText(message.content);
+    if (content) {
+      // Tool results are usually JSON, which reads best as a code block
+      lines.push(message.role === "tool" ? "```\n" + content + "\n```" : content, "");
+    }
+    for (const call of describeToolCalls(message)) {
+      lines.push(`*${call}*`, "");
+    }
+  }
+  return lines.join("\n");
+};
+
+/**
+ * @notice Escapes text for use in HTML.
+ * @param {string} text - The text.
+ * @return {string} The escaped text.
+ */
+const escapeHTML = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+const htmlStyles = `body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+header p { color: #666; }
+.message { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 0.5rem; background: #f4f4f5; }
+.message.user { background: #e0ecff; }
+.message.system, .message.tool, .summary { background: #fafafa; border: 1px solid #e4e4e7; }
+.role { font-weight: 600; margin-bottom: 0.25rem; }
+.content { white-space: pre-wrap; margin: 0; font: inherit; }
+.tool .content { font-family: ui-monospace, monospace; font-size: 0.9em; }
+.tool-call { color: #666; font-style: italic; }`;
+
+/**
+ * @notice Renders a conversation as a standalone HTML page with inline styles.
+ * @param {Object} conversation - The stored conversation.
+ * @return {string} The HTML document.
+ */
+export const toHTML = (conversation) => {
+  const title = escapeHTML(conversation.name || `Conversation ${conversation.conversationId}`);
+  const messages = conversation.messages.map((message) => {
+    const parts = [`<div class="role">${escapeHTML(getMessageTitle(message))}</div>`];
+    if (message.content) {
+      parts.push(`<pre class="content">${escapeHTML(getContentText(message.content))}</pre>`);
+    }
+    for (const call of describeToolCalls(message)) {
+      parts.push(`<div class="tool-call">${escapeHTML(call)}</div>`);
+    }
+    return `<section class="message ${escapeHTML(message.role)}">\n${parts.join("\n")}\n</section>`;
+  });
+
+  const summary = conversation.summary
+    ? `<section class="message summary">\n<div class="role">Summary of earlier messages</div>\n<pre class="content">${escapeHTML(conversation.summary)}</pre>\n</section>\n`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+${htmlStyles}
+</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+<p>Conversation ${escapeHTML(conversation.conversationId)}${conversation.timestamp ? `, started ${escapeHTML(conversation.timestamp)}` : ""}</p>
+</header>
+<main>
+${summary}${messages.join("\n")}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * @notice Converts a conversation to an OpenAI fine-tuning example, `{"messages": [...]}`.
+ * @dev Only the fields the fine-tuning API accepts are kept, and system messages are moved to the front.
+ * @param {Object} conversation - The stored conversation.
+ * @return {Object} The fine-tuning example.
+ */
+export const toFineTuningExample = (conversation) => {
+  const messages = conversation.messages.map(({ role, content, name, tool_calls, tool_call_id }) => {
+    const message = { role, content };
+    if (tool_calls) {
+      message.tool_calls = tool_calls;
+    }
+    if (tool_call_id) {
+      message.tool_call_id = tool_call_id;
+    }
+    if (name && role !== "tool") {
+      message.name = name;
+    }
+    return message;
+  });
+  return {
+    messages: [
+      ...messages.filter(message => message.role === "system"),
+      ...messages.filter(message => message.role !== "system"),
+    ],
+  };
+};
+
+/**
+ * @notice Renders conversations as OpenAI fine-tuning JSONL, one example per line.
+ * @dev Conversations without an assistant message cannot be trained on, so they are left out.
+ * @param {Array<Object>} conversations - The stored conversations.
+ * @return {string} The JSONL dataset, ending with a newline if it is not empty.
+ */
+export const toFineTuningJSONL = (conversations) => conversations
+  .filter(conversation => conversation.messages.some(message => message.role === "assistant"))
+  .map(conversation => JSON.stringify(toFineTuningExample(conversation)) + "\n")
+  .join("");
+
+/**
+ * @notice Parses JSONL where each line holds a `{"messages": [...]}` example.
+ * @param {string} text - The JSONL text.
+ * @return {Array<Object>} One `{ messages }` entry per non-empty line.
+ * @throws Will throw an error naming the line if a line is not valid JSON or has no messages.
+ */
+export const parseJSONL = (text) => text.split(/\r?\n/)
+  .map((line, index) => [line.trim(), index + 1])
+  .filter(([line]) => line.length > 0)
+  .map(([line, lineNumber]) => {
+    let example;
+    try {
+      example = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+    if (!example || !Array.isArray(example.messages)) {
+      throw new Error(`Line ${lineNumber} has no "messages" array.`);
+    }
+    return { name: example.name, messages: example.messages };
+  });
+
+/**
+ * @notice Parses a ChatGPT data export (`conversations.json`).
+ * @dev Each conversation is a tree of messages; we follow the branch ending at `current_node`, which
+ *      is the one the user last saw. Hidden, empty and non-text messages (tool output, images) are skipped.
+ * @param {Array<Object>} data - The parsed `conversations.json`.
+ * @return {Array<Object>} One `{ name, timestamp, messages }` entry per conversation.
+ * @throws Will throw an error if the data is not a ChatGPT export.
+ */
+export const parseChatGPTExport = (data) => {
+  if (!Array.isArray(data) || data.some(conversation => !conversation || typeof conversation.mapping !== "object")) {
+    throw new Error("Not a ChatGPT export: expected an array of conversations with a 'mapping'.");
+  }
+
+  return data.map((conversation) => {
+    const { mapping } = conversation;
+    // The latest branch ends at current_node; older exports may omit it, so fall back to the last node
+    let nodeId = conversation.current_node || Object.keys(mapping).pop();
+    const branch = [];
+    const visited = new Set();
+    while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+      visited.add(nodeId);
+      branch.unshift(mapping[nodeId]);
+      nodeId = mapping[nodeId].parent;
+    }
+
+    const messages = [];
+    for (const { message } of branch) {
+      if (!message || !message.author || !["system", "user", "assistant"].includes(message.author.role)) {
+        continue;
+      }
+      if (message.metadata && message.metadata.is_visually_hidden_from_conversation) {
+        continue;
+      }
+      const parts = (message.content && message.content.parts) || [];
+      const content = parts.filter(part => typeof part === "string").join("\n").trim();
+      if (!content) {
+        continue;
+      }
+      const imported = { role: message.author.role, content };
+      if (message.create_time) {
+        imported.timestamp = new Date(message.create_time * 1000).toISOString();
+      }
+      messages.push(imported);
+    }
+
+    return {
+      name: conversation.title || undefined,
+      timestamp: conversation.create_time ? new Date(conversation.create_time * 1000).toISOString() : undefined,
+      messages,
+    };
+  });
+};
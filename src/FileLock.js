@@ -0,0 +1,191 @@
+/**
+ * @title FileLock
+ * @notice Atomic file writes and advisory lock files, so processes sharing a log directory do not
+ *         overwrite each other's changes or leave half-written files behind.
+ * @dev Like the storage adapters, everything here is synchronous: waiting for a lock blocks the thread.
+ *      A lock is a `<file>.lock` file created exclusively, holding the owner's pid, host and start time.
+ *      Locks are advisory, so only code that takes them is kept out. A lock is stale, and is taken over,
+ *      when it is older than `staleAge` or its owner is a process on this host that no longer runs.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+
+const heldLocks = new Map();  // Lock path -> how many times this process holds it
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * @notice Blocks the thread for a while.
+ * @param {number} ms - How long to wait, in milliseconds.
+ */
+const sleep = (ms) => {
+  Atomics.wait(sleepBuffer, 0, 0, ms);
+};
+
+/**
+ * @notice Writes a file by writing a temporary file next to it and renaming it into place.
+ * @dev The rename replaces the file in one step, so readers see either the old or the new content and a
+ *      crash never leaves a truncated file.
+ * @param {string} filePath - The file to write.
+ * @param {string|Buffer} data - The content.
+ */
+export const writeFileAtomic = (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, "w");
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * @notice Reads a lock file and the inode it is stored in, which tells a lock apart from a newer one at the same path.
+ * @param {string} lockPath - The lock file.
+ * @return {Object|null} `stats` and the `content` (null while it is still being written), or null if there is no lock.
+ */
+const readLock = (lockPath) => {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+    return { stats, content: fs.readFileSync(lockPath, "utf-8") };
+  } catch (error) {
+    return stats ? { stats, content: null } : null;
+  }
+};
+
+/**
+ * @notice Checks whether a lock file was left behind by a process that is gone.
+ * @param {string} lockPath - The lock file.
+ * @param {number} staleAge - How old a lock may get before it is considered abandoned, in milliseconds.
+ * @return {Object|null} The stale lock, as returned by `readLock`, or null if it cannot be taken over.
+ */
+const findStaleLock = (lockPath, staleAge) => {
+  const lock = readLock(lockPath);
+  if (!lock) {
+    return null;
+  }
+  if (Date.now() - lock.stats.mtimeMs > staleAge) {
+    return lock;
+  }
+
+  let owner = {};
+  try {
+    owner = JSON.parse(lock.content);
+  } catch (error) {
+    // Still being written; judge it by its age only
+  }
+  if (owner && owner.hostname === os.hostname() && Number.isInteger(owner.pid) && owner.pid !== process.pid) {
+    try {
+      process.kill(owner.pid, 0);
+    } catch (error) {
+      return error.code === "ESRCH" ? lock : null;
+    }
+  }
+  return null;
+};
+
+/**
+ * @notice Removes a stale lock, unless another process has replaced it since it was found stale.
+ * @dev The lock is moved aside first, so only one process takes it over. If what was moved is not the
+ *      stale lock but a newer one, it is put back, without overwriting a lock created in the meantime.
+ * @param {string} lockPath - The lock file.
+ * @param {Object} stale - The stale lock, as returned by `findStaleLock`.
+ */
+const removeStaleLock = (lockPath, stale) => {
+  const stalePath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.stale`;
+  try {
+    fs.renameSync(lockPath, stalePath);
+  } catch (error) {
+    // Another process took it over first
+    return;
+  }
+
+  const moved = readLock(stalePath);
+  if (moved && (moved.stats.ino !== stale.stats.ino || moved.content !== stale.content)) {
+    try {
+      fs.linkSync(stalePath, lockPath);
+    } catch (error) {
+      // A third process already holds a new lock; the one moved aside cannot be put back
+    }
+  }
+  fs.rmSync(stalePath, { force: true });
+};
+
+/**
+ * @notice Takes the lock on a file, waiting for other processes to release it.
+ * @dev Locks are reentrant within a process: taking a lock the process already holds only counts it.
+ * @param {string} filePath - The file to lock.
+ * @param {Object} [options={}] - Lock settings.
+ *        - `timeout`: How long to wait for the lock, in milliseconds. Defaults to 10000.
+ *        - `staleAge`: How old a lock may get before it is taken over, in milliseconds. Defaults to 30000.
+ *        - `retryDelay`: How long to wait between attempts, in milliseconds. Defaults to 25.
+ * @return {Function} Releases the lock.
+ * @throws Will throw an error if the lock is not released within the timeout.
+ */
+export const acquireLock = (filePath, options = {}) => {
+  const { timeout = 10000, staleAge = 30000, retryDelay = 25 } = options;
+  const lockPath = `${filePath}.lock`;
+  const release = () => {
+    const count = heldLocks.get(lockPath) - 1;
+    if (count > 0) {
+      heldLocks.set(lockPath, count);
+      return;
+    }
+    heldLocks.delete(lockPath);
+    fs.rmSync(lockPath, { force: true });
+  };
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return release;
+  }
+
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() }), { flag: "wx" });
+      heldLocks.set(lockPath, 1);
+      return release;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    const stale = findStaleLock(lockPath, staleAge);
+    if (stale) {
+      removeStaleLock(lockPath, stale);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out after ${timeout}ms waiting for the lock on ${filePath}. If no other process is using it, delete ${lockPath}.`);
+    }
+    sleep(retryDelay);
+  }
+};
+
+/**
+ * @notice Runs a function while holding the lock on a file.
+ * @param {string} filePath - The file to lock.
+ * @param {Function} fn - The function to run.
+ * @param {Object} [options={}] - Lock settings, as accepted by `acquireLock`.
+ * @return {*} The function's return value.
+ */
+export const withFileLock = (filePath, fn, options = {}) => {
+  const release = acquireLock(filePath, options);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * @title Memory
+ * @notice Long-term facts about a user, kept across conversations.
+ * @dev Memories are stored in the user record as `memories`: `{ id, text, source, conversationId, createdAt }`,
+ *      where `source` is 'explicit' for facts added with `remember` and 'extracted' for facts the model
+ *      picked out of a conversation. Before each request, the memories most relevant to the conversation
+ *      are added to the system context, up to a token budget.
+ */
+
+import crypto from 'crypto';
+import { tokenizeText } from './Search.js';
+import { getContentText } from './Content.js';
+
+export const defaultExtractionPrompt = "You pick out lasting facts about the user from a conversation: their name, " +
+  "preferences, circumstances, goals and anything else worth remembering in later conversations. Leave out facts that " +
+  "are already known and details that only matter to this conversation. Reply with a JSON array of short facts in the " +
+  "third person, such as [\"The user is vegetarian.\"], or [] if there is nothing new.";
+
+const memoryHeader = "What you remember about the user from earlier conversations:";
+
+// Words too common in facts about the user to say anything about relevance
+const stopWords = new Set(["the", "and", "for", "are", "was", "has", "have", "with", "that", "this", "user", "they", "their", "you", "your"]);
+
+/**
+ * @notice Normalizes a memory setting from config.json or options.
+ * @param {boolean|Object|undefined} memory - false to turn memory off, or an object with `inject`, `maxTokens`,
+ *        `extract`, `extractionPrompt`, `extractionTokens` and `maxMemories`.
+ * @return {Object} The memory settings with defaults applied.
+ * @throws Will throw an error for a budget that is not a positive number.
+ */
+export const normalizeMemory = (memory) => {
+  const settings = memory === false ? { inject: false, extract: false } : { ...(memory || {}) };
+  for (const field of ["maxTokens", "extractionTokens", "maxMemories"]) {
+    if (settings[field] !== undefined && !(typeof settings[field] === "number" && settings[field] > 0)) {
+      throw new Error(`Memory setting '${field}' must be a positive number.`);
+    }
+  }
+  return {
+    inject: settings.inject ?? true,
+    maxTokens: settings.maxTokens || 200,
+    extract: settings.extract ?? false,
+    extractionPrompt: settings.extractionPrompt || defaultExtractionPrompt,
+    extractionTokens: settings.extractionTokens || 200,
+    maxMemories: settings.maxMemories || 100,
+  };
+};
+
+/**
+ * @notice Reduces a fact to the form used to detect duplicates.
+ * @param {string} text - The fact.
+ * @return {string} The fact in lowercase, without extra spaces or a final period.
+ */
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, " ").replace(/[.!\s]+$/, "").trim();
+
+/**
+ * @notice Adds facts to a list of memories, skipping the ones already in it.
+ * @dev When the list grows past `maxMemories`, the oldest memories are dropped.
+ * @param {Array<Object>} memories - The current memories.
+ * @param {Array<string>} texts - The facts to add.
+ * @param {Object} [fields={}] - `source` ('explicit' or 'extracted') and `conversationId` of the new memories.
+ * @param {number} [maxMemories=Infinity] - The maximum number of memories kept.
+ * @return {Object} The updated `memories`, the `added` memories, and for each text the `ids` of the
+ *         memory holding it (new or existing).
+ */
+export const addMemories = (memories, texts, fields = {}, maxMemories = Infinity) => {
+  const updated = [...memories];
+  const added = [];
+  const ids = [];
+  for (const text of texts.map(text => String(text).trim()).filter(Boolean)) {
+    const existing = updated.find(memory => normalizeText(memory.text) === normalizeText(text));
+    if (existing) {
+      ids.push(existing.id);
+      continue;
+    }
+    const memory = {
+      id: crypto.randomUUID(),
+      text,
+      source: fields.source || "explicit",
+      conversationId: fields.conversationId || null,
+      createdAt: new Date().toISOString(),
+    };
+    updated.push(memory);
+    added.push(memory);
+    ids.push(memory.id);
+  }
+  return { memories: updated.slice(Math.max(0, updated.length - maxMemories)), added, ids };
+};
+
+/**
+ * @notice Finds the memories matching an ID or a fact.
+ * @param {Array<Object>} memories - The memories.
+ * @param {string} idOrText - A memory ID, or the text of a fact (compared ignoring case and a final period).
+ * @return {Array<Object>} The matching memories.
+ */
+export const findMemories = (memories, idOrText) => memories
+  .filter(memory => memory.id === idOrText || normalizeText(memory.text) === normalizeText(String(idOrText)));
+
+/**
+ * @notice Builds the request that asks the model for new facts in some messages.
+ * @param {string} prompt - The extraction prompt.
+ * @param {Array<Object>} memories - The facts already known, so they are not extracted again.
+ * @param {Array<Object>} messages - The messages to extract from.
+ * @return {Array<Object>} The messages of the request.
+ */
+export const buildExtractionRequest = (prompt, memories, messages) => {
+  const known = memories.length > 0 ? memories.map(memory => `- ${memory.text}`).join("\n") : "(none)";
+  const transcript = messages.map(msg => `${msg.role}: ${getContentText(msg.content)}`).join("\n");
+  return [
+    { role: "system", content: prompt },
+    { role: "user", content: `Known facts:\n${known}\n\nConversation:\n${transcript}` },
+  ];
+};
+
+/**
+ * @notice Reads the facts from the model's reply to an extraction request.
+ * @dev Expects a JSON array of strings, optionally in a code block. A bulleted list is accepted too.
+ * @param {string} content - The reply.
+ * @return {Array<string>} The facts.
+ */
+export const parseExtractedFacts = (content) => {
+  const text = String(content || "").trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, "$1");
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed.filter(fact => typeof fact === "string" && fact.trim()).map(fact => fact.trim()) : [];
+  } catch (error) {
+    return text.split("\n")
+      .filter(line => /^\s*(?:[-*•]|\d+\.)\s+/.test(line))
+      .map(line => line.replace(/^\s*(?:[-*•]|\d+\.)\s+/, "").trim())
+      .filter(Boolean);
+  }
+};
+
+/**
+ * @notice Chooses the memories to send with a request and formats them as a system message.
+ * @dev Memories sharing more words with `context` come first, then newer ones. Memories are added
+ *      while the message fits within `maxTokens`; one that does not fit is skipped for shorter ones.
+ * @param {Array<Object>} memories - The user's memories.
+ * @param {string} context - Text the memories should be relevant to, such as the latest user messages.
+ * @param {number} maxTokens - The token budget for the message.
+ * @param {Function} countTokens - Counts the tokens of a text.
+ * @return {Object|null} The system message, or null if no memory fits.
+ */
+export const buildMemoryMessage = (memories, context, maxTokens, countTokens) => {
+  const terms = (text) => new Set(tokenizeText(text).filter(term => term.length > 2 && !stopWords.has(term)));
+  const contextTerms = terms(context);
+  const ranked = memories
+    .map(memory => ({ memory, relevance: [...terms(memory.text)].filter(term => contextTerms.has(term)).length }))
+    .sort((a, b) => b.relevance - a.relevance || (b.memory.createdAt || "").localeCompare(a.memory.createdAt || ""));
+
+  const chosen = [];
+  let tokens = countTokens(memoryHeader);
+  for (const { memory } of ranked) {
+    const lineTokens = countTokens(`\n- ${memory.text}`);
+    if (tokens + lineTokens > maxTokens) {
+      continue;
+    }
+    chosen.push(memory);
+    tokens += lineTokens;
+  }
+  if (chosen.length === 0) {
+    return null;
+  }
+  return { role: "system", content: [memoryHeader, ...chosen.map(memory => `- ${memory.text}`)].join("\n") };
+};
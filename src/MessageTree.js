@@ -0,0 +1,80 @@
+/**
+ * @title MessageTree
+ * @notice Helpers for conversations with branches.
+ * @dev Every user, assistant and tool message has an `id` and the `parentId` of the message it follows
+ *      (null for the first one). Editing or regenerating a message adds a sibling, so the messages form
+ *      a tree. A conversation record keeps the active path in `messages`, exactly as a flat conversation
+ *      did, and the messages of all other branches in `branches`. System messages are not part of the
+ *      tree: they stay at the start of `messages` and apply to every branch.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @notice Creates a unique message ID.
+ * @return {string} The ID.
+ */
+export const createMessageId = () => crypto.randomUUID();
+
+/**
+ * @notice Gives IDs to messages saved before conversations had branches.
+ * @dev Each message without an `id` gets one, and a `parentId` pointing at the message before it.
+ * @param {Array<Object>} messages - The active path, including system messages.
+ * @return {Array<Object>} The same messages, with IDs.
+ */
+export const assignMessageIds = (messages) => {
+  let parentId = null;
+  for (const message of messages) {
+    if (message.role === "system") {
+      continue;
+    }
+    if (!message.id) {
+      message.id = createMessageId();
+      message.parentId = parentId;
+    }
+    parentId = message.id;
+  }
+  return messages;
+};
+
+/**
+ * @notice Returns the messages from the start of the conversation down to a message.
+ * @param {Array<Object>} nodes - All messages of the tree.
+ * @param {string|null} messageId - The last message of the path, or null for an empty path.
+ * @return {Array<Object>} The path, first message first. It starts at the oldest ancestor still
+ *         present, since history trimming may have dropped earlier ones.
+ */
+export const getPath = (nodes, messageId) => {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const path = [];
+  let node = messageId ? byId.get(messageId) : null;
+  while (node && !path.includes(node)) {
+    path.unshift(node);
+    node = node.parentId ? byId.get(node.parentId) : null;
+  }
+  return path;
+};
+
+/**
+ * @notice Returns the messages that follow a message, oldest first.
+ * @param {Array<Object>} nodes - All messages of the tree.
+ * @param {string|null} parentId - The message, or null for the first messages of the conversation.
+ * @return {Array<Object>} The children.
+ */
+export const getChildren = (nodes, parentId) => nodes
+  .filter(node => (node.parentId ?? null) === parentId)
+  .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
+
+/**
+ * @notice Follows the newest child from a message down to the end of its branch.
+ * @param {Array<Object>} nodes - All messages of the tree.
+ * @param {string} messageId - The message to start from.
+ * @return {string} The ID of the last message of the branch.
+ */
+export const getLatestLeaf = (nodes, messageId) => {
+  let leafId = messageId;
+  for (let children = getChildren(nodes, leafId); children.length > 0; children = getChildren(nodes, leafId)) {
+    leafId = children[children.length - 1].id;
+  }
+  return leafId;
+};
@@ -0,0 +1,90 @@
+/**
+ * @title Middleware
+ * @notice The hooks `ConversationManager.use` registers middleware for, and how they are run.
+ * @dev Middleware is an object with a function per hook, or a single function called as
+ *      `fn(hook, context)` for every hook. Hooks run in the order the middleware was added, and may
+ *      change the context. A hook that returns anything other than `undefined` short-circuits: the
+ *      remaining middleware for that hook is skipped and the value is used as described below.
+ *      - `beforeAddMessage` `{ message }`: return false to drop the message.
+ *      - `beforeRequest` `{ messages, maxTokens, temperature, tools, responseFormat }`: return a response
+ *        (a string, or a message object) to use instead of calling the API.
+ *      - `afterResponse` `{ message, usage, request }`: return a string to replace the response.
+ *      - `onError` `{ error, request }`: return a response to use instead of throwing the error.
+ *      - `beforeSave` `{ conversation }`: return false to skip saving.
+ *      - `afterSave` `{ conversation }`: the return value is ignored.
+ *      `beforeAddMessage`, `beforeSave` and `afterSave` run inside synchronous methods, so their hooks
+ *      must be synchronous too. The other hooks may be async.
+ */
+
+export const middlewareHooks = ["beforeAddMessage", "beforeRequest", "afterResponse", "onError", "beforeSave", "afterSave"];
+
+/**
+ * @notice Checks middleware passed to `use` and turns it into a function per hook.
+ * @param {Function|Object} middleware - A function called for every hook, or an object of hook functions.
+ * @return {Function} A function called as `fn(hook, context)`.
+ * @throws Will throw an error for anything else, or an object with an unknown hook.
+ */
+export const normalizeMiddleware = (middleware) => {
+  if (typeof middleware === "function") {
+    return middleware;
+  }
+  if (!middleware || typeof middleware !== "object") {
+    throw new Error("Middleware must be a function or an object of hook functions.");
+  }
+  for (const [hook, handler] of Object.entries(middleware)) {
+    if (!middlewareHooks.includes(hook)) {
+      throw new Error(`Unknown middleware hook '${hook}'. Please use ${middlewareHooks.map(name => `'${name}'`).join(", ")}.`);
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Middleware hook '${hook}' must be a function.`);
+    }
+  }
+  return (hook, context) => (middleware[hook] ? middleware[hook](context) : undefined);
+};
+
+/**
+ * @notice Runs a hook through the middleware chain.
+ * @param {Array<Function>} chain - The normalized middleware.
+ * @param {string} hook - The hook name.
+ * @param {Object} context - The hook's context, which middleware may change.
+ * @return {Promise<*>} The first value other than `undefined` returned by a middleware, if any.
+ */
+export const runHooks = async (chain, hook, context) => {
+  for (const middleware of chain) {
+    const result = await middleware(hook, context);
+    if (result !== undefined) {
+      return result;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * @notice Runs a hook through the middleware chain synchronously.
+ * @param {Array<Function>} chain - The normalized middleware.
+ * @param {string} hook - The hook name.
+ * @param {Object} context - The hook's context, which middleware may change.
+ * @return {*} The first value other than `undefined` returned by a middleware, if any.
+ * @throws Will throw an error if a middleware returns a promise.
+ */
+export const runHooksSync = (chain, hook, context) => {
+  for (const middleware of chain) {
+    const result = middleware(hook, context);
+    if (result && typeof result.then === "function") {
+      throw new Error(`Middleware for '${hook}' must be synchronous.`);
+    }
+    if (result !== undefined) {
+      return result;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * @notice Turns a short-circuit value of `beforeRequest` or `onError` into an API response.
+ * @param {string|Object} response - The response text, or an assistant message object.
+ * @return {Object} A response in the shape `requestCompletion` returns, without usage.
+ */
+export const toCompletion = (response) => ({
+  choices: [{ message: typeof response === "string" ? { role: "assistant", content: response } : { role: "assistant", ...response } }],
+});
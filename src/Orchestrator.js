@@ -0,0 +1,294 @@
+/**
+ * @title Orchestrator
+ * @notice Runs several agents in one conversation: handing it off between them, and letting two of them
+ *         talk to each other.
+ * @dev Agents are the `models` entries in config.json. A handoff applies the next agent with `setSystem`,
+ *      which replaces the system prompt and settings but keeps the history, so the new agent sees
+ *      everything said so far. Every assistant message records the `agent` that wrote it.
+ *      The agent that answers a user message is chosen by, in order:
+ *      1. `rules`: The first rule whose `pattern` matches the message, or whose `when` returns true.
+ *      2. `router`: A routing agent, shown the recent messages and each agent's `description` from
+ *         config.json, which answers with the agent to use.
+ *      3. The current agent, or `defaultAgent` if none has answered yet.
+ *      The router and the two sides of a dialogue are helper ConversationManagers linked to the
+ *      conversation (the `linkedTo` option), sharing its user, storage, attachments, redaction, long-term
+ *      memories and middleware, so their requests carry the user's memories and run the same
+ *      `beforeRequest` and `afterResponse` hooks, and their usage counts towards the user's quotas. They
+ *      never save anything themselves, nor extract memories.
+ */
+
+import { EventEmitter } from 'events';
+import { ConversationManager, readConfigFile } from '../ConversationManager.js';
+import { getContentText } from './Content.js';
+import { EmptyResponseError } from './Errors.js';
+import { addUsage, emptyUsage } from './Usage.js';
+
+const defaultContextMessages = 6;
+const defaultDialogueTurns = 4;
+
+/**
+ * @notice Checks a routing rule and turns it into a test function.
+ * @param {Object} rule - The rule: an `agent`, and a `pattern` (a RegExp, or a string matched ignoring
+ *        case) or a `when(text, conversation)` function.
+ * @param {Array<string>} agents - The orchestrator's agents.
+ * @return {Object} The rule's `agent` and its `test(text, conversation)` function.
+ * @throws Will throw an error if the agent is not one of `agents`, or the rule has no pattern or function.
+ */
+const normalizeRule = (rule, agents) => {
+  if (!rule || !agents.includes(rule.agent)) {
+    throw new Error(`Routing rule agent '${rule && rule.agent}' is not one of the orchestrator's agents.`);
+  }
+  if (typeof rule.when === "function") {
+    return { agent: rule.agent, test: (text, conversation) => Boolean(rule.when(text, conversation)) };
+  }
+  if (!rule.pattern) {
+    throw new Error(`The routing rule for '${rule.agent}' needs a pattern or a when function.`);
+  }
+  const pattern = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, "i");
+  return {
+    agent: rule.agent,
+    test: (text) => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    },
+  };
+};
+
+/**
+ * @notice Builds the message asking the routing agent to choose an agent.
+ * @param {Object} descriptions - The agents' descriptions, by agent ID.
+ * @param {string|null} currentAgent - The agent that answered last, if any.
+ * @param {Array<Object>} messages - The recent user and assistant messages.
+ * @return {string} The message.
+ */
+const buildRoutingPrompt = (descriptions, currentAgent, messages) => {
+  const agents = Object.entries(descriptions).map(([id, description]) => (description ? `- ${id}: ${description}` : `- ${id}`));
+  const transcript = messages.map(msg => `${msg.agent ? `${msg.role} (${msg.agent})` : msg.role}: ${getContentText(msg.content)}`);
+  return [
+    "Choose the agent that should answer the user's last message.",
+    "",
+    "Agents:",
+    ...agents,
+    "",
+    currentAgent ? `The current agent is ${currentAgent}.` : "No agent has answered yet.",
+    "",
+    "Conversation:",
+    ...transcript,
+    "",
+    'Reply with JSON: {"agent": "<agent ID>", "reason": "<one sentence>"}.',
+  ].join("\n");
+};
+
+/**
+ * @title AgentOrchestrator
+ * @notice Routes a conversation between agents, and runs dialogues between two agents.
+ * @dev Emits 'handoff' with `{ from, to, reason }` when the agent changes, 'turn' with
+ *      `{ turn, agent, content }` after each turn of a dialogue, and 'end' with `{ turn, agent, reason }`
+ *      when an agent's empty answer ends a dialogue early.
+ */
+export class AgentOrchestrator extends EventEmitter {
+  /**
+   * @param {ConversationManager} conversation - The conversation to orchestrate.
+   * @param {Object} [options={}] - Orchestration settings.
+   *        - `agents`: The IDs of the agents to route between. Defaults to every `models` entry in
+   *          config.json except the router.
+   *        - `rules`: Routing rules, each with an `agent` and a `pattern` (a RegExp, or a string matched
+   *          ignoring case) or a `when(text, conversation)` function.
+   *        - `router`: The ID of the routing agent asked when no rule matches.
+   *        - `defaultAgent`: The agent to start with. Defaults to the first of `agents`.
+   *        - `variables`: Prompt template variables, by agent ID.
+   *        - `contextMessages`: How many recent messages the router is shown. Defaults to 6.
+   * @throws Will throw an error for an agent or router not in config.json, or an invalid rule.
+   */
+  constructor(conversation, options = {}) {
+    super();
+    this.conversation = conversation;
+    this.models = readConfigFile().models || {};
+    this.router = options.router || null;
+    this.agents = options.agents || Object.keys(this.models).filter(id => id !== this.router);
+    if (this.agents.length === 0) {
+      throw new Error("An orchestrator needs at least one agent.");
+    }
+    [...this.agents, this.router].filter(Boolean).forEach(id => this.checkAgent(id));
+    this.defaultAgent = options.defaultAgent || this.agents[0];
+    if (!this.agents.includes(this.defaultAgent)) {
+      throw new Error(`The default agent '${this.defaultAgent}' is not one of the orchestrator's agents.`);
+    }
+    this.rules = (options.rules || []).map(rule => normalizeRule(rule, this.agents));
+    this.variables = options.variables || {};
+    this.contextMessages = options.contextMessages || defaultContextMessages;
+    this.routerConversation = null;  // Created on the first routing decision
+  }
+
+  /**
+   * @notice Checks that an agent is defined in config.json.
+   * @param {string} agentId - The agent ID.
+   * @throws Will throw an error if it is not.
+   */
+  checkAgent(agentId) {
+    if (!this.models[agentId]) {
+      throw new Error(`Unknown agent '${agentId}'. Agents are the 'models' entries in config.json.`);
+    }
+  }
+
+  /**
+   * @notice Creates a helper conversation for an agent, linked to the orchestrated conversation.
+   * @param {string} agentId - The agent ID.
+   * @return {ConversationManager} The helper, with the agent applied and memory extraction off.
+   */
+  createAgentConversation(agentId) {
+    const { conversation } = this;
+    const helper = new ConversationManager(conversation.userId, undefined, { linkedTo: conversation });
+    helper.setSystem("config", { modelId: agentId, variables: this.variables[agentId] });
+    helper.memory = { ...helper.memory, extract: false };
+    return helper;
+  }
+
+  /**
+   * @notice Adds a helper conversation's usage to the orchestrated conversation's totals.
+   * @param {ConversationManager} helper - The helper conversation.
+   */
+  collectUsage(helper) {
+    this.conversation.usage = addUsage(this.conversation.usage, helper.usage);
+    helper.usage = emptyUsage();
+  }
+
+  /**
+   * @notice Hands the conversation off to another agent.
+   * @param {string} agentId - The agent to hand off to.
+   * @param {string|null} [reason=null] - Why, for the 'handoff' event.
+   * @return {boolean} True if the agent changed.
+   * @throws Will throw an error if the agent is not one of the orchestrator's agents.
+   */
+  handoff(agentId, reason = null) {
+    if (!this.agents.includes(agentId)) {
+      throw new Error(`Unknown agent '${agentId}'. Please use ${this.agents.map(id => `'${id}'`).join(", ")}.`);
+    }
+    const from = this.conversation.agentId;
+    if (from === agentId) {
+      return false;
+    }
+    this.conversation.setSystem("config", { modelId: agentId, variables: this.variables[agentId] });
+    this.emit("handoff", { from, to: agentId, reason });
+    return true;
+  }
+
+  /**
+   * @notice Asks the routing agent which agent should answer the last message.
+   * @return {Promise<Object>} The decision: `agent` and `reason`.
+   * @throws {StructuredOutputError} If the router does not answer with one of the agents.
+   */
+  async askRouter() {
+    if (!this.routerConversation) {
+      this.routerConversation = this.createAgentConversation(this.router);
+    }
+    const router = this.routerConversation;
+    router.activeConversationId = this.conversation.activeConversationId;
+    router.memories = this.conversation.memories;
+    router.messages = router.messages.filter(msg => msg.role === "system");
+
+    const recent = this.conversation.messages
+      .filter(msg => (msg.role === "user" || msg.role === "assistant") && msg.content)
+      .slice(-this.contextMessages);
+    router.addMessage(buildRoutingPrompt(
+      Object.fromEntries(this.agents.map(id => [id, this.models[id].description || ""])),
+      this.conversation.agentId,
+      recent
+    ));
+    try {
+      return await router.callAPI({
+        schemaName: "routing_decision",
+        responseSchema: {
+          type: "object",
+          properties: { agent: { type: "string", enum: this.agents }, reason: { type: "string" } },
+          required: ["agent", "reason"],
+          additionalProperties: false,
+        },
+      });
+    } finally {
+      this.collectUsage(router);
+    }
+  }
+
+  /**
+   * @notice Chooses the agent for a user message, by the rules, the router, or the current agent.
+   * @param {string} text - The text of the user message.
+   * @return {Promise<Object>} The decision: `agent`, `reason`, and `by` ('rule', 'router' or 'default').
+   */
+  async route(text) {
+    const rule = this.rules.find(candidate => candidate.test(text, this.conversation));
+    if (rule) {
+      return { agent: rule.agent, reason: "Matched a routing rule.", by: "rule" };
+    }
+    if (this.router) {
+      return { ...(await this.askRouter()), by: "router" };
+    }
+    const agent = this.agents.includes(this.conversation.agentId) ? this.conversation.agentId : this.defaultAgent;
+    return { agent, reason: null, by: "default" };
+  }
+
+  /**
+   * @notice Adds a user message, hands off to the agent chosen for it, and gets that agent's response.
+   * @param {string|Array<string|Object>} content - The user message, as accepted by `addMessage`.
+   * @param {Object} [options={}] - The options passed to `callAPI`.
+   * @return {Promise<Object>} `agent`, `response` (as returned by `callAPI`), and the `route` decision.
+   */
+  async send(content, options = {}) {
+    const id = this.conversation.addMessage(content);
+    const message = id ? this.conversation.messages.find(msg => msg.id === id) : null;
+    const route = await this.route(message ? getContentText(message.content) : "");
+    this.handoff(route.agent, route.reason);
+    const response = await this.conversation.callAPI(options);
+    return { agent: route.agent, response, route };
+  }
+
+  /**
+   * @notice Lets two agents talk to each other, taking turns, and records the exchange in the conversation.
+   * @dev Each agent sees its own messages as 'assistant' messages and the other agent's as 'user'
+   *      messages. The conversation gets the opening as a user message and each turn as an assistant
+   *      message with its `agent`, and is not saved. An agent that answers with nothing, e.g. because a
+   *      content filter blocked it, ends the dialogue early.
+   * @param {Array<string>} agents - The two agent IDs. The first one answers the opening.
+   * @param {string} opening - The message that starts the dialogue, such as a topic or a question.
+   * @param {Object} [options={}] - `turns`: How many responses there are in total. Defaults to 4.
+   * @return {Promise<Array<Object>>} The turns, each with `agent` and `content`. Fewer than `turns` if an agent
+   *         answered with nothing.
+   * @throws Will throw an error if there are not two agents in config.json, or `turns` is not a positive integer.
+   */
+  async runDialogue(agents, opening, options = {}) {
+    if (!Array.isArray(agents) || agents.length !== 2) {
+      throw new Error("A dialogue needs exactly two agents.");
+    }
+    agents.forEach(id => this.checkAgent(id));
+    const turns = options.turns ?? defaultDialogueTurns;
+    if (!Number.isInteger(turns) || turns < 1) {
+      throw new Error("The number of dialogue turns must be a positive integer.");
+    }
+
+    const sides = agents.map(id => this.createAgentConversation(id));
+    this.conversation.addMessage(opening);
+    const transcript = [];
+    let content = opening;
+    for (let turn = 1; turn <= turns; turn++) {
+      const side = sides[(turn - 1) % 2];
+      side.addMessage(content);
+      try {
+        content = await side.callAPI();
+      } catch (error) {
+        if (error instanceof EmptyResponseError) {
+          this.emit("end", { turn, agent: side.agentId, reason: error.finishReason });
+          break;
+        }
+        throw error;
+      } finally {
+        this.collectUsage(side);
+      }
+
+      const { model, usage } = side.messages[side.messages.length - 1];
+      this.conversation.addMessage(content, "assistant", { agent: side.agentId, ...(usage ? { model, usage } : {}) });
+      transcript.push({ agent: side.agentId, content });
+      this.emit("turn", { turn, agent: side.agentId, content });
+    }
+    return transcript;
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * @title PromptTemplate
+ * @notice Renders agent prompts written as templates.
+ * @dev The syntax is a small subset of Mustache/Handlebars:
+ *      - `{{name}}`: A required variable. Dotted names (`{{customer.name}}`) read nested values.
+ *      - `{{name|default}}`: A variable with a default, used when it is not passed. Quote the
+ *        default to keep surrounding spaces: `{{greeting|"Hello there"}}`.
+ *      - `{{#if name}}...{{else}}...{{/if}}` and `{{#unless name}}...{{/unless}}`: Conditionals.
+ *        A variable is false when it is missing, null, false, an empty string or an empty array.
+ *      - `{{> file}}`: Includes another agent file, rendered with the same variables. The path is
+ *        relative to the including file, and `.txt` is added if the path has no extension. Only agent
+ *        files can include, and only files inside the directory of the agent file being rendered;
+ *        inline prompts, which may come from users, cannot read files.
+ *      - `{{! comment}}`: Left out of the rendered prompt.
+ *      A block tag or comment alone on its line removes the whole line, so templates can be laid out
+ *      one tag per line. Variables inside a branch that is not rendered are not required.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const tagPattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const namePattern = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+
+/**
+ * @notice Describes where a template came from, for error messages.
+ * @param {string|null} source - The template's file path.
+ * @return {string} The file path, or 'the prompt' for inline templates.
+ */
+const describeSource = (source) => source || "the prompt";
+
+/**
+ * @notice Returns the line a position in a template falls on.
+ * @param {string} template - The template.
+ * @param {number} index - The position.
+ * @return {number} The 1-based line number.
+ */
+const getLine = (template, index) => template.slice(0, index).split("\n").length;
+
+/**
+ * @notice Classifies the contents of a tag.
+ * @param {string} body - The text between the braces.
+ * @return {Object|null} The tag, or null if it is not valid syntax.
+ */
+const parseTag = (body) => {
+  if (body.startsWith("!")) {
+    return { type: "comment" };
+  }
+  if (body.startsWith(">")) {
+    const file = body.slice(1).trim();
+    return file ? { type: "include", file } : null;
+  }
+  const block = body.match(/^#(if|unless)\s+(\S+)$/);
+  if (block) {
+    return namePattern.test(block[2]) ? { type: "open", block: block[1], name: block[2] } : null;
+  }
+  const close = body.match(/^\/(if|unless)$/);
+  if (close) {
+    return { type: "close", block: close[1] };
+  }
+  if (body === "else") {
+    return { type: "else" };
+  }
+
+  const separator = body.indexOf("|");
+  const name = (separator === -1 ? body : body.slice(0, separator)).trim();
+  if (!namePattern.test(name)) {
+    return null;
+  }
+  if (separator === -1) {
+    return { type: "variable", name };
+  }
+  let fallback = body.slice(separator + 1).trim();
+  if (fallback.length >= 2 && fallback.startsWith('"') && fallback.endsWith('"')) {
+    fallback = fallback.slice(1, -1);
+  }
+  return { type: "variable", name, fallback };
+};
+
+/**
+ * @notice Splits a template into text and tags, dropping the lines of standalone block tags.
+ * @param {string} template - The template.
+ * @param {string|null} source - The template's file path, for error messages.
+ * @return {Array<Object>} The tokens in order.
+ * @throws Will throw an error for invalid tags.
+ */
+const tokenize = (template, source) => {
+  const tokens = [];
+  let position = 0;
+
+  for (const match of template.matchAll(tagPattern)) {
+    const tag = parseTag(match[1]);
+    if (!tag) {
+      throw new Error(`Invalid template tag '${match[0]}' in ${describeSource(source)} on line ${getLine(template, match.index)}.`);
+    }
+    tag.line = getLine(template, match.index);
+
+    let text = template.slice(position, match.index);
+    position = match.index + match[0].length;
+
+    if (tag.type !== "variable" && tag.type !== "include") {
+      // Standalone: only whitespace between the tag and the surrounding line breaks
+      const lineStart = text.lastIndexOf("\n") + 1;
+      const before = text.slice(lineStart);
+      const after = template.slice(position).match(/^[ \t]*(\r?\n|$)/);
+      const startsLine = lineStart > 0 || tokens.length === 0 || tokens[tokens.length - 1].standaloneEnd;
+      if (/^[ \t]*$/.test(before) && startsLine && after) {
+        text = text.slice(0, lineStart);
+        position += after[0].length;
+        tag.standaloneEnd = true;
+      }
+    }
+    tokens.push({ type: "text", value: text }, tag);
+  }
+  tokens.push({ type: "text", value: template.slice(position) });
+  return tokens;
+};
+
+/**
+ * @notice Builds the tree of a template's tokens, nesting the contents of blocks.
+ * @param {Array<Object>} tokens - The tokens from `tokenize`.
+ * @param {string|null} source - The template's file path, for error messages.
+ * @return {Array<Object>} The top-level nodes.
+ * @throws Will throw an error for unbalanced blocks.
+ */
+const buildTree = (tokens, source) => {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  for (const token of tokens) {
+    const block = current();
+    const target = block.inElse ? block.otherwise : block.children;
+    switch (token.type) {
+      case "comment":
+        break;
+      case "open": {
+        const node = { ...token, children: [], otherwise: [] };
+        target.push(node);
+        stack.push(node);
+        break;
+      }
+      case "else":
+        if (block === root || block.inElse) {
+          throw new Error(`Unexpected {{else}} in ${describeSource(source)} on line ${token.line}.`);
+        }
+        block.inElse = true;
+        break;
+      case "close":
+        if (block === root || block.block !== token.block) {
+          throw new Error(`Unexpected {{/${token.block}}} in ${describeSource(source)} on line ${token.line}.`);
+        }
+        stack.pop();
+        break;
+      default:
+        target.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = current();
+    throw new Error(`Unclosed {{#${open.block} ${open.name}}} in ${describeSource(source)} on line ${open.line}.`);
+  }
+  return root.children;
+};
+
+/**
+ * @notice Looks up a variable, following dotted names into nested objects.
+ * @param {Object} variables - The variables.
+ * @param {string} name - The variable name.
+ * @return {*} The value, or undefined if it is not set.
+ */
+const lookup = (variables, name) => name.split(".").reduce(
+  (value, key) => (value !== null && value !== undefined && Object.hasOwn(Object(value), key) ? value[key] : undefined),
+  variables
+);
+
+/**
+ * @notice Decides whether a variable counts as true in a conditional.
+ * @param {*} value - The value.
+ * @return {boolean} False for missing, null, false, empty string and empty array values.
+ */
+const isTruthy = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== undefined && value !== null && value !== false && value !== "";
+};
+
+/**
+ * @notice Formats a variable's value for the prompt.
+ * @param {*} value - The value.
+ * @return {string} Strings as they are, Dates as 'YYYY-MM-DD', arrays joined with commas and
+ *         other objects as JSON.
+ */
+const formatValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(", ");
+  }
+  if (value !== null && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * @notice Checks that a path is inside a directory.
+ * @param {string} filePath - The absolute path.
+ * @param {string} directory - The absolute directory path.
+ * @return {boolean} True if the path is inside the directory.
+ */
+const isInside = (filePath, directory) => {
+  const relative = path.relative(directory, filePath);
+  return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
+};
+
+/**
+ * @notice Resolves the file an include tag refers to.
+ * @param {string} file - The path in the tag.
+ * @param {string} source - The including template's file path.
+ * @param {string} root - The directory of the agent file being rendered, which includes must stay in.
+ * @param {number} line - The line of the include tag, for error messages.
+ * @return {string} The resolved path.
+ * @throws Will throw an error if the path is absolute, leads outside `root` or does not exist.
+ */
+const resolveInclude = (file, source, root, line) => {
+  if (path.isAbsolute(file)) {
+    throw new Error(`Included file '${file}' must be a relative path, included from ${source} on line ${line}.`);
+  }
+  const base = path.dirname(source);
+  const candidates = [path.resolve(base, file)];
+  if (!path.extname(file)) {
+    candidates.push(path.resolve(base, `${file}.txt`));
+  }
+  // Symbolic links are followed before checking, so they cannot lead out of the directory either
+  const outside = (candidate) => !isInside(candidate, root)
+    || (fs.existsSync(candidate) && !isInside(fs.realpathSync(candidate), fs.realpathSync(root)));
+  if (candidates.some(outside)) {
+    throw new Error(`Included file '${file}' is outside the agent directory ${root}, included from ${source} on line ${line}.`);
+  }
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    throw new Error(`Included file '${file}' not found, included from ${source} on line ${line}.`);
+  }
+  return found;
+};
+
+/**
+ * @notice Renders a list of nodes.
+ * @param {Array<Object>} nodes - The nodes.
+ * @param {Object} state - The render state: `variables`, the `missing` variable names, the `source`
+ *        path, the `root` directory includes must stay in and the `includes` stack of files being rendered.
+ * @return {string} The rendered text.
+ */
+const renderNodes = (nodes, state) => nodes.map((node) => {
+  switch (node.type) {
+    case "text":
+      return node.value;
+    case "variable": {
+      const value = lookup(state.variables, node.name);
+      if (value !== undefined && value !== null) {
+        return formatValue(value);
+      }
+      if (node.fallback !== undefined) {
+        return node.fallback;
+      }
+      state.missing.add(node.name);
+      return "";
+    }
+    case "open": {
+      const truthy = isTruthy(lookup(state.variables, node.name));
+      return renderNodes((node.block === "if") === truthy ? node.children : node.otherwise, state);
+    }
+    case "include": {
+      const file = resolveInclude(node.file, state.source, state.root, node.line);
+      if (state.includes.includes(file)) {
+        throw new Error(`Circular include of '${node.file}' in ${describeSource(state.source)} on line ${node.line}.`);
+      }
+      const template = fs.readFileSync(file, "utf-8").replace(/\r?\n$/, "");
+      const nodes = buildTree(tokenize(template, file), file);
+      return renderNodes(nodes, { ...state, source: file, includes: [...state.includes, file] });
+    }
+  }
+}).join("");
+
+/**
+ * @notice Renders a prompt template.
+ * @param {string} template - The template text.
+ * @param {Object} [variables={}] - The variable values.
+ * @param {Object} [options={}] - Render settings.
+ *        - `source`: The template's file path, used in error messages and to resolve includes.
+ *          Templates without one cannot include files.
+ * @return {string} The rendered prompt.
+ * @throws Will throw an error for invalid syntax, includes in inline templates or outside the agent's
+ *         directory, missing included files, circular includes, or required variables that were not
+ *         passed, listing all of them.
+ */
+export const renderTemplate = (template, variables = {}, options = {}) => {
+  const source = options.source ? path.resolve(options.source) : null;
+  const tokens = tokenize(template, options.source || null);
+  const include = source ? null : tokens.find(token => token.type === "include");
+  if (include) {
+    throw new Error(`Includes are only allowed in agent files, not in the prompt: '{{> ${include.file}}}' on line ${include.line}.`);
+  }
+  const state = {
+    variables: variables || {},
+    missing: new Set(),
+    source,
+    root: source ? path.dirname(source) : null,
+    includes: source ? [source] : [],
+  };
+  const rendered = renderNodes(buildTree(tokens, options.source || null), state);
+
+  if (state.missing.size > 0) {
+    const names = [...state.missing];
+    throw new Error(`Missing required ${names.length === 1 ? "variable" : "variables"} for ${describeSource(options.source)}: ${names.join(", ")}. Pass ${names.length === 1 ? "it" : "them"} in the 'variables' option of setSystem, or give ${names.length === 1 ? "it" : "them"} a default with {{name|default}}.`);
+  }
+  return rendered;
+};
+
+/**
+ * @notice Reads and renders a prompt template file.
+ * @param {string} filePath - The template's path.
+ * @param {Object} [variables={}] - The variable values.
+ * @return {string} The rendered prompt.
+ * @throws Will throw an error if the template cannot be rendered; see `renderTemplate`.
+ */
+export const renderTemplateFile = (filePath, variables = {}) =>
+  renderTemplate(fs.readFileSync(filePath, "utf-8"), variables, { source: filePath });
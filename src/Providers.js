@@ -0,0 +1,439 @@
+/**
+ * @title Providers
+ * @notice Adapters that let APIHandler talk to chat APIs other than OpenAI's.
+ * @dev Conversations are always kept in the OpenAI chat format. A provider translates a request into
+ *      the URL, headers and body its API expects, and translates responses and stream events back
+ *      into the OpenAI shape (`choices[0].message`), so the rest of the library does not need to know
+ *      which API it is talking to.
+ */
+
+import { APIError, ContextLengthError, createAPIError } from './Errors.js';
+
+const anthropicVersion = "2023-06-01";
+
+/**
+ * @title Provider
+ * @notice Base class for providers. Implements the OpenAI chat completions API, which most
+ *         providers and local servers are compatible with.
+ */
+export class Provider {
+  /**
+   * @param {Object} [options={}] - Provider settings.
+   *        - `baseUrl`: The API base URL, e.g. 'http://localhost:8000/v1'.
+   *        - `apiUrl`: The full endpoint URL. Overrides `baseUrl`.
+   *        - `apiKeyEnv`: The environment variable holding the API key.
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || this.constructor.defaultBaseUrl || "").replace(/\/+$/, "");
+    this.apiUrl = options.apiUrl || null;
+    this.apiKeyEnv = options.apiKeyEnv || this.constructor.defaultApiKeyEnv || null;
+  }
+
+  /**
+   * @notice The name used in log and error messages.
+   * @return {string} The provider's display name.
+   */
+  get label() {
+    return "OpenAI";
+  }
+
+  /**
+   * @notice Whether requests fail without an API key.
+   * @return {boolean} True if an API key is required.
+   */
+  get requiresApiKey() {
+    return true;
+  }
+
+  /**
+   * @notice Whether the API reports token usage at the end of a stream when asked with `stream_options`.
+   * @return {boolean} True if `stream_options.include_usage` is supported.
+   */
+  get supportsStreamUsage() {
+    return true;
+  }
+
+  /**
+   * @notice The endpoint chat requests are posted to.
+   * @return {string} The URL.
+   */
+  getUrl() {
+    return this.apiUrl || `${this.baseUrl}/chat/completions`;
+  }
+
+  /**
+   * @notice The authentication headers for a request.
+   * @param {string} apiKey - The API key, possibly empty.
+   * @return {Object} The headers.
+   */
+  getAuthHeaders(apiKey) {
+    return apiKey ? { "Authorization": `Bearer ${apiKey}` } : {};
+  }
+
+  /**
+   * @notice Builds the HTTP request for a chat completion.
+   * @param {Object} request - The request settings.
+   *        - `apiKey`, `model`, `messages`, `maxTokens`, `temperature`.
+   *        - `tools`: Tool definitions in the OpenAI `tools` format.
+   *        - `responseFormat`: A `response_format` asking for JSON that matches a schema.
+   *        - `stream`: Whether to stream the response.
+   * @return {Object} The `url`, `headers` and `body` (an object) to post.
+   */
+  buildRequest({ apiKey, model, messages, maxTokens, temperature, tools, responseFormat, stream }) {
+    const body = { model, messages, max_tokens: maxTokens, temperature };
+    if (tools && tools.length > 0) {
+      body.tools = tools;
+    }
+    if (responseFormat) {
+      body.response_format = responseFormat;
+    }
+    if (stream) {
+      body.stream = true;
+      if (this.supportsStreamUsage) {
+        body.stream_options = { include_usage: true };
+      }
+    }
+    return {
+      url: this.getUrl(),
+      headers: { "Content-Type": "application/json", ...this.getAuthHeaders(apiKey) },
+      body,
+    };
+  }
+
+  /**
+   * @notice Creates the typed error for a failed API response.
+   * @param {number} status - The HTTP status code.
+   * @param {string} statusText - The HTTP status text.
+   * @param {string} body - The raw response body.
+   * @param {number|null} retryAfter - The server's requested retry delay, in milliseconds.
+   * @return {APIError} The error matching the response.
+   */
+  createError(status, statusText, body, retryAfter) {
+    return createAPIError(status, statusText, body, retryAfter, this.label);
+  }
+
+  /**
+   * @notice Converts a response body to the OpenAI chat completions shape.
+   * @param {Object} data - The parsed response body.
+   * @return {Object} The response, with `choices[0].message` if the API returned one.
+   */
+  parseResponse(data) {
+    return data;
+  }
+
+  /**
+   * @notice Reads a server-sent event from a streamed response.
+   * @param {string} data - The event's data.
+   * @return {Object} `{ delta }` with the text it adds (possibly empty), or `{ done: true }` at the end of
+   *         the stream. Events that report token usage also include `usage`, in the OpenAI `usage` shape.
+   */
+  parseStreamEvent(data) {
+    if (data === "[DONE]") {
+      return { done: true };
+    }
+    const chunk = JSON.parse(data);
+    const delta = chunk.choices && chunk.choices.length > 0 ? chunk.choices[0].delta : null;
+    const event = { delta: (delta && delta.content) || "" };
+    if (chunk.usage) {
+      event.usage = chunk.usage;
+    }
+    return event;
+  }
+}
+
+/**
+ * @title OpenAIProvider
+ * @notice OpenAI's public API.
+ */
+export class OpenAIProvider extends Provider {}
+
+OpenAIProvider.defaultBaseUrl = "https://api.openai.com/v1";
+OpenAIProvider.defaultApiKeyEnv = "OPENAI_API_KEY";
+
+/**
+ * @title OpenAICompatibleProvider
+ * @notice Any server implementing the OpenAI chat completions API, such as vLLM or LM Studio.
+ * @dev The API key is optional and only sent when `apiKeyEnv` is set, so an OpenAI key is never
+ *      sent to another server by accident.
+ */
+export class OpenAICompatibleProvider extends Provider {
+  constructor(options = {}) {
+    super(options);
+    if (!this.baseUrl && !this.apiUrl) {
+      throw new Error("The 'openai-compatible' provider requires a baseUrl.");
+    }
+  }
+
+  get label() {
+    return "OpenAI-compatible";
+  }
+
+  get requiresApiKey() {
+    return false;
+  }
+
+  get supportsStreamUsage() {
+    return false;
+  }
+}
+
+/**
+ * @title OllamaProvider
+ * @notice A local Ollama server, through its OpenAI-compatible endpoint.
+ */
+export class OllamaProvider extends OpenAICompatibleProvider {
+  get label() {
+    return "Ollama";
+  }
+}
+
+OllamaProvider.defaultBaseUrl = "http://localhost:11434/v1";
+
+/**
+ * @title AzureOpenAIProvider
+ * @notice OpenAI models deployed on Azure.
+ * @dev Requests go to `<baseUrl>/openai/deployments/<deployment>/chat/completions?api-version=<apiVersion>`
+ *      and authenticate with the `api-key` header. The deployment defaults to the model name.
+ */
+export class AzureOpenAIProvider extends Provider {
+  /**
+   * @param {Object} [options={}] - Provider settings: `baseUrl` (e.g. 'https://my-resource.openai.azure.com'),
+   *        `deployment`, `apiVersion` and `apiKeyEnv`.
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!this.baseUrl && !this.apiUrl) {
+      throw new Error("The 'azure' provider requires a baseUrl, e.g. 'https://my-resource.openai.azure.com'.");
+    }
+    this.deployment = options.deployment || null;
+    this.apiVersion = options.apiVersion || AzureOpenAIProvider.defaultApiVersion;
+  }
+
+  get label() {
+    return "Azure OpenAI";
+  }
+
+  getAuthHeaders(apiKey) {
+    return { "api-key": apiKey };
+  }
+
+  buildRequest(request) {
+    const built = super.buildRequest(request);
+    const deployment = encodeURIComponent(this.deployment || request.model);
+    built.url = this.apiUrl
+      || `${this.baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${encodeURIComponent(this.apiVersion)}`;
+    return built;
+  }
+}
+
+AzureOpenAIProvider.defaultApiKeyEnv = "AZURE_OPENAI_API_KEY";
+AzureOpenAIProvider.defaultApiVersion = "2024-10-21";
+
+/**
+ * @title AnthropicProvider
+ * @notice Anthropic's Messages API.
+ * @dev System messages are sent in the separate `system` field, tool calls become `tool_use` content
+ *      blocks and tool results are sent back as `tool_result` blocks in a user message. There is no
+ *      `response_format`, so a requested JSON schema is added to the system prompt instead.
+ */
+export class AnthropicProvider extends Provider {
+  get label() {
+    return "Anthropic";
+  }
+
+  getUrl() {
+    return this.apiUrl || `${this.baseUrl}/v1/messages`;
+  }
+
+  getAuthHeaders(apiKey) {
+    return { "x-api-key": apiKey, "anthropic-version": anthropicVersion };
+  }
+
+  createError(status, statusText, body, retryAfter) {
+    const error = super.createError(status, statusText, body, retryAfter);
+    // Anthropic has no error code for an oversized prompt, only the message
+    if (status === 400 && error.type === "invalid_request_error" && /prompt is too long/i.test(body)) {
+      return new ContextLengthError(error.message, { status, code: error.code, type: error.type, body, retryAfter });
+    }
+    return error;
+  }
+
+  buildRequest({ apiKey, model, messages, maxTokens, temperature, tools, responseFormat, stream }) {
+    const systemPrompts = messages.filter(message => message.role === "system").map(message => message.content);
+    if (responseFormat) {
+      systemPrompts.push(`Respond only with JSON that matches this JSON schema:\n${JSON.stringify(responseFormat.json_schema.schema)}`);
+    }
+    const system = systemPrompts.join("\n\n");
+    const body = { model, messages: toAnthropicMessages(messages), max_tokens: maxTokens, temperature };
+    if (system) {
+      body.system = system;
+    }
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(({ function: tool }) => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters,
+      }));
+    }
+    if (stream) {
+      body.stream = true;
+    }
+    return {
+      url: this.getUrl(),
+      headers: { "Content-Type": "application/json", ...this.getAuthHeaders(apiKey) },
+      body,
+    };
+  }
+
+  parseResponse(data) {
+    if (!Array.isArray(data.content)) {
+      return data;
+    }
+
+    const text = data.content.filter(block => block.type === "text").map(block => block.text).join("");
+    const toolCalls = data.content.filter(block => block.type === "tool_use").map(block => ({
+      id: block.id,
+      type: "function",
+      function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+    }));
+
+    const message = { role: "assistant", content: text || null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    const response = {
+      id: data.id,
+      model: data.model,
+      choices: [{ index: 0, message, finish_reason: anthropicStopReasons[data.stop_reason] || data.stop_reason || null }],
+    };
+    if (data.usage) {
+      response.usage = {
+        prompt_tokens: data.usage.input_tokens,
+        completion_tokens: data.usage.output_tokens,
+        total_tokens: data.usage.input_tokens + data.usage.output_tokens,
+      };
+    }
+    return response;
+  }
+
+  parseStreamEvent(data) {
+    const event = JSON.parse(data);
+    if (event.type === "message_stop") {
+      return { done: true };
+    }
+    if (event.type === "error") {
+      const error = event.error || {};
+      throw new APIError(`Anthropic API Error: ${error.message || data}`, { type: error.type, body: data });
+    }
+    if (event.type === "content_block_delta" && event.delta && event.delta.type === "text_delta") {
+      return { delta: event.delta.text };
+    }
+    // Input tokens are reported when the message starts, output tokens when it ends
+    if (event.type === "message_start" && event.message && event.message.usage) {
+      return { delta: "", usage: { prompt_tokens: event.message.usage.input_tokens } };
+    }
+    if (event.type === "message_delta" && event.usage) {
+      return { delta: "", usage: { completion_tokens: event.usage.output_tokens } };
+    }
+    return { delta: "" };
+  }
+}
+
+AnthropicProvider.defaultBaseUrl = "https://api.anthropic.com";
+AnthropicProvider.defaultApiKeyEnv = "ANTHROPIC_API_KEY";
+
+const anthropicStopReasons = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+};
+
+/**
+ * @notice Converts OpenAI-format messages to Anthropic's format, leaving out system messages.
+ * @dev Consecutive tool results are grouped into one user message, as Anthropic expects all
+ *      results for a turn's tool calls together.
+ * @param {Array<Object>} messages - The messages in OpenAI format.
+ * @return {Array<Object>} The messages in Anthropic format.
+ */
+const toAnthropicMessages = (messages) => {
+  const converted = [];
+
+  for (const message of messages) {
+    if (message.role === "system") {
+      continue;
+    }
+
+    if (message.role === "tool") {
+      const result = { type: "tool_result", tool_use_id: message.tool_call_id, content: message.content || "" };
+      const previous = converted[converted.length - 1];
+      if (previous && previous.role === "user" && Array.isArray(previous.content)
+        && previous.content.every(block => block.type === "tool_result")) {
+        previous.content.push(result);
+      } else {
+        converted.push({ role: "user", content: [result] });
+      }
+    } else if (message.role === "assistant" && message.tool_calls && message.tool_calls.length > 0) {
+      const content = message.content ? [{ type: "text", text: message.content }] : [];
+      for (const toolCall of message.tool_calls) {
+        content.push({
+          type: "tool_use",
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {},
+        });
+      }
+      converted.push({ role: "assistant", content });
+    } else if (Array.isArray(message.content)) {
+      converted.push({ role: message.role, content: message.content.map(toAnthropicBlock) });
+    } else {
+      converted.push({ role: message.role, content: message.content || "" });
+    }
+  }
+  return converted;
+};
+
+/**
+ * @notice Converts an OpenAI content part to an Anthropic content block.
+ * @dev Data URLs become base64 sources; PDF files become document blocks.
+ * @param {Object} part - A `text`, `image_url` or `file` part.
+ * @return {Object} The content block.
+ */
+const toAnthropicBlock = (part) => {
+  if (part.type === "image_url" || part.type === "file") {
+    const url = part.type === "file" ? part.file.file_data : part.image_url.url;
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+    const source = match ? { type: "base64", media_type: match[1], data: match[2] } : { type: "url", url };
+    return { type: part.type === "file" ? "document" : "image", source };
+  }
+  return { type: "text", text: part.text };
+};
+
+const providers = {
+  "openai": OpenAIProvider,
+  "azure": AzureOpenAIProvider,
+  "anthropic": AnthropicProvider,
+  "ollama": OllamaProvider,
+  "openai-compatible": OpenAICompatibleProvider,
+};
+
+/**
+ * @notice Creates the provider for an agent's settings.
+ * @param {Object} [config={}] - The agent settings from config.json: `provider` (a provider name or a
+ *        Provider instance, default 'openai'), `baseUrl`, `apiUrl`, `apiKeyEnv`, `apiVersion` and `deployment`.
+ * @return {Provider} The provider.
+ * @throws Will throw an error if the provider is unknown or missing required settings.
+ */
+export const createProvider = (config = {}) => {
+  if (config.provider instanceof Provider) {
+    return config.provider;
+  }
+
+  const name = config.provider || "openai";
+  const ProviderClass = providers[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown provider '${name}'. Please use ${Object.keys(providers).map(key => `'${key}'`).join(", ")}.`);
+  }
+  return new ProviderClass(config);
+};
@@ -0,0 +1,130 @@
+/**
+ * @title Quotas
+ * @notice Per-user limits on requests per minute, tokens per day and dollars per month.
+ * @dev Quotas are configured in config.json, for every user (`quotas.default`), for specific users
+ *      (`quotas.users.<userId>`) and for each user's use of an agent (`models.<agent>.quota`):
+ *      `{ "requestsPerMinute": 20, "tokensPerDay": 100000, "dollarsPerMonth": 5 }`.
+ *      Usage is counted in fixed UTC periods (the current minute, day and month) and persisted in
+ *      the user record's `quotaCounters`, so limits survive restarts and are shared by every process
+ *      using the same storage.
+ */
+
+import { QuotaExceededError } from './Errors.js';
+
+/**
+ * @notice The supported quotas, with the counter they limit and the period they are counted over.
+ */
+export const quotaLimits = {
+  requestsPerMinute: { counter: "requests", period: "minute" },
+  tokensPerDay: { counter: "tokens", period: "day" },
+  dollarsPerMonth: { counter: "dollars", period: "month" },
+};
+
+const periodKeyLengths = { minute: 16, day: 10, month: 7 };
+
+/**
+ * @notice Returns the key of the period a time falls in, e.g. '2024-11-03' for a day.
+ * @param {string} period - 'minute', 'day' or 'month'.
+ * @param {Date} now - The time.
+ * @return {string} The period key.
+ */
+export const getPeriodKey = (period, now) => now.toISOString().slice(0, periodKeyLengths[period]);
+
+/**
+ * @notice Returns when the period a time falls in ends.
+ * @param {string} period - 'minute', 'day' or 'month'.
+ * @param {Date} now - The time.
+ * @return {Date} The start of the next period.
+ */
+export const getPeriodEnd = (period, now) => {
+  const [year, month, day, hour, minute] = [now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes()];
+  switch (period) {
+    case "minute":
+      return new Date(Date.UTC(year, month, day, hour, minute + 1));
+    case "day":
+      return new Date(Date.UTC(year, month, day + 1));
+    case "month":
+      return new Date(Date.UTC(year, month + 1, 1));
+  }
+};
+
+/**
+ * @notice Returns the amount counted in the current period.
+ * @param {Object} counters - The counters for one scope, keyed by counter name.
+ * @param {string} counter - 'requests', 'tokens' or 'dollars'.
+ * @param {string} period - The period the counter is kept over.
+ * @param {Date} now - The current time.
+ * @return {number} The amount, or 0 if the stored counter belongs to an earlier period.
+ */
+const getCount = (counters, counter, period, now) => {
+  const stored = counters && counters[counter];
+  return stored && stored.period === getPeriodKey(period, now) ? stored.value : 0;
+};
+
+/**
+ * @notice Validates a quota config.
+ * @param {Object|undefined} quota - The quota config.
+ * @return {Object|null} The quota, or null if none is configured.
+ * @throws Will throw an error for unknown quota names or non-numeric limits.
+ */
+export const normalizeQuota = (quota) => {
+  if (!quota) {
+    return null;
+  }
+  for (const [name, limit] of Object.entries(quota)) {
+    if (!quotaLimits[name]) {
+      throw new Error(`Unknown quota '${name}'. Please use 'requestsPerMinute', 'tokensPerDay' or 'dollarsPerMonth'.`);
+    }
+    if (limit !== null && (typeof limit !== "number" || limit < 0)) {
+      throw new Error(`Quota '${name}' must be a non-negative number, or null for no limit.`);
+    }
+  }
+  return quota;
+};
+
+/**
+ * @notice Throws if any limit of a quota has been reached in the current period.
+ * @param {Object} counters - The stored counters for the quota's scope.
+ * @param {Object} quota - The quota config.
+ * @param {Object} context - `userId` and `agent` (null for the user's own quota), for the error.
+ * @param {Date} now - The current time.
+ * @throws {QuotaExceededError} If a limit has been reached.
+ */
+export const checkQuota = (counters, quota, context, now) => {
+  for (const [name, { counter, period }] of Object.entries(quotaLimits)) {
+    const limit = quota[name];
+    if (limit === undefined || limit === null) {
+      continue;
+    }
+    const used = getCount(counters, counter, period, now);
+    if (used >= limit) {
+      const resetAt = getPeriodEnd(period, now);
+      const owner = context.agent ? `agent '${context.agent}' for user ${context.userId}` : `user ${context.userId}`;
+      throw new QuotaExceededError(
+        `Quota exceeded for ${owner}: ${name} limit of ${limit} reached. Resets at ${resetAt.toISOString()}.`,
+        { ...context, quota: name, limit, used, resetAt }
+      );
+    }
+  }
+};
+
+/**
+ * @notice Adds amounts to a scope's counters, starting a new count when the period has changed.
+ * @param {Object|undefined} counters - The stored counters for one scope.
+ * @param {Object} amounts - Amounts to add, keyed by counter: `requests`, `tokens`, `dollars`.
+ * @param {Date} now - The current time.
+ * @return {Object} The updated counters.
+ */
+export const addToCounters = (counters, amounts, now) => {
+  const updated = { ...(counters || {}) };
+  for (const { counter, period } of Object.values(quotaLimits)) {
+    if (!amounts[counter]) {
+      continue;
+    }
+    updated[counter] = {
+      period: getPeriodKey(period, now),
+      value: getCount(counters, counter, period, now) + amounts[counter],
+    };
+  }
+  return updated;
+};
@@ -0,0 +1,371 @@
+/**
+ * @title Redaction
+ * @notice Finds personal data (PII) in message text and replaces it before it is sent or stored.
+ * @dev Built-in detectors: `email`, `phone`, `creditCard` (checked with the Luhn algorithm), `iban`
+ *      (checked with its mod-97 check digits) and `ip` (IPv4 and IPv6). Custom detectors are regular
+ *      expressions with a name. Where matches overlap, custom detectors win, then the built-in ones
+ *      in the order above. Each match is replaced according to a mode:
+ *      - `mask`: A label, e.g. `[EMAIL]`.
+ *      - `hash`: A label with a digest of the value, e.g. `[EMAIL:5f1c0e2a9b3d]`, so the same value
+ *        always gets the same placeholder. The digest is an HMAC when a secret is set.
+ *      - `reversible-token`: A numbered placeholder, e.g. `[EMAIL_1]`, which `restoreText` turns back
+ *        into the value. Tokens are only kept in memory, by the Redactor that created them.
+ *      Outbound requests and persisted history are redacted independently, each with its own mode.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+
+export const redactionModes = ["mask", "hash", "reversible-token"];
+
+/**
+ * @notice Checks a card number with the Luhn algorithm.
+ * @param {string} digits - The card number's digits.
+ * @return {boolean} True if the check digit is valid.
+ */
+const luhnCheck = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * @notice Checks an IBAN's mod-97 check digits.
+ * @param {string} iban - The IBAN, without spaces.
+ * @return {boolean} True if the check digits are valid.
+ */
+const ibanCheck = (iban) => {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+const withoutSeparators = (value) => value.replace(/[\s().-]/g, "");
+
+/**
+ * @notice The built-in detectors, by name: a `label` for placeholders, a global `pattern`, and optionally
+ *         a `validate` function for candidate matches and a `normalize` function giving the value that is
+ *         hashed and tokenized, so the same value written differently gets the same placeholder.
+ */
+export const detectors = {
+  email: {
+    label: "EMAIL",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    normalize: (value) => value.toLowerCase(),
+  },
+  phone: {
+    label: "PHONE",
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?!\w)/g,
+    // Dates and short numbers look like phone numbers too
+    validate: (value) => {
+      const digits = value.replace(/\D/g, "");
+      return digits.length >= 7 && digits.length <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(value);
+    },
+    normalize: withoutSeparators,
+  },
+  creditCard: {
+    label: "CARD",
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    validate: (value) => luhnCheck(value.replace(/\D/g, "")),
+    normalize: withoutSeparators,
+  },
+  iban: {
+    label: "IBAN",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: (value) => ibanCheck(value.replace(/ /g, "")),
+    normalize: (value) => value.replace(/ /g, ""),
+  },
+  ip: {
+    label: "IP",
+    pattern: /(?<![\w.:])(?:(?:\d{1,3}\.){3}\d{1,3}|[0-9A-Fa-f]{0,4}(?::[0-9A-Fa-f]{0,4}){2,7})(?![\w:]|\.\d)/g,
+    validate: (value) => net.isIP(value) !== 0,
+    normalize: (value) => value.toLowerCase(),
+  },
+};
+
+// Custom detectors come first, then the built-in ones in this order
+const detectorOrder = ["email", "iban", "creditCard", "ip", "phone"];
+
+/**
+ * @notice Checks a redaction mode.
+ * @param {string|null|undefined} mode - The mode, or nothing to turn redaction off.
+ * @param {string} target - 'outbound' or 'persisted', for the error message.
+ * @return {string|null} The mode, or null.
+ * @throws Will throw an error for an unknown mode, or `reversible-token` for persisted history.
+ */
+const normalizeMode = (mode, target) => {
+  if (!mode) {
+    return null;
+  }
+  if (!redactionModes.includes(mode)) {
+    throw new Error(`Unknown redaction mode '${mode}'. Please use ${redactionModes.map(name => `'${name}'`).join(", ")}.`);
+  }
+  if (mode === "reversible-token" && target === "persisted") {
+    throw new Error("Persisted history cannot use 'reversible-token' redaction, since the tokens are not stored. Please use 'mask' or 'hash'.");
+  }
+  return mode;
+};
+
+/**
+ * @title Redactor
+ * @notice Redacts PII in text, message content and conversations, and restores reversible tokens.
+ */
+export class Redactor {
+  /**
+   * @param {Object} [options={}] - Redaction settings.
+   *        - `outbound`: The mode for requests sent to the API, or null to send them as they are.
+   *        - `persisted`: The mode for stored conversations, response logs and memories ('mask' or 'hash'),
+   *          or null to store them as they are.
+   *        - `detectors`: The names of the built-in detectors to use. Defaults to all of them.
+   *        - `custom`: Custom detectors, each with a `name` and a `pattern` (a RegExp or a string),
+   *          and optionally `flags` for a string pattern.
+   *        - `hashSecret`: The HMAC secret for 'hash' mode. Defaults to the `hashSecretEnv` environment
+   *          variable (default `OCM_REDACTION_SECRET`), then to an unkeyed SHA-256 digest.
+   * @throws Will throw an error for an unknown mode or detector, or a custom detector without a name or pattern.
+   */
+  constructor(options = {}) {
+    this.outbound = normalizeMode(options.outbound, "outbound");
+    this.persisted = normalizeMode(options.persisted, "persisted");
+    this.hashSecret = options.hashSecret || process.env[options.hashSecretEnv || "OCM_REDACTION_SECRET"] || null;
+
+    const names = options.detectors || detectorOrder;
+    for (const name of names) {
+      if (!detectors[name]) {
+        throw new Error(`Unknown PII detector '${name}'. Please use ${Object.keys(detectors).map(key => `'${key}'`).join(", ")}.`);
+      }
+    }
+    const custom = (options.custom || []).map((detector) => {
+      if (!detector || !detector.name || !detector.pattern) {
+        throw new Error("Custom PII detectors need a name and a pattern.");
+      }
+      const source = detector.pattern instanceof RegExp ? detector.pattern.source : detector.pattern;
+      const flags = detector.pattern instanceof RegExp ? detector.pattern.flags : (detector.flags || "");
+      return {
+        type: detector.name,
+        label: detector.name.toUpperCase().replace(/[^A-Z0-9]+/g, "_"),
+        pattern: new RegExp(source, flags.includes("g") ? flags : `${flags}g`),
+      };
+    });
+    this.detectors = [
+      ...custom,
+      ...detectorOrder.filter(name => names.includes(name)).map(name => ({ type: name, ...detectors[name] })),
+    ];
+
+    this.tokens = new Map();  // Normalized value -> reversible token
+    this.values = new Map();  // Reversible token -> original value
+    this.counters = {};  // The last token number per label
+  }
+
+  /**
+   * @notice Finds the PII in a text.
+   * @param {string} text - The text.
+   * @return {Array<Object>} The matches, in order and without overlaps, each with `type`, `label`,
+   *         `value`, its `normalized` form, `start` and `end`.
+   */
+  findPII(text) {
+    const candidates = [];
+    this.detectors.forEach((detector, priority) => {
+      for (const match of text.matchAll(detector.pattern)) {
+        if (match[0] && (!detector.validate || detector.validate(match[0]))) {
+          candidates.push({ detector, priority, value: match[0], start: match.index, end: match.index + match[0].length });
+        }
+      }
+    });
+
+    // Earlier matches win; for the same start, the higher priority detector does
+    candidates.sort((a, b) => a.start - b.start || a.priority - b.priority);
+    const matches = [];
+    let end = 0;
+    for (const { detector, value, start, end: matchEnd } of candidates) {
+      if (start >= end) {
+        const normalized = detector.normalize ? detector.normalize(value) : value;
+        matches.push({ type: detector.type, label: detector.label, value, normalized, start, end: matchEnd });
+        end = matchEnd;
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * @notice Returns the placeholder for a match.
+   * @param {Object} match - A match from `findPII`.
+   * @param {string} mode - The redaction mode.
+   * @return {string} The placeholder.
+   */
+  getPlaceholder(match, mode) {
+    if (mode === "mask") {
+      return `[${match.label}]`;
+    }
+    if (mode === "hash") {
+      const digest = this.hashSecret
+        ? crypto.createHmac("sha256", this.hashSecret).update(match.normalized).digest("hex")
+        : crypto.createHash("sha256").update(match.normalized).digest("hex");
+      return `[${match.label}:${digest.slice(0, 12)}]`;
+    }
+
+    const key = `${match.label}:${match.normalized}`;
+    if (!this.tokens.has(key)) {
+      this.counters[match.label] = (this.counters[match.label] || 0) + 1;
+      const token = `[${match.label}_${this.counters[match.label]}]`;
+      this.tokens.set(key, token);
+      this.values.set(token, match.value);
+    }
+    return this.tokens.get(key);
+  }
+
+  /**
+   * @notice Replaces the PII in a text.
+   * @param {string} text - The text.
+   * @param {string} mode - The redaction mode.
+   * @return {string} The redacted text.
+   */
+  redactText(text, mode) {
+    if (typeof text !== "string" || !mode) {
+      return text;
+    }
+    let redacted = "";
+    let position = 0;
+    for (const match of this.findPII(text)) {
+      redacted += text.slice(position, match.start) + this.getPlaceholder(match, mode);
+      position = match.end;
+    }
+    return redacted + text.slice(position);
+  }
+
+  /**
+   * @notice Replaces the PII in message content: a string, or the text of content parts.
+   * @param {string|Array<Object>|null} content - The content.
+   * @param {string} mode - The redaction mode.
+   * @return {string|Array<Object>|null} The redacted content. Parts are copied, not changed.
+   */
+  redactContent(content, mode) {
+    if (!Array.isArray(content)) {
+      return this.redactText(content, mode);
+    }
+    return content.map(part => (part.type === "text" ? { ...part, text: this.redactText(part.text, mode) } : part));
+  }
+
+  /**
+   * @notice Replaces the PII in messages, including tool call arguments.
+   * @param {Array<Object>} messages - The messages.
+   * @param {string} mode - The redaction mode.
+   * @return {Array<Object>} Redacted copies of the messages.
+   */
+  redactMessages(messages, mode) {
+    if (!mode) {
+      return messages;
+    }
+    return messages.map((message) => {
+      const redacted = { ...message, content: this.redactContent(message.content, mode) };
+      if (message.tool_calls) {
+        redacted.tool_calls = message.tool_calls.map(call => ({
+          ...call,
+          function: { ...call.function, arguments: this.redactText(call.function.arguments, mode) },
+        }));
+      }
+      return redacted;
+    });
+  }
+
+  /**
+   * @notice Replaces the PII in a conversation record before it is stored, with the `persisted` mode.
+   * @param {Object} conversation - The conversation record. It is changed in place.
+   * @return {Object} The same record.
+   */
+  redactConversation(conversation) {
+    if (!this.persisted) {
+      return conversation;
+    }
+    for (const field of ["messages", "branches", "pendingSummaryMessages"]) {
+      if (Array.isArray(conversation[field])) {
+        conversation[field] = this.redactMessages(conversation[field], this.persisted);
+      }
+    }
+    for (const field of ["name", "summary"]) {
+      if (conversation[field]) {
+        conversation[field] = this.redactText(conversation[field], this.persisted);
+      }
+    }
+    return conversation;
+  }
+
+  /**
+   * @notice Turns reversible tokens in a text back into the values they replaced.
+   * @param {string} text - The text, e.g. the model's response.
+   * @return {string} The text with known tokens restored. Unknown tokens are left as they are.
+   */
+  restoreText(text) {
+    if (typeof text !== "string" || this.values.size === 0) {
+      return text;
+    }
+    return text.replace(/\[[A-Z0-9_]+_\d+\]/g, token => (this.values.has(token) ? this.values.get(token) : token));
+  }
+
+  /**
+   * @notice Restores reversible tokens in a response message's content and tool call arguments.
+   * @param {Object} message - The message. It is changed in place.
+   * @return {Object} The same message.
+   */
+  restoreMessage(message) {
+    message.content = this.restoreText(message.content);
+    for (const call of message.tool_calls || []) {
+      call.function.arguments = this.restoreText(call.function.arguments);
+    }
+    return message;
+  }
+
+  /**
+   * @notice Restores reversible tokens in a streamed response.
+   * @dev Text that may be the start of a token is held back until the next delta shows whether it is.
+   * @param {AsyncIterable<string>|Iterable<string>} stream - The response deltas.
+   * @return {AsyncGenerator<string>} The restored deltas.
+   */
+  async *restoreStream(stream) {
+    const longestToken = Math.max(0, ...[...this.values.keys()].map(token => token.length));
+    let pending = "";
+    for await (const delta of stream) {
+      pending += delta;
+      const open = pending.lastIndexOf("[");
+      const hold = open !== -1 && !pending.includes("]", open) && pending.length - open < longestToken ? open : pending.length;
+      if (hold > 0) {
+        yield this.restoreText(pending.slice(0, hold));
+      }
+      pending = pending.slice(hold);
+    }
+    if (pending) {
+      yield this.restoreText(pending);
+    }
+  }
+}
+
+/**
+ * @notice Creates the redactor for a `redaction` setting.
+ * @param {Redactor|Object|null|undefined} redaction - A redactor, or the `Redactor` options. Anything
+ *        falsy, or options without an `outbound` or `persisted` mode, turn redaction off.
+ * @return {Redactor|null} The redactor, or null.
+ */
+export const createRedactor = (redaction) => {
+  if (!redaction) {
+    return null;
+  }
+  if (redaction instanceof Redactor) {
+    return redaction;
+  }
+  const redactor = new Redactor(redaction);
+  return redactor.outbound || redactor.persisted ? redactor : null;
+};
@@ -0,0 +1,248 @@
+/**
+ * @title ResponseCache
+ * @notice Caches API responses by request, in memory or on disk.
+ * @dev The key is a SHA-256 hash of the model, messages, temperature and max tokens (plus the tools and
+ *      response format, when given), so only identical requests share a response. Modes:
+ *      - 'cache': Return stored responses that have not expired; call the API and store the response otherwise.
+ *      - 'record': Always call the API, and store every response. Used to write fixture files.
+ *      - 'replay': Only return stored responses, ignoring their age; a request without one throws a
+ *        `CacheMissError` instead of calling the API. Used to run tests offline.
+ *      The `OCM_CACHE_MODE` environment variable overrides the configured mode, so CI can replay the
+ *      fixtures developers record.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CacheMissError } from './Errors.js';
+
+export const cacheModes = ["cache", "record", "replay"];
+
+/**
+ * @notice Serializes a value to JSON with object keys sorted, so equal values give equal strings.
+ * @param {*} value - The value.
+ * @return {string} The JSON.
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * @notice Computes the cache key of a request.
+ * @param {Object} request - `model`, `messages`, `temperature`, `maxTokens`, and optionally `tools` and `responseFormat`.
+ * @return {string} The key, a SHA-256 hex digest.
+ */
+export const computeCacheKey = ({ model, messages, temperature, maxTokens, tools, responseFormat }) => crypto
+  .createHash("sha256")
+  .update(stableStringify({ model, messages, temperature, maxTokens, tools, responseFormat }))
+  .digest("hex");
+
+/**
+ * @title MemoryCacheStore
+ * @notice Keeps entries in memory, dropping the least recently used once full.
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options={}] - `maxEntries`: How many entries to keep. Defaults to 500.
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();  // In order of use, least recent first
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * @title FileCacheStore
+ * @notice Keeps each entry in `<directory>/<key>.json`.
+ * @dev Entries include the request, formatted for reading, so recorded fixtures can be reviewed.
+ */
+export class FileCacheStore {
+  /**
+   * @param {Object} options - `directory`: Where the entries are kept.
+   * @throws Will throw an error if there is no directory.
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error("A 'directory' is required for the file response cache.");
+    }
+    this.directory = options.directory;
+  }
+
+  getFilePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  get(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getFilePath(key), "utf-8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  set(key, entry) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.getFilePath(key), JSON.stringify(entry, null, 2));
+  }
+
+  delete(key) {
+    fs.rmSync(this.getFilePath(key), { force: true });
+  }
+
+  clear() {
+    if (fs.existsSync(this.directory)) {
+      for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith(".json"))) {
+        fs.rmSync(path.join(this.directory, file), { force: true });
+      }
+    }
+  }
+}
+
+/**
+ * @title ResponseCache
+ * @notice Looks up and stores API responses by request.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} [options={}] - Cache settings.
+   *        - `type`: 'memory' or 'file'. Defaults to 'file' in 'record' and 'replay' mode, else 'memory'.
+   *        - `mode`: 'cache', 'record' or 'replay'. Defaults to 'cache'. `OCM_CACHE_MODE` overrides it.
+   *        - `ttl`: How long a response is used in 'cache' mode, in milliseconds. Defaults to no expiry.
+   *        - `maxEntries`: The size of a memory cache. Defaults to 500.
+   *        - `directory`: Where a file cache keeps its entries.
+   *        - `store`: A custom store with `get`, `set`, `delete` and `clear`, instead of `type`.
+   * @throws Will throw an error for an unknown type or mode.
+   */
+  constructor(options = {}) {
+    this.mode = process.env.OCM_CACHE_MODE || options.mode || "cache";
+    if (!cacheModes.includes(this.mode)) {
+      throw new Error(`Invalid cache mode '${this.mode}'. Please use 'cache', 'record', or 'replay'.`);
+    }
+    this.ttl = options.ttl || null;
+
+    const type = options.type || (this.mode === "cache" ? "memory" : "file");
+    if (options.store) {
+      this.store = options.store;
+    } else if (type === "memory") {
+      this.store = new MemoryCacheStore(options);
+    } else if (type === "file") {
+      this.store = new FileCacheStore(options);
+    } else {
+      throw new Error(`Invalid cache type '${type}'. Please use 'memory' or 'file'.`);
+    }
+  }
+
+  /**
+   * @notice Returns the stored response for a request.
+   * @param {Object} request - The request fields, as accepted by `computeCacheKey`.
+   * @return {Object|null} A copy of the response, or null if there is none (or it expired). Always null in 'record' mode.
+   * @throws {CacheMissError} In 'replay' mode, if no response was recorded.
+   */
+  get(request) {
+    if (this.mode === "record") {
+      return null;
+    }
+    const key = computeCacheKey(request);
+    const entry = this.store.get(key);
+    if (entry && this.mode === "cache" && entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    if (!entry) {
+      if (this.mode === "replay") {
+        throw new CacheMissError(key);
+      }
+      return null;
+    }
+    // Callers may change the response, so never hand out the stored object
+    return structuredClone(entry.response);
+  }
+
+  /**
+   * @notice Stores the response to a request. Does nothing in 'replay' mode.
+   * @param {Object} request - The request fields, as accepted by `computeCacheKey`.
+   * @param {Object} response - The parsed response.
+   */
+  set(request, response) {
+    if (this.mode === "replay") {
+      return;
+    }
+    const storedAt = new Date();
+    this.store.set(computeCacheKey(request), {
+      storedAt: storedAt.toISOString(),
+      expiresAt: this.ttl && this.mode === "cache" ? new Date(storedAt.getTime() + this.ttl).toISOString() : null,
+      request: { model: request.model, temperature: request.temperature, maxTokens: request.maxTokens, messages: request.messages },
+      response: structuredClone(response),
+    });
+  }
+
+  /**
+   * @notice Removes every stored response.
+   */
+  clear() {
+    this.store.clear();
+  }
+}
+
+const sharedCaches = new Map();
+
+/**
+ * @notice Creates the response cache for a `cache` setting.
+ * @dev Caches created from equal settings are shared, so every handler in the process uses the same
+ *      memory cache even though a handler is created each time a system is set.
+ * @param {ResponseCache|Object|boolean|null|undefined} cache - A cache, `true` for a memory cache with
+ *        default settings, or the `ResponseCache` options. Anything falsy turns caching off.
+ * @return {ResponseCache|null} The cache, or null.
+ */
+export const createResponseCache = (cache) => {
+  if (!cache) {
+    return null;
+  }
+  if (cache instanceof ResponseCache) {
+    return cache;
+  }
+  const options = cache === true ? {} : cache;
+  if (options.store) {
+    return new ResponseCache(options);
+  }
+  const id = `${process.env.OCM_CACHE_MODE || ""}:${stableStringify(options)}`;
+  if (!sharedCaches.has(id)) {
+    sharedCaches.set(id, new ResponseCache(options));
+  }
+  return sharedCaches.get(id);
+};
@@ -0,0 +1,96 @@
+/**
+ * @title Retention
+ * @notice Which stored conversations and response logs a retention policy expires.
+ * @dev A policy has two optional limits:
+ *      - `maxAgeDays`: Conversations without a message in this many days expire, and so do response
+ *        logs written longer ago.
+ *      - `maxConversations`: Only a user's most recently active conversations are kept.
+ *      A conversation's last activity is its newest message timestamp, or its `timestamp` if it has none.
+ */
+
+export const retentionLimits = ["maxAgeDays", "maxConversations"];
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+/**
+ * @notice Checks a retention setting from config.json or options.
+ * @param {Object|null|undefined} retention - The setting.
+ * @return {Object|null} The policy, or null if it has no limits.
+ * @throws Will throw an error if a limit is not a positive number.
+ */
+export const normalizeRetention = (retention) => {
+  if (!retention) {
+    return null;
+  }
+  const policy = {};
+  for (const limit of retentionLimits) {
+    if (retention[limit] === undefined || retention[limit] === null) {
+      continue;
+    }
+    if (typeof retention[limit] !== "number" || !(retention[limit] > 0)) {
+      throw new Error(`Retention setting '${limit}' must be a positive number.`);
+    }
+    policy[limit] = retention[limit];
+  }
+  return Object.keys(policy).length > 0 ? policy : null;
+};
+
+/**
+ * @notice Returns the time before which a policy's `maxAgeDays` expires data.
+ * @param {Object} policy - The retention policy, from `normalizeRetention`.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @return {number|null} The cutoff in milliseconds, or null if the policy has no age limit.
+ */
+export const getRetentionCutoff = (policy, now = Date.now()) => (policy.maxAgeDays ? now - policy.maxAgeDays * dayMs : null);
+
+/**
+ * @notice Returns when a conversation was last active.
+ * @param {Object} conversation - The stored conversation.
+ * @return {number} The time in milliseconds, or 0 if unknown.
+ */
+export const getLastActivity = (conversation) => {
+  const times = (conversation.messages || [])
+    .map(message => Date.parse(message.timestamp))
+    .filter(time => !Number.isNaN(time));
+  const created = Date.parse(conversation.timestamp);
+  return times.length > 0 ? Math.max(...times) : (Number.isNaN(created) ? 0 : created);
+};
+
+/**
+ * @notice Lists the conversations of a user that a retention policy expires.
+ * @param {Array<Object>} conversations - The user's stored conversations.
+ * @param {Object} policy - The retention policy, from `normalizeRetention`.
+ * @param {Object} [options={}] - `now`: The current time in milliseconds. `keep`: conversation IDs never to expire.
+ * @return {Array<string>} The IDs of the expired conversations.
+ */
+export const findExpiredConversations = (conversations, policy, options = {}) => {
+  const now = options.now ?? Date.now();
+  const keep = new Set(options.keep || []);
+  const byActivity = conversations
+    .map(conversation => ({ conversationId: conversation.conversationId, lastActivity: getLastActivity(conversation) }))
+    .sort((a, b) => b.lastActivity - a.lastActivity);
+
+  const expired = new Set();
+  const cutoff = getRetentionCutoff(policy, now);
+  if (cutoff !== null) {
+    byActivity.filter(({ lastActivity }) => lastActivity < cutoff).forEach(({ conversationId }) => expired.add(conversationId));
+  }
+  if (policy.maxConversations) {
+    byActivity.slice(policy.maxConversations).forEach(({ conversationId }) => expired.add(conversationId));
+  }
+  return byActivity.map(({ conversationId }) => conversationId).filter(id => expired.has(id) && !keep.has(id));
+};
+
+/**
+ * @notice Parses the name of a file written by `Logger.logResponse`.
+ * @param {string} fileName - The file name, e.g. 'user123_2024-11-03T10-00-00-000Z.json'.
+ * @return {Object|null} `{ userId, timestamp }` with the time in milliseconds, or null for other files.
+ */
+export const parseResponseLogName = (fileName) => {
+  const match = /^(.+)_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/.exec(fileName);
+  if (!match) {
+    return null;
+  }
+  const [, userId, date, hours, minutes, seconds, ms] = match;
+  return { userId, timestamp: Date.parse(`${date}T${hours}:${minutes}:${seconds}.${ms}Z`) };
+};
@@ -0,0 +1,240 @@
+/**
+ * @title Search
+ * @notice Keyword and semantic search over a user's conversations.
+ * @dev Messages are the unit of search; results are grouped by conversation, ranked by their best
+ *      message, and list the matching messages with a snippet. Keyword search ranks messages with
+ *      BM25 over lowercased words, with a light plural stemmer so "invoice" finds "invoices".
+ *      Semantic search compares embeddings; see `Embeddings.js`.
+ */
+
+import { cosineSimilarity } from './Embeddings.js';
+import { getContentText } from './Content.js';
+
+const snippetLength = 160;
+
+/**
+ * @notice Reduces a word to a simple stem, so singular and plural forms match.
+ * @param {string} word - The lowercased word.
+ * @return {string} The stem.
+ */
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith("ies")) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") && !word.endsWith("us")) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+/**
+ * @notice Splits text into stemmed search terms.
+ * @param {string} text - The text.
+ * @return {Array<string>} The terms, in order.
+ */
+export const tokenizeText = (text) => (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+
+/**
+ * @notice Returns the searchable text of a message.
+ * @param {Object} message - The message.
+ * @return {string} The content, plus the names and arguments of any tool calls.
+ */
+export const getMessageText = (message) => {
+  const parts = [getContentText(message.content)];
+  for (const toolCall of message.tool_calls || []) {
+    parts.push(`${toolCall.function.name} ${toolCall.function.arguments}`);
+  }
+  return parts.join(" ").trim();
+};
+
+/**
+ * @notice Lists the messages of conversations that pass the search filters.
+ * @param {Array<Object>} conversations - The stored conversations, with their messages and branches.
+ * @param {Object} [filters={}] - The filters.
+ *        - `from`, `to`: Only messages at or after `from` and before `to` (Dates or ISO strings).
+ *          Messages without a timestamp use their conversation's.
+ *        - `agent`: Only conversations saved with this agent; null for conversations without one.
+ *        - `role`: A role or list of roles. Defaults to `['user', 'assistant']`.
+ *        - `conversationId`: Only this conversation.
+ * @return {Array<Object>} The candidates: `{ conversation, message, text }`.
+ */
+export const collectMessages = (conversations, filters = {}) => {
+  const roles = [].concat(filters.role || ["user", "assistant"]);
+  const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+  const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+  const candidates = [];
+
+  for (const conversation of conversations) {
+    if (filters.agent !== undefined && (conversation.agent || null) !== filters.agent) {
+      continue;
+    }
+    if (filters.conversationId !== undefined && conversation.conversationId !== String(filters.conversationId)) {
+      continue;
+    }
+    for (const message of [...(conversation.messages || []), ...(conversation.branches || [])]) {
+      if (!roles.includes(message.role)) {
+        continue;
+      }
+      const time = new Date(message.timestamp || conversation.timestamp).getTime();
+      if (time < from || time >= to) {
+        continue;
+      }
+      const text = getMessageText(message);
+      if (text) {
+        candidates.push({ conversation, message, text });
+      }
+    }
+  }
+  return candidates;
+};
+
+/**
+ * @notice Builds a snippet of a message around its first match, with matches highlighted.
+ * @param {string} text - The message text.
+ * @param {Array<string>} terms - The stemmed query terms.
+ * @param {Object} [highlight={}] - `pre` and `post` markers around matches. Default to `**`.
+ * @return {string} The snippet, with '…' where text was cut.
+ */
+export const buildSnippet = (text, terms, highlight = {}) => {
+  const { pre = "**", post = "**" } = highlight;
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  const matches = [...text.matchAll(wordPattern)].filter(match => terms.includes(stem(match[0].toLowerCase())));
+
+  // Center the window on the first match
+  const first = matches.length > 0 ? matches[0].index : 0;
+  let start = Math.max(0, first - Math.floor(snippetLength / 3));
+  let end = Math.min(text.length, start + snippetLength);
+  start = Math.max(0, Math.min(start, end - snippetLength));
+  // Do not cut words in half
+  while (start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) {
+    start--;
+  }
+  while (end < text.length && /[\p{L}\p{N}]/u.test(text[end])) {
+    end++;
+  }
+
+  let snippet = "";
+  let position = start;
+  for (const match of matches) {
+    if (match.index < start || match.index + match[0].length > end) {
+      continue;
+    }
+    snippet += text.slice(position, match.index) + pre + match[0] + post;
+    position = match.index + match[0].length;
+  }
+  snippet += text.slice(position, end);
+  snippet = snippet.replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+/**
+ * @notice Groups scored messages into conversation results.
+ * @param {Array<Object>} scored - The candidates with a `score`.
+ * @param {Object} options - `limit` (conversations), `maxMatches` (messages per conversation) and a
+ *        `snippet(candidate)` function.
+ * @return {Array<Object>} The results, best first.
+ */
+export const groupResults = (scored, { limit = 10, maxMatches = 3, snippet }) => {
+  const groups = new Map();
+  for (const candidate of [...scored].sort((a, b) => b.score - a.score)) {
+    const { conversation, message } = candidate;
+    if (!groups.has(conversation.conversationId)) {
+      groups.set(conversation.conversationId, {
+        conversationId: conversation.conversationId,
+        name: conversation.name,
+        agent: conversation.agent || null,
+        timestamp: conversation.timestamp,
+        score: candidate.score,
+        matches: [],
+      });
+    }
+    const group = groups.get(conversation.conversationId);
+    if (group.matches.length < maxMatches) {
+      group.matches.push({
+        messageId: message.id || null,
+        role: message.role,
+        timestamp: message.timestamp || null,
+        score: candidate.score,
+        snippet: snippet(candidate),
+      });
+    }
+  }
+  return [...groups.values()].slice(0, limit);
+};
+
+/**
+ * @notice Ranks messages by how well they match a keyword query.
+ * @dev Uses BM25 (k1 = 1.2, b = 0.75), with the candidates as the corpus.
+ * @param {Array<Object>} conversations - The stored conversations.
+ * @param {string} query - The words to search for. Messages matching more, and rarer, words rank higher.
+ * @param {Object} [options={}] - The filters accepted by `collectMessages`, plus:
+ *        - `limit`: The maximum number of conversations. Defaults to 10.
+ *        - `maxMatches`: The maximum number of messages per conversation. Defaults to 3.
+ *        - `highlight`: `{ pre, post }` markers around matches in snippets. Default to `**`.
+ * @return {Array<Object>} The matching conversations, best first: `conversationId`, `name`, `agent`,
+ *         `timestamp`, `score` and `matches` (`messageId`, `role`, `timestamp`, `score`, `snippet`).
+ */
+export const keywordSearch = (conversations, query, options = {}) => {
+  const terms = [...new Set(tokenizeText(query))];
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const candidates = collectMessages(conversations, options).map(candidate => ({ ...candidate, terms: tokenizeText(candidate.text) }));
+  const averageLength = candidates.reduce((sum, candidate) => sum + candidate.terms.length, 0) / (candidates.length || 1);
+  const documentFrequency = new Map(terms.map(term => [term, candidates.filter(candidate => candidate.terms.includes(term)).length]));
+
+  const scored = [];
+  for (const candidate of candidates) {
+    let score = 0;
+    for (const term of terms) {
+      const frequency = candidate.terms.filter(word => word === term).length;
+      if (frequency === 0) {
+        continue;
+      }
+      const matching = documentFrequency.get(term);
+      const idf = Math.log(1 + (candidates.length - matching + 0.5) / (matching + 0.5));
+      score += idf * (frequency * 2.2) / (frequency + 1.2 * (0.25 + 0.75 * candidate.terms.length / averageLength));
+    }
+    if (score > 0) {
+      scored.push({ ...candidate, score });
+    }
+  }
+
+  return groupResults(scored, {
+    ...options,
+    snippet: candidate => buildSnippet(candidate.text, terms, options.highlight),
+  });
+};
+
+/**
+ * @notice Ranks messages by how close their meaning is to a query.
+ * @param {Array<Object>} conversations - The stored conversations.
+ * @param {string} query - The text to compare messages with.
+ * @param {Object} options - The filters accepted by `collectMessages`, the `limit`, `maxMatches` and
+ *        `highlight` options of `keywordSearch`, plus:
+ *        - `provider`: The embedding provider (required).
+ *        - `index`: The `EmbeddingIndex` the message embeddings are cached in (required).
+ *        - `minScore`: The minimum cosine similarity for a message to match. Defaults to 0.
+ * @return {Promise<Array<Object>>} The matching conversations, in the same shape as `keywordSearch`.
+ */
+export const semanticSearch = async (conversations, query, options) => {
+  const { provider, index, minScore = 0 } = options;
+  const candidates = collectMessages(conversations, options);
+  if (!String(query || "").trim() || candidates.length === 0) {
+    return [];
+  }
+
+  const vectors = await index.update(candidates.map(candidate => candidate.text), provider);
+  const [queryVector] = await provider.embed([query]);
+  const scored = candidates
+    .map((candidate, i) => ({ ...candidate, score: cosineSimilarity(queryVector, vectors[i]) }))
+    .filter(candidate => candidate.score > 0 && candidate.score >= minScore);
+
+  // Words shared with the query are still highlighted
+  const terms = [...new Set(tokenizeText(query))];
+  return groupResults(scored, {
+    ...options,
+    snippet: candidate => buildSnippet(candidate.text, terms, options.highlight),
+  });
+};
@@ -0,0 +1,400 @@
+/**
+ * @title Server
+ * @notice Exposes stored conversations over HTTP as a small JSON REST API, built on Node's `http` module.
+ * @dev Routes:
+ *        POST   /users/:userId/conversations               Start a conversation
+ *        GET    /users/:userId/conversations               List conversations
+ *        GET    /users/:userId/conversations/:id           Get a conversation with its messages
+ *        POST   /users/:userId/conversations/:id/messages  Send a message and get the response (optionally streamed)
+ *        DELETE /users/:userId/conversations/:id           Delete a conversation
+ *      Requests that change a user's data run one at a time per user, so concurrent requests cannot
+ *      overwrite each other's changes to the user record.
+ */
+
+import http from 'http';
+import { ConversationManager, RateLimitError, ContextLengthError, TimeoutError, APIError, QuotaExceededError } from '../ConversationManager.js';
+
+const defaultMaxBodyBytes = 1024 * 1024;
+const userIdPattern = /^[A-Za-z0-9_-]{1,128}$/;
+
+const routes = [
+  { pattern: /^\/users\/([^/]+)\/conversations\/?$/, methods: { GET: "listConversations", POST: "createConversation" } },
+  { pattern: /^\/users\/([^/]+)\/conversations\/(\d+)\/?$/, methods: { GET: "getConversation", DELETE: "deleteConversation" } },
+  { pattern: /^\/users\/([^/]+)\/conversations\/(\d+)\/messages\/?$/, methods: { POST: "sendMessage" } },
+];
+
+/**
+ * @notice An error with the HTTP status it should be reported with.
+ */
+class HTTPError extends Error {
+  /**
+   * @param {number} status - The HTTP status code.
+   * @param {string} message - The error message.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "HTTPError";
+    this.status = status;
+  }
+}
+
+/**
+ * @notice Decodes the user ID in a request path.
+ * @param {string} userId - The URL-encoded user ID.
+ * @return {string} The user ID.
+ * @throws {HTTPError} With status 400 if it is not a valid user ID, including malformed escapes.
+ */
+const decodeUserId = (userId) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(userId);
+  } catch (error) {
+    decoded = null;
+  }
+  if (decoded === null || !userIdPattern.test(decoded)) {
+    throw new HTTPError(400, "User IDs may only contain letters, digits, underscores and dashes.");
+  }
+  return decoded;
+};
+
+/**
+ * @title ConversationServer
+ * @notice Serves the REST API for the conversations in a storage backend.
+ * @dev Each request creates its own ConversationManager, so no conversation state is shared between requests.
+ */
+export class ConversationServer {
+  /**
+   * @param {Object} [options={}] - Server settings.
+   *        - `storage`: A storage adapter, or a storage config such as `{ type: "sqlite" }`, shared by all requests.
+   *        - `conversationFactory`: A function `(userId) => ConversationManager` used to create the
+   *          conversation for each request. Defaults to a ConversationManager using `storage`.
+   *        - `maxBodyBytes`: The largest request body accepted, in bytes. Defaults to 1 MB.
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.conversationFactory = options.conversationFactory
+      || ((userId) => new ConversationManager(userId, undefined, { storage: this.storage }));
+    this.maxBodyBytes = options.maxBodyBytes || defaultMaxBodyBytes;
+    this.userLocks = new Map();  // userId => the promise of the last queued request for that user
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * @notice Starts listening for requests.
+   * @param {number} [port=0] - The port to listen on. 0 picks a free port.
+   * @param {string} [host] - The host to bind to. Defaults to all interfaces.
+   * @return {Promise<Object>} The bound address, with `address` and `port`.
+   */
+  listen(port = 0, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.off("error", reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * @notice Stops accepting requests and closes open connections.
+   * @return {Promise<void>} Resolves once the server has closed.
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server.closeAllConnections();
+    });
+  }
+
+  /**
+   * @notice Handles a single HTTP request.
+   * @dev Can be used as the request listener of an existing `http.Server`.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   */
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const route = routes.find(({ pattern }) => pattern.test(url.pathname));
+      if (!route) {
+        throw new HTTPError(404, `No route for ${req.method} ${url.pathname}.`);
+      }
+      const handler = route.methods[req.method];
+      if (!handler) {
+        res.setHeader("Allow", Object.keys(route.methods).join(", "));
+        throw new HTTPError(405, `Method ${req.method} is not allowed for ${url.pathname}.`);
+      }
+
+      const [, userId, conversationId] = url.pathname.match(route.pattern);
+      const params = { userId: decodeUserId(userId), conversationId, query: url.searchParams };
+
+      if (req.method === "GET") {
+        await this[handler](req, res, params);
+      } else {
+        await this.withUserLock(params.userId, () => this[handler](req, res, params));
+      }
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * @notice Runs a task once every earlier task queued for the same user has finished.
+   * @param {string} userId - The user whose data the task changes.
+   * @param {Function} task - An (async) function to run.
+   * @return {Promise<*>} The task's result.
+   */
+  async withUserLock(userId, task) {
+    const previous = this.userLocks.get(userId) || Promise.resolve();
+    const current = previous.then(() => task());
+    // Later tasks wait for this one whether it succeeds or fails
+    const tail = current.catch(() => {});
+    this.userLocks.set(userId, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.userLocks.get(userId) === tail) {
+        this.userLocks.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * @notice POST /users/:userId/conversations - starts and saves a new conversation.
+   * @dev The optional JSON body may set an `agent` (a `models` entry in config.json) and the `variables`
+   *      for its prompt template, or a `systemPrompt`. A `systemPrompt` is used as it is, never rendered as
+   *      a template, so clients cannot make the server include files.
+   */
+  async createConversation(req, res, { userId }) {
+    const body = await this.readBody(req);
+    const conversation = this.conversationFactory(userId);
+
+    try {
+      if (body.agent) {
+        conversation.setSystem("config", { modelId: body.agent, variables: body.variables });
+      } else if (body.systemPrompt) {
+        if (body.variables !== undefined) {
+          throw new Error("'variables' can only be passed with an 'agent', not with a 'systemPrompt'.");
+        }
+        conversation.setSystem("direct", { agentPrompt: body.systemPrompt });
+      }
+    } catch (error) {
+      throw new HTTPError(400, error.message);
+    }
+
+    conversation.saveHistory();
+    this.sendJSON(res, 201, conversation.logger.getConversation(userId, conversation.activeConversationId));
+  }
+
+  /**
+   * @notice GET /users/:userId/conversations - lists the user's conversations without their messages.
+   */
+  async listConversations(req, res, { userId }) {
+    const conversation = this.conversationFactory(userId);
+    this.sendJSON(res, 200, { conversations: conversation.logger.listConversations(userId) });
+  }
+
+  /**
+   * @notice GET /users/:userId/conversations/:id - returns a conversation with its messages.
+   */
+  async getConversation(req, res, { userId, conversationId }) {
+    const conversation = this.conversationFactory(userId);
+    this.sendJSON(res, 200, this.findConversation(conversation, conversationId));
+  }
+
+  /**
+   * @notice DELETE /users/:userId/conversations/:id - deletes a conversation.
+   */
+  async deleteConversation(req, res, { userId, conversationId }) {
+    const conversation = this.conversationFactory(userId);
+    if (!conversation.logger.deleteConversation(userId, conversationId)) {
+      throw new HTTPError(404, `Conversation with ID ${conversationId} not found.`);
+    }
+    res.writeHead(204);
+    res.end();
+  }
+
+  /**
+   * @notice POST /users/:userId/conversations/:id/messages - adds a user message, gets the assistant's
+   *         response and saves the conversation.
+   * @dev The JSON body must contain `content`. With `"stream": true` in the body (or `?stream=true`)
+   *      the response is sent as server-sent events: `{"delta": ...}` events, then a final
+   *      `{"message": ...}` event and `[DONE]`. If the client disconnects mid-stream, the partial
+   *      response is saved.
+   */
+  async sendMessage(req, res, { userId, conversationId, query }) {
+    const body = await this.readBody(req);
+    if (typeof body.content !== "string" || body.content.trim().length === 0) {
+      throw new HTTPError(400, "Message content is required.");
+    }
+
+    const conversation = this.conversationFactory(userId);
+    const stored = this.findConversation(conversation, conversationId);
+    if (stored.agent) {
+      // Render the agent's template with the variables the conversation was created with
+      conversation.setSystem("config", { modelId: stored.agent, variables: stored.systemPrompt && stored.systemPrompt.variables });
+    }
+    conversation.setActiveConversation(conversationId);
+    conversation.addMessage(body.content);
+
+    if (body.stream === true || query.get("stream") === "true") {
+      await this.streamMessage(req, res, conversation);
+      return;
+    }
+
+    const content = await conversation.callAPI();
+    conversation.saveHistory();
+    this.sendJSON(res, 200, { conversationId, message: { role: "assistant", content } });
+  }
+
+  /**
+   * @notice Streams the assistant's response as server-sent events and saves the conversation.
+   * @dev Errors after the stream has started are sent as an `{"error": ...}` event, since the
+   *      status code has already been sent.
+   */
+  async streamMessage(req, res, conversation) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    res.on("close", abort);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    });
+
+    try {
+      let content = "";
+      for await (const delta of conversation.streamAPI({ signal: controller.signal })) {
+        content += delta;
+        res.write(`data: ${JSON.stringify({ delta })}\n\n`);
+      }
+      conversation.saveHistory();
+      res.write(`data: ${JSON.stringify({ conversationId: conversation.activeConversationId, message: { role: "assistant", content: content.trim() } })}\n\n`);
+      res.write("data: [DONE]\n\n");
+    } catch (error) {
+      if (error.name === "AbortError") {
+        // The client went away; keep the partial response streamAPI appended
+        conversation.saveHistory();
+      } else {
+        res.write(`data: ${JSON.stringify(this.toErrorBody(error))}\n\n`);
+      }
+    } finally {
+      res.off("close", abort);
+      res.end();
+    }
+  }
+
+  /**
+   * @notice Loads a stored conversation.
+   * @param {ConversationManager} conversation - A conversation for the user.
+   * @param {string} conversationId - The conversation ID.
+   * @return {Object} The stored conversation.
+   * @throws {HTTPError} 404 if the conversation does not exist.
+   */
+  findConversation(conversation, conversationId) {
+    const stored = conversation.logger.getConversation(conversation.userId, conversationId);
+    if (!stored) {
+      throw new HTTPError(404, `Conversation with ID ${conversationId} not found.`);
+    }
+    return stored;
+  }
+
+  /**
+   * @notice Reads and parses a JSON request body.
+   * @param {http.IncomingMessage} req - The request.
+   * @return {Promise<Object>} The parsed body, or an empty object if there is none.
+   * @throws {HTTPError} 413 if the body is too large, or 400 if it is not a JSON object.
+   */
+  async readBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw new HTTPError(413, `Request body exceeds ${this.maxBodyBytes} bytes.`);
+      }
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString("utf-8").trim();
+    if (!text) {
+      return {};
+    }
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new HTTPError(400, "Request body must be valid JSON.");
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new HTTPError(400, "Request body must be a JSON object.");
+    }
+    return body;
+  }
+
+  /**
+   * @notice Sends a JSON response.
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} status - The HTTP status code.
+   * @param {Object} body - The response body.
+   * @param {Object} [headers={}] - Additional response headers.
+   */
+  sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * @notice Sends an error as a JSON response with a matching status code.
+   * @param {http.ServerResponse} res - The response.
+   * @param {Error} error - The error.
+   */
+  sendError(res, error) {
+    const status = getErrorStatus(error);
+    if (status >= 500) {
+      console.error("Error handling request:", error.message);
+    }
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    // Tell clients over quota when they can try again, in whole seconds
+    const headers = error instanceof QuotaExceededError ? { "Retry-After": String(Math.ceil(error.retryAfter / 1000)) } : {};
+    this.sendJSON(res, status, this.toErrorBody(error), headers);
+  }
+
+  /**
+   * @notice Describes an error for a response body.
+   * @param {Error} error - The error.
+   * @return {Object} The `{ error: { message, type } }` body.
+   */
+  toErrorBody(error) {
+    return { error: { message: error.message, type: error.name } };
+  }
+}
+
+/**
+ * @notice Maps an error to the HTTP status it is reported with.
+ * @param {Error} error - The error.
+ * @return {number} The HTTP status code.
+ */
+const getErrorStatus = (error) => {
+  if (error instanceof HTTPError) {
+    return error.status;
+  }
+  if (error instanceof RateLimitError || error instanceof QuotaExceededError) {
+    return 429;
+  }
+  if (error instanceof ContextLengthError) {
+    return 400;
+  }
+  if (error instanceof TimeoutError) {
+    return 504;
+  }
+  if (error instanceof APIError) {
+    return 502;
+  }
+  return 500;
+};
@@ -0,0 +1,745 @@
+/**
+ * @title Storage Adapters
+ * @notice Persistence backends for user data and conversations, used by the Logger.
+ * @dev All adapters are synchronous, like the Logger methods they back. A custom adapter extends
+ *      StorageAdapter and implements at least `loadUser` and `saveUser`; the conversation methods
+ *      fall back to loading and saving the whole user record, and should be overridden when the
+ *      backend can do better. Deleting users and purging expired data also need `deleteUser` and `listUsers`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { createEncryptor, parseEnvelope } from './Encryption.js';
+import { RevisionConflictError } from './Errors.js';
+import { parseResponseLogName } from './Retention.js';
+import { withFileLock, writeFileAtomic } from './FileLock.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * @notice Returns a conversation's metadata without its messages or revision.
+ * @param {Object} conversation - The stored conversation.
+ * @return {Object} The conversation summary, with a `messageCount`.
+ */
+const summarizeConversation = ({ messages = [], revision, ...metadata }) => ({ ...metadata, messageCount: messages.length });
+
+/**
+ * @notice Checks that a conversation being saved is not out of date, and returns its next revision.
+ * @dev Conversations carry their own `revision`, incremented on every save. A conversation saved with the
+ *      revision it was loaded at must still be at that revision in storage, or both sides changed it. A
+ *      conversation saved without a `revision` replaces the stored one.
+ * @param {string} userId - The unique user identifier.
+ * @param {Object|null} stored - The stored conversation, or null if there is none.
+ * @param {Object} conversation - The conversation being saved.
+ * @return {number} The revision to store the conversation at.
+ * @throws {RevisionConflictError} If the stored conversation changed since it was loaded.
+ */
+const nextConversationRevision = (userId, stored, conversation) => {
+  const actual = stored ? stored.revision || 0 : 0;
+  if (stored && conversation.revision !== undefined && conversation.revision !== actual) {
+    throw new RevisionConflictError(userId, {
+      expected: conversation.revision,
+      actual,
+      conflicts: [`conversation:${conversation.conversationId}`],
+    });
+  }
+  return actual + 1;
+};
+
+/**
+ * @title StorageAdapter
+ * @notice Base class and interface for storage backends.
+ */
+export class StorageAdapter {
+  /**
+   * @notice Loads a user record, including all of their conversations.
+   * @param {string} userId - The unique user identifier.
+   * @return {Object|null} The user data, or null if the user has no stored data.
+   */
+  loadUser(userId) {
+    throw new Error(`${this.constructor.name} does not implement loadUser.`);
+  }
+
+  /**
+   * @notice Saves a user record, replacing all of their stored conversations.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} userData - The user data, with a `conversations` array.
+   */
+  saveUser(userId, userData) {
+    throw new Error(`${this.constructor.name} does not implement saveUser.`);
+  }
+
+  /**
+   * @notice Deletes a user record with all of their conversations.
+   * @param {string} userId - The unique user identifier.
+   * @return {boolean} True if the user had stored data.
+   */
+  deleteUser(userId) {
+    throw new Error(`${this.constructor.name} does not implement deleteUser.`);
+  }
+
+  /**
+   * @notice Lists the users with stored data.
+   * @return {Array<string>} The user IDs.
+   */
+  listUsers() {
+    throw new Error(`${this.constructor.name} does not implement listUsers.`);
+  }
+
+  /**
+   * @notice Updates the user-level fields of a user record, such as usage totals.
+   * @dev `update` may receive the record without its `conversations`, so it must leave them alone.
+   * @param {string} userId - The unique user identifier.
+   * @param {Function} update - Called with the user record (a new one if the user has no stored data); mutates it.
+   */
+  updateUser(userId, update) {
+    const userData = this.loadUser(userId) || { userId, totalConversations: 0, conversations: [] };
+    update(userData);
+    this.saveUser(userId, userData);
+  }
+
+  /**
+   * @notice Lists a user's conversations without their messages.
+   * @param {string} userId - The unique user identifier.
+   * @return {Array<Object>} Conversation summaries, in creation order.
+   */
+  listConversations(userId) {
+    const userData = this.loadUser(userId);
+    return userData ? (userData.conversations || []).map(summarizeConversation) : [];
+  }
+
+  /**
+   * @notice Gets a single conversation, including its messages.
+   * @param {string} userId - The unique user identifier.
+   * @param {string} conversationId - The conversation ID.
+   * @return {Object|null} The conversation, or null if not found.
+   */
+  getConversation(userId, conversationId) {
+    const userData = this.loadUser(userId);
+    const conversations = userData ? userData.conversations || [] : [];
+    return conversations.find(convo => convo.conversationId === conversationId) || null;
+  }
+
+  /**
+   * @notice Inserts or replaces a conversation.
+   * @dev Inserting a new conversation increments the user's `totalConversations`. The conversation's
+   *      `revision` is set to the saved revision, so the same object can be saved again.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} conversation - The conversation, with a `conversationId`, and the `revision` it was loaded at.
+   * @throws {RevisionConflictError} If the stored conversation changed since it was loaded.
+   */
+  putConversation(userId, conversation) {
+    const userData = this.loadUser(userId) || { userId, totalConversations: 0, conversations: [] };
+    userData.conversations = userData.conversations || [];
+
+    const index = userData.conversations.findIndex(convo => convo.conversationId === conversation.conversationId);
+    const revision = nextConversationRevision(userId, index === -1 ? null : userData.conversations[index], conversation);
+    if (index === -1) {
+      userData.conversations.push({ ...conversation, revision });
+      userData.totalConversations = (userData.totalConversations || 0) + 1;
+    } else {
+      userData.conversations[index] = { ...conversation, revision };
+    }
+    this.saveUser(userId, userData);
+    conversation.revision = revision;
+  }
+
+  /**
+   * @notice Deletes a conversation.
+   * @param {string} userId - The unique user identifier.
+   * @param {string} conversationId - The conversation ID.
+   * @return {boolean} True if the conversation existed.
+   */
+  deleteConversation(userId, conversationId) {
+    const userData = this.loadUser(userId);
+    if (!userData) {
+      return false;
+    }
+
+    const conversations = userData.conversations || [];
+    const remaining = conversations.filter(convo => convo.conversationId !== conversationId);
+    if (remaining.length === conversations.length) {
+      return false;
+    }
+    userData.conversations = remaining;
+    this.saveUser(userId, userData);
+    return true;
+  }
+
+  /**
+   * @notice Appends a message to an existing conversation.
+   * @param {string} userId - The unique user identifier.
+   * @param {string} conversationId - The conversation ID.
+   * @param {Object} message - The message to append.
+   * @throws Will throw an error if the conversation does not exist.
+   */
+  appendMessage(userId, conversationId, message) {
+    const conversation = this.getConversation(userId, conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation with ID ${conversationId} not found.`);
+    }
+    conversation.messages = [...(conversation.messages || []), message];
+    this.putConversation(userId, conversation);
+  }
+}
+
+/**
+ * @notice Fingerprints a stored value, so records can be compared without keeping copies of them.
+ * @param {*} value - The value, or undefined if absent.
+ * @return {string|null} A SHA-1 hex digest of its JSON, or null if absent.
+ */
+const fingerprint = (value) => (value === undefined
+  ? null
+  : crypto.createHash("sha1").update(JSON.stringify(value)).digest("hex"));
+
+/**
+ * @notice Splits a user record into its conversations, conversation count and other fields.
+ * @param {Object} userData - The user record.
+ * @return {Object} `conversations`, `totalConversations` and `fields`, without the `revision`.
+ */
+const splitRecord = ({ conversations = [], revision, totalConversations, ...fields }) => ({
+  conversations,
+  totalConversations: totalConversations || 0,
+  fields,
+});
+
+/**
+ * @notice Fingerprints the fields and conversations of a user record.
+ * @param {Object} userData - The user record.
+ * @return {Object} `fields` and `conversations`, each mapping a name or conversation ID to its fingerprint,
+ *         and the record's `totalConversations`.
+ */
+const snapshotRecord = (userData) => {
+  const { conversations, totalConversations, fields } = splitRecord(userData);
+  return {
+    fields: Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, fingerprint(value)])),
+    conversations: Object.fromEntries(conversations.map(convo => [convo.conversationId, fingerprint(convo)])),
+    totalConversations,
+  };
+};
+
+/**
+ * @notice Merges a user record saved at an old revision into the stored one.
+ * @dev A three-way merge against the snapshot of the revision the record was loaded at: each field and
+ *      conversation takes the side that changed it. Both sides changing the same one differently is a
+ *      conflict. Conversations added on both sides are all kept, and `totalConversations` counts them.
+ * @param {Object} base - The snapshot of the loaded revision, from `snapshotRecord`.
+ * @param {Object} current - The stored record.
+ * @param {Object} incoming - The record being saved.
+ * @return {Object} `userData`, the merged record, and `conflicts`, the fields and conversations both sides changed.
+ */
+const mergeRecords = (base, current, incoming) => {
+  const conflicts = [];
+  const choose = (name, baseHash, theirs, mine) => {
+    const mineHash = fingerprint(mine);
+    const theirsHash = fingerprint(theirs);
+    if (mineHash === baseHash || mineHash === theirsHash) {
+      return theirs;
+    }
+    if (theirsHash !== baseHash) {
+      conflicts.push(name);
+    }
+    return mine;
+  };
+
+  const stored = splitRecord(current);
+  const saved = splitRecord(incoming);
+  const userData = {};
+  for (const name of new Set([...Object.keys(stored.fields), ...Object.keys(saved.fields)])) {
+    const value = choose(name, base.fields[name] ?? null, stored.fields[name], saved.fields[name]);
+    if (value !== undefined) {
+      userData[name] = value;
+    }
+  }
+
+  const theirs = new Map(stored.conversations.map(convo => [convo.conversationId, convo]));
+  const mine = new Map(saved.conversations.map(convo => [convo.conversationId, convo]));
+  userData.totalConversations = stored.totalConversations + Math.max(0, saved.totalConversations - base.totalConversations);
+  userData.conversations = [];
+  for (const conversationId of new Set([...theirs.keys(), ...mine.keys()])) {
+    const conversation = choose(`conversation:${conversationId}`, base.conversations[conversationId] ?? null, theirs.get(conversationId), mine.get(conversationId));
+    if (conversation !== undefined) {
+      userData.conversations.push(conversation);
+    }
+  }
+  return { userData, conflicts };
+};
+
+/**
+ * @title JSONFileStorage
+ * @notice Stores each user in a `${logPath}/${userId}.json` file. This is the default backend.
+ * @dev Safe to share between processes:
+ *      - Files are written to a temporary file and renamed into place, so a crash never leaves a broken file.
+ *      - Every write holds a `${userId}.json.lock` file, and read-modify-write operations hold it throughout.
+ *      - Records carry a `revision`, incremented on every save. Saving a record loaded at an older revision
+ *        merges it with the stored one, or throws a `RevisionConflictError` if both changed the same
+ *        conversation or field. A record without a `revision` replaces the stored one.
+ *      - Conversations carry their own `revision` too, so saving a single conversation throws a
+ *        `RevisionConflictError` if another process saved it since it was loaded.
+ *      With `encryption`, files are encrypted with AES-256-GCM (see src/Encryption.js). Plaintext files, and
+ *      files encrypted with an older key, are still read, and are re-encrypted with the current key.
+ */
+export class JSONFileStorage extends StorageAdapter {
+  /**
+   * @param {string} [logPath="logs"] - Directory where the user files are stored.
+   * @param {Object} [options={}] - Locking settings.
+   *        - `lockTimeout`: How long to wait for another process to release a user file, in milliseconds. Defaults to 10000.
+   *        - `staleLockAge`: How old a lock may get before it is considered abandoned, in milliseconds. Defaults to 30000.
+   *        - `encryption`: An `Encryptor`, or its options, to encrypt the files with. Defaults to no encryption.
+   */
+  constructor(logPath = "logs", options = {}) {
+    super();
+    this.logPath = logPath;
+    this.lockOptions = { timeout: options.lockTimeout, staleAge: options.staleLockAge };
+    this.encryptor = createEncryptor(options.encryption);
+    this.snapshots = new Map();  // `${userId}:${revision}` -> snapshot of a loaded record, oldest first
+  }
+
+  /**
+   * @notice Returns the path of a user's data file.
+   * @param {string} userId - The unique user identifier.
+   * @return {string} The file path.
+   */
+  getFilePath(userId) {
+    return `${this.logPath}/${userId}.json`;
+  }
+
+  /**
+   * @notice Runs a function while holding the lock on a user's file.
+   * @param {string} userId - The unique user identifier.
+   * @param {Function} fn - The function to run.
+   * @return {*} The function's return value.
+   */
+  withLock(userId, fn) {
+    if (!fs.existsSync(this.logPath)) {
+      fs.mkdirSync(this.logPath, { recursive: true });
+    }
+    return withFileLock(this.getFilePath(userId), fn, this.lockOptions);
+  }
+
+  /**
+   * @notice Reads a user's file as stored, encrypted or not.
+   * @param {string} userId - The unique user identifier.
+   * @return {string|null} The file content, or null if there is no file.
+   */
+  readFile(userId) {
+    try {
+      return fs.readFileSync(this.getFilePath(userId), "utf-8");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @notice Parses the content of a user's file.
+   * @param {string} userId - The unique user identifier.
+   * @param {string} stored - The file content.
+   * @return {Object|null} The record, or null if the file is not valid JSON.
+   * @throws Will throw an error if the file is encrypted and cannot be decrypted, so it is never overwritten.
+   */
+  parseUser(userId, stored) {
+    if (!this.encryptor && parseEnvelope(stored)) {
+      throw new Error(`The data of user ${userId} is encrypted. Set 'encryption' to read it.`);
+    }
+    const text = this.encryptor ? this.encryptor.decrypt(stored).toString("utf-8") : stored;
+    try {
+      const data = JSON.parse(text);
+      // Ensure conversations array exists
+      data.conversations = data.conversations || [];
+      data.revision = data.revision || 0;
+      return data;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @notice Reads a user's file.
+   * @param {string} userId - The unique user identifier.
+   * @return {Object|null} The stored record, or null if there is none.
+   */
+  readUser(userId) {
+    const stored = this.readFile(userId);
+    return stored === null ? null : this.parseUser(userId, stored);
+  }
+
+  /**
+   * @notice Writes a user's file, encrypting it if configured.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} record - The record to store.
+   */
+  writeUser(userId, record) {
+    const json = JSON.stringify(record, null, 2);
+    writeFileAtomic(this.getFilePath(userId), this.encryptor ? this.encryptor.encrypt(json) : json);
+  }
+
+  /**
+   * @notice Remembers what a record looked like at a revision, to merge later saves of it.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} userData - The record, as stored.
+   */
+  rememberRevision(userId, userData) {
+    const key = `${userId}:${userData.revision}`;
+    this.snapshots.delete(key);
+    this.snapshots.set(key, snapshotRecord(userData));
+    while (this.snapshots.size > 100) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+  }
+
+  loadUser(userId) {
+    const stored = this.readFile(userId);
+    const data = stored === null ? null : this.parseUser(userId, stored);
+    if (!data) {
+      return null;
+    }
+
+    if (this.encryptor && !this.encryptor.isCurrent(stored)) {
+      // Re-encrypt plaintext and old-key files with the current key, unless they changed meanwhile
+      this.withLock(userId, () => {
+        if (this.readFile(userId) === stored) {
+          this.writeUser(userId, data);
+        }
+      });
+    }
+    this.rememberRevision(userId, data);
+    return data;
+  }
+
+  /**
+   * @notice Saves a user record, merging it with changes stored since it was loaded.
+   * @dev Sets the record's `revision` to the saved revision, so the same object can be saved again.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} userData - The user data, with a `conversations` array.
+   * @throws {RevisionConflictError} If the record is out of date and cannot be merged.
+   */
+  saveUser(userId, userData) {
+    this.withLock(userId, () => {
+      const current = this.readUser(userId);
+      let record = userData;
+      if (current && userData.revision !== undefined && userData.revision !== current.revision) {
+        const base = this.snapshots.get(`${userId}:${userData.revision}`);
+        const merged = base ? mergeRecords(base, current, userData) : { conflicts: [] };
+        if (!base || merged.conflicts.length > 0) {
+          throw new RevisionConflictError(userId, { expected: userData.revision, actual: current.revision, conflicts: merged.conflicts });
+        }
+        record = merged.userData;
+      }
+
+      const revision = (current ? current.revision : 0) + 1;
+      const stored = { ...record, revision };
+      this.writeUser(userId, stored);
+      this.rememberRevision(userId, stored);
+      userData.revision = revision;
+    });
+  }
+
+  deleteUser(userId) {
+    return this.withLock(userId, () => {
+      for (const key of this.snapshots.keys()) {
+        if (key.startsWith(`${userId}:`)) {
+          this.snapshots.delete(key);
+        }
+      }
+      const exists = fs.existsSync(this.getFilePath(userId));
+      fs.rmSync(this.getFilePath(userId), { force: true });
+      return exists;
+    });
+  }
+
+  listUsers() {
+    if (!fs.existsSync(this.logPath)) {
+      return [];
+    }
+    // Response logs and search indexes share the directory, so skip their files
+    return fs.readdirSync(this.logPath)
+      .filter(name => name.endsWith(".json") && !name.endsWith(".embeddings.json") && !parseResponseLogName(name))
+      .map(name => name.slice(0, -".json".length));
+  }
+
+  updateUser(userId, update) {
+    this.withLock(userId, () => super.updateUser(userId, update));
+  }
+
+  putConversation(userId, conversation) {
+    this.withLock(userId, () => super.putConversation(userId, conversation));
+  }
+
+  deleteConversation(userId, conversationId) {
+    return this.withLock(userId, () => super.deleteConversation(userId, conversationId));
+  }
+
+  appendMessage(userId, conversationId, message) {
+    this.withLock(userId, () => super.appendMessage(userId, conversationId, message));
+  }
+}
+
+/**
+ * @title InMemoryStorage
+ * @notice Keeps user data in memory for the lifetime of the process. Useful for tests.
+ * @dev Records are copied on the way in and out, so callers never share state with the store.
+ */
+export class InMemoryStorage extends StorageAdapter {
+  constructor() {
+    super();
+    this.users = new Map();
+  }
+
+  loadUser(userId) {
+    return this.users.has(userId) ? structuredClone(this.users.get(userId)) : null;
+  }
+
+  saveUser(userId, userData) {
+    this.users.set(userId, structuredClone(userData));
+  }
+
+  deleteUser(userId) {
+    return this.users.delete(userId);
+  }
+
+  listUsers() {
+    return [...this.users.keys()];
+  }
+}
+
+/**
+ * @notice Opens a SQLite database with whichever driver is available.
+ * @dev Prefers the built-in `node:sqlite` module (Node.js 22.5+) and falls back to `better-sqlite3`.
+ *      Both expose the same synchronous `exec`/`prepare` API used by SQLiteStorage.
+ * @param {string} filename - The database file, or ':memory:'.
+ * @return {Object} The open database handle.
+ * @throws Will throw an error if no SQLite driver is available.
+ */
+const openSQLiteDatabase = (filename) => {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(filename);
+  } catch (error) {
+    // Not available in this Node.js version; try the optional package instead
+  }
+
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(filename);
+  } catch (error) {
+    throw new Error("SQLite storage requires Node.js 22.5+ (node:sqlite) or the better-sqlite3 package.");
+  }
+};
+
+/**
+ * @title SQLiteStorage
+ * @notice Stores users and conversations in a SQLite database, one row per conversation.
+ * @dev Conversation reads and writes only touch the conversation's own row, and the database can be
+ *      shared between processes.
+ *      With `encryption`, the user and conversation data columns are encrypted with AES-256-GCM (see
+ *      src/Encryption.js); user and conversation IDs stay readable. Plaintext rows, and rows encrypted
+ *      with an older key, are still read, and are re-encrypted with the current key when next written.
+ */
+export class SQLiteStorage extends StorageAdapter {
+  /**
+   * @param {Object} [options={}] - Database settings.
+   *        - `path`: The database file. Defaults to `conversations.db`; use ':memory:' for a throwaway database.
+   *        - `database`: An already open `node:sqlite` or `better-sqlite3` database to use instead.
+   *        - `encryption`: An `Encryptor`, or its options, to encrypt the stored data with. Defaults to no encryption.
+   */
+  constructor(options = {}) {
+    super();
+    this.encryptor = createEncryptor(options.encryption);
+    const filename = options.path || "conversations.db";
+    if (!options.database && filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+    this.db = options.database || openSQLiteDatabase(filename);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        user_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS conversations (
+        user_id TEXT NOT NULL,
+        conversation_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (user_id, conversation_id)
+      );
+    `);
+  }
+
+  /**
+   * @notice Runs a function inside a transaction.
+   * @param {Function} fn - The function to run.
+   * @return {*} The function's return value.
+   */
+  transaction(fn) {
+    this.db.exec("BEGIN");
+    try {
+      const result = fn();
+      this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  /**
+   * @notice Serializes a record for a data column, encrypting it if configured.
+   * @param {Object} value - The user record or conversation.
+   * @return {string} The column value.
+   */
+  encode(value) {
+    const json = JSON.stringify(value);
+    return this.encryptor ? this.encryptor.encrypt(json) : json;
+  }
+
+  /**
+   * @notice Parses a data column, decrypting it if needed.
+   * @param {string} userId - The unique user identifier, for error messages.
+   * @param {string} data - The column value.
+   * @return {Object} The user record or conversation.
+   * @throws Will throw an error if the data is encrypted and cannot be decrypted.
+   */
+  decode(userId, data) {
+    if (!this.encryptor && parseEnvelope(data)) {
+      throw new Error(`The data of user ${userId} is encrypted. Set 'encryption' to read it.`);
+    }
+    return JSON.parse(this.encryptor ? this.encryptor.decrypt(data).toString("utf-8") : data);
+  }
+
+  /**
+   * @notice Loads the user row without conversations.
+   * @param {string} userId - The unique user identifier.
+   * @return {Object|null} The user record, or null if not stored.
+   */
+  loadUserRecord(userId) {
+    const row = this.db.prepare("SELECT data FROM users WHERE user_id = ?").get(userId);
+    return row ? this.decode(userId, row.data) : null;
+  }
+
+  /**
+   * @notice Saves the user row without conversations.
+   * @param {string} userId - The unique user identifier.
+   * @param {Object} record - The user record.
+   */
+  saveUserRecord(userId, record) {
+    this.db.prepare("INSERT INTO users (user_id, data) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET data = excluded.data")
+      .run(userId, this.encode(record));
+  }
+
+  loadUser(userId) {
+    const record = this.loadUserRecord(userId);
+    if (!record) {
+      return null;
+    }
+    const rows = this.db.prepare("SELECT data FROM conversations WHERE user_id = ? ORDER BY position").all(userId);
+    return { ...record, conversations: rows.map(row => this.decode(userId, row.data)) };
+  }
+
+  saveUser(userId, userData) {
+    const { conversations = [], ...record } = userData;
+    this.transaction(() => {
+      this.saveUserRecord(userId, record);
+      this.db.prepare("DELETE FROM conversations WHERE user_id = ?").run(userId);
+      const insert = this.db.prepare("INSERT INTO conversations (user_id, conversation_id, position, data) VALUES (?, ?, ?, ?)");
+      conversations.forEach((conversation, index) => {
+        insert.run(userId, conversation.conversationId, index, this.encode(conversation));
+      });
+    });
+  }
+
+  updateUser(userId, update) {
+    this.transaction(() => {
+      const record = this.loadUserRecord(userId) || { userId, totalConversations: 0 };
+      update(record);
+      this.saveUserRecord(userId, record);
+    });
+  }
+
+  listConversations(userId) {
+    const rows = this.db.prepare("SELECT data FROM conversations WHERE user_id = ? ORDER BY position").all(userId);
+    return rows.map(row => summarizeConversation(this.decode(userId, row.data)));
+  }
+
+  getConversation(userId, conversationId) {
+    const row = this.db.prepare("SELECT data FROM conversations WHERE user_id = ? AND conversation_id = ?")
+      .get(userId, conversationId);
+    return row ? this.decode(userId, row.data) : null;
+  }
+
+  putConversation(userId, conversation) {
+    conversation.revision = this.transaction(() => {
+      const revision = nextConversationRevision(userId, this.getConversation(userId, conversation.conversationId), conversation);
+      const data = this.encode({ ...conversation, revision });
+      const updated = this.db.prepare("UPDATE conversations SET data = ? WHERE user_id = ? AND conversation_id = ?")
+        .run(data, userId, conversation.conversationId);
+      if (updated.changes > 0) {
+        return revision;
+      }
+
+      const { position } = this.db.prepare("SELECT COALESCE(MAX(position) + 1, 0) AS position FROM conversations WHERE user_id = ?")
+        .get(userId);
+      this.db.prepare("INSERT INTO conversations (user_id, conversation_id, position, data) VALUES (?, ?, ?, ?)")
+        .run(userId, conversation.conversationId, position, data);
+
+      const record = this.loadUserRecord(userId) || { userId, totalConversations: 0 };
+      record.totalConversations = (record.totalConversations || 0) + 1;
+      this.saveUserRecord(userId, record);
+      return revision;
+    });
+  }
+
+  deleteConversation(userId, conversationId) {
+    const result = this.db.prepare("DELETE FROM conversations WHERE user_id = ? AND conversation_id = ?")
+      .run(userId, conversationId);
+    return result.changes > 0;
+  }
+
+  deleteUser(userId) {
+    return this.transaction(() => {
+      this.db.prepare("DELETE FROM conversations WHERE user_id = ?").run(userId);
+      return this.db.prepare("DELETE FROM users WHERE user_id = ?").run(userId).changes > 0;
+    });
+  }
+
+  listUsers() {
+    return this.db.prepare("SELECT user_id FROM users ORDER BY user_id").all().map(row => row.user_id);
+  }
+
+  /**
+   * @notice Closes the database connection.
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * @notice Creates a storage adapter from a config value.
+ * @param {Object|string|StorageAdapter|null} storage - An adapter instance, a type name ('json', 'memory',
+ *        'sqlite'), or an object with a `type` and the adapter's options (e.g. `{ type: "sqlite", path: "logs/conversations.db" }`).
+ *        Defaults to JSON files.
+ * @param {string} [logPath="logs"] - The log directory, used as the default location for stored data.
+ * @param {Encryptor|Object|null} [encryption=null] - The encryption of the JSON files or SQLite data, unless the storage
+ *        config sets its own. The `memory` backend keeps nothing at rest, so it is not encrypted.
+ * @return {StorageAdapter} The storage adapter.
+ * @throws Will throw an error for an unknown storage type.
+ */
+export const createStorage = (storage = null, logPath = "logs", encryption = null) => {
+  if (storage && typeof storage.loadUser === "function") {
+    return storage;
+  }
+
+  const options = typeof storage === "string" ? { type: storage } : { ...(storage || {}) };
+  switch (options.type || "json") {
+    case "json":
+      return new JSONFileStorage(options.path || logPath, { encryption, ...options });
+    case "memory":
+      return new InMemoryStorage();
+    case "sqlite":
+      return new SQLiteStorage({ encryption, ...options, path: options.path || `${logPath}/conversations.db` });
+    default:
+      throw new Error(`Unknown storage type '${options.type}'. Please use 'json', 'memory' or 'sqlite'.`);
+  }
+};
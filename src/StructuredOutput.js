@@ -0,0 +1,223 @@
+/**
+ * @title StructuredOutput
+ * @notice JSON responses that follow a JSON schema.
+ * @dev The schema is sent to the API as `response_format`, and each response is parsed and validated
+ *      locally, since not every provider or model enforces it. The validator covers the keywords used
+ *      to describe responses: `type`, `enum`, `const`, `properties`, `required`, `additionalProperties`,
+ *      `items`, `minItems`, `maxItems`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ *      `exclusiveMinimum`, `exclusiveMaximum`, `allOf`, `anyOf`, `oneOf` and local `$ref`s
+ *      (`#/$defs/...`). Other keywords, like `format`, are ignored.
+ */
+
+/**
+ * @notice Returns the JSON type of a value.
+ * @param {*} value - The value.
+ * @return {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'.
+ */
+const getType = (value) => {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+};
+
+/**
+ * @notice Checks a value against a schema `type`.
+ * @param {*} value - The value.
+ * @param {string} type - The schema type.
+ * @return {boolean} Whether the value has the type. Integers are also numbers.
+ */
+const hasType = (value, type) => {
+  const actual = getType(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+/**
+ * @notice Resolves a local `$ref` such as '#/$defs/address'.
+ * @param {Object} root - The root schema.
+ * @param {string} ref - The reference.
+ * @return {Object} The referenced schema.
+ * @throws Will throw an error for references that are not local or do not exist.
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith("#")) {
+    throw new Error(`Unsupported $ref '${ref}'. Only local references are supported.`);
+  }
+  const target = ref.slice(1).split("/").filter(Boolean)
+    .map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((schema, key) => (schema && typeof schema === "object" ? schema[key] : undefined), root);
+  if (target === undefined) {
+    throw new Error(`Cannot resolve $ref '${ref}'.`);
+  }
+  return target;
+};
+
+/**
+ * @notice Validates a value against a schema, collecting errors.
+ * @param {*} value - The value.
+ * @param {Object|boolean} schema - The schema.
+ * @param {string} path - The value's location, e.g. '$.items[0]'.
+ * @param {Object} root - The root schema, for `$ref`s.
+ * @param {Array<string>} errors - The list errors are added to.
+ */
+const validateValue = (value, schema, path, root, errors) => {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    errors.push(`${path}: is not allowed`);
+    return;
+  }
+  if (schema.$ref) {
+    validateValue(value, resolveRef(root, schema.$ref), path, root, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      errors.push(`${path}: expected ${types.join(" or ")}, got ${getType(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = getType(value);
+  if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push(`${path}: must match the pattern ${schema.pattern}`);
+    }
+  }
+  if (type === "integer" || type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, root, errors));
+    }
+  }
+  if (type === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) {
+        errors.push(`${path}: missing required property '${name}'`);
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = /^[A-Za-z_$][\w$]*$/.test(name) ? `${path}.${name}` : `${path}[${JSON.stringify(name)}]`;
+      if (Object.hasOwn(properties, name)) {
+        validateValue(propertyValue, properties[name], propertyPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property '${name}'`);
+      } else if (schema.additionalProperties !== undefined) {
+        validateValue(propertyValue, schema.additionalProperties, propertyPath, root, errors);
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => validateValue(value, subschema, path, root, errors));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateSchema(value, subschema, root).length === 0)) {
+    errors.push(`${path}: does not match any of the allowed schemas`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => validateSchema(value, subschema, root).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${path}: must match exactly one of the allowed schemas, matched ${matches}`);
+    }
+  }
+};
+
+/**
+ * @notice Validates a value against a JSON schema.
+ * @param {*} value - The value.
+ * @param {Object|boolean} schema - The schema.
+ * @param {Object} [root=schema] - The root schema `$ref`s are resolved against.
+ * @return {Array<string>} The validation errors, each starting with the value's location
+ *         (e.g. `$.answer: expected boolean, got string`). Empty if the value is valid.
+ * @throws Will throw an error for `$ref`s that cannot be resolved.
+ */
+export const validateSchema = (value, schema, root = schema) => {
+  const errors = [];
+  validateValue(value, schema, "$", root, errors);
+  return errors;
+};
+
+/**
+ * @notice Parses and validates a structured response.
+ * @dev Models sometimes wrap JSON in a Markdown code block even when asked not to, so a single
+ *      surrounding code block is ignored.
+ * @param {string} content - The response text.
+ * @param {Object} schema - The JSON schema it must match.
+ * @return {Object} `{ value }` with the parsed value, or `{ errors }` listing why it was rejected.
+ */
+export const parseStructuredResponse = (content, schema) => {
+  const fenced = content.trim().match(/^```[\w-]*\s*\n([\s\S]*?)\n?```$/);
+  let value;
+  try {
+    value = JSON.parse(fenced ? fenced[1] : content);
+  } catch (error) {
+    return { errors: [`The response is not valid JSON: ${error.message}`] };
+  }
+  const errors = validateSchema(value, schema);
+  return errors.length > 0 ? { errors } : { value };
+};
+
+/**
+ * @notice Builds the `response_format` request field for a schema.
+ * @param {Object} schema - The JSON schema.
+ * @param {Object} [options={}] - Format settings.
+ *        - `name`: The schema name sent to the API. Defaults to 'response'.
+ *        - `strict`: Whether the API should enforce the schema exactly. OpenAI's strict mode requires
+ *          every property to be listed in `required` and `additionalProperties: false`.
+ * @return {Object} The `response_format` value.
+ */
+export const toResponseFormat = (schema, options = {}) => ({
+  type: "json_schema",
+  json_schema: { name: options.name || "response", schema, strict: options.strict || false },
+});
+
+/**
+ * @notice Builds the message asking the model to correct a rejected response.
+ * @param {Array<string>} errors - Why the response was rejected.
+ * @return {string} The repair prompt.
+ */
+export const buildRepairPrompt = (errors) => [
+  "Your previous response does not match the required JSON schema:",
+  ...errors.map(error => `- ${error}`),
+  "Reply again with only the corrected JSON.",
+].join("\n");
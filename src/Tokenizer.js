@@ -0,0 +1,278 @@
+/**
+ * @title Tokenizers
+ * @notice Token counting for conversation history, used by ConversationManager to trim history
+ *         and to size the response limit.
+ * @dev A tokenizer is any object with a `count(text)` method. The built-in BPETokenizer implements
+ *      OpenAI's byte pair encodings (cl100k_base, o200k_base) locally; the vocabularies are bundled
+ *      with the `js-tiktoken` package, so no network access is needed.
+ */
+
+import { createRequire } from 'module';
+import { estimateImageTokens } from './Content.js';
+
+const require = createRequire(import.meta.url);
+
+// Chat format overhead, as documented in OpenAI's token counting guide
+const tokensPerMessage = 3;
+const tokensPerName = 1;
+const tokensPerReply = 3;
+
+/**
+ * @notice Model name prefixes mapped to their encodings. The first matching prefix wins.
+ */
+const modelEncodings = [
+  ["gpt-4o", "o200k_base"],
+  ["chatgpt-4o", "o200k_base"],
+  ["gpt-4.1", "o200k_base"],
+  ["gpt-4.5", "o200k_base"],
+  ["gpt-5", "o200k_base"],
+  ["o1", "o200k_base"],
+  ["o3", "o200k_base"],
+  ["o4", "o200k_base"],
+  ["gpt-4", "cl100k_base"],
+  ["gpt-3.5", "cl100k_base"],
+  ["gpt-35", "cl100k_base"],
+  ["text-embedding-", "cl100k_base"],
+];
+
+const defaultEncoding = "o200k_base";
+
+// Vocabularies are large, so they are loaded once per encoding and shared
+const vocabularies = new Map();
+
+/**
+ * @title BPETokenizer
+ * @notice Byte pair encoding tokenizer compatible with OpenAI's tiktoken encodings.
+ * @dev The vocabulary is loaded lazily on first use and shared by all instances of an encoding.
+ */
+export class BPETokenizer {
+  /**
+   * @param {string} encoding - The encoding name, e.g. 'cl100k_base' or 'o200k_base'.
+   */
+  constructor(encoding) {
+    if (!BPETokenizer.encodings.includes(encoding)) {
+      throw new Error(`Unknown encoding '${encoding}'. Supported encodings: ${BPETokenizer.encodings.join(", ")}.`);
+    }
+    this.encoding = encoding;
+  }
+
+  /**
+   * @notice Loads (or returns the cached) vocabulary for this tokenizer's encoding.
+   * @return {Object} The pre-tokenization pattern and the rank lookup tables.
+   */
+  getVocabulary() {
+    if (!vocabularies.has(this.encoding)) {
+      const { pat_str, bpe_ranks } = require(`js-tiktoken/ranks/${this.encoding}`);
+      const ranks = new Map();
+      const bytesByRank = new Map();
+
+      // Each line holds a starting rank followed by consecutive base64-encoded tokens
+      for (const line of bpe_ranks.split("\n")) {
+        const [, offset, ...tokens] = line.split(" ");
+        tokens.forEach((token, index) => {
+          const bytes = Buffer.from(token, "base64");
+          ranks.set(bytes.toString("latin1"), Number(offset) + index);
+          bytesByRank.set(Number(offset) + index, bytes);
+        });
+      }
+
+      vocabularies.set(this.encoding, { pattern: new RegExp(pat_str, "gu"), ranks, bytesByRank });
+    }
+    return vocabularies.get(this.encoding);
+  }
+
+  /**
+   * @notice Encodes text into token ranks.
+   * @dev Special tokens such as `<|endoftext|>` are encoded as ordinary text.
+   * @param {string} text - The text to encode.
+   * @return {Array<number>} The token ranks.
+   */
+  encode(text) {
+    const { pattern, ranks } = this.getVocabulary();
+    const tokens = [];
+
+    for (const [piece] of text.matchAll(pattern)) {
+      const bytes = Buffer.from(piece, "utf-8");
+      const rank = ranks.get(bytes.toString("latin1"));
+      if (rank !== undefined) {
+        tokens.push(rank);
+      } else {
+        tokens.push(...bytePairEncode(bytes, ranks));
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * @notice Decodes token ranks back into text.
+   * @param {Array<number>} tokens - The token ranks.
+   * @return {string} The decoded text.
+   */
+  decode(tokens) {
+    const { bytesByRank } = this.getVocabulary();
+    return Buffer.concat(tokens.map(token => bytesByRank.get(token) || Buffer.alloc(0))).toString("utf-8");
+  }
+
+  /**
+   * @notice Counts the tokens in a text.
+   * @param {string} text - The text to count tokens for.
+   * @return {number} The exact token count for this encoding.
+   */
+  count(text) {
+    return this.encode(text).length;
+  }
+}
+
+/**
+ * @notice The encodings supported by BPETokenizer.
+ */
+BPETokenizer.encodings = ["cl100k_base", "o200k_base"];
+
+/**
+ * @notice Merges the bytes of a piece into tokens, always applying the lowest-ranked pair first.
+ * @param {Buffer} bytes - The UTF-8 bytes of a single pre-tokenized piece.
+ * @param {Map<string, number>} ranks - Token ranks keyed by their latin1-encoded bytes.
+ * @return {Array<number>} The token ranks for the piece.
+ */
+function bytePairEncode(bytes, ranks) {
+  // Token boundaries, initially one token per byte
+  const boundaries = Array.from({ length: bytes.length + 1 }, (_, index) => index);
+  const pairRank = (index) => {
+    if (index + 2 >= boundaries.length) {
+      return Infinity;
+    }
+    const rank = ranks.get(bytes.toString("latin1", boundaries[index], boundaries[index + 2]));
+    return rank === undefined ? Infinity : rank;
+  };
+  const pairRanks = boundaries.map((_, index) => pairRank(index));
+
+  while (boundaries.length > 2) {
+    let minIndex = -1;
+    for (let index = 0; index < pairRanks.length; index++) {
+      if (pairRanks[index] !== Infinity && (minIndex === -1 || pairRanks[index] < pairRanks[minIndex])) {
+        minIndex = index;
+      }
+    }
+    if (minIndex === -1) {
+      break;
+    }
+
+    // Merge the pair by dropping the boundary between them, then re-rank the neighbours
+    boundaries.splice(minIndex + 1, 1);
+    pairRanks.splice(minIndex + 1, 1);
+    pairRanks[minIndex] = pairRank(minIndex);
+    if (minIndex > 0) {
+      pairRanks[minIndex - 1] = pairRank(minIndex - 1);
+    }
+  }
+
+  const tokens = [];
+  for (let index = 0; index < boundaries.length - 1; index++) {
+    tokens.push(ranks.get(bytes.toString("latin1", boundaries[index], boundaries[index + 1])));
+  }
+  return tokens;
+}
+
+/**
+ * @title WhitespaceTokenizer
+ * @notice Approximates token counts as one token per word.
+ * @dev Cheap and dependency-free, but off by 30-50% for code, JSON and non-English text.
+ */
+export class WhitespaceTokenizer {
+  /**
+   * @notice Counts the words in a text.
+   * @param {string} text - The text to count tokens for.
+   * @return {number} The approximate token count.
+   */
+  count(text) {
+    return text.split(/\s+/).length;
+  }
+}
+
+const customTokenizers = new Map();
+const cachedTokenizers = new Map();
+
+/**
+ * @notice Registers a custom tokenizer under a name, so it can be selected like a built-in one.
+ * @param {string} name - The name used to select the tokenizer, e.g. in config.json's `tokenizer` field.
+ * @param {Object} tokenizer - An object with a `count(text)` method.
+ * @throws Will throw an error if the tokenizer does not implement `count`.
+ */
+export const registerTokenizer = (name, tokenizer) => {
+  if (!tokenizer || typeof tokenizer.count !== "function") {
+    throw new Error("A tokenizer must implement count(text).");
+  }
+  customTokenizers.set(name, tokenizer);
+};
+
+/**
+ * @notice Returns the encoding a model uses.
+ * @dev Unknown models fall back to o200k_base, the encoding of current OpenAI chat models.
+ * @param {string} model - The model name, e.g. 'gpt-4o-mini'.
+ * @return {string} The encoding name.
+ */
+export const getEncodingForModel = (model = "") => {
+  const match = modelEncodings.find(([prefix]) => model.startsWith(prefix));
+  return match ? match[1] : defaultEncoding;
+};
+
+/**
+ * @notice Resolves a tokenizer by registered name, encoding name or model name.
+ * @param {string|Object} nameOrModel - A tokenizer name ('whitespace', 'cl100k_base', ...), a model name,
+ *        or a tokenizer object, which is returned as is.
+ * @return {Object} A tokenizer with a `count(text)` method.
+ */
+export const getTokenizer = (nameOrModel) => {
+  if (nameOrModel && typeof nameOrModel.count === "function") {
+    return nameOrModel;
+  }
+  if (customTokenizers.has(nameOrModel)) {
+    return customTokenizers.get(nameOrModel);
+  }
+
+  const name = nameOrModel === "whitespace" || BPETokenizer.encodings.includes(nameOrModel)
+    ? nameOrModel
+    : getEncodingForModel(nameOrModel);
+
+  if (!cachedTokenizers.has(name)) {
+    cachedTokenizers.set(name, name === "whitespace" ? new WhitespaceTokenizer() : new BPETokenizer(name));
+  }
+  return cachedTokenizers.get(name);
+};
+
+/**
+ * @notice Counts the tokens a list of chat messages uses, including the chat format overhead.
+ * @dev Every message costs a fixed overhead plus its role, content and optional name, and every
+ *      reply is primed with a few more tokens. Images in content parts are estimated by their size and detail.
+ * @param {Object} tokenizer - A tokenizer with a `count(text)` method.
+ * @param {Array<Object>} messages - The chat messages.
+ * @return {number} The number of prompt tokens the API will bill for these messages.
+ */
+export const countMessageTokens = (tokenizer, messages) => {
+  let total = tokensPerReply;
+  for (const message of messages) {
+    total += tokensPerMessage + tokenizer.count(message.role);
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === "text") {
+          total += tokenizer.count(part.text);
+        } else if (part.type === "image") {
+          total += estimateImageTokens(part);
+        } else if (part.filename) {
+          // Files are billed by their extracted content, which is only known to the API
+          total += tokenizer.count(part.filename);
+        }
+      }
+    } else if (message.content) {
+      total += tokenizer.count(message.content);
+    }
+    if (message.name) {
+      total += tokensPerName + tokenizer.count(message.name);
+    }
+    // Tool calls are billed roughly as their serialized function names and arguments
+    for (const toolCall of message.tool_calls || []) {
+      total += tokenizer.count(toolCall.function.name) + tokenizer.count(toolCall.function.arguments || "");
+    }
+  }
+  return total;
+};
@@ -0,0 +1,105 @@
+/**
+ * @title ToolRegistry
+ * @notice Holds the local tools (functions) a conversation lets the model call.
+ * @dev Each tool has a name, a description, a JSON schema for its parameters and an async handler.
+ *      ConversationManager sends the registered tools with every request and runs the handlers
+ *      for the tool calls the model returns.
+ */
+export class ToolRegistry {
+  /**
+   * @param {Array<Object>} [tools=[]] - Tools to register up front. See `register` for the shape.
+   */
+  constructor(tools = []) {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * @notice Registers a tool, replacing any existing tool with the same name.
+   * @param {Object} tool - The tool definition.
+   *        - `name`: The function name the model calls. Letters, digits, underscores and dashes only.
+   *        - `description`: What the tool does, shown to the model.
+   *        - `parameters`: A JSON schema describing the arguments object.
+   *        - `handler`: An (async) function called with the parsed arguments and a context object.
+   * @return {ToolRegistry} The registry, for chaining.
+   * @throws Will throw an error if the name or handler is missing or invalid.
+   */
+  register(tool) {
+    if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || "")) {
+      throw new Error("Tool name is required and may only contain letters, digits, underscores and dashes.");
+    }
+    if (typeof tool.handler !== "function") {
+      throw new Error(`Tool '${tool.name}' must have a handler function.`);
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || "",
+      parameters: tool.parameters || { type: "object", properties: {} },
+      handler: tool.handler,
+    });
+    return this;
+  }
+
+  /**
+   * @notice Removes a tool from the registry.
+   * @param {string} name - The tool name.
+   * @return {boolean} True if the tool was registered.
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * @notice Checks whether a tool is registered.
+   * @param {string} name - The tool name.
+   * @return {boolean} True if the tool is registered.
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * @notice The number of registered tools.
+   * @return {number} The tool count.
+   */
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * @notice Describes the registered tools in the shape the chat completions API expects.
+   * @return {Array<Object>} The `tools` payload entries.
+   */
+  toAPIFormat() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: "function",
+      function: { name, description, parameters },
+    }));
+  }
+
+  /**
+   * @notice Runs the handler for a tool call returned by the model.
+   * @dev Failures are returned as an error result rather than thrown, so the model can see what went
+   *      wrong and recover in its next turn.
+   * @param {Object} toolCall - The tool call, as returned in the assistant message's `tool_calls`.
+   * @param {Object} [context={}] - Passed through to the handler as its second argument.
+   * @return {Promise<string>} The tool result, serialized as JSON unless the handler returned a string.
+   */
+  async execute(toolCall, context = {}) {
+    const { name, arguments: rawArguments } = toolCall.function || {};
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return JSON.stringify({ error: `Unknown tool '${name}'.` });
+    }
+
+    try {
+      const args = rawArguments ? JSON.parse(rawArguments) : {};
+      const result = await tool.handler(args, { ...context, toolCall });
+      return typeof result === "string" ? result : JSON.stringify(result === undefined ? null : result);
+    } catch (error) {
+      return JSON.stringify({ error: error.message });
+    }
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * @title Usage
+ * @notice Token usage and cost accounting for API calls.
+ * @dev Every API call produces a usage entry with its token counts and estimated cost. Entries are
+ *      summed into totals on the conversation and user records, and kept in the user record's
+ *      `usageHistory` so reports can be filtered by date and grouped.
+ *      Prices come from the `pricing` table in config.json, in dollars per million tokens:
+ *      `{ "gpt-4o-mini": { "input": 0.15, "output": 0.6 } }`. A model without an exact entry uses
+ *      the longest entry its name starts with, so dated snapshots share their base model's price.
+ */
+
+export const usageGroupings = ["day", "month", "model", "agent", "conversation"];
+
+/**
+ * @notice Returns empty usage totals.
+ * @return {Object} Totals with zero `requests`, tokens and `cost`.
+ */
+export const emptyUsage = () => ({ requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 });
+
+/**
+ * @notice Adds a usage entry to running totals.
+ * @param {Object|undefined} totals - The totals to add to. Missing totals start at zero.
+ * @param {Object} entry - The usage entry, with token counts and `cost`.
+ * @return {Object} The updated totals.
+ */
+export const addUsage = (totals, entry) => {
+  const sum = { ...emptyUsage(), ...(totals || {}) };
+  sum.requests += entry.requests ?? 1;
+  sum.prompt_tokens += entry.prompt_tokens || 0;
+  sum.completion_tokens += entry.completion_tokens || 0;
+  sum.total_tokens += entry.total_tokens || 0;
+  // Round away floating point noise; costs are tiny fractions of a dollar
+  sum.cost = Math.round((sum.cost + (entry.cost || 0)) * 1e9) / 1e9;
+  return sum;
+};
+
+/**
+ * @notice Normalizes the `usage` block of an API response.
+ * @param {Object|null|undefined} usage - The usage block, with `prompt_tokens` and `completion_tokens`.
+ * @return {Object|null} The token counts, or null if the response had no usage.
+ */
+export const normalizeUsage = (usage) => {
+  if (!usage || (usage.prompt_tokens === undefined && usage.completion_tokens === undefined)) {
+    return null;
+  }
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens || promptTokens + completionTokens,
+  };
+};
+
+/**
+ * @notice Looks up the price of a model.
+ * @param {string} model - The model name.
+ * @param {Object} [pricing={}] - The price table from config.json.
+ * @return {Object|null} The `input` and `output` prices per million tokens, or null if the model has no price.
+ */
+export const getModelPrice = (model, pricing = {}) => {
+  if (!model) {
+    return null;
+  }
+  if (pricing[model]) {
+    return pricing[model];
+  }
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+};
+
+/**
+ * @notice Estimates the cost of a request.
+ * @param {string} model - The model name.
+ * @param {Object} usage - The token counts.
+ * @param {Object} [pricing={}] - The price table from config.json.
+ * @return {number|null} The cost in dollars, or null if the model has no price.
+ */
+export const estimateCost = (model, usage, pricing = {}) => {
+  const price = getModelPrice(model, pricing);
+  if (!price) {
+    return null;
+  }
+  return ((usage.prompt_tokens || 0) * (price.input || 0) + (usage.completion_tokens || 0) * (price.output || 0)) / 1e6;
+};
+
+/**
+ * @notice Returns the key an entry is grouped under.
+ * @param {Object} entry - The usage entry.
+ * @param {string} groupBy - One of `usageGroupings`.
+ * @return {string} The group key.
+ */
+const getGroupKey = (entry, groupBy) => {
+  switch (groupBy) {
+    case "day":
+      return entry.timestamp.slice(0, 10);
+    case "month":
+      return entry.timestamp.slice(0, 7);
+    case "model":
+      return entry.model || "unknown";
+    case "agent":
+      return entry.agent || "default";
+    case "conversation":
+      return entry.conversationId || "none";
+  }
+};
+
+/**
+ * @notice Summarizes usage entries, optionally within a date range and grouped.
+ * @param {Array<Object>} entries - The usage entries, each with a `timestamp`.
+ * @param {Object} [options={}] - Report settings.
+ *        - `from`, `to`: Only include entries at or after `from` and before `to` (Dates or ISO strings).
+ *        - `groupBy`: 'day', 'month', 'model', 'agent' or 'conversation'.
+ * @return {Object} The `totals`, the `groups` (when grouped, sorted by key) and the `unpricedModels`
+ *         whose cost could not be estimated.
+ * @throws Will throw an error for an unknown grouping.
+ */
+export const buildUsageReport = (entries, options = {}) => {
+  const { groupBy = null } = options;
+  if (groupBy && !usageGroupings.includes(groupBy)) {
+    throw new Error(`Invalid groupBy '${groupBy}'. Please use ${usageGroupings.map(name => `'${name}'`).join(", ")}.`);
+  }
+  const from = options.from ? new Date(options.from).getTime() : -Infinity;
+  const to = options.to ? new Date(options.to).getTime() : Infinity;
+
+  let totals = emptyUsage();
+  const groups = new Map();
+  const unpricedModels = new Set();
+
+  for (const entry of entries) {
+    const time = new Date(entry.timestamp).getTime();
+    if (time < from || time >= to) {
+      continue;
+    }
+    totals = addUsage(totals, entry);
+    if (entry.cost === null || entry.cost === undefined) {
+      unpricedModels.add(entry.model || "unknown");
+    }
+    if (groupBy) {
+      const key = getGroupKey(entry, groupBy);
+      groups.set(key, addUsage(groups.get(key), entry));
+    }
+  }
+
+  const report = { totals, unpricedModels: [...unpricedModels] };
+  if (groupBy) {
+    report.groups = [...groups.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, usage]) => ({ [groupBy]: key, ...usage }));
+  }
+  return report;
+};
@@ -0,0 +1,126 @@
+// Content.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { APIHandler, AttachmentStore, ConversationManager, InMemoryStorage, estimateImageTokens, getImageSize } from '../ConversationManager.js';
+
+// Just enough of a PNG for its type and size to be read
+const png = (width, height) => {
+  const buffer = Buffer.alloc(33);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+describe('Content Tests', () => {
+  let directory;
+  let storage;
+
+  const createManager = () => {
+    const manager = new ConversationManager('ada', undefined, { storage });
+    manager.attachments = new AttachmentStore(path.join(directory, 'attachments'));
+    manager.setSystem('direct', { agentPrompt: 'You describe screenshots.', conversationMaxTokens: 5000 });
+    manager.apiHandler = new APIHandler('test-api-key', 'gpt-4o', { retry: { maxAttempts: 1 } });
+    return manager;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-content-'));
+    storage = new InMemoryStorage();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store images by reference and send them as data URLs', async () => {
+    const image = png(1024, 768);
+    const imagePath = path.join(directory, 'screenshot.png');
+    fs.writeFileSync(imagePath, image);
+    const dataUrl = `data:image/png;base64,${image.toString('base64')}`;
+
+    const manager = createManager();
+    manager.addMessage(['What is wrong here?', { type: 'image', path: imagePath, detail: 'high' }]);
+    manager.addMessage([{ type: 'image', data: image, detail: 'low' }, { type: 'image', url: 'https://example.com/chart.png' }]);
+
+    const [, first, second] = manager.messages;
+    const attachment = `${first.content[1].attachment}`;
+    expect(first.content).to.deep.equal([
+      { type: 'text', text: 'What is wrong here?' },
+      { type: 'image', attachment, mimeType: 'image/png', width: 1024, height: 768, detail: 'high' },
+    ]);
+    // The same bytes are stored once
+    expect(second.content[0].attachment).to.equal(attachment);
+    expect(fs.readdirSync(path.join(directory, 'attachments'))).to.deep.equal([attachment]);
+    expect(attachment).to.match(/^[0-9a-f]{64}\.png$/);
+
+    const expected = [
+      { role: 'system', content: 'You describe screenshots.' },
+      { role: 'user', content: [{ type: 'text', text: 'What is wrong here?' }, { type: 'image_url', image_url: { url: dataUrl, detail: 'high' } }] },
+      { role: 'user', content: [
+        { type: 'image_url', image_url: { url: dataUrl, detail: 'low' } },
+        { type: 'image_url', image_url: { url: 'https://example.com/chart.png', detail: 'auto' } },
+      ] },
+    ];
+    expect(manager.getMessagesForAPI()).to.deep.equal(expected);
+
+    const fetchStub = sinon.stub(global, 'fetch').resolves({
+      ok: true,
+      json: async () => ({ choices: [{ message: { role: 'assistant', content: 'The button is cut off.' } }] }),
+    });
+    await manager.callAPI();
+    expect(JSON.parse(fetchStub.firstCall.args[1].body).messages).to.deep.equal(expected);
+    manager.saveHistory();
+    expect(JSON.stringify(storage.loadUser('ada'))).not.to.include('base64');
+    expect(storage.getConversation('ada', '1').name).to.equal('What is wrong here?\n[image]');
+
+    // Loading the conversation again sends the same messages
+    const later = createManager();
+    later.setActiveConversation('1');
+    expect(later.getMessagesForAPI().slice(0, 3)).to.deep.equal(expected);
+  });
+
+  it('should estimate image tokens by size and detail', () => {
+    expect(estimateImageTokens({ width: 1024, height: 1024, detail: 'low' })).to.equal(85);
+    expect(estimateImageTokens({ width: 1024, height: 1024, detail: 'high' })).to.equal(765);
+    expect(estimateImageTokens({ width: 2048, height: 4096 })).to.equal(1105);
+    expect(estimateImageTokens({ width: 400, height: 300 })).to.equal(255);
+    expect(estimateImageTokens({ detail: 'auto' })).to.equal(765);
+
+    const manager = createManager();
+    const before = manager.getTotalTokens();
+    manager.addMessage([{ type: 'image', data: png(400, 300) }]);
+    expect(manager.getTotalTokens() - before).to.equal(255 + 4);
+  });
+
+  it('should attach files and describe them in text', () => {
+    const manager = createManager();
+    manager.addMessage(['Summarize this report.', { type: 'file', data: Buffer.from('%PDF-1.7'), filename: 'report.pdf' }]);
+
+    const [, { content }] = manager.getMessagesForAPI();
+    expect(content[1]).to.deep.equal({
+      type: 'file',
+      file: { filename: 'report.pdf', file_data: `data:application/pdf;base64,${Buffer.from('%PDF-1.7').toString('base64')}` },
+    });
+    manager.saveHistory();
+    expect(manager.exportConversation('markdown')).to.include('Summarize this report.\n[file: report.pdf]');
+  });
+
+  it('should reject empty content and unknown parts', () => {
+    const manager = createManager();
+    expect(() => manager.addMessage([])).to.throw('Message content cannot be empty.');
+    expect(() => manager.addMessage(['  ', { type: 'text', text: '' }])).to.throw('Message content cannot be empty.');
+    expect(() => manager.addMessage([{ type: 'audio', data: Buffer.from('x') }])).to.throw("Unknown content part type 'audio'.");
+    expect(() => manager.addMessage([{ type: 'image', data: Buffer.from('not an image') }])).to.throw('Unsupported image.');
+    expect(() => manager.addMessage([{ type: 'image', url: 'https://example.com/a.png', detail: 'max' }])).to.throw("Invalid image detail 'max'.");
+    expect(getImageSize(Buffer.from('GIF89a\x20\x00\x10\x00', 'latin1'))).to.deep.equal({ width: 32, height: 16 });
+  });
+});
@@ -2,8 +2,20 @@
 
 import { expect } from 'chai';
 import fs from 'fs';
+import http from 'http';
 import sinon from 'sinon';
-import { ConversationManager, APIHandler, Logger } from '../ConversationManager.js';
+import {
+  ConversationManager,
+  APIHandler,
+  Logger,
+  InMemoryStorage,
+  APIError,
+  RateLimitError,
+  AuthError,
+  ContextLengthError,
+  TimeoutError,
+  EmptyResponseError,
+} from '../ConversationManager.js';
 import dotenv from 'dotenv';
 
 // Load environment variables from .env file
@@ -127,6 +139,38 @@ describe('setSystem', () => {
     fs.existsSync.restore();
   });
 
+  it('should put a new system prompt ahead of the history when changed mid-conversation', () => {
+    const conversationManager = new ConversationManager();
+    conversationManager.setSystem('direct', { agentPrompt: 'You are a poet.' });
+    conversationManager.addMessage('Write a haiku.');
+    conversationManager.addMessage('Leaves fall, softly.', 'assistant');
+
+    conversationManager.setSystem('direct', { agentPrompt: 'You grade poems.' });
+    expect(conversationManager.messages.map(msg => msg.role)).to.deep.equal(['system', 'user', 'assistant']);
+    expect(conversationManager.messages[0].content).to.equal('You grade poems.');
+
+    // Trimming keeps the system prompt, as it is the first message
+    conversationManager.conversationMaxTokens = 10;
+    conversationManager.trimHistory();
+    expect(conversationManager.messages[0]).to.deep.equal({ role: 'system', content: 'You grade poems.' });
+  });
+
+  it('should replace only the system prompt with setSystemPrompt, keeping the agent and its settings', () => {
+    const conversationManager = new ConversationManager();
+    conversationManager.setSystem('config', { modelId: 'poet' });
+    conversationManager.setTokenizer('whitespace');
+    conversationManager.addMessage('Write a haiku.');
+    const { apiHandler, tokenizer, compaction, memory, agentId, agentQuota } = conversationManager;
+    expect(agentId).to.equal('poet');
+
+    conversationManager.setSystemPrompt('Be terse.');
+    expect(conversationManager.messages.map(msg => msg.role)).to.deep.equal(['system', 'user']);
+    expect(conversationManager.messages[0]).to.deep.equal({ role: 'system', content: 'Be terse.' });
+    expect(conversationManager.systemPrompt).to.deep.equal({ agentFile: null, variables: {}, content: 'Be terse.' });
+    expect(conversationManager).to.include({ apiHandler, tokenizer, compaction, memory, agentId, agentQuota, temperature: 0.6, responseTokens: 75 });
+    expect(() => conversationManager.setSystemPrompt('  ')).to.throw('System prompt cannot be empty.');
+  });
+
   it('should throw an error for invalid mode', () => {
     const conversationManager = new ConversationManager();
     expect(() => {
@@ -144,6 +188,24 @@ describe('setSystem', () => {
       expect(conversationManager.messages).to.deep.equal([]);
     });
 
+    it('should save and reload conversations through the configured storage', () => {
+      const storage = new InMemoryStorage();
+      const conversationManager = new ConversationManager('user123', undefined, { storage });
+      conversationManager.addMessage('Hello');
+      conversationManager.addMessage('Hi, how can I help you?', 'assistant');
+      conversationManager.saveHistory();
+
+      expect(storage.listConversations('user123')).to.have.length(1);
+      expect(storage.loadUser('user123').totalConversations).to.equal(1);
+
+      const reloaded = new ConversationManager('user123', undefined, { storage });
+      expect(reloaded.activeConversationId).to.equal('2');
+      reloaded.loadLatestConversation();
+      expect(reloaded.activeConversationId).to.equal('1');
+      expect(reloaded.messages.map(msg => msg.content)).to.deep.equal(['Hello', 'Hi, how can I help you?']);
+      expect(reloaded.getHistory('1')).to.have.length(2);
+    });
+
     // Commenting out tests that require file operations
     /*
     it('should save conversation history', () => {
@@ -186,7 +248,7 @@ describe('setSystem', () => {
       });
 
       const conversationManager = new ConversationManager();
-      conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model');
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model', { retry: { maxAttempts: 1 } });
       conversationManager.addMessage('Hello');
       try {
         await conversationManager.callAPI();
@@ -197,6 +259,321 @@ describe('setSystem', () => {
       }
       expect(fetchStub.calledOnce).to.be.true;
     });
+
+    it('should throw an EmptyResponseError when the model answers with nothing', async () => {
+      fetchStub.resolves({
+        ok: true,
+        json: async () => ({ choices: [{ message: { role: 'assistant', content: null }, finish_reason: 'content_filter' }] }),
+      });
+
+      const conversationManager = new ConversationManager();
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model', { retry: { maxAttempts: 1 } });
+      conversationManager.addMessage('Hello');
+      try {
+        await conversationManager.callAPI();
+        expect.fail('Expected callAPI to throw an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(EmptyResponseError);
+        expect(error.message).to.equal('The model returned an empty response (finish reason: content_filter).');
+        expect(error.finishReason).to.equal('content_filter');
+      }
+      expect(conversationManager.messages.map(msg => msg.role)).to.deep.equal(['user']);
+    });
+  });
+
+  describe('Retries and Errors', () => {
+    const errorResponse = (status, statusText, body, headers = {}) => ({
+      ok: false,
+      status,
+      statusText,
+      headers: new Headers(headers),
+      text: async () => body,
+    });
+    const successResponse = {
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'Recovered' } }] }),
+    };
+    const createConversation = (options = {}) => {
+      const conversationManager = new ConversationManager();
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model', {
+        retry: { baseDelay: 1, jitter: 0 },
+        ...options,
+      });
+      conversationManager.addMessage('Hello');
+      return conversationManager;
+    };
+
+    it('should retry server errors with backoff', async () => {
+      fetchStub.onFirstCall().resolves(errorResponse(503, 'Service Unavailable', 'Overloaded'));
+      fetchStub.onSecondCall().resolves(errorResponse(502, 'Bad Gateway', 'Bad gateway'));
+      fetchStub.onThirdCall().resolves(successResponse);
+
+      const response = await createConversation().callAPI();
+      expect(response).to.equal('Recovered');
+      expect(fetchStub.callCount).to.equal(3);
+    });
+
+    it('should honor the rate limit reset headers', async () => {
+      fetchStub.onFirstCall().resolves(errorResponse(429, 'Too Many Requests', '{"error": {"code": "rate_limit_exceeded"}}', {
+        'x-ratelimit-reset-requests': '30ms',
+        'x-ratelimit-reset-tokens': '10ms',
+      }));
+      fetchStub.onSecondCall().resolves(successResponse);
+
+      const start = Date.now();
+      const response = await createConversation().callAPI();
+      expect(response).to.equal('Recovered');
+      expect(Date.now() - start).to.be.at.least(25);
+    });
+
+    it('should throw a RateLimitError with the Retry-After delay once attempts are exhausted', async () => {
+      fetchStub.resolves(errorResponse(429, 'Too Many Requests', 'Slow down', { 'retry-after': '0' }));
+
+      try {
+        await createConversation({ retry: { maxAttempts: 2 } }).callAPI();
+        expect.fail('Expected callAPI to throw an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(RateLimitError);
+        expect(error.status).to.equal(429);
+        expect(error.retryAfter).to.equal(0);
+      }
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should not retry errors that cannot succeed', async () => {
+      fetchStub.onFirstCall().resolves(errorResponse(401, 'Unauthorized', 'Invalid API key'));
+      fetchStub.onSecondCall().resolves(errorResponse(400, 'Bad Request', JSON.stringify({
+        error: { code: 'context_length_exceeded', type: 'invalid_request_error' },
+      })));
+      fetchStub.onThirdCall().resolves(errorResponse(429, 'Too Many Requests', JSON.stringify({
+        error: { code: 'insufficient_quota' },
+      })));
+
+      const errors = [];
+      for (let index = 0; index < 3; index++) {
+        try {
+          await createConversation().callAPI();
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+
+      expect(errors[0]).to.be.instanceOf(AuthError);
+      expect(errors[1]).to.be.instanceOf(ContextLengthError);
+      expect(errors[1].code).to.equal('context_length_exceeded');
+      expect(errors[2]).to.be.instanceOf(RateLimitError);
+      expect(errors[2].retryable).to.be.false;
+      expect(errors.every(error => error instanceof APIError)).to.be.true;
+      expect(fetchStub.callCount).to.equal(3);
+    });
+
+    it('should time out requests that take too long', async () => {
+      // Never responds, but rejects like fetch does once the request is aborted
+      fetchStub.callsFake((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+      }));
+
+      try {
+        await createConversation({ timeout: 10, retry: { maxAttempts: 2, baseDelay: 1 } }).callAPI();
+        expect.fail('Expected callAPI to throw an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(TimeoutError);
+        expect(error.timeout).to.equal(10);
+      }
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should throw a ContextLengthError when there is no room for a response', async () => {
+      const conversationManager = createConversation();
+      conversationManager.conversationMaxTokens = 5;
+      try {
+        await conversationManager.callAPI();
+        expect.fail('Expected callAPI to throw an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ContextLengthError);
+      }
+      expect(fetchStub.called).to.be.false;
+    });
+  });
+
+  describe('Tool Calling', () => {
+    const toolCallResponse = (id, args) => ({
+      ok: true,
+      json: async () => ({
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id, type: 'function', function: { name: 'get_weather', arguments: JSON.stringify(args) } }],
+          },
+        }],
+      }),
+    });
+
+    const createConversation = () => {
+      const conversationManager = new ConversationManager('', 'gpt-4o-mini', {
+        tools: [{
+          name: 'get_weather',
+          description: 'Gets the weather for a city.',
+          parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+          handler: async ({ city }) => ({ city, forecast: 'sunny' }),
+        }],
+      });
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model');
+      conversationManager.conversationMaxTokens = 3000;
+      return conversationManager;
+    };
+
+    it('should run tool calls and loop until a final answer', async () => {
+      fetchStub.onFirstCall().resolves(toolCallResponse('call_1', { city: 'Paris' }));
+      fetchStub.onSecondCall().resolves({
+        ok: true,
+        json: async () => ({ choices: [{ message: { role: 'assistant', content: 'It is sunny in Paris.' } }] }),
+      });
+
+      const conversationManager = createConversation();
+      conversationManager.addMessage('What is the weather in Paris?');
+      const response = await conversationManager.callAPI();
+
+      expect(response).to.equal('It is sunny in Paris.');
+      expect(fetchStub.calledTwice).to.be.true;
+
+      const firstPayload = JSON.parse(fetchStub.firstCall.args[1].body);
+      expect(firstPayload.tools[0].function.name).to.equal('get_weather');
+
+      const secondPayload = JSON.parse(fetchStub.secondCall.args[1].body);
+      expect(secondPayload.messages.map(msg => msg.role)).to.deep.equal(['user', 'assistant', 'tool']);
+      expect(secondPayload.messages[1].tool_calls[0].id).to.equal('call_1');
+      expect(secondPayload.messages[2]).to.deep.equal({
+        role: 'tool',
+        content: JSON.stringify({ city: 'Paris', forecast: 'sunny' }),
+        tool_call_id: 'call_1',
+      });
+
+      // The tool call and its result are part of the history that saveHistory persists
+      const toolMessage = conversationManager.messages.find(msg => msg.role === 'tool');
+      expect(toolMessage.name).to.equal('get_weather');
+    });
+
+    it('should not send tools when none are registered', async () => {
+      fetchStub.resolves({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Hi' } }] }),
+      });
+
+      const conversationManager = new ConversationManager();
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model');
+      conversationManager.addMessage('Hello');
+      await conversationManager.callAPI();
+
+      expect(JSON.parse(fetchStub.firstCall.args[1].body)).to.not.have.property('tools');
+    });
+
+    it('should stop after the maximum number of tool iterations', async () => {
+      fetchStub.callsFake(async () => toolCallResponse(`call_${fetchStub.callCount}`, { city: 'Oslo' }));
+
+      const conversationManager = createConversation();
+      conversationManager.maxToolIterations = 2;
+      conversationManager.addMessage('What is the weather in Oslo?');
+
+      try {
+        await conversationManager.callAPI();
+        expect.fail('Expected callAPI to throw an error');
+      } catch (error) {
+        expect(error.message).to.equal('Tool calling did not finish within 2 iterations.');
+      }
+      expect(fetchStub.callCount).to.equal(3);
+    });
+  });
+
+  describe('History Compaction', () => {
+    const createConversation = (compaction, options = {}) => {
+      const conversationManager = new ConversationManager('user123', undefined, { storage: new InMemoryStorage() });
+      conversationManager.setSystem('direct', {
+        agentPrompt: 'You are a test assistant.',
+        tokenizer: 'whitespace',
+        conversationMaxTokens: 40,
+        compaction,
+      });
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model', { retry: { maxAttempts: 1 } });
+      return conversationManager;
+    };
+
+    it('should never trim pinned messages with the pinned strategy', () => {
+      const conversationManager = createConversation('pinned');
+      conversationManager.addMessage('My name is Ada and my goal is to ship the compiler.', 'user', { pinned: true });
+      for (let index = 0; index < 5; index++) {
+        conversationManager.addMessage(`Filler message number ${index} with several more words in it.`);
+      }
+
+      expect(conversationManager.messages[0].role).to.equal('system');
+      expect(conversationManager.messages[1].content).to.equal('My name is Ada and my goal is to ship the compiler.');
+      expect(conversationManager.messages.length).to.be.below(7);
+      expect(conversationManager.getMessagesForAPI()[1]).to.deep.equal({
+        role: 'user',
+        content: 'My name is Ada and my goal is to ship the compiler.',
+      });
+    });
+
+    it('should drop pinned messages with the drop-oldest strategy', () => {
+      const conversationManager = createConversation('drop-oldest');
+      conversationManager.addMessage('My name is Ada.', 'user');
+      conversationManager.pinMessage(1);
+      for (let index = 0; index < 5; index++) {
+        conversationManager.addMessage(`Filler message number ${index} with several more words in it.`);
+      }
+
+      expect(conversationManager.messages.map(msg => msg.content)).to.not.include('My name is Ada.');
+    });
+
+    it('should fold trimmed messages into a running summary and persist it', async () => {
+      fetchStub.onFirstCall().resolves({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'The user is Ada, who wants to ship a compiler.' } }] }),
+      });
+      fetchStub.onSecondCall().resolves({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Your name is Ada.' } }] }),
+      });
+
+      const conversationManager = createConversation({ strategy: 'summarize', summaryTokens: 50 });
+      conversationManager.addMessage('My name is Ada and my goal is to ship the compiler.');
+      for (let index = 0; index < 4; index++) {
+        conversationManager.addMessage(`Filler message number ${index} with several more words in it.`);
+      }
+      conversationManager.addMessage('What is my name?');
+      expect(conversationManager.pendingSummaryMessages[0].content).to.equal('My name is Ada and my goal is to ship the compiler.');
+
+      await conversationManager.callAPI();
+
+      const summaryRequest = JSON.parse(fetchStub.firstCall.args[1].body);
+      expect(summaryRequest.max_tokens).to.equal(50);
+      expect(summaryRequest.messages[1].content).to.include('user: My name is Ada and my goal is to ship the compiler.');
+
+      const request = JSON.parse(fetchStub.secondCall.args[1].body);
+      expect(request.messages[0].content).to.equal('You are a test assistant.');
+      expect(request.messages[1]).to.deep.equal({
+        role: 'system',
+        content: 'Summary of the earlier conversation:\nThe user is Ada, who wants to ship a compiler.',
+      });
+      // Messages trimmed to make room for the summary and the response wait for the next compaction
+      expect(conversationManager.pendingSummaryMessages.map(msg => msg.content))
+        .to.not.include('My name is Ada and my goal is to ship the compiler.');
+
+      conversationManager.saveHistory();
+      const stored = conversationManager.logger.getConversation('user123', conversationManager.activeConversationId);
+      expect(stored.summary).to.equal('The user is Ada, who wants to ship a compiler.');
+
+      conversationManager.startNewConversation();
+      expect(conversationManager.summary).to.equal('');
+      conversationManager.setActiveConversation(stored.conversationId);
+      expect(conversationManager.summary).to.equal('The user is Ada, who wants to ship a compiler.');
+    });
+
+    it('should throw an error for an unknown compaction strategy', () => {
+      expect(() => createConversation('forget-everything'))
+        .to.throw("Invalid compaction strategy 'forget-everything'. Please use 'drop-oldest', 'summarize', or 'pinned'.");
+    });
   });
 
   describe('Token Management', () => {
@@ -213,7 +590,17 @@ describe('setSystem', () => {
         { role: 'assistant', content: 'Hi there' },
       ];
       const totalTokens = conversationManager.getTotalTokens();
-      expect(totalTokens).to.equal(4);
+      // 4 content tokens, 2 role tokens, 3 per message and 3 to prime the reply
+      expect(totalTokens).to.equal(15);
+    });
+
+    it('should select the tokenizer from the configured model', () => {
+      const conversationManager = new ConversationManager();
+      conversationManager.setSystem('direct', { agentPrompt: 'You are a test assistant.', model: 'gpt-4' });
+      expect(conversationManager.tokenizer.encoding).to.equal('cl100k_base');
+
+      conversationManager.setSystem('direct', { agentPrompt: 'You are a test assistant.', tokenizer: 'whitespace' });
+      expect(conversationManager.getTokenCount('{"key": "value"}')).to.equal(2);
     });
 
     it('should trim history when tokens exceed limit', () => {
@@ -232,10 +619,17 @@ describe('setSystem', () => {
 
   describe('Error Handling', () => {
     it('should handle missing API key', () => {
+      const apiKey = process.env.OPENAI_API_KEY;
       process.env.OPENAI_API_KEY = '';
-      expect(() => new APIHandler('', 'model')).to.throw(
-        'API key is required. Please set OPENAI_API_KEY in the .env file.'
-      );
+      try {
+        expect(() => new APIHandler('', 'model')).to.throw(
+          'API key is required. Please set OPENAI_API_KEY in the .env file.'
+        );
+        // The key is read when the system is set up, not when the module loads
+        expect(() => new ConversationManager()).to.throw('Please set OPENAI_API_KEY');
+      } finally {
+        process.env.OPENAI_API_KEY = apiKey;
+      }
     });
   });
 });
@@ -296,3 +690,89 @@ describe('addMessage Edge Cases', () => {
     }).to.throw('Message content cannot be empty.');
   });
 });
+
+describe('Streaming', () => {
+  let server;
+  let apiUrl;
+  let chunks;
+  let holdOpen;
+  let requestBodies;
+
+  before((done) => {
+    // A local fake SSE server that replays `chunks` as chat completion deltas
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (data) => { body += data; });
+      req.on('end', () => {
+        requestBodies.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const content of chunks) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        }
+        if (holdOpen) {
+          return; // Leave the stream open so the client has to abort
+        }
+        res.end('data: [DONE]\n\n');
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      apiUrl = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    chunks = ['Roses ', 'are ', 'red'];
+    holdOpen = false;
+    requestBodies = [];
+  });
+
+  it('should yield deltas and append the assembled response', async () => {
+    const conversationManager = new ConversationManager();
+    conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model', { apiUrl });
+    conversationManager.addMessage('Write a poem');
+
+    const deltas = [];
+    const tokens = [];
+    for await (const delta of conversationManager.streamAPI({ onToken: (token) => tokens.push(token) })) {
+      deltas.push(delta);
+    }
+
+    expect(deltas).to.deep.equal(['Roses ', 'are ', 'red']);
+    expect(tokens).to.deep.equal(deltas);
+    expect(requestBodies[0].stream).to.be.true;
+    const lastMessage = conversationManager.messages[conversationManager.messages.length - 1];
+    expect(lastMessage.role).to.equal('assistant');
+    expect(lastMessage.content).to.equal('Roses are red');
+  });
+
+  it('should append the partial response when aborted mid-stream', async () => {
+    holdOpen = true;
+    const conversationManager = new ConversationManager();
+    conversationManager.apiHandler = new APIHandler('test-api-key', 'test-model', { apiUrl });
+    conversationManager.addMessage('Write a poem');
+
+    const controller = new AbortController();
+    const deltas = [];
+    try {
+      for await (const delta of conversationManager.streamAPI({ signal: controller.signal })) {
+        deltas.push(delta);
+        if (deltas.length === 2) {
+          controller.abort();
+        }
+      }
+      expect.fail('Expected streamAPI to throw an AbortError');
+    } catch (error) {
+      expect(error.name).to.equal('AbortError');
+    }
+
+    const lastMessage = conversationManager.messages[conversationManager.messages.length - 1];
+    expect(lastMessage.role).to.equal('assistant');
+    expect(lastMessage.content).to.equal('Roses are');
+  });
+});
@@ -0,0 +1,127 @@
+// Encryption.test.js
+
+import { expect } from 'chai';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AttachmentStore, Encryptor, JSONFileStorage, Logger, SQLiteStorage } from '../ConversationManager.js';
+
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+
+const userData = {
+  userId: 'ada',
+  totalConversations: 1,
+  conversations: [{ conversationId: '1', name: 'Diagnosis', messages: [{ role: 'user', content: 'My blood pressure is 150/95.' }] }],
+};
+
+describe('Encryption Tests', () => {
+  let logPath;
+
+  beforeEach(() => {
+    logPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-encryption-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(logPath, { recursive: true, force: true });
+    delete process.env.OCM_ENCRYPTION_KEY;
+  });
+
+  it('should encrypt and decrypt with keys from options or the environment', () => {
+    const encryptor = new Encryptor({ keyId: 'k1', keys: { k1: oldKey.toString('base64') } });
+    const stored = encryptor.encrypt('Secret');
+    expect(JSON.parse(stored)).to.include({ encrypted: 'aes-256-gcm', keyId: 'k1' });
+    expect(stored).not.to.include('Secret');
+    expect(encryptor.decrypt(stored).toString()).to.equal('Secret');
+    expect(encryptor.decrypt('{"plain": true}').toString()).to.equal('{"plain": true}');
+
+    process.env.OCM_ENCRYPTION_KEY = `k2:${newKey.toString('hex')}, k1:${oldKey.toString('base64')}`;
+    const rotated = new Encryptor({ keyId: 'k2' });
+    expect(rotated.decrypt(stored).toString()).to.equal('Secret');
+    expect(rotated.isCurrent(stored)).to.be.false;
+    expect(rotated.isCurrent(rotated.encrypt('Secret'))).to.be.true;
+
+    process.env.OCM_ENCRYPTION_KEY = newKey.toString('base64');
+    expect(new Encryptor().decrypt(new Encryptor().encrypt('Secret')).toString()).to.equal('Secret');
+    expect(() => new Encryptor().decrypt(stored)).to.throw("No encryption key found for key ID 'k1'. Set OCM_ENCRYPTION_KEY or pass a keyProvider.");
+    expect(() => new Encryptor({ keys: { default: 'too short' } }).encrypt('Secret')).to.throw("Encryption key 'default' must be 32 bytes");
+
+    // Tampered data fails authentication
+    const envelope = JSON.parse(stored);
+    envelope.data = Buffer.from('Sekret').toString('base64');
+    expect(() => encryptor.decrypt(JSON.stringify(envelope))).to.throw("Could not decrypt data encrypted with key 'k1'");
+  });
+
+  it('should store user files encrypted and read plaintext files for migration', () => {
+    const filePath = path.join(logPath, 'ada.json');
+    fs.writeFileSync(filePath, JSON.stringify(userData, null, 2));
+
+    const keyProvider = (keyId) => ({ k1: oldKey, k2: newKey })[keyId] || null;
+    const storage = new JSONFileStorage(logPath, { encryption: { keyId: 'k1', keyProvider } });
+    expect(storage.loadUser('ada').conversations).to.deep.equal(userData.conversations);
+    // The plaintext file was encrypted when read
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf-8')).keyId).to.equal('k1');
+
+    storage.putConversation('ada', { conversationId: '2', name: 'Follow-up', messages: [{ role: 'user', content: 'Still 150/95.' }] });
+    expect(fs.readFileSync(filePath, 'utf-8')).not.to.include('150/95');
+
+    // Rotating the key re-encrypts on the next read
+    const rotated = new JSONFileStorage(logPath, { encryption: { keyId: 'k2', keyProvider } });
+    expect(rotated.listConversations('ada').map(convo => convo.name)).to.deep.equal(['Diagnosis', 'Follow-up']);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf-8')).keyId).to.equal('k2');
+    expect(new JSONFileStorage(logPath, { encryption: { keyId: 'k2', keys: { k2: newKey } } }).loadUser('ada').revision).to.equal(1);
+
+    // Without the key, the file is never mistaken for a missing user
+    expect(() => new JSONFileStorage(logPath).loadUser('ada')).to.throw("The data of user ada is encrypted. Set 'encryption' to read it.");
+    expect(() => new JSONFileStorage(logPath).putConversation('ada', { conversationId: '3', messages: [] })).to.throw('is encrypted');
+  });
+
+  it('should encrypt the data of SQLite storage', function () {
+    const dbPath = path.join(logPath, 'conversations.db');
+    let storage;
+    try {
+      storage = new SQLiteStorage({ path: dbPath });
+    } catch (error) {
+      this.skip();  // No SQLite driver in this Node.js version
+    }
+    // A row written before encryption was turned on
+    storage.saveUser('ada', structuredClone(userData));
+    storage.close();
+
+    const logger = new Logger(logPath, { type: 'sqlite', path: dbPath }, { keys: { default: newKey } });
+    expect(logger.loadUserData('ada').conversations).to.deep.equal(userData.conversations);
+    logger.saveConversation('ada', { conversationId: '1', name: 'Diagnosis', messages: [{ role: 'user', content: 'Now 150/95 again.' }] });
+    logger.saveConversation('ada', { conversationId: '2', name: 'Follow-up', messages: [{ role: 'user', content: 'Still 150/95.' }] });
+    expect(logger.listConversations('ada').map(convo => convo.name)).to.deep.equal(['Diagnosis', 'Follow-up']);
+
+    const rows = logger.storage.db.prepare('SELECT data FROM conversations UNION ALL SELECT data FROM users').all();
+    expect(rows).to.have.lengthOf(3);
+    for (const { data } of rows) {
+      expect(data).not.to.include('150/95').and.not.to.include('Diagnosis');
+      expect(JSON.parse(data)).to.include({ encrypted: 'aes-256-gcm' });
+    }
+    logger.storage.close();
+
+    const withoutKey = new SQLiteStorage({ path: dbPath });
+    expect(() => withoutKey.loadUser('ada')).to.throw("The data of user ada is encrypted. Set 'encryption' to read it.");
+    withoutKey.close();
+  });
+
+  it('should encrypt response logs and attachments', () => {
+    const encryption = { keys: { default: newKey } };
+    const logger = new Logger(logPath, { type: 'json' }, encryption);
+    const logFile = logger.logResponse('ada', userData.conversations[0].messages);
+    expect(fs.readFileSync(logFile, 'utf-8')).not.to.include('150/95');
+    expect(logger.readResponseLog(logFile)).to.deep.equal(userData.conversations[0].messages);
+    expect(() => new Logger(logPath).readResponseLog(logFile)).to.throw('is encrypted');
+
+    logger.saveUserData('ada', structuredClone(userData));
+    expect(fs.readFileSync(path.join(logPath, 'ada.json'), 'utf-8')).not.to.include('150/95');
+
+    const attachments = new AttachmentStore(path.join(logPath, 'attachments'), logger.encryptor);
+    const name = attachments.put(Buffer.from('%PDF-1.7 lab results'), 'application/pdf');
+    expect(fs.readFileSync(path.join(logPath, 'attachments', name), 'utf-8')).not.to.include('lab results');
+    expect(attachments.read(name).toString()).to.equal('%PDF-1.7 lab results');
+  });
+});
@@ -0,0 +1,176 @@
+// Exporters.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ConversationManager,
+  InMemoryStorage,
+  toMarkdown,
+  toHTML,
+  toFineTuningJSONL,
+  parseJSONL,
+  parseChatGPTExport,
+} from '../ConversationManager.js';
+
+const conversation = {
+  conversationId: '1',
+  name: 'Weather <check>',
+  timestamp: '2024-11-03T10:00:00.000Z',
+  messages: [
+    { role: 'user', content: 'Weather in Paris?', timestamp: '2024-11-03T10:00:00.000Z' },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+    },
+    { role: 'tool', tool_call_id: 'call_1', name: 'get_weather', content: '{"temp":21}' },
+    { role: 'assistant', content: 'It is 21°C & sunny.' },
+    { role: 'system', content: 'You are a weather bot.' },
+  ],
+};
+
+const chatGPTExport = [{
+  title: 'Trip ideas',
+  create_time: 1700000000,
+  current_node: 'c',
+  mapping: {
+    root: { id: 'root', message: null, parent: null, children: ['s'] },
+    s: {
+      id: 's',
+      parent: 'root',
+      children: ['u'],
+      message: { author: { role: 'system' }, content: { content_type: 'text', parts: [''] }, metadata: { is_visually_hidden_from_conversation: true } },
+    },
+    u: {
+      id: 'u',
+      parent: 's',
+      children: ['a', 'b'],
+      message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Where should I go?'] }, create_time: 1700000001 },
+    },
+    b: {
+      id: 'b',
+      parent: 'u',
+      children: [],
+      message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['An abandoned branch.'] } },
+    },
+    a: {
+      id: 'a',
+      parent: 'u',
+      children: ['c'],
+      message: { author: { role: 'tool' }, content: { content_type: 'text', parts: ['search results'] } },
+    },
+    c: {
+      id: 'c',
+      parent: 'a',
+      children: [],
+      message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Try Lisbon.'] } },
+    },
+  },
+}];
+
+describe('Exporter Tests', () => {
+  describe('Renderers', () => {
+    it('should render Markdown with tool calls and results', () => {
+      const markdown = toMarkdown(conversation);
+      expect(markdown).to.match(/^# Weather <check>\n\n\*Conversation 1, started 2024-11-03T10:00:00.000Z\*/);
+      expect(markdown).to.include('### User\n\nWeather in Paris?');
+      expect(markdown).to.include('*Called get_weather({"city":"Paris"})*');
+      expect(markdown).to.include('### Tool (get_weather)\n\n```\n{"temp":21}\n```');
+    });
+
+    it('should render standalone, escaped HTML', () => {
+      const html = toHTML(conversation);
+      expect(html).to.match(/^<!DOCTYPE html>/);
+      expect(html).to.include('<title>Weather &lt;check&gt;</title>');
+      expect(html).to.include('<pre class="content">It is 21°C &amp; sunny.</pre>');
+      expect(html).to.include('<section class="message tool">');
+      expect(html).to.not.include('<check>');
+    });
+
+    it('should render fine-tuning JSONL with system messages first and only API fields', () => {
+      const empty = { conversationId: '2', messages: [{ role: 'user', content: 'Unanswered' }] };
+      const lines = toFineTuningJSONL([conversation, empty]).trim().split('\n');
+
+      expect(lines).to.have.lengthOf(1);
+      const { messages } = JSON.parse(lines[0]);
+      expect(messages[0]).to.deep.equal({ role: 'system', content: 'You are a weather bot.' });
+      expect(messages[1]).to.deep.equal({ role: 'user', content: 'Weather in Paris?' });
+      expect(messages[3]).to.deep.equal({ role: 'tool', content: '{"temp":21}', tool_call_id: 'call_1' });
+    });
+  });
+
+  describe('Parsers', () => {
+    it('should parse JSONL and report bad lines', () => {
+      const parsed = parseJSONL('{"messages":[{"role":"user","content":"Hi"}]}\n\n{"messages":[]}\n');
+      expect(parsed).to.have.lengthOf(2);
+      expect(parsed[0].messages[0].content).to.equal('Hi');
+
+      expect(() => parseJSONL('{"messages":[]}\nnot json')).to.throw('Invalid JSON on line 2');
+      expect(() => parseJSONL('{"prompt":"Hi"}')).to.throw('Line 1 has no "messages" array.');
+    });
+
+    it('should follow the current branch of a ChatGPT export', () => {
+      const [imported] = parseChatGPTExport(chatGPTExport);
+      expect(imported.name).to.equal('Trip ideas');
+      expect(imported.timestamp).to.equal('2023-11-14T22:13:20.000Z');
+      expect(imported.messages).to.deep.equal([
+        { role: 'user', content: 'Where should I go?', timestamp: '2023-11-14T22:13:21.000Z' },
+        { role: 'assistant', content: 'Try Lisbon.' },
+      ]);
+      expect(() => parseChatGPTExport({ title: 'Not an array' })).to.throw('Not a ChatGPT export');
+    });
+  });
+
+  describe('ConversationManager export and import', () => {
+    let storage;
+    let conversationManager;
+
+    beforeEach(() => {
+      storage = new InMemoryStorage();
+      storage.putConversation('ada', conversation);
+      conversationManager = new ConversationManager('ada', undefined, { storage });
+    });
+
+    it('should export a stored conversation', () => {
+      expect(conversationManager.exportConversation('markdown', '1')).to.equal(toMarkdown(conversation));
+      expect(() => conversationManager.exportConversation('markdown', '9')).to.throw('Conversation with ID 9 not found.');
+      expect(() => conversationManager.exportConversation('pdf', '1')).to.throw("Unknown export format 'pdf'.");
+    });
+
+    it('should export all conversations to a directory', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-export-'));
+      try {
+        const files = conversationManager.exportAllConversations('html', directory);
+        expect(files.map(file => file.fileName)).to.deep.equal(['1.html']);
+        expect(fs.readFileSync(path.join(directory, '1.html'), 'utf-8')).to.equal(toHTML(conversation));
+
+        const [dataset] = conversationManager.exportAllConversations('jsonl');
+        expect(dataset.fileName).to.equal('ada.jsonl');
+        expect(dataset.content).to.equal(toFineTuningJSONL([conversation]));
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should import JSONL and ChatGPT exports under fresh IDs', () => {
+      // The active conversation (ID 2) is not saved yet, so imports must not take its ID
+      expect(conversationManager.activeConversationId).to.equal('2');
+
+      const jsonl = toFineTuningJSONL([conversation]);
+      expect(conversationManager.importConversations(jsonl)).to.deep.equal(['3']);
+      expect(conversationManager.importConversations(JSON.stringify(chatGPTExport))).to.deep.equal(['4']);
+      expect(conversationManager.importConversations(chatGPTExport, 'chatgpt')).to.deep.equal(['5']);
+
+      expect(storage.getConversation('ada', '3').name).to.equal('Weather in Paris?');
+      expect(storage.getConversation('ada', '3').messages).to.have.lengthOf(5);
+      expect(storage.getConversation('ada', '4').name).to.equal('Trip ideas');
+      expect(conversationManager.activeConversationId).to.equal('2');
+    });
+
+    it('should require a user to import into', () => {
+      expect(() => new ConversationManager().importConversations('')).to.throw('A userId is required');
+    });
+  });
+});
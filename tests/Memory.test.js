@@ -0,0 +1,126 @@
+// Memory.test.js
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { APIHandler, ConversationManager, InMemoryStorage, normalizeMemory } from '../ConversationManager.js';
+
+const reply = (content) => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { role: 'assistant', content } }] }),
+});
+
+describe('Memory Tests', () => {
+  let storage;
+
+  const createManager = (memory = {}) => {
+    const manager = new ConversationManager('ada', undefined, { storage });
+    manager.setSystem('direct', { agentPrompt: 'You are a cooking assistant.', conversationMaxTokens: 1000, memory });
+    manager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini', { retry: { maxAttempts: 1 } });
+    return manager;
+  };
+
+  beforeEach(() => {
+    storage = new InMemoryStorage();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should remember and forget facts in the user record', () => {
+    const manager = createManager();
+    const id = manager.remember('The user is vegetarian.');
+    manager.remember('The user lives in Lyon.');
+
+    expect(manager.remember('the user is vegetarian')).to.equal(id);
+    expect(storage.loadUser('ada').memories.map(memory => memory.text)).to.deep.equal(['The user is vegetarian.', 'The user lives in Lyon.']);
+    expect(manager.getMemories()[0]).to.include({ id, source: 'explicit', conversationId: '1' });
+
+    // Memories carry over to later sessions
+    const later = createManager();
+    expect(later.forget('The user lives in Lyon')).to.be.true;
+    expect(later.forget(id)).to.be.true;
+    expect(later.forget(id)).to.be.false;
+    expect(later.getMemories()).to.deep.equal([]);
+
+    expect(() => new ConversationManager().remember('Anything')).to.throw('A userId is required to remember facts about the user.');
+  });
+
+  it('should send the most relevant memories, then the newest, within the token budget', async () => {
+    const clock = sinon.useFakeTimers({ now: Date.parse('2024-11-03T10:00:00.000Z'), toFake: ['Date'] });
+    const manager = createManager();
+    for (const fact of ['The user has a cat named Miso.', 'The user is allergic to peanuts.', 'The user prefers metric units.']) {
+      manager.remember(fact);
+      clock.tick(1000);
+    }
+    const fetchStub = sinon.stub(global, 'fetch').resolves(reply('Try a satay without peanuts.'));
+
+    manager.addMessage('Can I make a satay sauce with peanuts?');
+    await manager.callAPI();
+
+    const [system, memory, question] = JSON.parse(fetchStub.firstCall.args[1].body).messages;
+    expect(system.content).to.equal('You are a cooking assistant.');
+    expect(memory).to.deep.equal({
+      role: 'system',
+      content: 'What you remember about the user from earlier conversations:\n'
+        + '- The user is allergic to peanuts.\n- The user prefers metric units.\n- The user has a cat named Miso.',
+    });
+    expect(question.content).to.equal('Can I make a satay sauce with peanuts?');
+
+    // With room for one memory, the relevant one is kept
+    const budget = manager.getTokenCount('What you remember about the user from earlier conversations:')
+      + manager.getTokenCount('\n- The user is allergic to peanuts.');
+    const limited = createManager({ maxTokens: budget });
+    limited.addMessage('Can I make a satay sauce with peanuts?');
+    expect(limited.getMemoryMessage().content).to.equal('What you remember about the user from earlier conversations:\n- The user is allergic to peanuts.');
+
+    // Memory is not stored in the conversation, and can be turned off
+    expect(manager.messages.filter(msg => msg.role === 'system')).to.have.lengthOf(1);
+    expect(createManager(false).getMemoryMessage()).to.be.null;
+  });
+
+  it('should extract facts from new messages after each response', async () => {
+    const manager = createManager({ extract: true });
+    manager.remember('The user lives in Lyon.');
+    const fetchStub = sinon.stub(global, 'fetch');
+    fetchStub.onCall(0).resolves(reply('Lentil soup is a good choice.'));
+    fetchStub.onCall(1).resolves(reply('```json\n["The user is vegetarian.", "The user lives in Lyon."]\n```'));
+    fetchStub.onCall(2).resolves(reply('Sure, add cumin.'));
+    fetchStub.onCall(3).resolves(reply('[]'));
+
+    manager.addMessage('I am vegetarian. What should I cook tonight?');
+    expect(await manager.callAPI()).to.equal('Lentil soup is a good choice.');
+
+    const extraction = JSON.parse(fetchStub.secondCall.args[1].body).messages;
+    expect(extraction[1].content).to.equal('Known facts:\n- The user lives in Lyon.\n\nConversation:\n'
+      + 'user: I am vegetarian. What should I cook tonight?\nassistant: Lentil soup is a good choice.');
+    expect(manager.getMemories().map(memory => [memory.text, memory.source])).to.deep.equal([
+      ['The user lives in Lyon.', 'explicit'],
+      ['The user is vegetarian.', 'extracted'],
+    ]);
+
+    // Only the messages added since the last extraction are sent
+    manager.addMessage('Any spice I should add?');
+    await manager.callAPI();
+    expect(JSON.parse(fetchStub.getCall(3).args[1].body).messages[1].content).to.match(/Conversation:\nuser: Any spice I should add\?\nassistant: Sure, add cumin\.$/);
+    expect(manager.getMemories()).to.have.lengthOf(2);
+  });
+
+  it('should keep the response when extraction fails', async () => {
+    const manager = createManager({ extract: true });
+    const warnStub = sinon.stub(console, 'warn');
+    const fetchStub = sinon.stub(global, 'fetch');
+    fetchStub.onCall(0).resolves(reply('Lentil soup.'));
+    fetchStub.onCall(1).rejects(new Error('Network down'));
+
+    manager.addMessage('What should I cook?');
+    expect(await manager.callAPI()).to.equal('Lentil soup.');
+    expect(warnStub.calledWithMatch('Memory extraction failed')).to.be.true;
+  });
+
+  it('should validate memory settings', () => {
+    expect(normalizeMemory(undefined)).to.include({ inject: true, extract: false, maxTokens: 200 });
+    expect(normalizeMemory(false)).to.include({ inject: false, extract: false });
+    expect(() => normalizeMemory({ maxTokens: 0 })).to.throw("Memory setting 'maxTokens' must be a positive number.");
+  });
+});
@@ -0,0 +1,159 @@
+// MessageTree.test.js
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { APIHandler, ConversationManager, InMemoryStorage } from '../ConversationManager.js';
+
+describe('Branching Tests', () => {
+  let storage;
+  let conversationManager;
+  let replies;
+  let fetchStub;
+  let clock;
+
+  const contents = (messages) => messages.map(message => message.content);
+
+  beforeEach(() => {
+    storage = new InMemoryStorage();
+    conversationManager = new ConversationManager('ada', undefined, { storage });
+    conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini');
+    conversationManager.setSystem('direct', { agentPrompt: 'You are a travel agent.' });
+
+    // Each response takes a second, so versions of a message have distinct timestamps
+    clock = sinon.useFakeTimers({ now: Date.parse('2024-11-03T10:00:00.000Z'), toFake: ['Date'] });
+    replies = ['Try Lisbon.', 'Try Oslo.', 'Try Rome.', 'Try Kyoto.'];
+    fetchStub = sinon.stub(global, 'fetch').callsFake(async () => {
+      clock.tick(1000);
+      return {
+        ok: true,
+        json: async () => ({ choices: [{ message: { role: 'assistant', content: replies.shift() } }] }),
+      };
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should link each message to the one before it', async () => {
+    const questionId = conversationManager.addMessage('Where should I go?');
+    await conversationManager.callAPI();
+
+    const [system, question, answer] = conversationManager.messages;
+    expect(system).to.deep.equal({ role: 'system', content: 'You are a travel agent.' });
+    expect(question).to.include({ id: questionId, parentId: null });
+    expect(answer.parentId).to.equal(questionId);
+    expect(answer.id).to.be.a('string').and.not.equal(questionId);
+
+    // IDs are not sent to the API
+    const request = JSON.parse(fetchStub.firstCall.args[1].body);
+    expect(request.messages[1]).to.deep.equal({ role: 'user', content: 'Where should I go?' });
+  });
+
+  it('should edit a message on a new branch and send only the active path', async () => {
+    const questionId = conversationManager.addMessage('Where should I go in summer?');
+    await conversationManager.callAPI();
+
+    const editedId = conversationManager.editMessage(questionId, 'Where should I go in winter?');
+    expect(contents(conversationManager.messages)).to.deep.equal(['You are a travel agent.', 'Where should I go in winter?']);
+    expect(contents(conversationManager.branches)).to.deep.equal(['Where should I go in summer?', 'Try Lisbon.']);
+
+    await conversationManager.callAPI();
+    const request = JSON.parse(fetchStub.secondCall.args[1].body);
+    expect(contents(request.messages)).to.deep.equal(['You are a travel agent.', 'Where should I go in winter?']);
+    expect(contents(conversationManager.messages).slice(1)).to.deep.equal(['Where should I go in winter?', 'Try Oslo.']);
+
+    const versions = conversationManager.getSiblings(questionId);
+    expect(versions.map(message => message.id)).to.deep.equal([questionId, editedId]);
+    expect(versions[1].editedFrom).to.equal(questionId);
+
+    // Switching back follows the original branch to its end
+    conversationManager.switchBranch(questionId);
+    expect(contents(conversationManager.messages).slice(1)).to.deep.equal(['Where should I go in summer?', 'Try Lisbon.']);
+    conversationManager.switchBranch(editedId);
+    expect(contents(conversationManager.messages).slice(1)).to.deep.equal(['Where should I go in winter?', 'Try Oslo.']);
+
+    expect(() => conversationManager.editMessage('missing', 'Hi')).to.throw('Message with ID missing not found.');
+  });
+
+  it('should regenerate a response and keep the old one as a branch', async () => {
+    conversationManager.addMessage('Where should I go?');
+    await conversationManager.callAPI();
+    const firstAnswerId = conversationManager.messages[2].id;
+
+    expect(await conversationManager.regenerate()).to.equal('Try Oslo.');
+    expect(contents(conversationManager.messages).slice(1)).to.deep.equal(['Where should I go?', 'Try Oslo.']);
+    expect(conversationManager.getSiblings(firstAnswerId).map(message => message.content)).to.deep.equal(['Try Lisbon.', 'Try Oslo.']);
+
+    // A failed request leaves the previous branch active
+    fetchStub.rejects(new Error('Network down'));
+    conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini', { retry: { maxAttempts: 1 } });
+    try {
+      await conversationManager.regenerate(firstAnswerId);
+      expect.fail('Expected the request to fail');
+    } catch (error) {
+      expect(error.message).to.include('Network down');
+    }
+    expect(contents(conversationManager.messages).slice(1)).to.deep.equal(['Where should I go?', 'Try Oslo.']);
+  });
+
+  it('should save all branches and load them back', async () => {
+    const questionId = conversationManager.addMessage('Where should I go?');
+    await conversationManager.callAPI();
+    conversationManager.editMessage(questionId, 'Where should I go next year?');
+    await conversationManager.callAPI();
+    conversationManager.saveHistory();
+
+    const stored = storage.getConversation('ada', '1');
+    expect(contents(stored.messages)).to.deep.equal(['You are a travel agent.', 'Where should I go next year?', 'Try Oslo.']);
+    expect(contents(stored.branches)).to.deep.equal(['Where should I go?', 'Try Lisbon.']);
+
+    const reloaded = new ConversationManager('ada', undefined, { storage });
+    reloaded.setActiveConversation('1');
+    reloaded.switchBranch(questionId);
+    expect(contents(reloaded.messages).slice(1)).to.deep.equal(['Where should I go?', 'Try Lisbon.']);
+  });
+
+  it('should give IDs to conversations saved without them', () => {
+    storage.putConversation('ada', {
+      conversationId: '1',
+      name: 'Old conversation',
+      timestamp: '2024-11-03T10:00:00.000Z',
+      messages: [
+        { role: 'system', content: 'You are a travel agent.' },
+        { role: 'user', content: 'Where should I go?', timestamp: '2024-11-03T10:00:00.000Z' },
+        { role: 'assistant', content: 'Try Lisbon.', timestamp: '2024-11-03T10:00:01.000Z' },
+      ],
+    });
+
+    conversationManager.setActiveConversation('1');
+    const [system, question, answer] = conversationManager.messages;
+    expect(system.id).to.be.undefined;
+    expect(question.parentId).to.be.null;
+    expect(answer.parentId).to.equal(question.id);
+
+    conversationManager.editMessage(answer.id, 'Try Porto.');
+    expect(contents(conversationManager.messages).slice(1)).to.deep.equal(['Where should I go?', 'Try Porto.']);
+  });
+
+  it('should fork a conversation from any message', async () => {
+    const questionId = conversationManager.addMessage('Where should I go?');
+    await conversationManager.callAPI();
+    conversationManager.addMessage('And after that?');
+    await conversationManager.callAPI();
+    conversationManager.saveHistory();
+
+    const forkId = conversationManager.forkConversation('1', conversationManager.messages[2].id);
+    expect(forkId).to.equal('2');
+    expect(conversationManager.activeConversationId).to.equal('2');
+    expect(contents(conversationManager.messages)).to.deep.equal(['You are a travel agent.', 'Where should I go?', 'Try Lisbon.']);
+
+    const fork = storage.getConversation('ada', '2');
+    expect(fork.forkedFrom).to.deep.equal({ conversationId: '1', messageId: conversationManager.messages[2].id });
+    expect(fork.messages[1].id).to.equal(questionId);
+    expect(storage.getConversation('ada', '1').messages).to.have.lengthOf(5);
+
+    expect(() => conversationManager.forkConversation('1', 'missing')).to.throw('Message with ID missing not found in conversation 1.');
+    expect(() => conversationManager.forkConversation('9', questionId)).to.throw('Conversation with ID 9 not found.');
+  });
+});
@@ -0,0 +1,180 @@
+// Middleware.test.js
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { APIHandler, ConversationManager, InMemoryStorage } from '../ConversationManager.js';
+
+const reply = (content, usage = undefined) => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { role: 'assistant', content } }], usage }),
+});
+
+describe('Middleware Tests', () => {
+  let storage;
+  let conversationManager;
+
+  beforeEach(() => {
+    storage = new InMemoryStorage();
+    conversationManager = new ConversationManager('ada', undefined, { storage });
+    conversationManager.setSystem('direct', { agentPrompt: 'You are a support agent.' });
+    conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini', { retry: { maxAttempts: 1 } });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should let beforeAddMessage change or drop messages', () => {
+    const added = [];
+    conversationManager.on('message', message => added.push(message.content));
+    conversationManager.use({
+      beforeAddMessage: ({ message }) => {
+        if (message.content.includes('spam')) {
+          return false;
+        }
+        message.content = message.content.replace(/\d{4}-\d{4}/g, '[redacted]');
+      },
+    });
+
+    expect(conversationManager.addMessage('My code is 1234-5678.')).to.be.a('string');
+    expect(conversationManager.addMessage('Buy spam now')).to.be.null;
+
+    expect(conversationManager.messages.slice(1).map(message => message.content)).to.deep.equal(['My code is [redacted].']);
+    expect(added).to.deep.equal(['My code is [redacted].']);
+  });
+
+  it('should let beforeRequest change the payload or answer instead of the API', async () => {
+    const fetchStub = sinon.stub(global, 'fetch').resolves(reply('Your order shipped.'));
+    const requests = [];
+    conversationManager.on('request', request => requests.push(request));
+    conversationManager.use({
+      beforeRequest: (request) => {
+        request.messages.push({ role: 'system', content: 'Reply in one sentence.' });
+        request.temperature = 0;
+      },
+    });
+    conversationManager.use({
+      beforeRequest: ({ messages }) => (messages.some(message => /refund/i.test(message.content)) ? 'I cannot help with refunds.' : undefined),
+    });
+
+    conversationManager.addMessage('Where is my order?');
+    expect(await conversationManager.callAPI()).to.equal('Your order shipped.');
+    const body = JSON.parse(fetchStub.firstCall.args[1].body);
+    expect(body.messages[2]).to.deep.equal({ role: 'system', content: 'Reply in one sentence.' });
+    expect(body.temperature).to.equal(0);
+    expect(requests).to.have.lengthOf(1);
+
+    conversationManager.addMessage('I want a refund.');
+    expect(await conversationManager.callAPI()).to.equal('I cannot help with refunds.');
+    expect(fetchStub.callCount).to.equal(1);
+    expect(requests).to.have.lengthOf(1);
+    expect(conversationManager.messages[4]).to.include({ role: 'assistant', content: 'I cannot help with refunds.' });
+    expect(conversationManager.messages[4].usage).to.be.undefined;
+  });
+
+  it('should let afterResponse replace the response and emit it', async () => {
+    sinon.stub(global, 'fetch').resolves(reply('Call us at 555-0100.', { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }));
+    const responses = [];
+    conversationManager.on('response', ({ message, usage }) => responses.push([message.content, usage.total_tokens]));
+    conversationManager.use({
+      afterResponse: ({ message }) => message.content.replace(/\d{3}-\d{4}/, '[phone]'),
+    });
+
+    conversationManager.addMessage('How do I reach you?');
+    expect(await conversationManager.callAPI()).to.equal('Call us at [phone].');
+    expect(responses).to.deep.equal([['Call us at [phone].', 15]]);
+  });
+
+  it('should let onError answer instead of throwing', async () => {
+    sinon.stub(console, 'error');
+    sinon.stub(global, 'fetch').rejects(new Error('Network down'));
+    const errors = [];
+    conversationManager.on('error', error => errors.push(error.message));
+
+    conversationManager.addMessage('Hello?');
+    try {
+      await conversationManager.callAPI();
+      expect.fail('Expected the request to fail');
+    } catch (error) {
+      expect(error.message).to.include('Network down');
+    }
+    expect(errors).to.have.lengthOf(1);
+
+    conversationManager.use({ onError: ({ error, request }) => (request ? `Sorry, something went wrong (${error.message}).` : undefined) });
+    expect(await conversationManager.callAPI()).to.equal('Sorry, something went wrong (Network down).');
+    expect(errors).to.have.lengthOf(1);
+  });
+
+  it('should let beforeSave scrub or skip what is stored', () => {
+    const saved = [];
+    conversationManager.on('save', ({ conversation }) => saved.push(conversation.conversationId));
+    conversationManager.use({
+      beforeSave: ({ conversation }) => {
+        if (conversation.messages.length < 2) {
+          return false;
+        }
+        conversation.messages = conversation.messages.map(message => ({ ...message, content: message.content.replace('secret', '***') }));
+      },
+      afterSave: ({ conversation }) => saved.push(`after ${conversation.conversationId}`),
+    });
+
+    expect(conversationManager.saveHistory()).to.be.false;
+    expect(storage.getConversation('ada', '1')).to.be.null;
+
+    conversationManager.addMessage('My secret is safe.');
+    expect(conversationManager.saveHistory()).to.be.true;
+    expect(storage.getConversation('ada', '1').messages[1].content).to.equal('My *** is safe.');
+    expect(conversationManager.messages[1].content).to.equal('My secret is safe.');
+    expect(saved).to.deep.equal(['after 1', '1']);
+  });
+
+  it('should call function middleware for every hook, in order', async () => {
+    sinon.stub(global, 'fetch').resolves(reply('Hi!'));
+    const hooks = [];
+    conversationManager.use((hook) => { hooks.push(hook); });
+
+    conversationManager.addMessage('Hello');
+    await conversationManager.callAPI();
+    conversationManager.saveHistory();
+    expect(hooks).to.deep.equal(['beforeAddMessage', 'beforeRequest', 'afterResponse', 'beforeAddMessage', 'beforeSave', 'afterSave']);
+
+    conversationManager.use(async () => {});
+    expect(() => conversationManager.addMessage('Again')).to.throw("Middleware for 'beforeAddMessage' must be synchronous.");
+    expect(() => conversationManager.use({ beforeSend: () => {} })).to.throw("Unknown middleware hook 'beforeSend'.");
+  });
+
+  it('should short-circuit streamed responses too', async () => {
+    const fetchStub = sinon.stub(global, 'fetch');
+    conversationManager.use({ beforeRequest: () => ({ content: 'Cached answer.' }) });
+
+    conversationManager.addMessage('What are your hours?');
+    const deltas = [];
+    for await (const delta of conversationManager.streamAPI()) {
+      deltas.push(delta);
+    }
+    expect(deltas).to.deep.equal(['Cached answer.']);
+    expect(fetchStub.called).to.be.false;
+    expect(conversationManager.messages[2]).to.include({ role: 'assistant', content: 'Cached answer.' });
+  });
+
+  it('should treat a streamed answer recovered by onError as not from the API', async () => {
+    sinon.stub(console, 'error');
+    sinon.stub(global, 'fetch').rejects(new Error('Network down'));
+    const responses = [];
+    conversationManager.on('response', ({ message }) => responses.push(message.content));
+    const afterResponse = sinon.spy();
+    conversationManager.use({ onError: () => 'Sorry, try again later.', afterResponse });
+
+    conversationManager.addMessage('Hello?');
+    const deltas = [];
+    for await (const delta of conversationManager.streamAPI()) {
+      deltas.push(delta);
+    }
+    expect(deltas).to.deep.equal(['Sorry, try again later.']);
+    expect(afterResponse.called).to.be.false;
+    expect(responses).to.deep.equal([]);
+    expect(conversationManager.messages[2]).to.include({ role: 'assistant', content: 'Sorry, try again later.' });
+    expect(conversationManager.messages[2]).not.to.have.property('usage');
+    expect(conversationManager.usage.requests).to.equal(0);
+  });
+});
@@ -0,0 +1,228 @@
+// Orchestrator.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { AgentOrchestrator, ConversationManager, InMemoryStorage } from '../ConversationManager.js';
+
+const prompts = {
+  poet: 'You are a poet.',
+  grader: 'You grade answers.',
+  router: 'You choose agents.',
+};
+
+const completion = (content) => ({
+  ok: true,
+  json: async () => ({
+    choices: [{ message: { role: 'assistant', content } }],
+    usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 },
+  }),
+});
+
+describe('Orchestrator Tests', () => {
+  let tempDir;
+  let configPath;
+  let storage;
+  let requests;
+
+  // Answers as the agent whose system prompt starts the request
+  const stubAgents = (answers) => sinon.stub(global, 'fetch').callsFake(async (url, options) => {
+    const body = JSON.parse(options.body);
+    requests.push(body);
+    const agent = Object.keys(prompts).find(id => body.messages[0].content === prompts[id]);
+    return completion(typeof answers[agent] === 'function' ? answers[agent](body) : answers[agent]);
+  });
+
+  const createConversation = () => new ConversationManager('ada', undefined, { storage });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-orchestrator-'));
+    const models = {};
+    for (const [id, prompt] of Object.entries(prompts)) {
+      fs.writeFileSync(path.join(tempDir, `${id}.txt`), prompt);
+      models[id] = { agent_file: path.join(tempDir, `${id}.txt`), model: 'gpt-4o-mini', description: `The ${id}.` };
+    }
+    configPath = process.env.CONFIG_PATH;
+    process.env.CONFIG_PATH = path.join(tempDir, 'config.json');
+    fs.writeFileSync(process.env.CONFIG_PATH, JSON.stringify({ defaults: { model: 'gpt-4o-mini' }, models }));
+    storage = new InMemoryStorage();
+    requests = [];
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (configPath === undefined) {
+      delete process.env.CONFIG_PATH;
+    } else {
+      process.env.CONFIG_PATH = configPath;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should hand the conversation off by rules and record the agent of each response', async () => {
+    stubAgents({ poet: 'Leaves fall, softly.', grader: 'Correct, well done.' });
+    const conversation = createConversation();
+    const orchestrator = new AgentOrchestrator(conversation, {
+      agents: ['grader', 'poet'],
+      rules: [{ agent: 'poet', pattern: 'haiku' }, { agent: 'grader', when: text => text.startsWith('Answer:') }],
+    });
+    const handoffs = [];
+    orchestrator.on('handoff', handoff => handoffs.push(handoff));
+
+    const first = await orchestrator.send('Write a HAIKU about autumn.');
+    expect(first).to.deep.include({ agent: 'poet', response: 'Leaves fall, softly.' });
+    expect(first.route.by).to.equal('rule');
+    const second = await orchestrator.send('Answer: 7');
+    expect(second.agent).to.equal('grader');
+    // No rule matches, so the current agent keeps the conversation
+    expect((await orchestrator.send('Thanks!')).route).to.deep.equal({ agent: 'grader', reason: null, by: 'default' });
+
+    expect(handoffs.map(({ from, to }) => [from, to])).to.deep.equal([[null, 'poet'], ['poet', 'grader']]);
+    // The new agent's prompt replaces the old one, ahead of the history it keeps
+    expect(requests[1].messages.map(msg => msg.role)).to.deep.equal(['system', 'user', 'assistant', 'user']);
+    expect(requests[1].messages[0].content).to.equal(prompts.grader);
+    expect(requests[1].messages.some(msg => 'agent' in msg)).to.be.false;
+
+    const replies = conversation.messages.filter(msg => msg.role === 'assistant');
+    expect(replies.map(msg => msg.agent)).to.deep.equal(['poet', 'grader', 'grader']);
+    conversation.saveHistory();
+    const stored = storage.getConversation('ada', conversation.activeConversationId);
+    expect(stored.messages.filter(msg => msg.role === 'assistant').map(msg => msg.agent)).to.deep.equal(['poet', 'grader', 'grader']);
+    expect(conversation.exportConversation('markdown')).to.include('Assistant (poet)');
+  });
+
+  it('should ask the routing agent when no rule matches', async () => {
+    stubAgents({
+      router: body => JSON.stringify({ agent: body.messages[1].content.includes('grade') ? 'grader' : 'poet', reason: 'It fits.' }),
+      poet: 'A poem.',
+      grader: 'A grade.',
+    });
+    const conversation = createConversation();
+    const orchestrator = new AgentOrchestrator(conversation, { router: 'router' });
+    expect(orchestrator.agents).to.deep.equal(['poet', 'grader']);
+
+    const { agent, route } = await orchestrator.send('Please grade my essay.');
+    expect(agent).to.equal('grader');
+    expect(route).to.deep.equal({ agent: 'grader', reason: 'It fits.', by: 'router' });
+    const routing = requests[0].messages[1].content;
+    expect(routing).to.include('- poet: The poet.').and.to.include('user: Please grade my essay.');
+
+    // The router's call counts towards the user's usage
+    expect(conversation.usage.requests).to.equal(2);
+    expect(conversation.messages.find(msg => msg.role === 'assistant').agent).to.equal('grader');
+  });
+
+  it('should run a dialogue between two agents', async () => {
+    let verses = 0;
+    stubAgents({ poet: () => `Verse ${++verses}.`, grader: body => `Graded: ${body.messages[body.messages.length - 1].content}` });
+    const conversation = createConversation();
+    const orchestrator = new AgentOrchestrator(conversation);
+    const turns = [];
+    orchestrator.on('turn', turn => turns.push(turn.turn));
+
+    const transcript = await orchestrator.runDialogue(['poet', 'grader'], 'Write about the sea.', { turns: 3 });
+    expect(transcript).to.deep.equal([
+      { agent: 'poet', content: 'Verse 1.' },
+      { agent: 'grader', content: 'Graded: Verse 1.' },
+      { agent: 'poet', content: 'Verse 2.' },
+    ]);
+    expect(turns).to.deep.equal([1, 2, 3]);
+
+    // Each agent sees the other's turns as user messages
+    expect(requests[2].messages.map(msg => [msg.role, msg.content])).to.deep.equal([
+      ['system', prompts.poet],
+      ['user', 'Write about the sea.'],
+      ['assistant', 'Verse 1.'],
+      ['user', 'Graded: Verse 1.'],
+    ]);
+    expect(conversation.messages.filter(msg => msg.role !== 'system').map(msg => [msg.role, msg.agent])).to.deep.equal([
+      ['user', undefined], ['assistant', 'poet'], ['assistant', 'grader'], ['assistant', 'poet'],
+    ]);
+    expect(conversation.usage.requests).to.equal(3);
+  });
+
+  it('should run the conversation\'s middleware and storage for the router and dialogue agents', async () => {
+    stubAgents({ router: JSON.stringify({ agent: 'poet', reason: 'It rhymes.' }), poet: 'A poem.', grader: 'A grade.' });
+    const conversation = createConversation();
+    const requested = [];
+    const answered = [];
+    conversation.use({
+      beforeRequest: ({ messages }) => { requested.push(messages[0].content); },
+      afterResponse: ({ message }) => { answered.push(message.content); },
+    });
+    const orchestrator = new AgentOrchestrator(conversation, { router: 'router' });
+
+    await orchestrator.send('Write a poem.');
+    await orchestrator.runDialogue(['poet', 'grader'], 'Go on.', { turns: 2 });
+    expect(requested).to.deep.equal([prompts.router, prompts.poet, prompts.poet, prompts.grader]);
+    expect(answered).to.have.length(4);
+
+    const router = orchestrator.routerConversation;
+    expect(router.userId).to.equal('ada');
+    expect(router.logger).to.equal(conversation.logger);
+    expect(router.activeConversationId).to.equal(conversation.activeConversationId);
+    expect(storage.listConversations('ada')).to.deep.equal([]);
+  });
+
+  it('should give the router and dialogue agents the user\'s memories', async () => {
+    stubAgents({ router: JSON.stringify({ agent: 'poet', reason: 'It rhymes.' }), poet: 'A poem.', grader: 'A grade.' });
+    const conversation = createConversation();
+    conversation.remember('Ada prefers haiku.');
+    const orchestrator = new AgentOrchestrator(conversation, { router: 'router' });
+
+    await orchestrator.send('Write a poem.');
+    await orchestrator.runDialogue(['poet', 'grader'], 'Go on.', { turns: 2 });
+    expect(requests).to.have.lengthOf(4);
+    for (const body of requests) {
+      expect(body.messages.some(msg => msg.content.includes('Ada prefers haiku.'))).to.be.true;
+    }
+    expect(orchestrator.routerConversation.memory.extract).to.be.false;
+  });
+
+  it('should end a dialogue early when an agent answers with nothing', async () => {
+    stubAgents({ poet: 'Verse 1.', grader: '' });
+    const conversation = createConversation();
+    const orchestrator = new AgentOrchestrator(conversation);
+    const ends = [];
+    orchestrator.on('end', end => ends.push(end));
+
+    const transcript = await orchestrator.runDialogue(['poet', 'grader'], 'Write about the sea.', { turns: 4 });
+    expect(transcript).to.deep.equal([{ agent: 'poet', content: 'Verse 1.' }]);
+    expect(ends).to.deep.equal([{ turn: 2, agent: 'grader', reason: null }]);
+    expect(conversation.messages.filter(msg => msg.role !== 'system').map(msg => msg.content)).to.deep.equal(['Write about the sea.', 'Verse 1.']);
+    // The empty answer still counts towards the user's usage
+    expect(conversation.usage.requests).to.equal(2);
+  });
+
+  it('should reject unknown agents and invalid settings', async () => {
+    const conversation = createConversation();
+    expect(() => new AgentOrchestrator(conversation, { agents: ['poet', 'critic'] }))
+      .to.throw("Unknown agent 'critic'. Agents are the 'models' entries in config.json.");
+    expect(() => new AgentOrchestrator(conversation, { agents: ['poet'], defaultAgent: 'grader' }))
+      .to.throw("The default agent 'grader' is not one of the orchestrator's agents.");
+    expect(() => new AgentOrchestrator(conversation, { agents: ['poet'], rules: [{ agent: 'poet' }] }))
+      .to.throw("The routing rule for 'poet' needs a pattern or a when function.");
+
+    const orchestrator = new AgentOrchestrator(conversation, { agents: ['poet'] });
+    expect(() => orchestrator.handoff('grader')).to.throw("Unknown agent 'grader'. Please use 'poet'.");
+    expect(orchestrator.handoff('poet')).to.be.true;
+    expect(orchestrator.handoff('poet')).to.be.false;
+
+    let error;
+    try {
+      await orchestrator.runDialogue(['poet'], 'Hi');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('A dialogue needs exactly two agents.');
+    error = null;
+    try {
+      await orchestrator.runDialogue(['poet', 'grader'], 'Hi', { turns: 0 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('The number of dialogue turns must be a positive integer.');
+  });
+});
@@ -0,0 +1,154 @@
+// PromptTemplate.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConversationManager, InMemoryStorage, renderTemplate, renderTemplateFile } from '../ConversationManager.js';
+
+describe('PromptTemplate Tests', () => {
+  let tempDir;
+
+  const writeAgent = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('renderTemplate', () => {
+    it('should leave plain prompts unchanged', () => {
+      expect(renderTemplate('You are a seasoned poet.\n')).to.equal('You are a seasoned poet.\n');
+    });
+
+    it('should insert variables, nested values and defaults', () => {
+      const template = 'Hello {{ customer.name }} from {{company}}. Locale: {{locale|en-US}}. {{greeting|"Good day to you"}}! Day: {{date}}. Tags: {{tags}}.';
+      const rendered = renderTemplate(template, {
+        customer: { name: 'Ada' },
+        company: 'Acme',
+        date: new Date('2024-11-03T10:00:00Z'),
+        tags: ['vip', 'beta'],
+      });
+      expect(rendered).to.equal('Hello Ada from Acme. Locale: en-US. Good day to you! Day: 2024-11-03. Tags: vip, beta.');
+      expect(renderTemplate('{{locale|en-US}}', { locale: 'fr-FR' })).to.equal('fr-FR');
+    });
+
+    it('should render conditionals without leaving blank lines', () => {
+      const template = [
+        'You help customers.',
+        '{{! Greeting depends on whether we know the name }}',
+        '{{#if name}}',
+        'Call them {{name}}.',
+        '{{else}}',
+        'Ask for their name.',
+        '{{/if}}',
+        '{{#unless vip}}Mention the upgrade.{{/unless}}',
+        'Be brief.',
+      ].join('\n');
+
+      expect(renderTemplate(template, { name: 'Ada', vip: true })).to.equal('You help customers.\nCall them Ada.\n\nBe brief.');
+      expect(renderTemplate(template, { name: '' })).to.equal('You help customers.\nAsk for their name.\nMention the upgrade.\nBe brief.');
+    });
+
+    it('should report every missing required variable, ignoring branches not rendered', () => {
+      expect(() => renderTemplate('{{company}} {{product}} {{#if beta}}{{betaNotes}}{{/if}}'))
+        .to.throw('Missing required variables for the prompt: company, product.');
+      expect(() => renderTemplateFile(writeAgent('agent.txt', 'For {{company}}.'), {}))
+        .to.throw(/Missing required variable for .*agent\.txt: company\. Pass it in the 'variables' option of setSystem/);
+    });
+
+    it('should reject invalid tags and unbalanced blocks', () => {
+      expect(() => renderTemplate('Hi\n{{first name}}')).to.throw("Invalid template tag '{{first name}}' in the prompt on line 2.");
+      expect(() => renderTemplate('{{#if a}}open')).to.throw('Unclosed {{#if a}} in the prompt on line 1.');
+      expect(() => renderTemplate('{{#if a}}x{{/unless}}')).to.throw('Unexpected {{/unless}}');
+      expect(() => renderTemplate('{{else}}')).to.throw('Unexpected {{else}}');
+    });
+
+    it('should include other agent files with the same variables', () => {
+      writeAgent('shared/tone.txt', 'Keep a {{tone|friendly}} tone.\n');
+      const main = writeAgent('support.txt', 'You work for {{company}}.\n{{> shared/tone}}\n{{> shared/tone.txt}}');
+
+      expect(renderTemplateFile(main, { company: 'Acme', tone: 'formal' }))
+        .to.equal('You work for Acme.\nKeep a formal tone.\nKeep a formal tone.');
+      expect(() => renderTemplateFile(writeAgent('broken.txt', '{{> missing}}')))
+        .to.throw("Included file 'missing' not found");
+
+      writeAgent('a.txt', 'A {{> b}}');
+      writeAgent('b.txt', 'B {{> a}}');
+      expect(() => renderTemplateFile(path.join(tempDir, 'a.txt'))).to.throw("Circular include of 'a'");
+    });
+
+    it('should only include files inside the agent directory, and never from inline prompts', () => {
+      writeAgent('secret.txt', 'Top secret.');
+      writeAgent('agents/shared/tone.txt', 'Be kind. {{> ../../secret}}');
+      expect(() => renderTemplateFile(writeAgent('agents/support.txt', '{{> shared/tone}}')))
+        .to.throw(/Included file '\.\.\/\.\.\/secret' is outside the agent directory/);
+      expect(() => renderTemplateFile(writeAgent('agents/absolute.txt', `{{> ${path.join(tempDir, 'secret.txt')}}}`)))
+        .to.throw(/must be a relative path/);
+
+      fs.symlinkSync(path.join(tempDir, 'secret.txt'), path.join(tempDir, 'agents', 'link.txt'));
+      expect(() => renderTemplateFile(writeAgent('agents/linked.txt', '{{> link}}'))).to.throw(/is outside the agent directory/);
+
+      expect(() => renderTemplate('Hi.\n{{#if never}}{{> secret}}{{/if}}', {}))
+        .to.throw("Includes are only allowed in agent files, not in the prompt: '{{> secret}}' on line 2.");
+    });
+  });
+
+  describe('setSystem', () => {
+    let configPath;
+
+    beforeEach(() => {
+      configPath = process.env.CONFIG_PATH;
+      process.env.CONFIG_PATH = path.join(tempDir, 'config.json');
+      fs.writeFileSync(process.env.CONFIG_PATH, JSON.stringify({
+        defaults: { model: 'gpt-4o-mini' },
+        models: {
+          support: { agent_file: writeAgent('support.txt', 'You work for {{company}} in {{locale}}.'), variables: { locale: 'en-US' } },
+        },
+      }));
+    });
+
+    afterEach(() => {
+      if (configPath === undefined) {
+        delete process.env.CONFIG_PATH;
+      } else {
+        process.env.CONFIG_PATH = configPath;
+      }
+    });
+
+    it('should render agent files with the given variables and save the rendered prompt', () => {
+      const storage = new InMemoryStorage();
+      const conversationManager = new ConversationManager('ada', undefined, { storage });
+      conversationManager.setSystem('config', { modelId: 'support', variables: { company: 'Acme' } });
+      conversationManager.addMessage('Hi');
+      conversationManager.saveHistory();
+
+      expect(conversationManager.getSystem()).to.deep.equal([{ role: 'system', content: 'You work for Acme in en-US.' }]);
+      expect(storage.getConversation('ada', '1').systemPrompt).to.deep.equal({
+        agentFile: path.join(tempDir, 'support.txt'),
+        variables: { locale: 'en-US', company: 'Acme' },
+        content: 'You work for Acme in en-US.',
+      });
+    });
+
+    it('should throw for missing variables and only render direct prompts given variables', () => {
+      const conversationManager = new ConversationManager();
+      expect(() => conversationManager.setSystem('config', { modelId: 'support' })).to.throw('Missing required variable');
+      expect(() => conversationManager.setSystem('file', { agentFilePath: path.join(tempDir, 'support.txt'), variables: { company: 'Acme' } }))
+        .to.throw(/Missing required variable for .*support\.txt: locale\./);
+
+      conversationManager.setSystem('direct', { agentPrompt: 'Reply with {{json}}.' });
+      expect(conversationManager.getSystem()[0].content).to.equal('Reply with {{json}}.');
+      conversationManager.setSystem('direct', { agentPrompt: 'Greet {{name}}.', variables: { name: 'Ada' } });
+      expect(conversationManager.getSystem()[0].content).to.equal('Greet Ada.');
+    });
+  });
+});
@@ -0,0 +1,294 @@
+// Providers.test.js
+
+import { expect } from 'chai';
+import http from 'http';
+import { APIHandler, ConversationManager, ContextLengthError, RateLimitError, TimeoutError, createProvider, AnthropicProvider } from '../ConversationManager.js';
+
+describe('Provider Tests', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let reply;
+
+  before((done) => {
+    // A local stub server that records each request and answers with `reply`
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (data) => { body += data; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        reply(res);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    reply = (res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Hi from the stub.' } }] }));
+    };
+  });
+
+  const sendSSE = (events) => (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end(events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join(''));
+  };
+
+  describe('createProvider', () => {
+    it('should default to OpenAI', () => {
+      const provider = createProvider();
+      expect(provider.getUrl()).to.equal('https://api.openai.com/v1/chat/completions');
+      expect(provider.apiKeyEnv).to.equal('OPENAI_API_KEY');
+    });
+
+    it('should default Ollama to the local server and not require a key', () => {
+      const provider = createProvider({ provider: 'ollama' });
+      expect(provider.getUrl()).to.equal('http://localhost:11434/v1/chat/completions');
+      expect(provider.requiresApiKey).to.be.false;
+      expect(() => new APIHandler('', 'llama3.2', { provider })).to.not.throw();
+    });
+
+    it('should reject unknown providers and missing base URLs', () => {
+      expect(() => createProvider({ provider: 'acme' })).to.throw("Unknown provider 'acme'.");
+      expect(() => createProvider({ provider: 'openai-compatible' })).to.throw('requires a baseUrl');
+      expect(() => createProvider({ provider: 'azure' })).to.throw('requires a baseUrl');
+    });
+
+    it('should name the key to set when it is missing', () => {
+      expect(() => new APIHandler('', 'claude-sonnet-4-5', { provider: 'anthropic' }))
+        .to.throw('API key is required. Please set ANTHROPIC_API_KEY in the .env file.');
+      expect(() => new APIHandler('', 'model', { provider: 'anthropic', apiKeyEnv: 'MY_KEY' }))
+        .to.throw('Please set MY_KEY');
+    });
+  });
+
+  describe('OpenAI-compatible', () => {
+    it('should post to the base URL and only send a key when configured', async () => {
+      const handler = new APIHandler('', 'qwen2.5', { provider: 'openai-compatible', baseUrl: `${baseUrl}/v1/` });
+      expect(await handler.callAPI([{ role: 'user', content: 'Hi' }], 50, 0.5)).to.equal('Hi from the stub.');
+
+      expect(requests[0].url).to.equal('/v1/chat/completions');
+      expect(requests[0].headers.authorization).to.be.undefined;
+      expect(requests[0].body).to.deep.equal({ model: 'qwen2.5', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 50, temperature: 0.5 });
+    });
+
+    it('should use the provider settings passed to setSystem', async () => {
+      process.env.TEST_VLLM_KEY = 'vllm-key';
+      try {
+        const conversationManager = new ConversationManager();
+        conversationManager.setSystem('direct', {
+          agentPrompt: 'Be brief.',
+          model: 'qwen2.5',
+          provider: 'openai-compatible',
+          baseUrl: `${baseUrl}/v1`,
+          apiKeyEnv: 'TEST_VLLM_KEY',
+        });
+        conversationManager.addMessage('Hi');
+        expect(await conversationManager.callAPI()).to.equal('Hi from the stub.');
+        expect(requests[0].headers.authorization).to.equal('Bearer vllm-key');
+      } finally {
+        delete process.env.TEST_VLLM_KEY;
+      }
+    });
+  });
+
+  describe('Azure OpenAI', () => {
+    it('should post to the deployment with the api-key header', async () => {
+      const handler = new APIHandler('azure-key', 'gpt-4o', { provider: 'azure', baseUrl, deployment: 'chat-prod', apiVersion: '2024-06-01' });
+      await handler.callAPI([{ role: 'user', content: 'Hi' }], 50, 0.5);
+
+      expect(requests[0].url).to.equal('/openai/deployments/chat-prod/chat/completions?api-version=2024-06-01');
+      expect(requests[0].headers['api-key']).to.equal('azure-key');
+      expect(requests[0].headers.authorization).to.be.undefined;
+    });
+
+    it('should default the deployment to the model name', () => {
+      const provider = createProvider({ provider: 'azure', baseUrl: 'https://example.openai.azure.com' });
+      const { url } = provider.buildRequest({ model: 'gpt-4o', messages: [] });
+      expect(url).to.equal(`https://example.openai.azure.com/openai/deployments/gpt-4o/chat/completions?api-version=${provider.apiVersion}`);
+    });
+  });
+
+  describe('Anthropic', () => {
+    const anthropic = () => new APIHandler('anthropic-key', 'claude-sonnet-4-5', { provider: 'anthropic', baseUrl });
+
+    it('should send system messages separately and translate the response', async () => {
+      reply = (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'msg_1',
+          model: 'claude-sonnet-4-5',
+          content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: ' there.' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 12, output_tokens: 3 },
+        }));
+      };
+
+      const data = await anthropic().requestCompletion([
+        { role: 'system', content: 'Be kind.' },
+        { role: 'system', content: 'Summary of the earlier conversation:\nGreetings.' },
+        { role: 'user', content: 'Hi' },
+      ], 100, 0.2);
+
+      expect(requests[0].url).to.equal('/v1/messages');
+      expect(requests[0].headers['x-api-key']).to.equal('anthropic-key');
+      expect(requests[0].headers['anthropic-version']).to.equal('2023-06-01');
+      expect(requests[0].body).to.deep.equal({
+        model: 'claude-sonnet-4-5',
+        system: 'Be kind.\n\nSummary of the earlier conversation:\nGreetings.',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 100,
+        temperature: 0.2,
+      });
+      expect(data.choices[0]).to.deep.equal({ index: 0, message: { role: 'assistant', content: 'Hello there.' }, finish_reason: 'stop' });
+      expect(data.usage).to.deep.equal({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+    });
+
+    it('should translate tools, tool calls and tool results', () => {
+      const provider = new AnthropicProvider();
+      const { body } = provider.buildRequest({
+        model: 'claude-sonnet-4-5',
+        maxTokens: 100,
+        messages: [
+          { role: 'user', content: 'Weather in Paris and Oslo?' },
+          {
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+              { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+              { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+            ],
+          },
+          { role: 'tool', tool_call_id: 'call_1', name: 'get_weather', content: '{"temp":21}' },
+          { role: 'tool', tool_call_id: 'call_2', name: 'get_weather', content: '{"temp":9}' },
+        ],
+        tools: [{ type: 'function', function: { name: 'get_weather', description: 'Gets the weather.', parameters: { type: 'object' } } }],
+      });
+
+      expect(body.tools).to.deep.equal([{ name: 'get_weather', description: 'Gets the weather.', input_schema: { type: 'object' } }]);
+      expect(body.messages[1].content).to.deep.equal([
+        { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } },
+        { type: 'tool_use', id: 'call_2', name: 'get_weather', input: { city: 'Oslo' } },
+      ]);
+      expect(body.messages[2]).to.deep.equal({
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'call_1', content: '{"temp":21}' },
+          { type: 'tool_result', tool_use_id: 'call_2', content: '{"temp":9}' },
+        ],
+      });
+
+      const response = provider.parseResponse({
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Rome' } }],
+        stop_reason: 'tool_use',
+      });
+      expect(response.choices[0].finish_reason).to.equal('tool_calls');
+      expect(response.choices[0].message).to.deep.equal({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } }],
+      });
+    });
+
+    it('should translate images and files', () => {
+      const provider = new AnthropicProvider();
+      const { body } = provider.buildRequest({
+        model: 'claude-sonnet-4-5',
+        maxTokens: 100,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Compare these.' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0K', detail: 'auto' } },
+            { type: 'image_url', image_url: { url: 'https://example.com/chart.png', detail: 'low' } },
+            { type: 'file', file: { filename: 'report.pdf', file_data: 'data:application/pdf;base64,JVBERi0=' } },
+          ],
+        }],
+      });
+
+      expect(body.messages[0].content).to.deep.equal([
+        { type: 'text', text: 'Compare these.' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0K' } },
+        { type: 'image', source: { type: 'url', url: 'https://example.com/chart.png' } },
+        { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'JVBERi0=' } },
+      ]);
+    });
+
+    it('should stream text deltas', async () => {
+      reply = sendSSE([
+        { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 9, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Roses ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'are red' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } },
+        { type: 'message_stop' },
+      ]);
+
+      const handler = anthropic();
+      const deltas = [];
+      for await (const delta of handler.streamAPI([{ role: 'user', content: 'A poem' }], 50, 0.7)) {
+        deltas.push(delta);
+      }
+      expect(deltas).to.deep.equal(['Roses ', 'are red']);
+      expect(requests[0].body.stream).to.be.true;
+      expect(requests[0].body.stream_options).to.be.undefined;
+      expect(handler.lastUsage).to.deep.equal({ prompt_tokens: 9, completion_tokens: 4 });
+    });
+
+    it('should report errors with the provider name', async () => {
+      reply = (res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ type: 'error', error: { type: 'rate_limit_error', message: 'Slow down.' } }));
+      };
+      const handler = new APIHandler('anthropic-key', 'claude-sonnet-4-5', { provider: 'anthropic', baseUrl, retry: { maxAttempts: 1 } });
+
+      try {
+        await handler.callAPI([{ role: 'user', content: 'Hi' }], 50, 0.7);
+        expect.fail('Expected a rate limit error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(RateLimitError);
+        expect(error.message).to.match(/^Anthropic API Error: 429 Too Many Requests/);
+        expect(error.type).to.equal('rate_limit_error');
+      }
+    });
+
+    it('should report an oversized prompt as a ContextLengthError', async () => {
+      reply = (res) => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: 'prompt is too long: 208310 tokens > 200000 maximum' } }));
+      };
+
+      try {
+        await anthropic().callAPI([{ role: 'user', content: 'Hi' }], 50, 0.7);
+        expect.fail('Expected a context length error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ContextLengthError);
+        expect(error.message).to.match(/^Anthropic API Error: 400 Bad Request - .*prompt is too long/);
+        expect(error.retryable).to.be.false;
+      }
+    });
+
+    it('should name the provider when a request times out', async () => {
+      reply = () => {};  // Never answers
+      const handler = new APIHandler('anthropic-key', 'claude-sonnet-4-5', { provider: 'anthropic', baseUrl, timeout: 20, retry: { maxAttempts: 1 } });
+
+      try {
+        await handler.callAPI([{ role: 'user', content: 'Hi' }], 50, 0.7);
+        expect.fail('Expected a timeout');
+      } catch (error) {
+        expect(error).to.be.instanceOf(TimeoutError);
+        expect(error.message).to.equal('Anthropic API request timed out after 20ms.');
+      }
+    });
+  });
+});
@@ -0,0 +1,177 @@
+// Quotas.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { APIHandler, ConversationManager, InMemoryStorage, QuotaExceededError, normalizeQuota } from '../ConversationManager.js';
+import { checkQuota, addToCounters, getPeriodEnd } from '../src/Quotas.js';
+
+const completion = (totalTokens) => ({
+  ok: true,
+  json: async () => ({
+    choices: [{ message: { role: 'assistant', content: 'Hello!' } }],
+    usage: { prompt_tokens: totalTokens - 10, completion_tokens: 10, total_tokens: totalTokens },
+  }),
+});
+
+describe('Quota Tests', () => {
+  describe('Counters', () => {
+    const now = new Date('2024-11-30T23:59:30.000Z');
+
+    it('should end periods at the next UTC minute, day and month', () => {
+      expect(getPeriodEnd('minute', now).toISOString()).to.equal('2024-12-01T00:00:00.000Z');
+      expect(getPeriodEnd('day', new Date('2024-11-03T10:00:00.000Z')).toISOString()).to.equal('2024-11-04T00:00:00.000Z');
+      expect(getPeriodEnd('month', new Date('2024-12-15T10:00:00.000Z')).toISOString()).to.equal('2025-01-01T00:00:00.000Z');
+    });
+
+    it('should count within a period and start over in the next', () => {
+      let counters = addToCounters(undefined, { requests: 1, tokens: 100 }, now);
+      counters = addToCounters(counters, { requests: 1, tokens: 50 }, now);
+      expect(counters.requests).to.deep.equal({ period: '2024-11-30T23:59', value: 2 });
+      expect(counters.tokens).to.deep.equal({ period: '2024-11-30', value: 150 });
+
+      const nextMinute = new Date('2024-12-01T00:00:10.000Z');
+      counters = addToCounters(counters, { requests: 1 }, nextMinute);
+      expect(counters.requests.value).to.equal(1);
+      expect(() => checkQuota(counters, { tokensPerDay: 150 }, { userId: 'ada' }, nextMinute)).to.not.throw();
+    });
+
+    it('should throw with the reset time once a limit is reached', () => {
+      const counters = addToCounters(undefined, { dollars: 5.01 }, now);
+      try {
+        checkQuota(counters, { requestsPerMinute: 10, dollarsPerMonth: 5 }, { userId: 'ada', agent: 'poet' }, now);
+        expect.fail('Expected a QuotaExceededError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(QuotaExceededError);
+        expect(error.message).to.equal("Quota exceeded for agent 'poet' for user ada: dollarsPerMonth limit of 5 reached. Resets at 2024-12-01T00:00:00.000Z.");
+        expect(error.quota).to.equal('dollarsPerMonth');
+        expect(error.used).to.equal(5.01);
+        expect(error.resetAt.toISOString()).to.equal('2024-12-01T00:00:00.000Z');
+      }
+    });
+
+    it('should reject unknown quotas and invalid limits', () => {
+      expect(normalizeQuota(undefined)).to.be.null;
+      expect(() => normalizeQuota({ requestsPerHour: 5 })).to.throw("Unknown quota 'requestsPerHour'.");
+      expect(() => normalizeQuota({ tokensPerDay: '1000' })).to.throw("Quota 'tokensPerDay' must be a non-negative number");
+    });
+  });
+
+  describe('Enforcement', () => {
+    let tempDir;
+    let configPath;
+    let storage;
+
+    const writeConfig = (config) => {
+      fs.writeFileSync(process.env.CONFIG_PATH, JSON.stringify({ defaults: { model: 'gpt-4o-mini' }, models: {}, ...config }));
+    };
+
+    const createConversation = (userId = 'ada') => {
+      const conversationManager = new ConversationManager(userId, undefined, { storage });
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini');
+      return conversationManager;
+    };
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-quotas-'));
+      configPath = process.env.CONFIG_PATH;
+      process.env.CONFIG_PATH = path.join(tempDir, 'config.json');
+      storage = new InMemoryStorage();
+    });
+
+    afterEach(() => {
+      sinon.restore();
+      if (configPath === undefined) {
+        delete process.env.CONFIG_PATH;
+      } else {
+        process.env.CONFIG_PATH = configPath;
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should stop requests past the limit without calling the API, across restarts', async () => {
+      writeConfig({ quotas: { default: { requestsPerMinute: 2 } } });
+      const fetchStub = sinon.stub(global, 'fetch').resolves(completion(20));
+
+      const conversationManager = createConversation();
+      const readFileSync = sinon.spy(fs, 'readFileSync');
+      conversationManager.addMessage('Hi');
+      await conversationManager.callAPI();
+      conversationManager.addMessage('Hi again');
+      await conversationManager.callAPI();
+      // Quotas are read when the conversation is created, not before every request
+      expect(readFileSync.getCalls().filter(call => String(call.args[0]).endsWith('config.json'))).to.be.empty;
+      readFileSync.restore();
+
+      // A new manager sharing the storage sees the same counters
+      const restarted = createConversation();
+      restarted.addMessage('Hi');
+      try {
+        await restarted.callAPI();
+        expect.fail('Expected a QuotaExceededError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(QuotaExceededError);
+        expect(error.quota).to.equal('requestsPerMinute');
+        expect(error.retryAfter).to.be.at.most(60000);
+      }
+      expect(fetchStub.callCount).to.equal(2);
+
+      // Other users have their own counters
+      const other = createConversation('grace');
+      other.addMessage('Hi');
+      await other.callAPI();
+      expect(fetchStub.callCount).to.equal(3);
+    });
+
+    it('should count tokens and apply per-user overrides', async () => {
+      writeConfig({ quotas: { default: { tokensPerDay: 100 }, users: { grace: { tokensPerDay: null } } } });
+      sinon.stub(global, 'fetch').resolves(completion(120));
+
+      const conversationManager = createConversation();
+      conversationManager.addMessage('Hi');
+      await conversationManager.callAPI();
+      expect(storage.loadUser('ada').quotaCounters.user.tokens.value).to.equal(120);
+
+      conversationManager.addMessage('Hi again');
+      try {
+        await conversationManager.callAPI();
+        expect.fail('Expected a QuotaExceededError');
+      } catch (error) {
+        expect(error.quota).to.equal('tokensPerDay');
+        expect(error.used).to.equal(120);
+      }
+
+      const unlimited = createConversation('grace');
+      for (let i = 0; i < 3; i++) {
+        unlimited.addMessage('Hi');
+        await unlimited.callAPI();
+      }
+    });
+
+    it('should apply an agent quota only to that agent', async () => {
+      const agentFile = path.join(tempDir, 'poet.txt');
+      fs.writeFileSync(agentFile, 'You are a poet.');
+      writeConfig({ models: { poet: { agent_file: agentFile, model: 'gpt-4o-mini', quota: { requestsPerMinute: 1 } } } });
+      sinon.stub(global, 'fetch').resolves(completion(20));
+
+      const poet = createConversation();
+      poet.setSystem('config', { modelId: 'poet' });
+      poet.addMessage('A poem');
+      await poet.callAPI();
+      poet.addMessage('Another');
+      try {
+        await poet.callAPI();
+        expect.fail('Expected a QuotaExceededError');
+      } catch (error) {
+        expect(error.agent).to.equal('poet');
+        expect(error.message).to.include("agent 'poet' for user ada");
+      }
+
+      const assistant = createConversation();
+      assistant.addMessage('Hi');
+      await assistant.callAPI();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// Redaction.test.js
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { APIHandler, ConversationManager, InMemoryStorage, Redactor } from '../ConversationManager.js';
+
+const ticket = 'Hi, I am jane.doe@example.com, call me on +44 20 7946 0958. Card 4111 1111 1111 1111 was charged twice, '
+  + 'not 4111 1111 1111 1112. Refund to GB82 WEST 1234 5698 7654 32. I was on 192.168.0.12. Order placed 2024-11-30.';
+
+describe('Redaction Tests', () => {
+  afterEach(() => {
+    sinon.restore();
+    delete process.env.OCM_REDACTION_SECRET;
+  });
+
+  it('should detect PII and replace it in each mode', () => {
+    const redactor = new Redactor({ custom: [{ name: 'order id', pattern: 'ORD-\\d{6}' }] });
+    expect(redactor.findPII(`${ticket} See ORD-123456.`).map(match => match.type))
+      .to.deep.equal(['email', 'phone', 'creditCard', 'iban', 'ip', 'order id']);
+
+    expect(redactor.redactText(ticket, 'mask')).to.equal('Hi, I am [EMAIL], call me on [PHONE]. Card [CARD] was charged twice, '
+      + 'not 4111 1111 1111 1112. Refund to [IBAN]. I was on [IP]. Order placed 2024-11-30.');
+    expect(redactor.redactText('Ticket ORD-123456 from ::1', 'mask')).to.equal('Ticket [ORDER_ID] from [IP]');
+
+    // Hashes are stable across spellings of the same value, and keyed by the secret
+    const hashed = redactor.redactText('4111-1111-1111-1111', 'hash');
+    expect(hashed).to.match(/^\[CARD:[0-9a-f]{12}\]$/);
+    expect(redactor.redactText('4111 1111 1111 1111', 'hash')).to.equal(hashed);
+    process.env.OCM_REDACTION_SECRET = 'pepper';
+    expect(new Redactor().redactText('4111 1111 1111 1111', 'hash')).not.to.equal(hashed);
+
+    const tokenized = redactor.redactText('Mail JANE.DOE@example.com or jane.doe@example.com, or bob@example.org', 'reversible-token');
+    expect(tokenized).to.equal('Mail [EMAIL_1] or [EMAIL_1], or [EMAIL_2]');
+    expect(redactor.restoreText('Sent to [EMAIL_2], not [EMAIL_9].')).to.equal('Sent to bob@example.org, not [EMAIL_9].');
+
+    expect(() => new Redactor({ outbound: 'blur' })).to.throw("Unknown redaction mode 'blur'.");
+    expect(() => new Redactor({ persisted: 'reversible-token' })).to.throw("Persisted history cannot use 'reversible-token' redaction");
+    expect(() => new Redactor({ detectors: ['ssn'] })).to.throw("Unknown PII detector 'ssn'.");
+  });
+
+  it('should send tokens to the API, restore them in the response and store masked history', async () => {
+    const storage = new InMemoryStorage();
+    const manager = new ConversationManager('ada', undefined, { storage, redaction: { outbound: 'reversible-token', persisted: 'mask' } });
+    manager.setSystem('direct', { agentPrompt: 'You handle support tickets.', conversationMaxTokens: 5000 });
+    manager.apiHandler = new APIHandler('test-api-key', 'gpt-4o', { retry: { maxAttempts: 1 } });
+
+    const fetchStub = sinon.stub(global, 'fetch').resolves({
+      ok: true,
+      json: async () => ({ choices: [{ message: { role: 'assistant', content: 'I will email [EMAIL_1] about card [CARD_1].' } }] }),
+    });
+    const requests = [];
+    manager.on('request', request => requests.push(request));
+
+    manager.addMessage(ticket);
+    expect(await manager.callAPI()).to.equal('I will email jane.doe@example.com about card 4111 1111 1111 1111.');
+
+    const sent = JSON.stringify(JSON.parse(fetchStub.firstCall.args[1].body).messages);
+    expect(sent).to.include('I am [EMAIL_1], call me on [PHONE_1]. Card [CARD_1]');
+    expect(sent).not.to.include('jane.doe').and.not.to.include('4111 1111 1111 1111').and.not.to.include('7946');
+    expect(JSON.stringify(requests[0].messages)).not.to.include('jane.doe');
+
+    // The live conversation keeps the values; storage does not
+    expect(manager.messages[1].content).to.equal(ticket);
+    manager.saveHistory();
+    const stored = storage.getConversation('ada', '1');
+    expect(stored.name).to.equal('Hi, I am [EMAIL], call me on [');
+    expect(stored.messages[1].content).to.include('Hi, I am [EMAIL], call me on [PHONE]. Card [CARD]');
+    expect(stored.messages[2].content).to.equal('I will email [EMAIL] about card [CARD].');
+    expect(JSON.stringify(storage.loadUser('ada'))).not.to.include('jane.doe');
+  });
+
+  it('should store imported conversations with persisted redaction', () => {
+    const storage = new InMemoryStorage();
+    const manager = new ConversationManager('ada', undefined, { storage, redaction: { persisted: 'mask' } });
+    const transcript = JSON.stringify({ messages: [
+      { role: 'user', content: 'Mail jane.doe@example.com about GB82 WEST 1234 5698 7654 32' },
+      { role: 'assistant', content: 'Sent to jane.doe@example.com.' },
+    ] });
+
+    const [conversationId] = manager.importConversations(transcript, 'jsonl');
+    const stored = storage.getConversation('ada', conversationId);
+    expect(stored.name).to.equal('Mail [EMAIL] about [IBAN]');
+    expect(stored.messages.map(msg => msg.content)).to.deep.equal(['Mail [EMAIL] about [IBAN]', 'Sent to [EMAIL].']);
+    expect(JSON.stringify(storage.loadUser('ada'))).not.to.include('jane.doe').and.not.to.include('WEST');
+  });
+
+  it('should restore tokens split across streamed deltas', async () => {
+    const redactor = new Redactor({ outbound: 'reversible-token' });
+    redactor.redactText('Call +1 415 555 0132 or mail ops@example.com', 'reversible-token');
+
+    const deltas = [];
+    for await (const delta of redactor.restoreStream(['Calling [PHO', 'NE_1] now', ', then [', 'EMAIL_1]. [Done', ']'])) {
+      deltas.push(delta);
+    }
+    expect(deltas.join('')).to.equal('Calling +1 415 555 0132 now, then ops@example.com. [Done]');
+    expect(deltas).to.not.include('[PHO');
+  });
+});
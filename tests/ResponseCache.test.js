@@ -0,0 +1,127 @@
+// ResponseCache.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { APIHandler, CacheMissError, ConversationManager, ResponseCache, computeCacheKey } from '../ConversationManager.js';
+
+const reply = (content) => ({
+  ok: true,
+  json: async () => ({
+    choices: [{ message: { role: 'assistant', content } }],
+    usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+  }),
+});
+
+const question = [{ role: 'user', content: 'Is 7 prime?' }];
+
+describe('ResponseCache Tests', () => {
+  let fetchStub;
+
+  beforeEach(() => {
+    fetchStub = sinon.stub(global, 'fetch');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    delete process.env.OCM_CACHE_MODE;
+  });
+
+  it('should reuse responses to identical requests', async () => {
+    fetchStub.callsFake(async () => reply(`Answer ${fetchStub.callCount}`));
+    const handler = new APIHandler('test-api-key', 'gpt-4o-mini', { cache: new ResponseCache() });
+
+    expect(await handler.callAPI(question, 50, 0)).to.equal('Answer 1');
+    const cached = await handler.requestCompletion(question, 50, 0);
+    expect(cached.cached).to.be.true;
+    expect(cached.usage).to.be.undefined;
+    expect(cached.choices[0].message.content).to.equal('Answer 1');
+    expect(handler.lastUsage).to.be.null;
+    expect(fetchStub.callCount).to.equal(1);
+
+    // Any change to the payload is a different request
+    expect(await handler.callAPI(question, 50, 0.7)).to.equal('Answer 2');
+    expect(await handler.callAPI(question, 60, 0)).to.equal('Answer 3');
+    expect(await handler.callAPI(question, 50, 0, { bypassCache: true })).to.equal('Answer 4');
+    expect(await handler.callAPI(question, 50, 0)).to.equal('Answer 1');
+    expect(fetchStub.callCount).to.equal(4);
+  });
+
+  it('should drop the least recently used entries and expired ones', () => {
+    const clock = sinon.useFakeTimers({ now: Date.parse('2024-11-03T10:00:00.000Z'), toFake: ['Date'] });
+    const cache = new ResponseCache({ maxEntries: 2, ttl: 60000 });
+    const request = (content) => ({ model: 'gpt-4o-mini', messages: [{ role: 'user', content }], temperature: 0, maxTokens: 50 });
+    const response = (content) => ({ choices: [{ message: { role: 'assistant', content } }] });
+
+    cache.set(request('a'), response('A'));
+    cache.set(request('b'), response('B'));
+    expect(cache.get(request('a'))).to.deep.equal(response('A'));
+    cache.set(request('c'), response('C'));
+    expect(cache.get(request('b'))).to.be.null;
+    expect(cache.get(request('a'))).to.deep.equal(response('A'));
+
+    clock.tick(60000);
+    expect(cache.get(request('a'))).to.be.null;
+    expect(cache.get(request('c'))).to.be.null;
+  });
+
+  it('should record responses to files and replay them offline', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-fixtures-'));
+    try {
+      fetchStub.resolves(reply('Yes, 7 is prime.'));
+      const recorder = new APIHandler('test-api-key', 'gpt-4o-mini', { cache: new ResponseCache({ mode: 'record', directory }) });
+      expect(await recorder.callAPI(question, 50, 0)).to.equal('Yes, 7 is prime.');
+      // Recording always calls the API
+      expect(await recorder.callAPI(question, 50, 0)).to.equal('Yes, 7 is prime.');
+      expect(fetchStub.callCount).to.equal(2);
+
+      const [file] = fs.readdirSync(directory);
+      const fixture = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf-8'));
+      expect(file).to.equal(`${computeCacheKey({ model: 'gpt-4o-mini', messages: question, temperature: 0, maxTokens: 50 })}.json`);
+      expect(fixture.request).to.deep.equal({ model: 'gpt-4o-mini', temperature: 0, maxTokens: 50, messages: question });
+      expect(fixture.expiresAt).to.be.null;
+
+      // The environment variable switches the configured mode, as on CI
+      process.env.OCM_CACHE_MODE = 'replay';
+      fetchStub.rejects(new Error('No network'));
+      const player = new APIHandler('test-api-key', 'gpt-4o-mini', { cache: { type: 'file', directory } });
+      expect(await player.callAPI(question, 50, 0)).to.equal('Yes, 7 is prime.');
+
+      try {
+        await player.callAPI([{ role: 'user', content: 'Is 8 prime?' }], 50, 0);
+        expect.fail('Expected a CacheMissError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(CacheMissError);
+        expect(error.message).to.match(/^No recorded response for this request \(cache key [0-9a-f]{64}\)/);
+      }
+      expect(fetchStub.callCount).to.equal(2);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should pass bypassCache through callAPI and not count cached responses as usage', async () => {
+    fetchStub.callsFake(async () => reply(`Answer ${fetchStub.callCount}`));
+    const conversationManager = new ConversationManager();
+    conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini', { cache: new ResponseCache() });
+
+    conversationManager.addMessage('Is 7 prime?');
+    const first = await conversationManager.callAPI();
+    conversationManager.messages.pop();
+    expect(await conversationManager.callAPI()).to.equal(first);
+    expect(conversationManager.messages[conversationManager.messages.length - 1].usage).to.be.undefined;
+    expect(conversationManager.usage.requests).to.equal(1);
+
+    conversationManager.messages.pop();
+    expect(await conversationManager.callAPI({ bypassCache: true })).to.equal('Answer 2');
+  });
+
+  it('should compute the same key regardless of property order', () => {
+    const a = computeCacheKey({ model: 'm', messages: [{ role: 'user', content: 'Hi' }], temperature: 0, maxTokens: 5 });
+    const b = computeCacheKey({ maxTokens: 5, temperature: 0, messages: [{ content: 'Hi', role: 'user' }], model: 'm' });
+    expect(a).to.equal(b);
+    expect(() => new ResponseCache({ mode: 'offline' })).to.throw("Invalid cache mode 'offline'. Please use 'cache', 'record', or 'replay'.");
+  });
+});
@@ -0,0 +1,158 @@
+// Retention.test.js
+
+import { expect } from 'chai';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { ConversationManager, Logger, findExpiredConversations, normalizeRetention } from '../ConversationManager.js';
+
+const day = 24 * 60 * 60 * 1000;
+const now = Date.parse('2024-11-30T12:00:00.000Z');
+
+const conversation = (conversationId, daysAgo, content = 'Hello') => ({
+  conversationId,
+  name: `Conversation ${conversationId}`,
+  timestamp: new Date(now - daysAgo * day).toISOString(),
+  messages: [{ role: 'user', content, timestamp: new Date(now - daysAgo * day).toISOString() }],
+});
+
+const writeResponseLog = (logPath, userId, daysAgo) => {
+  const fileName = path.join(logPath, `${userId}_${new Date(now - daysAgo * day).toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(fileName, '[]');
+  return fileName;
+};
+
+describe('Retention Tests', () => {
+  let logPath;
+  let logger;
+
+  beforeEach(() => {
+    logPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-retention-'));
+    logger = new Logger(logPath, { type: 'json' });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(logPath, { recursive: true, force: true });
+  });
+
+  it('should find the conversations a policy expires', () => {
+    const conversations = [conversation('1', 120), conversation('2', 40), conversation('3', 5), conversation('4', 1)];
+    expect(findExpiredConversations(conversations, { maxAgeDays: 30 }, { now })).to.deep.equal(['2', '1']);
+    expect(findExpiredConversations(conversations, { maxConversations: 2 }, { now })).to.deep.equal(['2', '1']);
+    expect(findExpiredConversations(conversations, { maxAgeDays: 3, maxConversations: 3 }, { now, keep: ['3'] })).to.deep.equal(['2', '1']);
+
+    expect(normalizeRetention({})).to.be.null;
+    expect(normalizeRetention({ maxAgeDays: 30, other: true })).to.deep.equal({ maxAgeDays: 30 });
+    expect(() => normalizeRetention({ maxConversations: 0 })).to.throw("Retention setting 'maxConversations' must be a positive number.");
+  });
+
+  it('should purge expired conversations, response logs and unused attachments', () => {
+    const shared = logger.attachments.put(Buffer.from('shared'), 'text/plain');
+    const old = logger.attachments.put(Buffer.from('old'), 'text/plain');
+    const withFiles = (convo, ...names) => ({
+      ...convo,
+      messages: [{ ...convo.messages[0], content: names.map(attachment => ({ type: 'file', attachment, mimeType: 'text/plain', filename: 'a.txt' })) }],
+    });
+
+    logger.saveConversation('ada', withFiles(conversation('1', 100), shared, old));
+    logger.saveConversation('ada', conversation('2', 10));
+    logger.saveConversation('ada', conversation('3', 200));
+    logger.saveConversation('bob', withFiles(conversation('1', 1), shared));
+    const oldLog = writeResponseLog(logPath, 'ada', 60);
+    const newLog = writeResponseLog(logPath, 'ada', 2);
+
+    const result = logger.purgeExpired({ maxAgeDays: 30 }, { now, keep: { userId: 'ada', conversationId: '3' } });
+    expect(result).to.deep.equal({ conversations: [{ userId: 'ada', conversationId: '1' }], logFiles: 1, attachments: 1 });
+    expect(logger.listConversations('ada').map(convo => convo.conversationId)).to.deep.equal(['2', '3']);
+    expect(fs.existsSync(oldLog)).to.be.false;
+    expect(fs.existsSync(newLog)).to.be.true;
+    // Bob still uses the shared attachment
+    expect(fs.readdirSync(path.join(logPath, 'attachments'))).to.deep.equal([shared]);
+  });
+
+  it('should delete a user and everything stored about them', () => {
+    logger.saveConversation('ada', conversation('1', 1, 'My IBAN is in the attachment.'));
+    logger.saveConversation('ada', conversation('2', 1));
+    logger.saveConversation('bob', conversation('1', 1));
+    writeResponseLog(logPath, 'ada', 1);
+    const bobLog = writeResponseLog(logPath, 'bob', 1);
+    fs.writeFileSync(path.join(logPath, 'ada.embeddings.json'), '{}');
+
+    expect(logger.deleteUser('ada')).to.deep.equal({ userId: 'ada', deleted: true, conversations: 2, messages: 2, logFiles: 1, attachments: 0 });
+    expect(fs.readdirSync(logPath).sort()).to.deep.equal(['bob.json', path.basename(bobLog)].sort());
+    expect(logger.deleteUser('ada').deleted).to.be.false;
+  });
+
+  describe('ConversationManager', () => {
+    const createManager = (userId, options = {}) => {
+      const manager = new ConversationManager(userId, undefined, options);
+      manager.logger = logger;
+      manager.attachments = logger.attachments;
+      manager.loadUserData();
+      return manager;
+    };
+
+    it('should delete conversations and clear the stored history', () => {
+      const manager = createManager('ada');
+      manager.addMessage('First');
+      manager.saveHistory();
+      manager.startNewConversation();
+      manager.addMessage('Second');
+      manager.saveHistory();
+
+      expect(manager.deleteConversation('1')).to.be.true;
+      expect(manager.activeConversationId).to.equal('2');
+      expect(manager.deleteHistory()).to.be.true;
+      expect(manager.messages.every(msg => msg.role === 'system')).to.be.true;
+      expect(logger.listConversations('ada')).to.deep.equal([]);
+      expect(() => new ConversationManager().deleteConversation('1')).to.throw('A userId is required to delete conversations.');
+    });
+
+    it('should export a user before deleting them and return an audit record', () => {
+      const manager = createManager('ada');
+      manager.addMessage(['Please forget me.', { type: 'file', data: Buffer.from('notes'), mimeType: 'text/plain', filename: 'notes.txt' }]);
+      manager.saveHistory();
+      manager.remember('Lives in Lisbon.');
+      const attachment = manager.messages.find(msg => msg.role === 'user').content[1].attachment;
+      const directory = path.join(logPath, 'export');
+
+      const audit = manager.forgetUser(directory);
+      expect(audit.userId).to.equal('ada');
+      expect(audit.deleted).to.include({ deleted: true, conversations: 1, attachments: 1 });
+      expect(audit.exported.files.map(file => file.fileName)).to.deep.equal(['ada.jsonl', 'ada.json', path.join('attachments', attachment)]);
+      for (const { fileName, sha256 } of audit.exported.files) {
+        expect(crypto.createHash('sha256').update(fs.readFileSync(path.join(directory, fileName))).digest('hex')).to.equal(sha256);
+      }
+      expect(JSON.parse(fs.readFileSync(path.join(directory, 'ada.json'), 'utf-8')).memories[0].text).to.equal('Lives in Lisbon.');
+      // The audit record holds no personal data
+      expect(JSON.stringify(audit)).not.to.include('forget me').and.not.to.include('Lisbon');
+
+      expect(logger.storage.loadUser('ada')).to.be.null;
+      expect(fs.readdirSync(path.join(logPath, 'attachments'))).to.deep.equal([]);
+      expect(manager.memories).to.deep.equal([]);
+    });
+
+    it('should purge the user\'s expired conversations when loading the user, not on each save', () => {
+      logger.saveConversation('ada', conversation('1', 400));
+      logger.saveConversation('ada', conversation('2', 300));
+      logger.saveConversation('bob', conversation('1', 400));
+
+      const manager = createManager('ada', { storage: logger.storage, retention: { maxAgeDays: 30 } });
+      expect(logger.listConversations('ada')).to.deep.equal([]);
+      expect(logger.listConversations('bob')).to.have.length(1);
+
+      const purgeSpy = sinon.spy(logger, 'purgeExpired');
+      logger.saveConversation('ada', conversation('2', 300));
+      manager.addMessage('Hello again');
+      manager.saveHistory();
+      expect(purgeSpy.called).to.be.false;
+      expect(logger.listConversations('ada').map(convo => convo.conversationId).sort()).to.deep.equal(['1', '2']);
+
+      expect(manager.purgeExpired().conversations).to.deep.equal([{ userId: 'ada', conversationId: '2' }, { userId: 'bob', conversationId: '1' }]);
+      expect(logger.listConversations('ada').map(convo => convo.conversationId)).to.deep.equal(['1']);
+    });
+  });
+});
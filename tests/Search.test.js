@@ -0,0 +1,204 @@
+// Search.test.js
+
+import { expect } from 'chai';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ConversationManager,
+  EmbeddingIndex,
+  InMemoryStorage,
+  cosineSimilarity,
+  tokenizeText,
+} from '../ConversationManager.js';
+
+/**
+ * A deterministic embedding provider: one dimension per topic, counting the topic's words.
+ */
+class TopicEmbeddingProvider {
+  constructor() {
+    this.id = 'topics-v1';
+    this.calls = [];
+    this.topics = [
+      ['refund', 'money', 'invoice', 'payment', 'charge'],
+      ['flight', 'trip', 'travel', 'hotel', 'holiday'],
+      ['pizza', 'dinner', 'recipe', 'cook'],
+    ];
+  }
+
+  async embed(texts) {
+    this.calls.push(texts);
+    return texts.map(text => {
+      const words = tokenizeText(text);
+      return this.topics.map(topic => words.filter(word => topic.includes(word)).length);
+    });
+  }
+}
+
+const conversation = (conversationId, timestamp, agent, messages) => ({
+  conversationId,
+  name: `Conversation ${conversationId}`,
+  timestamp,
+  ...(agent ? { agent } : {}),
+  messages: [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    ...messages.map(([role, content], i) => ({
+      id: `${conversationId}-${i}`,
+      role,
+      content,
+      timestamp: new Date(Date.parse(timestamp) + i * 1000).toISOString(),
+    })),
+  ],
+});
+
+describe('Search Tests', () => {
+  let storage;
+  let conversationManager;
+
+  beforeEach(() => {
+    storage = new InMemoryStorage();
+    storage.putConversation('ada', conversation('1', '2024-11-01T09:00:00.000Z', 'support', [
+      ['user', 'I was charged twice, where is my refund?'],
+      ['assistant', 'Refunds take five days to appear on your invoice.'],
+    ]));
+    storage.putConversation('ada', conversation('2', '2024-11-05T09:00:00.000Z', null, [
+      ['user', 'Suggest a pizza recipe for dinner.'],
+      ['assistant', 'Try a margherita with fresh basil.'],
+    ]));
+    storage.putConversation('ada', conversation('3', '2024-11-09T09:00:00.000Z', 'support', [
+      ['user', 'Can I change my flight?'],
+      ['assistant', 'Yes, and you get a refund for the fare difference.'],
+    ]));
+    conversationManager = new ConversationManager('ada', undefined, { storage });
+  });
+
+  describe('search', () => {
+    it('should rank conversations by their best matching message', () => {
+      const results = conversationManager.search('refund invoice');
+
+      expect(results.map(result => result.conversationId)).to.deep.equal(['1', '3']);
+      expect(results[0]).to.include({ name: 'Conversation 1', agent: 'support' });
+      expect(results[0].matches.map(match => match.messageId)).to.deep.equal(['1-1', '1-0']);
+      expect(results[0].matches[0].snippet).to.equal('**Refunds** take five days to appear on your **invoice**.');
+      expect(results[1].matches[0]).to.include({ messageId: '3-1', role: 'assistant' });
+    });
+
+    it('should filter by date range, agent and role', () => {
+      expect(conversationManager.search('refund', { from: '2024-11-02' }).map(result => result.conversationId)).to.deep.equal(['3']);
+      expect(conversationManager.search('refund', { to: '2024-11-02' }).map(result => result.conversationId)).to.deep.equal(['1']);
+      expect(conversationManager.search('pizza', { agent: 'support' })).to.deep.equal([]);
+      expect(conversationManager.search('pizza', { agent: null })).to.have.lengthOf(1);
+
+      const userOnly = conversationManager.search('refund', { role: 'user' });
+      expect(userOnly.map(result => result.conversationId)).to.deep.equal(['1']);
+      expect(userOnly[0].matches.map(match => match.role)).to.deep.equal(['user']);
+
+      // System messages are not searched by default
+      expect(conversationManager.search('helpful')).to.deep.equal([]);
+      expect(conversationManager.search('helpful', { role: 'system' })).to.have.lengthOf(3);
+    });
+
+    it('should cut long messages around the first match', () => {
+      storage.putConversation('ada', conversation('4', '2024-11-10T09:00:00.000Z', null, [
+        ['user', `${'Some background. '.repeat(20)}Please send the invoice again. ${'More details follow. '.repeat(20)}`],
+      ]));
+
+      const [result] = conversationManager.search('invoice', { conversationId: '4', highlight: { pre: '[', post: ']' } });
+      const { snippet } = result.matches[0];
+      expect(snippet).to.match(/^…/).and.match(/…$/);
+      expect(snippet).to.include('Please send the [invoice] again.');
+      expect(snippet.length).to.be.below(180);
+    });
+
+    it('should return nothing for a query without words', () => {
+      expect(conversationManager.search('?!')).to.deep.equal([]);
+    });
+  });
+
+  describe('semanticSearch', () => {
+    let indexPath;
+    let provider;
+
+    beforeEach(() => {
+      indexPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-search-'));
+      provider = new TopicEmbeddingProvider();
+    });
+
+    afterEach(() => {
+      fs.rmSync(indexPath, { recursive: true, force: true });
+    });
+
+    it('should find messages with a similar meaning', async () => {
+      const results = await conversationManager.semanticSearch('money back', { embeddingProvider: provider, indexPath });
+
+      expect(results.map(result => result.conversationId)).to.deep.equal(['1', '3']);
+      expect(results[0].score).to.be.closeTo(1, 1e-9);
+      expect(results[1].matches.map(match => match.messageId)).to.deep.equal(['3-1']);
+    });
+
+    it('should only embed new and changed messages on later searches', async () => {
+      await conversationManager.semanticSearch('holiday trip', { embeddingProvider: provider, indexPath });
+      expect(provider.calls[0]).to.have.lengthOf(6);
+      const indexFile = path.join(indexPath, 'ada.embeddings.json');
+      expect(JSON.parse(fs.readFileSync(indexFile, 'utf-8')).provider).to.equal('topics-v1');
+
+      storage.putConversation('ada', conversation('4', '2024-11-10T09:00:00.000Z', null, [['user', 'Book a hotel and a pizza for my holiday.']]));
+      const results = await conversationManager.semanticSearch('holiday trip', { embeddingProvider: provider, indexPath });
+      expect(provider.calls.slice(1)).to.deep.equal([['holiday trip'], ['Book a hotel and a pizza for my holiday.'], ['holiday trip']]);
+      expect(results.map(result => result.conversationId)).to.deep.equal(['3', '4']);
+      expect(results[1].matches[0].snippet).to.equal('Book a hotel and a pizza for my **holiday**.');
+
+      // Another provider's vectors are not reused
+      const other = new TopicEmbeddingProvider();
+      other.id = 'topics-v2';
+      await conversationManager.semanticSearch('holiday trip', { embeddingProvider: other, indexPath });
+      expect(other.calls[0]).to.have.lengthOf(7);
+    });
+
+    it('should use the provider given to the constructor and apply minScore', async () => {
+      const manager = new ConversationManager('ada', undefined, { storage, embeddingProvider: provider });
+      const results = await manager.semanticSearch('pizza dinner', { indexPath, minScore: 0.5 });
+      expect(results.map(result => result.conversationId)).to.deep.equal(['2']);
+      expect(provider.calls).to.have.lengthOf(2);
+    });
+  });
+
+  it('should encrypt the index like the user data, and delete it with the user', async () => {
+    const indexPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-index-'));
+    const provider = new TopicEmbeddingProvider();
+    const encryption = { keys: { default: crypto.randomBytes(32).toString('base64') } };
+    const manager = new ConversationManager('ada', undefined, { storage, encryption, embeddingProvider: provider, indexPath });
+
+    const results = await manager.semanticSearch('money back');
+    const indexFile = path.join(indexPath, 'ada.embeddings.json');
+    const stored = fs.readFileSync(indexFile, 'utf-8');
+    expect(JSON.parse(stored)).to.include({ encrypted: 'aes-256-gcm' });
+    expect(stored).not.to.include('topics-v1');
+    // Encrypted vectors are reused on the next search
+    const calls = provider.calls.length;
+    expect((await manager.semanticSearch('money back')).map(result => result.conversationId))
+      .to.deep.equal(results.map(result => result.conversationId));
+    expect(provider.calls.slice(calls)).to.deep.equal([['money back']]);
+    expect(fs.readdirSync(indexPath)).to.deep.equal(['ada.embeddings.json']);
+
+    manager.deleteUser();
+    expect(fs.existsSync(indexFile)).to.be.false;
+    fs.rmSync(indexPath, { recursive: true, force: true });
+  });
+
+  it('should drop vectors of messages that are gone from the index', async () => {
+    const indexPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-index-'));
+    const index = new EmbeddingIndex(path.join(indexPath, 'ada.embeddings.json'));
+    const provider = new TopicEmbeddingProvider();
+
+    await index.update(['refund please', 'pizza'], provider);
+    expect(await index.update(['pizza'], provider)).to.deep.equal([[0, 0, 1]]);
+    expect(Object.keys(index.load().vectors)).to.have.lengthOf(1);
+    expect(provider.calls).to.have.lengthOf(1);
+
+    expect(cosineSimilarity([1, 0], [1, 0])).to.equal(1);
+    expect(cosineSimilarity([1, 0], [0, 0])).to.equal(0);
+    fs.rmSync(indexPath, { recursive: true, force: true });
+  });
+});
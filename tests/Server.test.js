@@ -0,0 +1,163 @@
+// Server.test.js
+
+import { expect } from 'chai';
+import { ConversationManager, ConversationServer, InMemoryStorage, QuotaExceededError, RateLimitError } from '../ConversationManager.js';
+
+describe('ConversationServer Tests', () => {
+  let server;
+  let baseUrl;
+  let storage;
+  let apiHandler;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, text, body: text && response.headers.get('content-type') === 'application/json' ? JSON.parse(text) : null };
+  };
+
+  beforeEach(async () => {
+    storage = new InMemoryStorage();
+    apiHandler = {
+      model: 'gpt-4o-mini',
+      requestCompletion: async () => ({ choices: [{ message: { role: 'assistant', content: 'Hello there!' } }] }),
+      streamAPI: async function* () {
+        yield 'Hello';
+        yield ' there!';
+      },
+    };
+    server = new ConversationServer({
+      storage,
+      conversationFactory: (userId) => {
+        const conversation = new ConversationManager(userId, undefined, { storage });
+        conversation.apiHandler = apiHandler;
+        return conversation;
+      },
+    });
+    const { port } = await server.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should create, list, get and delete conversations', async () => {
+    const created = await request('POST', '/users/ada/conversations', { systemPrompt: 'You are terse.' });
+    expect(created.status).to.equal(201);
+    expect(created.body.conversationId).to.equal('1');
+    expect(created.body.messages).to.deep.equal([{ role: 'system', content: 'You are terse.' }]);
+
+    const list = await request('GET', '/users/ada/conversations');
+    expect(list.status).to.equal(200);
+    expect(list.body.conversations).to.have.lengthOf(1);
+    expect(list.body.conversations[0]).to.include({ conversationId: '1', messageCount: 1 });
+
+    const fetched = await request('GET', '/users/ada/conversations/1');
+    expect(fetched.body.messages[0].content).to.equal('You are terse.');
+
+    expect((await request('DELETE', '/users/ada/conversations/1')).status).to.equal(204);
+    expect((await request('GET', '/users/ada/conversations/1')).status).to.equal(404);
+  });
+
+  it('should send a message and save the response', async () => {
+    await request('POST', '/users/ada/conversations');
+    const response = await request('POST', '/users/ada/conversations/1/messages', { content: 'Hi!' });
+
+    expect(response.status).to.equal(200);
+    expect(response.body).to.deep.equal({ conversationId: '1', message: { role: 'assistant', content: 'Hello there!' } });
+
+    const stored = storage.getConversation('ada', '1');
+    expect(stored.name).to.equal('Hi!');
+    expect(stored.messages.map(message => message.content)).to.deep.equal(['Hi!', 'Hello there!']);
+  });
+
+  it('should stream a response as server-sent events', async () => {
+    await request('POST', '/users/ada/conversations');
+    const response = await request('POST', '/users/ada/conversations/1/messages?stream=true', { content: 'Hi!' });
+
+    expect(response.status).to.equal(200);
+    expect(response.headers.get('content-type')).to.equal('text/event-stream');
+    const events = response.text.trim().split('\n\n').map(event => event.replace(/^data: /, ''));
+    expect(events.slice(0, 2).map(event => JSON.parse(event).delta)).to.deep.equal(['Hello', ' there!']);
+    expect(JSON.parse(events[2]).message.content).to.equal('Hello there!');
+    expect(events[3]).to.equal('[DONE]');
+    expect(storage.getConversation('ada', '1').messages).to.have.lengthOf(2);
+  });
+
+  it('should report errors as JSON', async () => {
+    const notFound = await request('POST', '/users/ada/conversations/7/messages', { content: 'Hi!' });
+    expect(notFound.status).to.equal(404);
+    expect(notFound.body.error.message).to.equal('Conversation with ID 7 not found.');
+
+    await request('POST', '/users/ada/conversations');
+    expect((await request('POST', '/users/ada/conversations/1/messages', '{not json')).status).to.equal(400);
+    expect((await request('POST', '/users/ada/conversations/1/messages', {})).body.error.message).to.equal('Message content is required.');
+    expect((await request('POST', '/users/ada/conversations', { agent: 'missing' })).status).to.equal(400);
+    expect((await request('GET', '/users/..%2Fetc/conversations')).status).to.equal(400);
+    const malformed = await request('GET', '/users/%E0%A4%A/conversations');
+    expect(malformed.status).to.equal(400);
+    expect(malformed.body.error.message).to.equal('User IDs may only contain letters, digits, underscores and dashes.');
+    expect((await request('GET', '/nowhere')).status).to.equal(404);
+
+    const notAllowed = await request('PUT', '/users/ada/conversations/1');
+    expect(notAllowed.status).to.equal(405);
+    expect(notAllowed.headers.get('allow')).to.equal('GET, DELETE');
+
+    apiHandler.requestCompletion = async () => {
+      throw new RateLimitError('OpenAI API Error: 429 Too Many Requests - slow down', { status: 429 });
+    };
+    const rateLimited = await request('POST', '/users/ada/conversations/1/messages', { content: 'Hi!' });
+    expect(rateLimited.status).to.equal(429);
+    expect(rateLimited.body.error.type).to.equal('RateLimitError');
+    expect(storage.getConversation('ada', '1').messages).to.have.lengthOf(0);
+
+    apiHandler.requestCompletion = async () => {
+      throw new QuotaExceededError('Quota exceeded for user ada.', { userId: 'ada', quota: 'requestsPerMinute', limit: 1, used: 1, resetAt: new Date(Date.now() + 30000) });
+    };
+    const overQuota = await request('POST', '/users/ada/conversations/1/messages', { content: 'Hi!' });
+    expect(overQuota.status).to.equal(429);
+    expect(overQuota.body.error.type).to.equal('QuotaExceededError');
+    expect(Number(overQuota.headers.get('retry-after'))).to.be.within(29, 30);
+  });
+
+  it('should not let a system prompt include files from the server', async () => {
+    const rejected = await request('POST', '/users/eve/conversations', { systemPrompt: '{{> /etc/os-release}}', variables: {} });
+    expect(rejected.status).to.equal(400);
+    expect(rejected.body.error.message).to.equal("'variables' can only be passed with an 'agent', not with a 'systemPrompt'.");
+    expect(storage.listConversations('eve')).to.deep.equal([]);
+
+    // Without variables the prompt is not a template, and is kept as it is
+    const created = await request('POST', '/users/eve/conversations', { systemPrompt: '{{> /etc/os-release}}' });
+    expect(created.status).to.equal(201);
+    expect(created.body.messages[0].content).to.equal('{{> /etc/os-release}}');
+  });
+
+  it('should handle one request at a time per user', async () => {
+    await request('POST', '/users/ada/conversations');
+    await request('POST', '/users/ada/conversations');
+
+    const events = [];
+    apiHandler.requestCompletion = async (messages) => {
+      const content = messages[messages.length - 1].content;
+      events.push(`start ${content}`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      events.push(`end ${content}`);
+      return { choices: [{ message: { role: 'assistant', content: `Re: ${content}` } }] };
+    };
+
+    const responses = await Promise.all([
+      request('POST', '/users/ada/conversations/1/messages', { content: 'first' }),
+      request('POST', '/users/ada/conversations/2/messages', { content: 'second' }),
+    ]);
+
+    expect(responses.map(response => response.status)).to.deep.equal([200, 200]);
+    expect(events).to.deep.equal(['start first', 'end first', 'start second', 'end second']);
+    expect(storage.getConversation('ada', '1').messages).to.have.lengthOf(2);
+    expect(storage.getConversation('ada', '2').messages).to.have.lengthOf(2);
+    expect(server.userLocks.size).to.equal(0);
+  });
+});
@@ -0,0 +1,353 @@
+// StorageAdapters.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+import { ConversationManager } from '../ConversationManager.js';
+import { RevisionConflictError } from '../src/Errors.js';
+import { acquireLock } from '../src/FileLock.js';
+import {
+  StorageAdapter,
+  JSONFileStorage,
+  InMemoryStorage,
+  SQLiteStorage,
+  createStorage,
+} from '../src/StorageAdapters.js';
+
+const conversation = (conversationId, content = 'Hello') => ({
+  conversationId,
+  name: content,
+  timestamp: '2024-11-03T10:00:00Z',
+  messages: [{ role: 'user', content }],
+});
+
+const sqliteAvailable = (() => {
+  try {
+    new SQLiteStorage({ path: ':memory:' }).close();
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const adapters = {
+  InMemoryStorage: () => new InMemoryStorage(),
+  JSONFileStorage: () => new JSONFileStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-storage-'))),
+  SQLiteStorage: () => new SQLiteStorage({ path: ':memory:' }),
+};
+
+describe('Storage Adapter Tests', () => {
+  for (const [name, createAdapter] of Object.entries(adapters)) {
+    describe(name, function () {
+      let storage;
+
+      beforeEach(function () {
+        if (name === 'SQLiteStorage' && !sqliteAvailable) {
+          this.skip();
+        }
+        storage = createAdapter();
+      });
+
+      afterEach(() => {
+        if (storage instanceof JSONFileStorage) {
+          fs.rmSync(storage.logPath, { recursive: true, force: true });
+        }
+      });
+
+      it('should return null for unknown users', () => {
+        expect(storage.loadUser('nobody')).to.be.null;
+        expect(storage.listConversations('nobody')).to.deep.equal([]);
+        expect(storage.getConversation('nobody', '1')).to.be.null;
+      });
+
+      it('should save and load a whole user', () => {
+        const userData = { userId: 'user123', totalConversations: 2, conversations: [conversation('1'), conversation('2')] };
+        storage.saveUser('user123', userData);
+        expect(storage.loadUser('user123')).to.deep.equal(userData);
+      });
+
+      it('should put, get and list conversations', () => {
+        storage.putConversation('user123', conversation('1', 'First'));
+        storage.putConversation('user123', conversation('2', 'Second'));
+        storage.putConversation('user123', conversation('1', 'First, edited'));
+
+        expect(storage.getConversation('user123', '1').messages[0].content).to.equal('First, edited');
+        expect(storage.listConversations('user123')).to.deep.equal([
+          { conversationId: '1', name: 'First, edited', timestamp: '2024-11-03T10:00:00Z', messageCount: 1 },
+          { conversationId: '2', name: 'Second', timestamp: '2024-11-03T10:00:00Z', messageCount: 1 },
+        ]);
+        expect(storage.loadUser('user123').totalConversations).to.equal(2);
+      });
+
+      it('should reject saving a conversation that changed since it was loaded', () => {
+        storage.putConversation('user123', conversation('1'));
+        const mine = storage.getConversation('user123', '1');
+        const theirs = storage.getConversation('user123', '1');
+        theirs.name = 'Theirs';
+        storage.putConversation('user123', theirs);
+        expect(theirs.revision).to.equal(2);
+
+        mine.name = 'Mine';
+        expect(() => storage.putConversation('user123', mine)).to.throw(RevisionConflictError, 'conversation:1');
+        expect(storage.getConversation('user123', '1').name).to.equal('Theirs');
+
+        // The saved object carries its new revision, so it can be saved again
+        theirs.name = 'Theirs again';
+        storage.putConversation('user123', theirs);
+        expect(storage.getConversation('user123', '1')).to.include({ name: 'Theirs again', revision: 3 });
+        // A conversation without a revision replaces the stored one
+        storage.putConversation('user123', conversation('1', 'Replaced'));
+        expect(storage.getConversation('user123', '1')).to.include({ name: 'Replaced', revision: 4 });
+      });
+
+      it('should append messages to a conversation', () => {
+        storage.putConversation('user123', conversation('1'));
+        storage.appendMessage('user123', '1', { role: 'assistant', content: 'Hi there' });
+
+        expect(storage.getConversation('user123', '1').messages.map(msg => msg.content)).to.deep.equal(['Hello', 'Hi there']);
+        expect(() => storage.appendMessage('user123', '9', { role: 'user', content: 'Hi' }))
+          .to.throw('Conversation with ID 9 not found.');
+      });
+
+      it('should delete conversations', () => {
+        storage.putConversation('user123', conversation('1'));
+        storage.putConversation('user123', conversation('2'));
+
+        expect(storage.deleteConversation('user123', '1')).to.be.true;
+        expect(storage.deleteConversation('user123', '1')).to.be.false;
+        expect(storage.listConversations('user123').map(convo => convo.conversationId)).to.deep.equal(['2']);
+      });
+
+      it('should delete and list users', () => {
+        storage.putConversation('user123', conversation('1'));
+        storage.putConversation('user456', conversation('1'));
+
+        expect(storage.listUsers().sort()).to.deep.equal(['user123', 'user456']);
+        expect(storage.deleteUser('user123')).to.be.true;
+        expect(storage.deleteUser('user123')).to.be.false;
+        expect(storage.loadUser('user123')).to.be.null;
+        expect(storage.listUsers()).to.deep.equal(['user456']);
+      });
+
+      it('should update user fields without touching conversations', () => {
+        storage.updateUser('user123', (record) => { record.usage = { requests: 1 }; });
+        storage.putConversation('user123', conversation('1'));
+        storage.updateUser('user123', (record) => { record.usage.requests += 1; });
+
+        const userData = storage.loadUser('user123');
+        expect(userData.usage).to.deep.equal({ requests: 2 });
+        expect(userData.totalConversations).to.equal(1);
+        expect(userData.conversations.map(convo => convo.conversationId)).to.deep.equal(['1']);
+      });
+
+      it('should not share state with callers', () => {
+        const stored = conversation('1');
+        storage.putConversation('user123', stored);
+        stored.messages.push({ role: 'user', content: 'Not saved' });
+        storage.getConversation('user123', '1').messages.push({ role: 'user', content: 'Not saved either' });
+
+        expect(storage.getConversation('user123', '1').messages).to.have.length(1);
+      });
+    });
+  }
+
+  describe('JSONFileStorage concurrency', () => {
+    let logPath;
+    let storage;
+
+    beforeEach(() => {
+      logPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-storage-'));
+      storage = new JSONFileStorage(logPath, { lockTimeout: 200 });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+      fs.rmSync(logPath, { recursive: true, force: true });
+    });
+
+    it('should count revisions and leave no temporary or lock files behind', () => {
+      storage.putConversation('user123', conversation('1'));
+      storage.appendMessage('user123', '1', { role: 'assistant', content: 'Hi there' });
+
+      expect(storage.loadUser('user123').revision).to.equal(2);
+      expect(fs.readdirSync(logPath)).to.deep.equal(['user123.json']);
+
+      // Files written before revisions existed are at revision 0
+      fs.writeFileSync(path.join(logPath, 'legacy.json'), JSON.stringify({ userId: 'legacy', totalConversations: 0, conversations: [] }));
+      const legacy = storage.loadUser('legacy');
+      expect(legacy.revision).to.equal(0);
+      storage.saveUser('legacy', legacy);
+      expect(legacy.revision).to.equal(1);
+    });
+
+    it('should merge records saved at an old revision unless the same conversation changed', () => {
+      storage.putConversation('user123', conversation('1', 'First'));
+      const mine = storage.loadUser('user123');
+      const other = new JSONFileStorage(logPath);
+      other.putConversation('user123', conversation('2', 'Added elsewhere'));
+      other.updateUser('user123', (record) => { record.usage = { requests: 1 }; });
+
+      mine.conversations.push(conversation('3', 'Added here'));
+      mine.totalConversations += 1;
+      storage.saveUser('user123', mine);
+
+      const merged = storage.loadUser('user123');
+      expect(merged.conversations.map(convo => convo.name)).to.deep.equal(['First', 'Added elsewhere', 'Added here']);
+      expect(merged.totalConversations).to.equal(3);
+      expect(merged.usage).to.deep.equal({ requests: 1 });
+      expect(mine.revision).to.equal(merged.revision);
+
+      const stale = storage.loadUser('user123');
+      other.putConversation('user123', conversation('1', 'Edited elsewhere'));
+      stale.conversations[0].name = 'Edited here';
+      try {
+        storage.saveUser('user123', stale);
+        expect.fail('Expected a RevisionConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(RevisionConflictError);
+        expect(error).to.include({ userId: 'user123', expected: 4, actual: 5 });
+        expect(error.conflicts).to.deep.equal(['conversation:1']);
+      }
+      expect(storage.getConversation('user123', '1').name).to.equal('Edited elsewhere');
+
+      // Without the loaded revision to compare with, an out of date record cannot be merged
+      const loaded = other.loadUser('user123');
+      other.putConversation('user123', conversation('4'));
+      expect(() => new JSONFileStorage(logPath).saveUser('user123', loaded)).to.throw(RevisionConflictError, 'Load it again before saving.');
+    });
+
+    it('should not let a conversation saved elsewhere be overwritten on save', () => {
+      const first = new ConversationManager('ada', undefined, { storage });
+      first.addMessage('Hello');
+      first.saveHistory();
+
+      // Another process opens the same conversation and saves it first
+      const second = new ConversationManager('ada', undefined, { storage: new JSONFileStorage(logPath) });
+      second.setActiveConversation('1');
+      second.addMessage('Saved elsewhere');
+      second.saveHistory();
+
+      first.addMessage('Saved here');
+      expect(() => first.saveHistory()).to.throw(RevisionConflictError, 'conversation:1');
+      expect(storage.getConversation('ada', '1').messages.map(msg => msg.content)).to.include('Saved elsewhere').and.not.include('Saved here');
+
+      // Conversations saved again after reloading, or only changed here, still save
+      first.setActiveConversation('1');
+      first.addMessage('Saved here after reloading');
+      expect(first.saveHistory()).to.be.true;
+      expect(second.saveHistory.bind(second)).to.throw(RevisionConflictError);
+      first.startNewConversation();
+      first.addMessage('A new conversation');
+      expect(first.saveHistory()).to.be.true;
+    });
+
+    it('should wait for locks, and take over stale ones', () => {
+      const filePath = storage.getFilePath('user123');
+      const release = acquireLock(filePath);
+      // Locks are reentrant within a process
+      storage.putConversation('user123', conversation('1'));
+      release();
+      expect(fs.existsSync(`${filePath}.lock`)).to.be.false;
+
+      fs.writeFileSync(`${filePath}.lock`, JSON.stringify({ pid: 1, hostname: 'another-host', acquiredAt: new Date().toISOString() }));
+      expect(() => storage.putConversation('user123', conversation('2')))
+        .to.throw(`Timed out after 200ms waiting for the lock on ${filePath}.`);
+
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(`${filePath}.lock`, old, old);
+      storage.putConversation('user123', conversation('2'));
+      expect(storage.listConversations('user123')).to.have.lengthOf(2);
+      expect(fs.readdirSync(logPath)).to.deep.equal(['user123.json']);
+    });
+
+    it('should not take over a lock that another process took over first', () => {
+      const filePath = storage.getFilePath('user123');
+      const lockPath = `${filePath}.lock`;
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, hostname: 'another-host', acquiredAt: '2024-11-30T12:00:00.000Z' }));
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath, old, old);
+
+      // Another process takes the stale lock over between this one finding it stale and moving it aside
+      const fresh = JSON.stringify({ pid: process.ppid, hostname: os.hostname(), acquiredAt: new Date().toISOString() });
+      const renameSync = fs.renameSync;
+      sinon.stub(fs, 'renameSync').callsFake((from, to) => {
+        if (from === lockPath && fs.renameSync.callCount === 1) {
+          fs.rmSync(lockPath);
+          fs.writeFileSync(lockPath, fresh, { flag: 'wx' });
+        }
+        return renameSync(from, to);
+      });
+
+      expect(() => storage.putConversation('user123', conversation('1')))
+        .to.throw(`Timed out after 200ms waiting for the lock on ${filePath}.`);
+      expect(fs.readFileSync(lockPath, 'utf-8')).to.equal(fresh);
+      expect(fs.readdirSync(logPath)).to.deep.equal(['user123.json.lock']);
+    });
+
+    it('should not lose conversations saved by several processes at once', async function () {
+      this.timeout(20000);
+      const moduleUrl = pathToFileURL(path.resolve('src/StorageAdapters.js')).href;
+      const writer = (prefix) => new Promise((resolve, reject) => {
+        const script = `import { JSONFileStorage } from ${JSON.stringify(moduleUrl)};
+          const storage = new JSONFileStorage(${JSON.stringify(logPath)});
+          for (let i = 0; i < 15; i++) {
+            storage.putConversation('shared', { conversationId: '${prefix}' + i, messages: [] });
+          }`;
+        const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: 'inherit' });
+        child.on('error', reject);
+        child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`Writer exited with code ${code}`))));
+      });
+
+      await Promise.all([writer('a'), writer('b')]);
+      const userData = storage.loadUser('shared');
+      expect(userData.conversations).to.have.lengthOf(30);
+      expect(userData.totalConversations).to.equal(30);
+      expect(userData.revision).to.equal(30);
+    });
+  });
+
+  describe('Custom adapters', () => {
+    it('should derive conversation operations from loadUser and saveUser', () => {
+      class ObjectStorage extends StorageAdapter {
+        constructor() {
+          super();
+          this.data = {};
+        }
+        loadUser(userId) {
+          return this.data[userId] ? JSON.parse(this.data[userId]) : null;
+        }
+        saveUser(userId, userData) {
+          this.data[userId] = JSON.stringify(userData);
+        }
+      }
+
+      const storage = new ObjectStorage();
+      storage.putConversation('user123', conversation('1'));
+      expect(storage.getConversation('user123', '1').name).to.equal('Hello');
+    });
+
+    it('should require loadUser and saveUser', () => {
+      class EmptyStorage extends StorageAdapter {}
+      expect(() => new EmptyStorage().loadUser('user123')).to.throw('EmptyStorage does not implement loadUser.');
+    });
+  });
+
+  describe('createStorage', () => {
+    it('should create adapters from config values', () => {
+      expect(createStorage()).to.be.instanceOf(JSONFileStorage);
+      expect(createStorage('memory')).to.be.instanceOf(InMemoryStorage);
+      expect(createStorage({ type: 'json', path: 'data' }).logPath).to.equal('data');
+
+      const storage = new InMemoryStorage();
+      expect(createStorage(storage)).to.equal(storage);
+    });
+
+    it('should throw an error for unknown storage types', () => {
+      expect(() => createStorage({ type: 'redis' })).to.throw("Unknown storage type 'redis'.");
+    });
+  });
+});
@@ -0,0 +1,146 @@
+// StructuredOutput.test.js
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  APIHandler,
+  AnthropicProvider,
+  ConversationManager,
+  StructuredOutputError,
+  parseStructuredResponse,
+  validateSchema,
+} from '../ConversationManager.js';
+
+const answerSchema = {
+  type: 'object',
+  properties: {
+    isQuestion: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    topics: { type: 'array', items: { $ref: '#/$defs/topic' }, maxItems: 3 },
+  },
+  required: ['isQuestion', 'confidence'],
+  additionalProperties: false,
+  $defs: {
+    topic: { type: 'string', enum: ['math', 'science', 'other'] },
+  },
+};
+
+const reply = (content) => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { role: 'assistant', content } }] }),
+});
+
+describe('StructuredOutput Tests', () => {
+  describe('validateSchema', () => {
+    it('should accept matching values', () => {
+      expect(validateSchema({ isQuestion: true, confidence: 1, topics: ['math'] }, answerSchema)).to.deep.equal([]);
+      expect(validateSchema(3, { type: 'number' })).to.deep.equal([]);
+      expect(validateSchema(null, { type: ['string', 'null'] })).to.deep.equal([]);
+    });
+
+    it('should describe every mismatch with its location', () => {
+      const errors = validateSchema({ isQuestion: 'yes', confidence: 1.5, topics: ['math', 'art'], extra: 1 }, answerSchema);
+      expect(errors).to.deep.equal([
+        '$.isQuestion: expected boolean, got string',
+        '$.confidence: must be at most 1',
+        '$.topics[1]: must be one of "math", "science", "other"',
+        "$: unexpected property 'extra'",
+      ]);
+      expect(validateSchema({}, answerSchema)).to.deep.equal([
+        "$: missing required property 'isQuestion'",
+        "$: missing required property 'confidence'",
+      ]);
+      expect(validateSchema(1.5, { type: 'integer' })).to.deep.equal(['$: expected integer, got number']);
+      expect(validateSchema('abc', { type: 'string', pattern: '^[0-9]+$' })).to.deep.equal(['$: must match the pattern ^[0-9]+$']);
+      expect(validateSchema(5, { oneOf: [{ type: 'integer' }, { type: 'number' }] }))
+        .to.deep.equal(['$: must match exactly one of the allowed schemas, matched 2']);
+      expect(validateSchema('x', { anyOf: [{ type: 'integer' }, { const: 'y' }] }))
+        .to.deep.equal(['$: does not match any of the allowed schemas']);
+    });
+
+    it('should parse responses, ignoring a surrounding code block', () => {
+      expect(parseStructuredResponse('```json\n{"isQuestion":false,"confidence":0.2}\n```', answerSchema))
+        .to.deep.equal({ value: { isQuestion: false, confidence: 0.2 } });
+      expect(parseStructuredResponse('Sure! Here it is.', answerSchema).errors[0]).to.match(/^The response is not valid JSON: /);
+    });
+  });
+
+  describe('callAPI with a responseSchema', () => {
+    let conversationManager;
+
+    beforeEach(() => {
+      conversationManager = new ConversationManager();
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini');
+      conversationManager.addMessage('Is 2 + 2 a question?');
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should send the schema and return the parsed response', async () => {
+      const fetchStub = sinon.stub(global, 'fetch').resolves(reply('{"isQuestion":true,"confidence":0.9,"topics":["math"]}'));
+
+      const result = await conversationManager.callAPI({ responseSchema: answerSchema, schemaName: 'question_check' });
+
+      expect(result).to.deep.equal({ isQuestion: true, confidence: 0.9, topics: ['math'] });
+      const body = JSON.parse(fetchStub.firstCall.args[1].body);
+      expect(body.response_format).to.deep.equal({
+        type: 'json_schema',
+        json_schema: { name: 'question_check', schema: answerSchema, strict: false },
+      });
+      expect(conversationManager.messages[1]).to.include({ role: 'assistant', content: '{"isQuestion":true,"confidence":0.9,"topics":["math"]}' });
+    });
+
+    it('should ask for a correction when the response does not match', async () => {
+      const fetchStub = sinon.stub(global, 'fetch');
+      fetchStub.onFirstCall().resolves(reply('{"isQuestion":"yes","confidence":0.9}'));
+      fetchStub.onSecondCall().resolves(reply('{"isQuestion":true,"confidence":0.9}'));
+
+      const result = await conversationManager.callAPI({ responseSchema: answerSchema });
+
+      expect(result).to.deep.equal({ isQuestion: true, confidence: 0.9 });
+      expect(fetchStub.callCount).to.equal(2);
+      expect(conversationManager.messages.map(message => message.role)).to.deep.equal(['user', 'assistant', 'user', 'assistant']);
+      expect(conversationManager.messages[1].content).to.equal('{"isQuestion":"yes","confidence":0.9}');
+      expect(conversationManager.messages[2].content).to.equal(
+        'Your previous response does not match the required JSON schema:\n- $.isQuestion: expected boolean, got string\nReply again with only the corrected JSON.'
+      );
+      const secondRequest = JSON.parse(fetchStub.secondCall.args[1].body);
+      expect(secondRequest.messages).to.have.lengthOf(3);
+    });
+
+    it('should give up after maxRepairAttempts corrections', async () => {
+      const fetchStub = sinon.stub(global, 'fetch').resolves(reply('not json'));
+
+      try {
+        await conversationManager.callAPI({ responseSchema: answerSchema, maxRepairAttempts: 1 });
+        expect.fail('Expected a StructuredOutputError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(StructuredOutputError);
+        expect(error.attempts).to.equal(2);
+        expect(error.content).to.equal('not json');
+        expect(error.message).to.match(/^The response did not match the JSON schema after 2 attempts: The response is not valid JSON/);
+      }
+      expect(fetchStub.callCount).to.equal(2);
+    });
+
+    it('should return text as before without a schema', async () => {
+      const fetchStub = sinon.stub(global, 'fetch').resolves(reply('Yes, it is.'));
+
+      expect(await conversationManager.callAPI()).to.equal('Yes, it is.');
+      expect(JSON.parse(fetchStub.firstCall.args[1].body).response_format).to.be.undefined;
+    });
+  });
+
+  it('should add the schema to the system prompt for Anthropic', () => {
+    const { body } = new AnthropicProvider().buildRequest({
+      model: 'claude-sonnet-4-5',
+      maxTokens: 100,
+      messages: [{ role: 'system', content: 'Classify messages.' }, { role: 'user', content: 'Hi' }],
+      responseFormat: { type: 'json_schema', json_schema: { name: 'response', schema: { type: 'object' } } },
+    });
+    expect(body.system).to.equal('Classify messages.\n\nRespond only with JSON that matches this JSON schema:\n{"type":"object"}');
+    expect(body.response_format).to.be.undefined;
+  });
+});
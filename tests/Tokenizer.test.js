@@ -0,0 +1,94 @@
+// Tokenizer.test.js
+
+import { expect } from 'chai';
+import {
+  BPETokenizer,
+  WhitespaceTokenizer,
+  getTokenizer,
+  getEncodingForModel,
+  registerTokenizer,
+  countMessageTokens,
+} from '../src/Tokenizer.js';
+
+const samples = [
+  'This is a test',
+  'function add(a, b) {\n  return a + b;\n}\n',
+  '{"name": "Ada", "tags": ["math", "engines"], "id": 1815}',
+  'Grüße aus Köln — 日本語のテキスト 🚀',
+  '    indented   text\n\n\n',
+];
+
+// The tokens js-tiktoken's reference encodings give for the samples, kept here since loading them is slow
+const referenceTokens = {
+  cl100k_base: [
+    [2028, 374, 264, 1296],
+    [1723, 923, 2948, 11, 293, 8, 341, 220, 471, 264, 489, 293, 280, 534],
+    [5018, 609, 794, 330, 96447, 498, 330, 14412, 794, 4482, 10590, 498, 330, 833, 1572, 8073, 330, 307, 794, 220, 10562, 20, 92],
+    [6600, 2448, 24352, 9608, 65994, 2312, 2001, 76502, 22656, 45918, 252, 16144, 57933, 62903, 71634, 11410, 248, 222],
+    [262, 1280, 16243, 256, 1495, 1432],
+  ],
+  o200k_base: [
+    [2500, 382, 261, 1746],
+    [2706, 1147, 6271, 11, 287, 8, 405, 220, 622, 261, 659, 287, 307, 739],
+    [10848, 897, 1243, 392, 139151, 672, 392, 27989, 1243, 9129, 20310, 672, 392, 882, 2028, 17695, 392, 315, 1243, 220, 16813, 20, 92],
+    [3193, 572, 13153, 3976, 85686, 2733, 17428, 40909, 3385, 16056, 18368, 38236, 169883, 222],
+    [271, 1383, 23537, 256, 2201, 2499],
+  ],
+};
+
+describe('Tokenizer Tests', () => {
+  describe('BPETokenizer', () => {
+    for (const [encoding, expected] of Object.entries(referenceTokens)) {
+      it(`should match the reference ${encoding} encoding`, () => {
+        const tokenizer = new BPETokenizer(encoding);
+        expect(samples.map(sample => tokenizer.encode(sample))).to.deep.equal(expected);
+      });
+    }
+
+    it('should round-trip text through encode and decode', () => {
+      const tokenizer = new BPETokenizer('o200k_base');
+      for (const sample of samples) {
+        expect(tokenizer.decode(tokenizer.encode(sample))).to.equal(sample);
+      }
+    });
+
+    it('should throw an error for unknown encodings', () => {
+      expect(() => new BPETokenizer('p50k_base')).to.throw("Unknown encoding 'p50k_base'.");
+    });
+  });
+
+  describe('getTokenizer', () => {
+    it('should select the encoding from the model name', () => {
+      expect(getEncodingForModel('gpt-4o-mini')).to.equal('o200k_base');
+      expect(getEncodingForModel('gpt-4-turbo')).to.equal('cl100k_base');
+      expect(getEncodingForModel('gpt-3.5-turbo')).to.equal('cl100k_base');
+      expect(getEncodingForModel('some-local-model')).to.equal('o200k_base');
+    });
+
+    it('should resolve encoding names, built-in names and registered tokenizers', () => {
+      expect(getTokenizer('cl100k_base').encoding).to.equal('cl100k_base');
+      expect(getTokenizer('whitespace')).to.be.instanceOf(WhitespaceTokenizer);
+
+      const custom = { count: (text) => text.length };
+      registerTokenizer('characters', custom);
+      expect(getTokenizer('characters')).to.equal(custom);
+      expect(getTokenizer(custom)).to.equal(custom);
+    });
+
+    it('should reject tokenizers without a count method', () => {
+      expect(() => registerTokenizer('broken', {})).to.throw('A tokenizer must implement count(text).');
+    });
+  });
+
+  describe('countMessageTokens', () => {
+    it('should include the chat format overhead', () => {
+      const tokenizer = new WhitespaceTokenizer();
+      const messages = [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello there', name: 'ada' },
+      ];
+      // (3 + 1 + 2) + (3 + 1 + 2 + 1 + 1) + 3
+      expect(countMessageTokens(tokenizer, messages)).to.equal(17);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// ToolRegistry.test.js
+
+import { expect } from 'chai';
+import { ToolRegistry } from '../src/ToolRegistry.js';
+
+describe('ToolRegistry Tests', () => {
+  const echoTool = {
+    name: 'echo',
+    description: 'Echoes its input.',
+    parameters: { type: 'object', properties: { text: { type: 'string' } } },
+    handler: async ({ text }) => text,
+  };
+
+  it('should describe registered tools in the API format', () => {
+    const registry = new ToolRegistry([echoTool]);
+    expect(registry.size).to.equal(1);
+    expect(registry.toAPIFormat()).to.deep.equal([{
+      type: 'function',
+      function: { name: 'echo', description: 'Echoes its input.', parameters: echoTool.parameters },
+    }]);
+  });
+
+  it('should reject invalid tool definitions', () => {
+    const registry = new ToolRegistry();
+    expect(() => registry.register({ name: 'bad name', handler: () => {} })).to.throw('Tool name is required');
+    expect(() => registry.register({ name: 'no_handler' })).to.throw("Tool 'no_handler' must have a handler function.");
+  });
+
+  it('should execute a tool call with parsed arguments and context', async () => {
+    const registry = new ToolRegistry();
+    registry.register({
+      name: 'add',
+      handler: async ({ a, b }, context) => ({ sum: a + b, callId: context.toolCall.id, user: context.userId }),
+    });
+
+    const result = await registry.execute(
+      { id: 'call_1', function: { name: 'add', arguments: '{"a": 2, "b": 3}' } },
+      { userId: 'user123' }
+    );
+    expect(JSON.parse(result)).to.deep.equal({ sum: 5, callId: 'call_1', user: 'user123' });
+  });
+
+  it('should return errors as tool results instead of throwing', async () => {
+    const registry = new ToolRegistry([{ name: 'fail', handler: async () => { throw new Error('Service down'); } }]);
+
+    expect(JSON.parse(await registry.execute({ function: { name: 'fail', arguments: '{}' } })))
+      .to.deep.equal({ error: 'Service down' });
+    expect(JSON.parse(await registry.execute({ function: { name: 'missing', arguments: '{}' } })))
+      .to.deep.equal({ error: "Unknown tool 'missing'." });
+    expect(JSON.parse(await registry.execute({ function: { name: 'fail', arguments: '{not json' } })))
+      .to.have.property('error');
+  });
+
+  it('should unregister tools', () => {
+    const registry = new ToolRegistry([echoTool]);
+    expect(registry.unregister('echo')).to.be.true;
+    expect(registry.has('echo')).to.be.false;
+  });
+});
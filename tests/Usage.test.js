@@ -0,0 +1,208 @@
+// Usage.test.js
+
+import { expect } from 'chai';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import {
+  APIHandler,
+  ConversationManager,
+  InMemoryStorage,
+  buildUsageReport,
+  estimateCost,
+  getModelPrice,
+} from '../ConversationManager.js';
+
+const pricing = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+};
+
+describe('Usage Tests', () => {
+  describe('Pricing', () => {
+    it('should match models exactly or by the longest prefix', () => {
+      expect(getModelPrice('gpt-4o', pricing)).to.equal(pricing['gpt-4o']);
+      expect(getModelPrice('gpt-4o-mini-2024-07-18', pricing)).to.equal(pricing['gpt-4o-mini']);
+      expect(getModelPrice('claude-sonnet-4-5', pricing)).to.be.null;
+    });
+
+    it('should estimate costs in dollars per million tokens', () => {
+      expect(estimateCost('gpt-4o', { prompt_tokens: 1000, completion_tokens: 500 }, pricing)).to.equal(0.0075);
+      expect(estimateCost('llama3.2', { prompt_tokens: 1000, completion_tokens: 500 }, pricing)).to.be.null;
+    });
+  });
+
+  describe('buildUsageReport', () => {
+    const entries = [
+      { timestamp: '2024-11-01T10:00:00.000Z', conversationId: '1', agent: 'poet', model: 'gpt-4o', prompt_tokens: 100, completion_tokens: 50, total_tokens: 150, cost: 0.00075 },
+      { timestamp: '2024-11-02T10:00:00.000Z', conversationId: '1', agent: null, model: 'gpt-4o-mini', prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost: 0.0000045 },
+      { timestamp: '2024-12-01T10:00:00.000Z', conversationId: '2', agent: 'poet', model: 'llama3.2', prompt_tokens: 20, completion_tokens: 20, total_tokens: 40, cost: null },
+    ];
+
+    it('should total all entries and list models without prices', () => {
+      const report = buildUsageReport(entries);
+      expect(report.totals).to.deep.equal({ requests: 3, prompt_tokens: 130, completion_tokens: 75, total_tokens: 205, cost: 0.0007545 });
+      expect(report.unpricedModels).to.deep.equal(['llama3.2']);
+      expect(report.groups).to.be.undefined;
+    });
+
+    it('should filter by date and group', () => {
+      const november = buildUsageReport(entries, { from: '2024-11-01', to: new Date('2024-12-01'), groupBy: 'day' });
+      expect(november.totals.requests).to.equal(2);
+      expect(november.groups.map(group => group.day)).to.deep.equal(['2024-11-01', '2024-11-02']);
+
+      const byAgent = buildUsageReport(entries, { groupBy: 'agent' });
+      expect(byAgent.groups).to.deep.equal([
+        { agent: 'default', requests: 1, prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost: 0.0000045 },
+        { agent: 'poet', requests: 2, prompt_tokens: 120, completion_tokens: 70, total_tokens: 190, cost: 0.00075 },
+      ]);
+
+      expect(() => buildUsageReport(entries, { groupBy: 'week' })).to.throw("Invalid groupBy 'week'.");
+    });
+  });
+
+  describe('Recording usage', () => {
+    let tempDir;
+    let configPath;
+    let storage;
+    let conversationManager;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-usage-'));
+      configPath = process.env.CONFIG_PATH;
+      process.env.CONFIG_PATH = path.join(tempDir, 'config.json');
+      fs.writeFileSync(process.env.CONFIG_PATH, JSON.stringify({ defaults: { model: 'gpt-4o-mini' }, pricing, models: {} }));
+
+      storage = new InMemoryStorage();
+      conversationManager = new ConversationManager('ada', undefined, { storage });
+      conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o');
+    });
+
+    afterEach(() => {
+      sinon.restore();
+      if (configPath === undefined) {
+        delete process.env.CONFIG_PATH;
+      } else {
+        process.env.CONFIG_PATH = configPath;
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should store usage on the message, conversation and user', async () => {
+      sinon.stub(global, 'fetch').resolves({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { role: 'assistant', content: 'Hello!' } }],
+          usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 },
+        }),
+      });
+
+      // Prices are read when the conversation is created, not on every request
+      fs.writeFileSync(process.env.CONFIG_PATH, JSON.stringify({ defaults: { model: 'gpt-4o-mini' }, models: {} }));
+      conversationManager.addMessage('Hi');
+      await conversationManager.callAPI();
+      conversationManager.saveHistory();
+
+      const assistantMessage = conversationManager.messages[conversationManager.messages.length - 1];
+      expect(assistantMessage.model).to.equal('gpt-4o');
+      expect(assistantMessage.usage).to.deep.equal({ prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 });
+
+      const expectedTotals = { requests: 1, prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500, cost: 0.0075 };
+      expect(storage.getConversation('ada', '1').usage).to.deep.equal(expectedTotals);
+      expect(storage.loadUser('ada').usage).to.deep.equal(expectedTotals);
+
+      const report = conversationManager.getUsageReport({ groupBy: 'model' });
+      expect(report.userId).to.equal('ada');
+      expect(report.totals).to.deep.equal(expectedTotals);
+      expect(report.groups).to.deep.equal([{ model: 'gpt-4o', ...expectedTotals }]);
+
+      // Totals carry over when the conversation is loaded again
+      const reloaded = new ConversationManager('ada', undefined, { storage });
+      reloaded.setActiveConversation('1');
+      expect(reloaded.usage).to.deep.equal(expectedTotals);
+    });
+
+    it('should not record anything when the API reports no usage', async () => {
+      sinon.stub(global, 'fetch').resolves({
+        ok: true,
+        json: async () => ({ choices: [{ message: { role: 'assistant', content: 'Hello!' } }] }),
+      });
+
+      conversationManager.addMessage('Hi');
+      await conversationManager.callAPI();
+
+      expect(conversationManager.messages[1].usage).to.be.undefined;
+      expect(conversationManager.usage.requests).to.equal(0);
+      expect(storage.loadUser('ada')).to.be.null;
+    });
+
+    it('should ask for and record usage when streaming', async () => {
+      let requestBody;
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (data) => { body += data; });
+        req.on('end', () => {
+          requestBody = JSON.parse(body);
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hello!' } }] })}\n\n`);
+          res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 8, completion_tokens: 2, total_tokens: 10 } })}\n\n`);
+          res.end('data: [DONE]\n\n');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const apiUrl = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+        conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini', { apiUrl });
+        conversationManager.addMessage('Hi');
+        for await (const delta of conversationManager.streamAPI()) {
+          expect(delta).to.equal('Hello!');
+        }
+      } finally {
+        server.closeAllConnections();
+        server.close();
+      }
+
+      expect(requestBody.stream_options).to.deep.equal({ include_usage: true });
+      expect(conversationManager.messages[1].usage).to.deep.equal({ prompt_tokens: 8, completion_tokens: 2, total_tokens: 10 });
+      expect(conversationManager.getUsageReport().totals.cost).to.equal(0.0000024);
+    });
+
+    it('should record the estimated usage of a failed stream that middleware recovers', async () => {
+      sinon.stub(console, 'error');
+      const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hello there' } }] })}\n\n`);
+          setTimeout(() => res.destroy(), 20);
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const afterResponse = sinon.spy();
+      try {
+        const apiUrl = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+        conversationManager.apiHandler = new APIHandler('test-api-key', 'gpt-4o-mini', { apiUrl });
+        conversationManager.use({ onError: () => ' (connection lost)', afterResponse });
+        conversationManager.addMessage('Hi');
+        const deltas = [];
+        for await (const delta of conversationManager.streamAPI()) {
+          deltas.push(delta);
+        }
+        expect(deltas).to.deep.equal(['Hello there', ' (connection lost)']);
+      } finally {
+        server.closeAllConnections();
+        server.close();
+      }
+
+      expect(afterResponse.called).to.be.false;
+      expect(conversationManager.usage).to.include({ requests: 1, completion_tokens: conversationManager.getTokenCount('Hello there') });
+      expect(conversationManager.usage.prompt_tokens).to.be.above(0);
+      expect(conversationManager.messages[1]).to.include({ content: 'Hello there (connection lost)', model: 'gpt-4o-mini' });
+      expect(storage.loadUser('ada').usage.requests).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// ocm.test.js
+
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const binPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../bin/ocm.js');
+
+describe('ocm CLI Tests', () => {
+  let tempDir;
+  let env;
+
+  const ocm = (args, input = '') => spawnSync(process.execPath, [binPath, ...args], { env, input, encoding: 'utf-8' });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocm-cli-'));
+    const config = {
+      defaults: { model: 'gpt-4o-mini', logPath: path.join(tempDir, 'logs'), verbosity: 'silent' },
+      models: {
+        poet: { agent_file: path.join(tempDir, 'poet.txt'), model: 'gpt-4o' },
+        grader: { agent_file: path.join(tempDir, 'grader.txt') },
+      },
+    };
+    fs.writeFileSync(path.join(tempDir, 'config.json'), JSON.stringify(config));
+    fs.writeFileSync(path.join(tempDir, 'poet.txt'), 'You are a poet.');
+    env = { ...process.env, CONFIG_PATH: path.join(tempDir, 'config.json'), OPENAI_API_KEY: 'test-api-key' };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should list the agents from CONFIG_PATH', () => {
+    const result = ocm(['agents']);
+    expect(result.status).to.equal(0);
+    expect(result.stdout.trim().split('\n')).to.deep.equal([
+      `poet\tgpt-4o\t${path.join(tempDir, 'poet.txt')}`,
+      `grader\t(default model)\t${path.join(tempDir, 'grader.txt')}`,
+    ]);
+  });
+
+  it('should save, list, show and delete conversations from the chat REPL', () => {
+    const chat = ocm(['chat', '--user', 'ada', '--agent', 'poet'], '/history\n/system Be terse.\n/save\n/exit\n');
+    expect(chat.status).to.equal(0);
+    expect(chat.stdout).to.include('system: You are a poet.');
+    expect(chat.stdout).to.include('Saved conversation 1.');
+
+    const list = ocm(['list', '--user', 'ada']);
+    expect(list.stdout).to.match(/^1\t\S+\t1 messages\tUntitled Conversation\n$/);
+
+    const show = ocm(['show', '1', '--user', 'ada']);
+    expect(show.stdout).to.include('system: Be terse.');
+
+    expect(ocm(['delete', '1', '--user', 'ada']).stdout).to.equal('Deleted conversation 1.\n');
+    expect(ocm(['list', '--user', 'ada']).stdout).to.equal('No conversations found for user ada.\n');
+  });
+
+  it('should report unknown conversations with a non-zero exit code', () => {
+    const result = ocm(['show', '42', '--user', 'ada']);
+    expect(result.status).to.equal(1);
+    expect(result.stderr).to.include('Error: Conversation with ID 42 not found.');
+  });
+
+  it('should import conversations and export them as Markdown', () => {
+    const dataset = path.join(tempDir, 'dataset.jsonl');
+    fs.writeFileSync(dataset, '{"messages":[{"role":"user","content":"Hi"},{"role":"assistant","content":"Hello!"}]}\n');
+
+    const imported = ocm(['import', dataset, '--user', 'ada']);
+    expect(imported.status).to.equal(0);
+    expect(imported.stdout).to.equal('Imported 1 conversation(s) for user ada.\n');
+
+    const exported = ocm(['export', '2', '--user', 'ada']);
+    expect(exported.stdout).to.include('# Hi\n');
+    expect(exported.stdout).to.include('### Assistant\n\nHello!');
+  });
+
+  it('should refuse to ask an empty question', () => {
+    const result = ocm(['ask']);
+    expect(result.status).to.equal(1);
+    expect(result.stderr).to.include('Nothing to ask.');
+  });
+});